@@ -191,6 +191,18 @@ async function hgetall(key) {
   }
 }
 
+async function hincrby(key, field, increment = 1) {
+  try {
+    if (!redisClient) {
+      await connectRedis();
+    }
+    return await redisClient.hincrby(key, field, increment);
+  } catch (error) {
+    logger.error('Redis HINCRBY error:', error);
+    return 0;
+  }
+}
+
 // List operations
 async function lpush(key, ...values) {
   try {
@@ -295,6 +307,7 @@ module.exports = {
   hset,
   hget,
   hgetall,
+  hincrby,
   lpush,
   rpop,
   setSession,
@@ -31,8 +31,8 @@ const authenticateToken = async (req, res, next) => {
     // Fetch fresh user data from database
     const userResult = await query(
       `SELECT id, email, business_name, business_type, subscription_tier, 
-              monthly_usage, usage_limit, is_active, trial_end_date,
-              created_at, updated_at
+              monthly_usage, usage_limit, monthly_refinements, is_active, trial_end_date, role,
+              primary_language, generation_cache_enabled, timezone, created_at, updated_at
        FROM users 
        WHERE id = $1 AND is_active = true`,
       [decoded.userId]
@@ -144,6 +144,31 @@ const checkUsageLimit = async (req, res, next) => {
   }
 };
 
+// Refinements are cheaper than full generations, so they get their own, larger
+// allowance: REFINEMENTS_PER_CREDIT refinements for every generation credit
+const getRefinementLimit = (user) => {
+  const perCredit = parseInt(process.env.REFINEMENTS_PER_CREDIT) || 3;
+  return user.usage_limit * perCredit;
+};
+
+// Middleware to check the refinement allowance
+const checkRefinementLimit = (req, res, next) => {
+  const used = req.user.monthly_refinements || 0;
+  const limit = getRefinementLimit(req.user);
+
+  if (used >= limit) {
+    return res.status(429).json({
+      error: 'Refinement limit exceeded',
+      message: 'You have reached your monthly refinement limit. Please upgrade your plan or wait for the next billing cycle.',
+      currentUsage: used,
+      limit,
+      code: 'REFINEMENT_LIMIT_EXCEEDED'
+    });
+  }
+
+  next();
+};
+
 // Middleware for optional authentication (user may or may not be logged in)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -276,6 +301,20 @@ const incrementUsage = async (req, res, next) => {
   }
 };
 
+// Count one refinement against the user's monthly allowance and keep the user
+// object in step. Returns the new count.
+async function countRefinement(user) {
+  const result = await query(
+    'UPDATE users SET monthly_refinements = monthly_refinements + 1 WHERE id = $1 RETURNING monthly_refinements',
+    [user.id]
+  );
+
+  user.monthly_refinements = result.rows.length > 0
+    ? result.rows[0].monthly_refinements
+    : (user.monthly_refinements || 0) + 1;
+  return user.monthly_refinements;
+}
+
 module.exports = {
   authenticateToken,
   requireSubscription,
@@ -284,5 +323,8 @@ module.exports = {
   validateApiKey,
   blacklistToken,
   requireRole,
-  incrementUsage
+  incrementUsage,
+  getRefinementLimit,
+  checkRefinementLimit,
+  countRefinement
 };
@@ -136,8 +136,12 @@ const handleMulterError = (error) => {
 const handleError = (error) => {
   let convertedError = error;
   
+  // Multer errors (checked first: their codes are strings like database error codes)
+  if (error.code && ['LIMIT_FILE_SIZE', 'LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(error.code)) {
+    convertedError = handleMulterError(error);
+  }
   // Database errors
-  if (error.code && typeof error.code === 'string') {
+  else if (error.code && typeof error.code === 'string') {
     convertedError = handleDatabaseError(error);
   }
   // JWT errors
@@ -156,10 +160,6 @@ const handleError = (error) => {
   else if (error.response && error.config && error.config.url && error.config.url.includes('openai')) {
     convertedError = handleOpenAIError(error);
   }
-  // Multer errors
-  else if (error.code && ['LIMIT_FILE_SIZE', 'LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(error.code)) {
-    convertedError = handleMulterError(error);
-  }
   // Generic errors
   else if (!(error instanceof ApiError)) {
     convertedError = new ApiError(500, 'Internal server error');
@@ -200,6 +200,11 @@ const errorHandler = (error, req, res, next) => {
     method: req.method
   };
   
+  // Machine-readable error code for clients
+  if (convertedError.errorCode) {
+    errorResponse.code = convertedError.errorCode;
+  }
+  
   // Add additional details in development
   if (process.env.NODE_ENV === 'development') {
     errorResponse.stack = convertedError.stack;
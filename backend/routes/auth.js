@@ -7,6 +7,8 @@ const { authenticateToken, blacklistToken } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const redis = require('../config/redis');
+const { SUPPORTED_LANGUAGES } = require('../services/languageService');
+const businessTypeService = require('../services/businessTypeService');
 
 const router = express.Router();
 
@@ -25,9 +27,16 @@ const registerValidation = [
     .trim()
     .isLength({ min: 2, max: 255 })
     .withMessage('Business name must be between 2 and 255 characters'),
+  // Only built-in types exist before the account does
   body('businessType')
-    .isIn(['restaurant', 'salon', 'retail', 'medical', 'automotive', 'professional services', 'hotel'])
-    .withMessage('Please select a valid business type')
+    .isString()
+    .bail()
+    .custom(businessTypeService.validateBusinessType)
+    .customSanitizer(businessTypeService.toSlug),
+  body('primaryLanguage')
+    .optional()
+    .isIn(Object.keys(SUPPORTED_LANGUAGES))
+    .withMessage('Please select a supported language')
 ];
 
 const loginValidation = [
@@ -66,7 +75,7 @@ router.post('/register', registerValidation, asyncHandler(async (req, res) => {
     });
   }
 
-  const { email, password, businessName, businessType } = req.body;
+  const { email, password, businessName, businessType, primaryLanguage = 'en' } = req.body;
 
   // Check if user already exists
   const existingUser = await query(
@@ -96,12 +105,12 @@ router.post('/register', registerValidation, asyncHandler(async (req, res) => {
     // Insert user
     const userResult = await client.query(
       `INSERT INTO users (email, password_hash, business_name, business_type, 
-                         subscription_tier, usage_limit, trial_start_date, trial_end_date)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                         subscription_tier, usage_limit, trial_start_date, trial_end_date, primary_language)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        RETURNING id, email, business_name, business_type, subscription_tier, 
-                 monthly_usage, usage_limit, trial_end_date, created_at`,
+                 monthly_usage, usage_limit, trial_end_date, primary_language, created_at`,
       [email, passwordHash, businessName, businessType, 'starter', 
-       parseInt(process.env.TRIAL_USAGE_LIMIT) || 50, trialStartDate, trialEndDate]
+       parseInt(process.env.TRIAL_USAGE_LIMIT) || 50, trialStartDate, trialEndDate, primaryLanguage]
     );
 
     const user = userResult.rows[0];
@@ -132,6 +141,7 @@ router.post('/register', registerValidation, asyncHandler(async (req, res) => {
       email: result.email,
       businessName: result.business_name,
       businessType: result.business_type,
+      primaryLanguage: result.primary_language,
       subscriptionTier: result.subscription_tier,
       monthlyUsage: result.monthly_usage,
       usageLimit: result.usage_limit,
@@ -495,6 +505,8 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
       email: user.email,
       businessName: user.business_name,
       businessType: user.business_type,
+      primaryLanguage: user.primary_language,
+      timezone: user.timezone,
       subscriptionTier: user.subscription_tier,
       monthlyUsage: user.monthly_usage,
       usageLimit: user.usage_limit,
@@ -0,0 +1,308 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const autoResponseService = require('../services/autoResponseService');
+const automationRuleService = require('../services/automationRuleService');
+const postingSchedule = require('../services/postingSchedule');
+const { abortJob } = require('../workers/queue');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+// Validation rules
+const settingsValidation = [
+  body(['autoRespondPositive', 'autoRespondNegative', 'autoRespondNeutral', 'requireApprovalNegative'])
+    .optional()
+    .isBoolean()
+    .withMessage('Must be true or false')
+    .toBoolean(),
+  body('responseDelayMinutes')
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .withMessage('Response delay must be between 0 and 10080 minutes')
+    .toInt(),
+  body('maxDailyResponses')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max daily responses must be between 1 and 1000')
+    .toInt(),
+  body(['workingHoursStart', 'workingHoursEnd'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Working hours must be given as HH:mm'),
+  body('weekendEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Must be true or false')
+    .toBoolean(),
+  body('responseJitterMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Response jitter must be between 0 and 240 minutes')
+    .toInt(),
+  body('holidays')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Holidays must be a list of at most 100 dates'),
+  body('holidays.*')
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Holidays must be dates such as 2026-12-25')
+];
+
+const jobIdValidation = [
+  param('jobId')
+    .isUUID()
+    .withMessage('Invalid job id')
+];
+
+const scheduleNotFound = (res) => res.status(404).json({
+  error: 'Scheduled reply not found',
+  message: 'No automatic reply with this id is scheduled for your account'
+});
+
+const alreadyRan = (res, status) => res.status(409).json({
+  error: 'Reply no longer scheduled',
+  message: `Only pending replies can be changed; this one is ${status}`
+});
+
+const rulesValidation = [
+  body('rules')
+    .isArray({ max: automationRuleService.MAX_RULES })
+    .withMessage(`Rules must be a list of at most ${automationRuleService.MAX_RULES} rules`)
+];
+
+const invalidRules = (res, errors) => res.status(400).json({
+  error: 'Validation failed',
+  details: errors
+});
+
+// GET /api/automation
+// The automation settings and rules
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const settings = await autoResponseService.getAutomationSettings(req.user.id);
+
+  res.json({
+    settings: autoResponseService.formatSettings(settings),
+    timezone: req.user.timezone || postingSchedule.DEFAULT_TIMEZONE,
+    rules: automationRuleService.rulesetOf(settings).rules
+  });
+}));
+
+// PUT /api/automation/settings
+router.put('/settings', authenticateToken, settingsValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  // A lone start or end is checked against the saved other half
+  const current = autoResponseService.formatSettings(await autoResponseService.getAutomationSettings(req.user.id));
+  const start = req.body.workingHoursStart || current.workingHours.start;
+  const end = req.body.workingHoursEnd || current.workingHours.end;
+  if (postingSchedule.minutesOf(end) <= postingSchedule.minutesOf(start)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{ path: 'workingHoursEnd', msg: 'Working hours must end after they start' }]
+    });
+  }
+
+  const settings = await autoResponseService.updateSettings(req.user.id, req.body);
+
+  await recordAudit({
+    userId: req.user.id,
+    action: 'automation.settings_updated',
+    resourceType: 'automation_settings',
+    resourceId: settings.id,
+    details: { fields: Object.keys(req.body) },
+    req
+  });
+
+  res.json({
+    message: 'Automation settings saved successfully',
+    settings: autoResponseService.formatSettings(settings)
+  });
+}));
+
+// GET /api/automation/rules
+router.get('/rules', authenticateToken, asyncHandler(async (req, res) => {
+  const settings = await autoResponseService.getAutomationSettings(req.user.id);
+
+  res.json({
+    rules: automationRuleService.rulesetOf(settings).rules
+  });
+}));
+
+// PUT /api/automation/rules
+// Replace the rules; they are checked in the order given
+router.put('/rules', authenticateToken, rulesValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return invalidRules(res, errors.array());
+  }
+
+  const { ruleset, errors: ruleErrors } = await automationRuleService.validateRuleset({ rules: req.body.rules }, req.user);
+  if (ruleErrors) {
+    return invalidRules(res, ruleErrors);
+  }
+
+  const settings = await autoResponseService.saveRules(req.user.id, ruleset);
+
+  await recordAudit({
+    userId: req.user.id,
+    action: 'automation.rules_updated',
+    resourceType: 'automation_settings',
+    resourceId: settings.id,
+    details: { rules: ruleset.rules.length },
+    req
+  });
+
+  res.json({
+    message: 'Automation rules saved successfully',
+    rules: ruleset.rules
+  });
+}));
+
+// POST /api/automation/rules/dry-run
+// Replay the latest reviews against draft rules (or the saved ones) without acting
+router.post('/rules/dry-run', authenticateToken, [
+  body('rules')
+    .optional()
+    .isArray({ max: automationRuleService.MAX_RULES })
+    .withMessage(`Rules must be a list of at most ${automationRuleService.MAX_RULES} rules`),
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+    .toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return invalidRules(res, errors.array());
+  }
+
+  const settings = await autoResponseService.getAutomationSettings(req.user.id);
+  let ruleset = automationRuleService.rulesetOf(settings);
+  if (req.body.rules) {
+    const validated = await automationRuleService.validateRuleset({ rules: req.body.rules }, req.user);
+    if (validated.errors) {
+      return invalidRules(res, validated.errors);
+    }
+    ruleset = validated.ruleset;
+  }
+
+  const result = await automationRuleService.dryRun(req.user.id, ruleset, settings, { limit: req.body.limit });
+
+  res.json({
+    draft: Boolean(req.body.rules),
+    ...result
+  });
+}));
+
+// GET /api/automation/schedule
+// Automatic replies waiting for their posting time, soonest first
+router.get('/schedule', authenticateToken, asyncHandler(async (req, res) => {
+  const replies = await autoResponseService.listScheduledReplies(req.user.id);
+
+  res.json({
+    timezone: req.user.timezone || postingSchedule.DEFAULT_TIMEZONE,
+    replies
+  });
+}));
+
+// PATCH /api/automation/schedule/:jobId
+// Move one reply to another time within the posting schedule
+router.patch('/schedule/:jobId', authenticateToken, [
+  ...jobIdValidation,
+  body('runAt')
+    .isISO8601({ strict: true })
+    .withMessage('runAt must be an ISO 8601 timestamp')
+    .bail()
+    .custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('runAt must be in the future');
+      }
+      return true;
+    })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const reply = await autoResponseService.rescheduleReply(req.user.id, req.params.jobId, new Date(req.body.runAt));
+  if (!reply) {
+    return scheduleNotFound(res);
+  }
+
+  if (reply.invalidStatus) {
+    return alreadyRan(res, reply.invalidStatus);
+  }
+
+  if (reply.outsideHours) {
+    return res.status(400).json({
+      error: 'Outside posting hours',
+      message: 'Replies are only posted within your working hours',
+      nextPostingTime: reply.nextPostingTime
+    });
+  }
+
+  await recordAudit({
+    userId: req.user.id,
+    action: 'automation.reply_rescheduled',
+    resourceType: 'review',
+    resourceId: reply.reviewId,
+    details: { jobId: reply.jobId, scheduledAt: reply.scheduledAt },
+    req
+  });
+
+  res.json({
+    message: 'Reply rescheduled',
+    reply
+  });
+}));
+
+// DELETE /api/automation/schedule/:jobId
+// Cancel one reply; the review stays open for a manual response
+router.delete('/schedule/:jobId', authenticateToken, jobIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const reply = await autoResponseService.cancelScheduledReply(req.user.id, req.params.jobId);
+  if (!reply) {
+    return scheduleNotFound(res);
+  }
+
+  if (reply.invalidStatus) {
+    return alreadyRan(res, reply.invalidStatus);
+  }
+
+  abortJob(reply.jobId);
+
+  await recordAudit({
+    userId: req.user.id,
+    action: 'automation.reply_cancelled',
+    resourceType: 'review',
+    resourceId: reply.reviewId,
+    details: { jobId: reply.jobId },
+    req
+  });
+
+  res.json({
+    message: 'Reply cancelled',
+    reply
+  });
+}));
+
+module.exports = router;
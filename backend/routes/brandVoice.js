@@ -0,0 +1,112 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const brandVoiceService = require('../services/brandVoiceService');
+
+const router = express.Router();
+
+// Validation rules
+const brandVoiceValidation = [
+  body('preferredPhrases')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Preferred phrases must be a list of at most 20 phrases'),
+  body('preferredPhrases.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each preferred phrase must be between 1 and 100 characters'),
+  body('bannedWords')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Banned words must be a list of at most 50 entries'),
+  body('bannedWords.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each banned word must be between 1 and 100 characters'),
+  body('signature')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Signature must be at most 255 characters'),
+  body('managerName')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Manager name must be at most 100 characters'),
+  body('useEmojis')
+    .optional()
+    .isBoolean()
+    .withMessage('useEmojis must be true or false')
+    .toBoolean(),
+  body('formalityLevel')
+    .optional()
+    .isIn(brandVoiceService.FORMALITY_LEVELS)
+    .withMessage(`Formality level must be one of: ${brandVoiceService.FORMALITY_LEVELS.join(', ')}`),
+  body('exampleReplies')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Provide at most 5 example replies'),
+  body('exampleReplies.*')
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Each example reply must be between 10 and 1000 characters')
+];
+
+// GET /api/brand-voice
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const profile = await brandVoiceService.getBrandVoice(req.user.id);
+
+  res.json({
+    brandVoice: profile
+  });
+}));
+
+// PUT /api/brand-voice
+router.put('/', authenticateToken, brandVoiceValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const profile = await brandVoiceService.saveBrandVoice(req.user.id, req.body);
+
+  logger.business('Brand voice profile saved', {
+    userId: req.user.id,
+    version: profile.version
+  });
+
+  res.json({
+    message: 'Brand voice profile saved successfully',
+    brandVoice: profile
+  });
+}));
+
+// DELETE /api/brand-voice
+router.delete('/', authenticateToken, asyncHandler(async (req, res) => {
+  const deleted = await brandVoiceService.deleteBrandVoice(req.user.id);
+
+  if (!deleted) {
+    return res.status(404).json({
+      error: 'Brand voice profile not found',
+      message: 'No brand voice profile has been defined for this account'
+    });
+  }
+
+  logger.business('Brand voice profile deleted', { userId: req.user.id });
+
+  res.json({
+    message: 'Brand voice profile deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const businessTypeService = require('../services/businessTypeService');
+
+const router = express.Router();
+
+const COMPLIANCE_MODES = ['healthcare'];
+
+// Validation rules
+const contextValidation = [
+  body('keywords')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Keywords must be a list of 1 to 20 entries'),
+  body('keywords.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each keyword must be between 1 and 50 characters'),
+  body('specialties')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Specialties must be between 1 and 500 characters'),
+  body('complianceMode')
+    .optional({ nullable: true })
+    .isIn(COMPLIANCE_MODES)
+    .withMessage(`Compliance mode must be one of: ${COMPLIANCE_MODES.join(', ')}`)
+];
+
+const createValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  ...contextValidation
+];
+
+const slugValidation = [
+  param('slug')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid business type')
+];
+
+// GET /api/business-types
+// Built-in types, plus the account's custom types when signed in
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+  const businessTypes = await businessTypeService.listBusinessTypes(req.user ? req.user.id : null);
+
+  res.json({
+    businessTypes
+  });
+}));
+
+// POST /api/business-types
+router.post('/', authenticateToken, createValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const existing = await businessTypeService.findBusinessType(req.body.name, req.user.id);
+  if (existing) {
+    return res.status(409).json({
+      error: 'Business type already exists',
+      message: existing.custom
+        ? 'This account already has a business type with this name'
+        : 'A built-in business type already has this name'
+    });
+  }
+
+  const businessType = await businessTypeService.createBusinessType(req.user.id, req.body);
+
+  logger.business('Custom business type created', {
+    userId: req.user.id,
+    slug: businessType.slug
+  });
+
+  res.status(201).json({
+    message: 'Business type created successfully',
+    businessType
+  });
+}));
+
+// PUT /api/business-types/:slug
+// Only the account's custom types can be changed
+router.put('/:slug', authenticateToken, slugValidation, contextValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const businessType = await businessTypeService.updateBusinessType(req.user.id, req.params.slug, req.body);
+  if (!businessType) {
+    return res.status(404).json({
+      error: 'Business type not found',
+      message: 'No custom business type exists with this name on this account'
+    });
+  }
+
+  logger.business('Custom business type updated', {
+    userId: req.user.id,
+    slug: businessType.slug
+  });
+
+  res.json({
+    message: 'Business type updated successfully',
+    businessType
+  });
+}));
+
+// DELETE /api/business-types/:slug
+router.delete('/:slug', authenticateToken, slugValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const slug = businessTypeService.toSlug(req.params.slug);
+  if (req.user.business_type === slug) {
+    return res.status(409).json({
+      error: 'Business type in use',
+      message: 'Switch the account to another business type before deleting this one'
+    });
+  }
+
+  const deleted = await businessTypeService.deleteBusinessType(req.user.id, slug);
+  if (!deleted) {
+    return res.status(404).json({
+      error: 'Business type not found',
+      message: 'No custom business type exists with this name on this account'
+    });
+  }
+
+  logger.business('Custom business type deleted', {
+    userId: req.user.id,
+    slug
+  });
+
+  res.json({
+    message: 'Business type deleted successfully'
+  });
+}));
+
+module.exports = router;
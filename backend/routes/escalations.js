@@ -0,0 +1,228 @@
+const express = require('express');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const escalationService = require('../services/escalationService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+// Validation rules
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid escalation id')
+];
+
+const listValidation = [
+  queryParam('status')
+    .optional()
+    .isIn(escalationService.ESCALATION_STATUSES)
+    .withMessage(`Status must be one of: ${escalationService.ESCALATION_STATUSES.join(', ')}`),
+  queryParam('severity')
+    .optional()
+    .isIn(escalationService.SEVERITIES)
+    .withMessage(`Severity must be one of: ${escalationService.SEVERITIES.join(', ')}`),
+  queryParam('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+const updateValidation = [
+  ...idValidation,
+  body('status')
+    .isIn(['acknowledged', 'resolved'])
+    .withMessage('Status must be either acknowledged or resolved'),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Note must be at most 2000 characters')
+];
+
+const contactValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('minSeverity')
+    .optional()
+    .isIn(escalationService.SEVERITIES)
+    .withMessage(`Minimum severity must be one of: ${escalationService.SEVERITIES.join(', ')}`),
+  body('categories')
+    .optional()
+    .isArray()
+    .withMessage('Categories must be a list'),
+  body('categories.*')
+    .isIn(escalationService.RISK_CATEGORIES)
+    .withMessage(`Each category must be one of: ${escalationService.RISK_CATEGORIES.join(', ')}`)
+];
+
+// GET /api/escalations/contacts
+// People emailed when a review is escalated (the account owner when there are none)
+router.get('/contacts', authenticateToken, asyncHandler(async (req, res) => {
+  const contacts = await escalationService.listContacts(req.user.id);
+
+  res.json({
+    contacts
+  });
+}));
+
+// POST /api/escalations/contacts
+router.post('/contacts', authenticateToken, contactValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const contact = await escalationService.createContact(req.user.id, req.body);
+
+  logger.business('Escalation contact added', {
+    userId: req.user.id,
+    contactId: contact.id
+  });
+
+  res.status(201).json({
+    message: 'Escalation contact added successfully',
+    contact
+  });
+}));
+
+// DELETE /api/escalations/contacts/:id
+router.delete('/contacts/:id', authenticateToken, [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid contact id')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const deleted = await escalationService.deleteContact(req.user.id, req.params.id);
+  if (!deleted) {
+    return res.status(404).json({
+      error: 'Contact not found',
+      message: 'No escalation contact exists with this id'
+    });
+  }
+
+  logger.business('Escalation contact removed', {
+    userId: req.user.id,
+    contactId: req.params.id
+  });
+
+  res.json({
+    message: 'Escalation contact removed successfully'
+  });
+}));
+
+// GET /api/escalations
+router.get('/', authenticateToken, listValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const escalations = await escalationService.listEscalations(req.user.id, {
+    status: req.query.status,
+    severity: req.query.severity,
+    limit: req.query.limit
+  });
+
+  res.json({
+    escalations
+  });
+}));
+
+// GET /api/escalations/:id
+router.get('/:id', authenticateToken, idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const escalation = await escalationService.getEscalation(req.user.id, req.params.id);
+  if (!escalation) {
+    return res.status(404).json({
+      error: 'Escalation not found',
+      message: 'No escalation exists with this id'
+    });
+  }
+
+  res.json({
+    escalation
+  });
+}));
+
+// PATCH /api/escalations/:id
+// open -> acknowledged -> resolved (an open escalation can also be resolved directly)
+router.patch('/:id', authenticateToken, updateValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { status, note } = req.body;
+  const escalation = await escalationService.updateEscalation(req.user.id, req.params.id, { status, note });
+  if (!escalation) {
+    return res.status(404).json({
+      error: 'Escalation not found',
+      message: 'No escalation exists with this id'
+    });
+  }
+
+  if (escalation.invalidTransition) {
+    return res.status(409).json({
+      error: 'Invalid status transition',
+      message: `Cannot move an escalation from ${escalation.from} to ${status}`,
+      allowed: escalation.allowed
+    });
+  }
+
+  await recordAudit({
+    userId: req.user.id,
+    action: `escalation.${status}`,
+    resourceType: 'escalation',
+    resourceId: escalation.id,
+    details: { severity: escalation.severity, note: escalation.resolutionNote },
+    req
+  });
+
+  logger.business('Escalation updated', {
+    userId: req.user.id,
+    escalationId: escalation.id,
+    status
+  });
+
+  res.json({
+    message: status === 'resolved' ? 'Escalation resolved' : 'Escalation acknowledged',
+    escalation
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,334 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const reviewImportService = require('../services/reviewImportService');
+const businessTypeService = require('../services/businessTypeService');
+const toneService = require('../services/toneService');
+const { SUPPORTED_LANGUAGES } = require('../services/languageService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+// Uploads stay in memory; they are parsed and stored as records right away
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: reviewImportService.importSettings().maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!reviewImportService.detectFormat(file)) {
+      return cb(new ApiError(400, `Unsupported file type. Upload one of: ${reviewImportService.IMPORT_FORMATS.join(', ')}`));
+    }
+    cb(null, true);
+  }
+});
+
+// FEATURE_BULK_IMPORT=false turns imports off
+const requireBulkImport = (req, res, next) => {
+  if (process.env.FEATURE_BULK_IMPORT === 'false') {
+    return res.status(404).json({
+      error: 'Bulk import is not available'
+    });
+  }
+  next();
+};
+
+// Multipart fields arrive as strings; the mapping is sent as JSON
+const parseMapping = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const mappingValidation = [
+  body('source')
+    .optional()
+    .isIn(reviewImportService.IMPORT_SOURCES)
+    .withMessage(`Source must be one of: ${reviewImportService.IMPORT_SOURCES.join(', ')}`),
+  body('mapping')
+    .optional()
+    .customSanitizer(parseMapping)
+    .custom(value => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Mapping must be a JSON object');
+      }
+      const unknown = Object.keys(value).filter(field => !reviewImportService.IMPORT_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown fields in mapping: ${unknown.join(', ')}. Map any of: ${reviewImportService.IMPORT_FIELDS.join(', ')}`);
+      }
+      if (Object.values(value).some(column => column !== null && typeof column !== 'string')) {
+        throw new Error('Each mapped column must be a column name or null');
+      }
+      return true;
+    })
+];
+
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid import id')
+];
+
+const commitValidation = [
+  ...idValidation,
+  body('businessType')
+    .optional()
+    .isString()
+    .bail()
+    .custom(businessTypeService.validateBusinessType)
+    .customSanitizer(businessTypeService.toSlug),
+  body('tone')
+    .optional()
+    .isString()
+    .bail()
+    .custom(toneService.validateTone)
+    .customSanitizer(businessTypeService.toSlug),
+  body('language')
+    .optional()
+    .isIn(Object.keys(SUPPORTED_LANGUAGES))
+    .withMessage('Please select a supported reply language'),
+  body('languageMode')
+    .optional()
+    .isIn(['review', 'business'])
+    .withMessage('Language mode must be either review or business'),
+  body('includeTranslation')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTranslation must be true or false')
+    .toBoolean()
+];
+
+// POST /api/imports
+// Upload a CSV, JSON or XLSX export (multipart field `file`) and get a preview
+router.post('/', authenticateToken, requireBulkImport, upload.single('file'), mappingValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No file uploaded',
+      message: 'Send the export as multipart/form-data in a field named "file"'
+    });
+  }
+
+  const reviewImport = await reviewImportService.createImport(req.user.id, req.file, {
+    source: req.body.source,
+    mapping: req.body.mapping
+  });
+
+  res.status(201).json({
+    message: 'File uploaded. Check the preview, then commit the import.',
+    import: reviewImport
+  });
+}));
+
+// GET /api/imports
+router.get('/', authenticateToken, requireBulkImport, [
+  queryParam('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const imports = await reviewImportService.listImports(req.user.id, { limit: req.query.limit });
+
+  res.json({
+    imports
+  });
+}));
+
+// GET /api/imports/:id
+router.get('/:id', authenticateToken, requireBulkImport, idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const reviewImport = await reviewImportService.getImport(req.user.id, req.params.id);
+  if (!reviewImport) {
+    return res.status(404).json({
+      error: 'Import not found',
+      message: 'No import exists with this id'
+    });
+  }
+
+  res.json({
+    import: reviewImport
+  });
+}));
+
+// PATCH /api/imports/:id
+// Change the source or column mapping before committing; returns the new preview
+router.patch('/:id', authenticateToken, requireBulkImport, idValidation, mappingValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const reviewImport = await reviewImportService.updateImport(req.user.id, req.params.id, {
+    source: req.body.source,
+    mapping: req.body.mapping
+  });
+  if (!reviewImport) {
+    return res.status(404).json({
+      error: 'Import not found',
+      message: 'No import exists with this id'
+    });
+  }
+
+  if (reviewImport.alreadyCommitted) {
+    return res.status(409).json({
+      error: 'Import already committed',
+      message: 'The mapping of a committed import cannot be changed'
+    });
+  }
+
+  res.json({
+    message: 'Import mapping updated',
+    import: reviewImport
+  });
+}));
+
+// POST /api/imports/:id/commit
+// Store the valid rows as reviews and queue them for generation
+router.post('/:id/commit', authenticateToken, requireBulkImport, commitValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const outcome = await reviewImportService.commitImport(req.user, req.params.id, {
+    businessType: req.body.businessType,
+    tone: req.body.tone,
+    language: req.body.language,
+    languageMode: req.body.languageMode,
+    includeTranslation: req.body.includeTranslation
+  });
+  if (!outcome) {
+    return res.status(404).json({
+      error: 'Import not found',
+      message: 'No import exists with this id'
+    });
+  }
+
+  if (outcome.alreadyCommitted) {
+    return res.status(409).json({
+      error: 'Import already committed',
+      message: 'This import has already been committed'
+    });
+  }
+
+  if (outcome.noValidRows) {
+    return res.status(422).json({
+      error: 'Nothing to import',
+      message: 'No row of this file passed validation'
+    });
+  }
+
+  if (outcome.usageExceeded) {
+    return res.status(429).json({
+      error: 'Usage limit exceeded',
+      message: `This import needs ${outcome.needed} generation credits, which is more than is left of your monthly usage.`,
+      currentUsage: req.user.monthly_usage,
+      limit: req.user.usage_limit,
+      code: 'USAGE_LIMIT_EXCEEDED'
+    });
+  }
+
+  await recordAudit({
+    userId: req.user.id,
+    action: 'review_import.committed',
+    resourceType: 'review_import',
+    resourceId: outcome.import.id,
+    details: { rows: outcome.import.validRows, skipped: outcome.import.invalidRows, batchJobId: outcome.job.id },
+    req
+  });
+
+  logger.business('Reviews imported', {
+    userId: req.user.id,
+    importId: outcome.import.id,
+    rows: outcome.import.validRows
+  });
+
+  res.status(202).json({
+    message: 'Reviews imported and queued for generation',
+    import: outcome.import,
+    job: outcome.job
+  });
+}));
+
+// GET /api/imports/:id/results?format=csv
+// Every row of the file with its status and chosen reply, as CSV or JSON
+router.get('/:id/results', authenticateToken, requireBulkImport, [
+  ...idValidation,
+  queryParam('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be either csv or json')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const outcome = await reviewImportService.importResults(req.user.id, req.params.id);
+  if (!outcome) {
+    return res.status(404).json({
+      error: 'Import not found',
+      message: 'No import exists with this id'
+    });
+  }
+
+  const format = req.query.format || 'csv';
+  res.attachment(`import-${req.params.id}-results.${format}`);
+
+  if (format === 'json') {
+    return res.json({
+      import: {
+        id: outcome.import.id,
+        fileName: outcome.import.fileName,
+        status: outcome.import.status,
+        batchJobId: outcome.import.batchJobId
+      },
+      results: outcome.results
+    });
+  }
+
+  res.type('text/csv').send(reviewImportService.resultsToCsv(outcome.results));
+}));
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const { param, query: queryParam, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const jobService = require('../services/jobService');
+const { abortJob } = require('../workers/queue');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+// Background jobs span every account, so every endpoint is admin only
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid job id')
+];
+
+const notFound = (res) => res.status(404).json({
+  error: 'Job not found',
+  message: 'No background job exists with this id'
+});
+
+// GET /api/jobs
+router.get('/', authenticateToken, requireRole(['admin']), [
+  queryParam('status')
+    .optional()
+    .isIn(jobService.JOB_STATUSES)
+    .withMessage(`Status must be one of: ${jobService.JOB_STATUSES.join(', ')}`),
+  queryParam('type')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  queryParam('userId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid user id'),
+  queryParam('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+    .toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const jobs = await jobService.listJobs({
+    status: req.query.status,
+    type: req.query.type,
+    userId: req.query.userId,
+    limit: req.query.limit
+  });
+
+  res.json({
+    jobs
+  });
+}));
+
+// GET /api/jobs/stats
+// Jobs per type and status
+router.get('/stats', authenticateToken, requireRole(['admin']), asyncHandler(async (req, res) => {
+  res.json({
+    types: await jobService.jobStats()
+  });
+}));
+
+// GET /api/jobs/:id
+router.get('/:id', authenticateToken, requireRole(['admin']), idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const job = await jobService.getJob(req.params.id);
+  if (!job) {
+    return notFound(res);
+  }
+
+  res.json({
+    job
+  });
+}));
+
+// POST /api/jobs/:id/retry
+// Run a dead or cancelled job again
+router.post('/:id/retry', authenticateToken, requireRole(['admin']), idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const job = await jobService.retryJob(req.params.id);
+  if (!job) {
+    return notFound(res);
+  }
+
+  if (job.invalidStatus) {
+    return res.status(409).json({
+      error: 'Job cannot be retried',
+      message: `Only dead or cancelled jobs can be retried; this one is ${job.invalidStatus}`
+    });
+  }
+
+  if (job.duplicate) {
+    return res.status(409).json({
+      error: 'Job already queued',
+      message: 'The same work is already waiting in the queue'
+    });
+  }
+
+  await recordAudit({
+    userId: req.user.id,
+    action: 'background_job.retried',
+    resourceType: 'background_job',
+    resourceId: job.id,
+    details: { type: job.type },
+    req
+  });
+
+  res.json({
+    message: 'Job queued again',
+    job
+  });
+}));
+
+// POST /api/jobs/:id/cancel
+router.post('/:id/cancel', authenticateToken, requireRole(['admin']), idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const job = await jobService.cancelJob(req.params.id);
+  if (!job) {
+    return notFound(res);
+  }
+
+  if (job.invalidStatus) {
+    return res.status(409).json({
+      error: 'Job cannot be cancelled',
+      message: `Only pending or running jobs can be cancelled; this one is ${job.invalidStatus}`
+    });
+  }
+
+  // Stops the job if it is running in this process; elsewhere its outcome is discarded
+  abortJob(job.id);
+
+  await recordAudit({
+    userId: req.user.id,
+    action: 'background_job.cancelled',
+    resourceType: 'background_job',
+    resourceId: job.id,
+    details: { type: job.type },
+    req
+  });
+
+  res.json({
+    message: 'Job cancelled',
+    job
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,261 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const connectors = require('../services/connectors');
+const platformService = require('../services/platformService');
+const platformReviewService = require('../services/platformReviewService');
+const autoResponseService = require('../services/autoResponseService');
+const postingSchedule = require('../services/postingSchedule');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid integration id')
+];
+
+// Validation errors echo the submitted values; credentials are left out
+const validationDetails = (errors) => errors.array().map(detail =>
+  (detail.path && detail.path.startsWith('credentials') ? { ...detail, value: undefined } : detail));
+
+const notFound = (res) => res.status(404).json({
+  error: 'Integration not found',
+  message: 'No platform integration exists with this id'
+});
+
+// GET /api/platforms/connectors
+// The platforms that can be connected, with the credentials each one needs
+router.get('/connectors', authenticateToken, asyncHandler(async (req, res) => {
+  res.json({
+    connectors: connectors.listConnectors()
+  });
+}));
+
+// GET /api/platforms
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const integrations = await platformService.listIntegrations(req.user.id);
+
+  res.json({
+    integrations
+  });
+}));
+
+// POST /api/platforms/:platform/connect
+// Check the credentials with the platform and store the integration
+router.post('/:platform/connect', authenticateToken, [
+  param('platform')
+    .custom(value => {
+      if (!connectors.platformNames().includes(value)) {
+        throw new Error(`Platform must be one of: ${connectors.platformNames().join(', ')}`);
+      }
+      return true;
+    }),
+  body('businessId')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Business id is required'),
+  body('credentials')
+    .optional()
+    .custom(value => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Credentials must be an object');
+      }
+      if (Object.values(value).some(entry => typeof entry !== 'string')) {
+        throw new Error('Each credential must be a string');
+      }
+      return true;
+    })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: validationDetails(errors)
+    });
+  }
+
+  const { integration, account } = await platformService.connectIntegration(req.user.id, req.params.platform, {
+    businessId: req.body.businessId,
+    credentials: req.body.credentials || {}
+  });
+
+  await recordAudit({
+    userId: req.user.id,
+    action: 'platform.connected',
+    resourceType: 'platform_integration',
+    resourceId: integration.id,
+    details: { platform: integration.platform, businessId: integration.businessId },
+    req
+  });
+
+  // The first sync runs in the background
+  await platformReviewService.queueSync(integration.id, req.user.id);
+
+  res.status(201).json({
+    message: `Connected to ${account.name || integration.businessId}`,
+    integration
+  });
+}));
+
+// GET /api/platforms/:id
+router.get('/:id', authenticateToken, idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const integration = await platformService.getIntegration(req.user.id, req.params.id);
+  if (!integration) {
+    return notFound(res);
+  }
+
+  res.json({
+    integration
+  });
+}));
+
+// PATCH /api/platforms/:id
+// Set the location's timezone for automated replies (null uses the account's)
+router.patch('/:id', authenticateToken, [
+  ...idValidation,
+  body('timezone')
+    .exists()
+    .withMessage('timezone is required')
+    .bail()
+    .custom(value => {
+      if (value !== null && !postingSchedule.isValidTimezone(value)) {
+        throw new Error('Timezone must be an IANA timezone such as Europe/Berlin, or null');
+      }
+      return true;
+    })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const integration = await platformService.setIntegrationTimezone(req.user.id, req.params.id, req.body.timezone);
+  if (!integration) {
+    return notFound(res);
+  }
+
+  await recordAudit({
+    userId: req.user.id,
+    action: 'platform.updated',
+    resourceType: 'platform_integration',
+    resourceId: integration.id,
+    details: { timezone: integration.timezone },
+    req
+  });
+
+  // Replies already scheduled move to the new local working hours
+  await autoResponseService.rescheduleAutoResponses(req.user.id);
+
+  res.json({
+    message: 'Integration updated',
+    integration
+  });
+}));
+
+// POST /api/platforms/:id/test
+// Check that the stored credentials still work
+router.post('/:id/test', authenticateToken, idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const outcome = await platformService.testIntegration(req.user.id, req.params.id);
+  if (!outcome) {
+    return notFound(res);
+  }
+
+  res.json(outcome);
+}));
+
+// POST /api/platforms/:id/sync
+// Fetch the reviews posted since the last sync
+router.post('/:id/sync', authenticateToken, idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const outcome = await platformReviewService.syncIntegration(req.params.id, { userId: req.user.id });
+  if (!outcome) {
+    return notFound(res);
+  }
+
+  if (outcome.skipped === 'disconnected') {
+    return res.status(409).json({
+      error: 'Integration disconnected',
+      message: 'Connect the platform again to sync its reviews'
+    });
+  }
+
+  if (outcome.skipped === 'rate_limited') {
+    return res.status(429).json({
+      error: 'Rate limited',
+      message: 'The platform asked us to slow down. Try again after the retry time.',
+      retryAt: outcome.retryAt,
+      code: 'PLATFORM_RATE_LIMITED'
+    });
+  }
+
+  const { newReviewIds, ...sync } = outcome;
+  const autoResponses = await autoResponseService.scheduleAutoResponses(req.user.id, newReviewIds);
+
+  res.json({
+    message: `${outcome.created} new reviews synced`,
+    sync: { ...sync, autoResponsesQueued: autoResponses.length }
+  });
+}));
+
+// DELETE /api/platforms/:id
+// Disconnect: stop syncing and forget the credentials. Synced reviews are kept.
+router.delete('/:id', authenticateToken, idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const integration = await platformService.disconnectIntegration(req.user.id, req.params.id);
+  if (!integration) {
+    return notFound(res);
+  }
+
+  await recordAudit({
+    userId: req.user.id,
+    action: 'platform.disconnected',
+    resourceType: 'platform_integration',
+    resourceId: integration.id,
+    details: { platform: integration.platform, businessId: integration.businessId },
+    req
+  });
+
+  res.json({
+    message: 'Platform disconnected',
+    integration
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,319 @@
+const express = require('express');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const promptTemplateService = require('../services/promptTemplateService');
+
+const router = express.Router();
+
+// Validation rules (prompt templates change every account's replies, so every endpoint is admin only)
+const templateValidation = [
+  body('purpose')
+    .isIn(promptTemplateService.TEMPLATE_PURPOSES)
+    .withMessage(`Purpose must be one of: ${promptTemplateService.TEMPLATE_PURPOSES.join(', ')}`),
+  body('system')
+    .isString()
+    .isLength({ min: 1, max: 20000 })
+    .withMessage('System template must be between 1 and 20000 characters'),
+  body('user')
+    .isString()
+    .isLength({ min: 1, max: 20000 })
+    .withMessage('User template must be between 1 and 20000 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  body('activate')
+    .optional()
+    .isBoolean()
+    .withMessage('activate must be true or false')
+    .toBoolean()
+];
+
+const experimentValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('purpose')
+    .optional()
+    .isIn(promptTemplateService.EXPERIMENT_PURPOSES)
+    .withMessage(`Purpose must be one of: ${promptTemplateService.EXPERIMENT_PURPOSES.join(', ')}`),
+  body('variants')
+    .isArray({ min: 2, max: 5 })
+    .withMessage('Provide between 2 and 5 variants'),
+  body('variants.*.templateId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('templateId must be a template id, or null for the built-in template'),
+  body('variants.*.weight')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Each variant weight must be between 1 and 100')
+    .toInt()
+];
+
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid id')
+];
+
+// GET /api/prompt-templates
+router.get('/', authenticateToken, requireRole(['admin']), [
+  queryParam('purpose')
+    .optional()
+    .isIn(promptTemplateService.TEMPLATE_PURPOSES)
+    .withMessage(`Purpose must be one of: ${promptTemplateService.TEMPLATE_PURPOSES.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const templates = await promptTemplateService.listTemplates(req.query.purpose);
+
+  res.json({
+    templates
+  });
+}));
+
+// GET /api/prompt-templates/builtin
+// The built-in templates (version 0) and the variables each purpose can use
+router.get('/builtin', authenticateToken, requireRole(['admin']), (req, res) => {
+  res.json({
+    templates: promptTemplateService.TEMPLATE_PURPOSES.map(promptTemplateService.builtinTemplate),
+    variables: promptTemplateService.TEMPLATE_VARIABLES
+  });
+});
+
+// POST /api/prompt-templates
+// Store a new version of a purpose's template, optionally making it the active one
+router.post('/', authenticateToken, requireRole(['admin']), templateValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { purpose, system, user, description, activate } = req.body;
+
+  const unknown = promptTemplateService.unknownVariables(purpose, system, user);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: 'Unknown template variables',
+      message: `These variables are not available for ${purpose} templates: ${unknown.join(', ')}`,
+      variables: promptTemplateService.TEMPLATE_VARIABLES[purpose]
+    });
+  }
+
+  let template = await promptTemplateService.createTemplate(purpose, { system, user, description }, req.user.id);
+  if (activate) {
+    template = await promptTemplateService.activateTemplate(purpose, template.id);
+  }
+
+  logger.business('Prompt template version created', {
+    userId: req.user.id,
+    purpose,
+    version: template.version,
+    active: template.isActive
+  });
+
+  res.status(201).json({
+    message: 'Prompt template created successfully',
+    template
+  });
+}));
+
+// POST /api/prompt-templates/builtin/:purpose/activate
+// Go back to the built-in template outside experiments
+router.post('/builtin/:purpose/activate', authenticateToken, requireRole(['admin']), [
+  param('purpose')
+    .isIn(promptTemplateService.TEMPLATE_PURPOSES)
+    .withMessage(`Purpose must be one of: ${promptTemplateService.TEMPLATE_PURPOSES.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const template = await promptTemplateService.activateTemplate(req.params.purpose, null);
+
+  logger.business('Prompt template activated', {
+    userId: req.user.id,
+    purpose: req.params.purpose,
+    version: 0
+  });
+
+  res.json({
+    message: 'Built-in prompt template activated',
+    template
+  });
+}));
+
+// GET /api/prompt-templates/experiments
+router.get('/experiments', authenticateToken, requireRole(['admin']), asyncHandler(async (req, res) => {
+  const experiments = await promptTemplateService.listExperiments();
+
+  res.json({
+    experiments
+  });
+}));
+
+// POST /api/prompt-templates/experiments
+// Split traffic between template versions; only one experiment per purpose can run at a time
+router.post('/experiments', authenticateToken, requireRole(['admin']), experimentValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { name, purpose = 'responses' } = req.body;
+  const variants = req.body.variants.map(variant => ({
+    templateId: variant.templateId || null,
+    weight: variant.weight
+  }));
+
+  const templateIds = variants.map(variant => variant.templateId);
+  if (new Set(templateIds).size !== templateIds.length) {
+    return res.status(400).json({
+      error: 'Duplicate variants',
+      message: 'Each variant must use a different template version'
+    });
+  }
+
+  for (const templateId of templateIds.filter(Boolean)) {
+    const template = await promptTemplateService.getTemplate(templateId);
+    if (!template || template.purpose !== purpose) {
+      return res.status(400).json({
+        error: 'Invalid variant',
+        message: `Template ${templateId} does not exist or is not a ${purpose} template`
+      });
+    }
+  }
+
+  const running = await promptTemplateService.getRunningExperiment(purpose);
+  if (running) {
+    return res.status(409).json({
+      error: 'Experiment already running',
+      message: `Stop experiment "${running.name}" before starting another ${purpose} experiment`,
+      experimentId: running.id
+    });
+  }
+
+  const experiment = await promptTemplateService.createExperiment({ name, purpose, variants }, req.user.id);
+
+  logger.business('Prompt experiment started', {
+    userId: req.user.id,
+    experimentId: experiment.id,
+    purpose,
+    variants: variants.length
+  });
+
+  res.status(201).json({
+    message: 'Experiment started successfully',
+    experiment
+  });
+}));
+
+// POST /api/prompt-templates/experiments/:id/stop
+router.post('/experiments/:id/stop', authenticateToken, requireRole(['admin']), idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const experiment = await promptTemplateService.stopExperiment(req.params.id);
+  if (!experiment) {
+    return res.status(404).json({
+      error: 'Experiment not found',
+      message: 'No running experiment exists with this id'
+    });
+  }
+
+  logger.business('Prompt experiment stopped', {
+    userId: req.user.id,
+    experimentId: experiment.id
+  });
+
+  res.json({
+    message: 'Experiment stopped successfully',
+    experiment
+  });
+}));
+
+// GET /api/prompt-templates/experiments/:id/report
+// Selection rate, edit distance and posting rate per template version
+router.get('/experiments/:id/report', authenticateToken, requireRole(['admin']), idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const experiment = await promptTemplateService.getExperiment(req.params.id);
+  if (!experiment) {
+    return res.status(404).json({
+      error: 'Experiment not found',
+      message: 'No experiment exists with this id'
+    });
+  }
+
+  const report = await promptTemplateService.getExperimentReport(experiment);
+
+  res.json(report);
+}));
+
+// POST /api/prompt-templates/:id/activate
+// Use this version outside experiments
+router.post('/:id/activate', authenticateToken, requireRole(['admin']), idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const existing = await promptTemplateService.getTemplate(req.params.id);
+  if (!existing) {
+    return res.status(404).json({
+      error: 'Template not found',
+      message: 'No prompt template exists with this id'
+    });
+  }
+
+  const template = await promptTemplateService.activateTemplate(existing.purpose, existing.id);
+
+  logger.business('Prompt template activated', {
+    userId: req.user.id,
+    purpose: template.purpose,
+    version: template.version
+  });
+
+  res.json({
+    message: 'Prompt template activated',
+    template
+  });
+}));
+
+module.exports = router;
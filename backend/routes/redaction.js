@@ -0,0 +1,83 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const redactionService = require('../services/redactionService');
+
+const router = express.Router();
+
+// Validation rules
+const policyValidation = [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be true or false')
+    .toBoolean(),
+  body('entityTypes')
+    .optional()
+    .isArray()
+    .withMessage('entityTypes must be a list'),
+  body('entityTypes.*')
+    .isIn(redactionService.ENTITY_TYPES)
+    .withMessage(`Entity types must be one of: ${redactionService.ENTITY_TYPES.join(', ')}`),
+  body('restoreTypes')
+    .optional()
+    .isArray()
+    .withMessage('restoreTypes must be a list'),
+  body('restoreTypes.*')
+    .isIn(redactionService.RESTORABLE_TYPES)
+    .withMessage(`Only ${redactionService.RESTORABLE_TYPES.join(', ')} can be restored; customer details are always withheld`),
+  body('staffNames')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Staff names must be a list of at most 100 names'),
+  body('staffNames.*')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Each staff name must be between 2 and 100 characters'),
+  body('storeOriginal')
+    .optional()
+    .isBoolean()
+    .withMessage('storeOriginal must be true or false')
+    .toBoolean()
+];
+
+// GET /api/redaction-policy
+// Returns the saved policy, or the default policy if none has been saved
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const policy = await redactionService.getRedactionPolicy(req.user.id);
+
+  res.json({
+    redactionPolicy: policy
+  });
+}));
+
+// PUT /api/redaction-policy
+router.put('/', authenticateToken, policyValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const policy = await redactionService.saveRedactionPolicy(req.user.id, req.body);
+
+  logger.business('Redaction policy saved', {
+    userId: req.user.id,
+    enabled: policy.enabled,
+    entityTypes: policy.entityTypes,
+    restoreTypes: policy.restoreTypes,
+    storeOriginal: policy.storeOriginal
+  });
+
+  res.json({
+    message: 'Redaction policy saved successfully',
+    redactionPolicy: policy
+  });
+}));
+
+module.exports = router;
@@ -1,27 +1,337 @@
+const crypto = require('crypto');
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
 const { query } = require('../config/database');
-const { authenticateToken, incrementUsage, checkUsageLimit } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  authenticateToken,
+  checkUsageLimit,
+  getRefinementLimit,
+  checkRefinementLimit,
+  countRefinement
+} = require('../middleware/auth');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const openaiService = require('../services/openaiService');
+const usageLedger = require('../services/usageLedger');
+const brandVoiceService = require('../services/brandVoiceService');
+const redactionService = require('../services/redactionService');
+const complianceService = require('../services/complianceService');
+const businessTypeService = require('../services/businessTypeService');
+const toneService = require('../services/toneService');
+const generationService = require('../services/generationService');
+const batchJobService = require('../services/batchJobService');
+const { recordAudit } = require('../services/auditService');
+const promptTemplateService = require('../services/promptTemplateService');
+const { SUPPORTED_LANGUAGES } = require('../services/languageService');
 
 const router = express.Router();
 
+// Review workflow: pending -> approved -> posted (approval can be withdrawn before posting)
+const RESPONSE_STATUSES = ['pending', 'approved', 'posted'];
+const statusTransitions = {
+  pending: ['approved'],
+  approved: ['pending', 'posted'],
+  posted: []
+};
+
+// Outcome of the compliance check for records generated in a compliance mode
+const COMPLIANCE_STATUSES = ['passed', 'needs_approval'];
+
 // Validation rules
+const languageValidation = [
+  body('language')
+    .optional()
+    .isIn(Object.keys(SUPPORTED_LANGUAGES))
+    .withMessage('Please select a supported reply language'),
+  body('languageMode')
+    .optional()
+    .isIn(['review', 'business'])
+    .withMessage('Language mode must be either review or business'),
+  body('includeTranslation')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTranslation must be true or false')
+    .toBoolean()
+];
+
 const responseValidation = [
   body('reviewText')
     .trim()
     .isLength({ min: 10, max: 2000 })
     .withMessage('Review text must be between 10 and 2000 characters'),
   body('businessType')
-    .isIn(['restaurant', 'salon', 'retail', 'medical', 'automotive', 'professional services', 'hotel'])
-    .withMessage('Please select a valid business type'),
+    .isString()
+    .bail()
+    .custom(businessTypeService.validateBusinessType)
+    .customSanitizer(businessTypeService.toSlug),
+  // Without a tone, the account's default for the rating or the review's sentiment is used
+  body('tone')
+    .optional()
+    .isString()
+    .bail()
+    .custom(toneService.validateTone)
+    .customSanitizer(businessTypeService.toSlug),
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5')
+    .toInt(),
+  body('flagId')
+    .optional()
+    .isUUID()
+    .withMessage('flagId must be the id of a dismissed review flag'),
+  ...languageValidation
+];
+
+// Each item may name its own business type and tone; the top-level ones are the defaults
+const batchValidation = [
+  body('reviews')
+    .isArray({ min: 1, max: batchJobService.batchSettings().maxItems })
+    .withMessage(`Reviews must be a list of 1 to ${batchJobService.batchSettings().maxItems} reviews`),
+  body('reviews.*.reviewText')
+    .isString()
+    .bail()
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Review text must be between 10 and 2000 characters'),
+  body('reviews.*.businessType')
+    .optional()
+    .isString()
+    .bail()
+    .custom(businessTypeService.validateBusinessType)
+    .customSanitizer(businessTypeService.toSlug),
+  body('reviews.*.tone')
+    .optional()
+    .isString()
+    .bail()
+    .custom(toneService.validateTone)
+    .customSanitizer(businessTypeService.toSlug),
+  body('reviews.*.rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5')
+    .toInt(),
+  body('reviews.*.id')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Review id must be at most 255 characters'),
+  body('businessType')
+    .optional()
+    .isString()
+    .bail()
+    .custom(businessTypeService.validateBusinessType)
+    .customSanitizer(businessTypeService.toSlug),
   body('tone')
-    .isIn(['professional', 'friendly', 'apologetic', 'grateful', 'formal'])
-    .withMessage('Please select a valid tone')
+    .optional()
+    .isString()
+    .bail()
+    .custom(toneService.validateTone)
+    .customSanitizer(businessTypeService.toSlug),
+  ...languageValidation
+];
+
+const batchIdValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid batch job id')
+];
+
+const historyValidation = [
+  queryParam('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  queryParam('cursor')
+    .optional()
+    .isString(),
+  queryParam('tone')
+    .optional()
+    .isString()
+    .bail()
+    .custom(toneService.validateTone)
+    .customSanitizer(businessTypeService.toSlug),
+  queryParam('businessType')
+    .optional()
+    .isString()
+    .bail()
+    .custom(businessTypeService.validateBusinessType)
+    .customSanitizer(businessTypeService.toSlug),
+  queryParam('sentiment')
+    .optional()
+    .isIn(['positive', 'negative', 'neutral'])
+    .withMessage('Sentiment must be positive, negative or neutral'),
+  queryParam('status')
+    .optional()
+    .isIn(RESPONSE_STATUSES)
+    .withMessage(`Status must be one of: ${RESPONSE_STATUSES.join(', ')}`),
+  queryParam('complianceStatus')
+    .optional()
+    .isIn(COMPLIANCE_STATUSES)
+    .withMessage(`Compliance status must be one of: ${COMPLIANCE_STATUSES.join(', ')}`),
+  queryParam('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  queryParam('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+];
+
+const updateValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid response id'),
+  body('selectedResponseIndex')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('selectedResponseIndex must be a non-negative integer')
+    .toInt(),
+  body('finalResponse')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Final response must be between 1 and 5000 characters'),
+  body('status')
+    .optional()
+    .isIn(RESPONSE_STATUSES)
+    .withMessage(`Status must be one of: ${RESPONSE_STATUSES.join(', ')}`),
+  body('platformResponseId')
+    .optional()
+    .isString()
+    .isLength({ max: 255 }),
+  body('complianceOverride')
+    .optional()
+    .isBoolean()
+    .withMessage('complianceOverride must be a boolean')
+    .toBoolean()
 ];
 
+const refineValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid response id'),
+  body('responseIndex')
+    .isInt({ min: 0 })
+    .withMessage('responseIndex must be a non-negative integer')
+    .toInt(),
+  body('refinementId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid refinement id'),
+  body('presets')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Presets must be an array of at most 5 items'),
+  body('presets.*')
+    .isIn(Object.keys(openaiService.refinementPresets))
+    .withMessage(`Presets must be one of: ${Object.keys(openaiService.refinementPresets).join(', ')}`),
+  body('instructions')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Instructions must be between 1 and 500 characters'),
+  body()
+    .custom(value => (value.presets && value.presets.length > 0) || Boolean(value.instructions))
+    .withMessage('Provide at least one preset or free-text instructions')
+];
+
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid response id')
+];
+
+// Body returned instead of responses when a review is held as suspicious
+const flaggedBody = (flag) => ({
+  message: 'Review flagged as possibly fake. Dismiss the flag to generate responses for it.',
+  flagged: true,
+  flag
+});
+
+// Risk summary returned with a generation; escalated reviews carry the escalation id
+const riskSummary = (risk, record) => (risk.escalate
+  ? { escalated: true, severity: risk.severity, categories: risk.categories, escalationId: record.escalationId }
+  : { escalated: false });
+
+// Columns returned by the history endpoints
+const RECORD_COLUMNS = `id, original_review, business_type, tone, generated_responses_json, response_status,
+       auto_generated, platform_source, sentiment_score, sentiment_category, aspect_sentiments,
+       selected_response_index,
+       final_response, refinement_history, review_language, response_language, approved_at, posted_at,
+       compliance_mode, compliance_status, compliance_flags,
+       platform_response_id, created_at, updated_at`;
+
+// Map a generated_responses row to the API shape
+const formatRecord = (row) => ({
+  id: row.id,
+  originalReview: row.original_review,
+  businessType: row.business_type,
+  tone: row.tone,
+  responses: row.generated_responses_json,
+  status: row.response_status,
+  selectedResponseIndex: row.selected_response_index,
+  finalResponse: row.final_response,
+  refinements: row.refinement_history || [],
+  sentiment: {
+    category: row.sentiment_category,
+    score: row.sentiment_score === null ? null : Number(row.sentiment_score),
+    aspects: row.aspect_sentiments || []
+  },
+  language: {
+    review: row.review_language,
+    response: row.response_language
+  },
+  compliance: row.compliance_mode
+    ? { mode: row.compliance_mode, status: row.compliance_status, blockedDrafts: row.compliance_flags || [] }
+    : null,
+  autoGenerated: row.auto_generated,
+  platformSource: row.platform_source,
+  platformResponseId: row.platform_response_id,
+  approvedAt: row.approved_at,
+  postedAt: row.posted_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Opaque keyset cursor built from the last row of a page. The timestamp is
+// kept as Postgres text so microseconds survive the round trip.
+const encodeCursor = (row) => Buffer.from(`${row.cursor_created_at}|${row.id}`).toString('base64url');
+
+const CURSOR_TIMESTAMP = /^\d{4}-\d{2}-\d{2}[ T][\d:.]+([+-]\d{2}(:?\d{2})?|Z)?$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  if (!CURSOR_TIMESTAMP.test(createdAt || '') || !UUID.test(id || '')) {
+    return null;
+  }
+  return { createdAt, id };
+};
+
+// Load a record owned by the current user, or null
+async function findOwnedRecord(id, userId) {
+  const result = await query(
+    `SELECT ${RECORD_COLUMNS} FROM generated_responses WHERE id = $1 AND user_id = $2`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Write a single Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // compression buffers output unless it is flushed explicitly
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
 // POST /api/responses
 router.post('/', authenticateToken, checkUsageLimit, responseValidation, asyncHandler(async (req, res) => {
   // Check validation errors
@@ -33,47 +343,697 @@ router.post('/', authenticateToken, checkUsageLimit, responseValidation, asyncHa
     });
   }
 
-  const { reviewText, businessType, tone } = req.body;
-  const businessName = req.user.business_name;
+  const { businessType } = req.body;
 
-  // Generate responses
-  const responseResult = await openaiService.generateResponses(reviewText, businessType, tone, businessName);
-
-  // Persist responses to database
-  const insertResult = await query(
-    `INSERT INTO generated_responses (user_id, original_review, business_type, tone, 
-                                      generated_responses_json, response_status, auto_generated)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)
-     RETURNING id, created_at`,
-    [req.user.id, reviewText, businessType, tone, JSON.stringify(responseResult.responses), 'pending', false]
-  );
-
-  const responseRecord = insertResult.rows[0];
-
-  // Increment user usage
-  await incrementUsage(req, res, () => {});
+  // Screen, generate and store; every LLM call is recorded in the usage ledger, even if generation fails
+  const { flag, responseResult, record: responseRecord } = await generationService.generateForUser(req.user, req.body, { req });
+  if (flag) {
+    return res.status(200).json(flaggedBody(flag));
+  }
 
   // Log successful response generation
   logger.business('Review responses generated successfully', {
     userId: req.user.id,
     reviewId: responseRecord.id,
     businessType,
-    tone,
+    tone: responseResult.metadata.tone,
+    toneSelection: responseResult.metadata.toneSelection,
     responseCount: responseResult.responses.length,
-    sentiment: responseResult.metadata.sentiment
+    sentiment: responseResult.metadata.sentiment.sentiment,
+    redactions: responseResult.metadata.redactions,
+    escalated: responseResult.metadata.risk.escalate
   });
 
   res.status(201).json({
-    message: 'Review responses generated successfully',
+    message: responseResult.metadata.risk.escalate
+      ? 'Review escalated. Only a holding response is offered until the escalation is handled.'
+      : 'Review responses generated successfully',
     responses: responseResult.responses,
     metadata: {
       reviewId: responseRecord.id,
       createdAt: responseRecord.created_at,
-      sentiment: responseResult.metadata.sentiment
+      tone: responseResult.metadata.tone,
+      toneSelection: responseResult.metadata.toneSelection,
+      sentiment: responseResult.metadata.sentiment,
+      language: responseResult.metadata.language,
+      cached: responseResult.metadata.cached,
+      redactions: responseResult.metadata.redactions,
+      compliance: responseResult.metadata.compliance,
+      risk: riskSummary(responseResult.metadata.risk, responseRecord)
+    }
+  });
+}));
+
+// POST /api/responses/stream
+// Same as POST /api/responses but streams progress as Server-Sent Events:
+// `sentiment`, `risk` for escalated reviews, one `response` per option, then `complete`
+// with the saved record id.
+router.post('/stream', authenticateToken, checkUsageLimit, responseValidation, asyncHandler(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { reviewText, businessType, tone } = req.body;
+  const businessName = req.user.business_name;
+  const brandVoice = await brandVoiceService.getBrandVoice(req.user.id);
+  const redactionPolicy = await redactionService.getRedactionPolicy(req.user.id);
+  const prompts = await promptTemplateService.resolveTemplates(req.user.id);
+  const options = await generationService.generationOptions(req.user, req.body);
+  const usage = usageLedger.createUsageTracker();
+
+  // Suspected fake reviews are answered with a plain JSON body before the stream starts
+  let flag;
+  try {
+    flag = await generationService.screenRequest(req.user, req.body, redactionPolicy, options, usage);
+  } catch (error) {
+    await usageLedger.recordUsage(req.user.id, null, usage);
+    throw error;
+  }
+  if (flag) {
+    await usageLedger.recordUsage(req.user.id, null, usage);
+    return res.status(200).json(flaggedBody(flag));
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Abort the upstream LLM request if the client disconnects mid-generation
+  const abortController = new AbortController();
+  let clientClosed = false;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      clientClosed = true;
+      abortController.abort();
+    }
+  });
+
+  // Keep proxies from timing out the connection while the model is thinking
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, 15000);
+
+  const stream = openaiService.streamResponses(reviewText, businessType, tone, businessName, {
+    subscriptionTier: req.user.subscription_tier,
+    signal: abortController.signal,
+    brandVoice,
+    redactionPolicy,
+    prompts,
+    ...options,
+    usage
+  });
+
+  let responseRecord;
+
+  try {
+    let responseResult;
+
+    for await (const event of stream) {
+      if (clientClosed) {
+        break;
+      }
+
+      if (event.type === 'complete') {
+        responseResult = event.data;
+      } else {
+        sendEvent(res, event.type, event.data);
+      }
+    }
+
+    if (clientClosed) {
+      // Nothing is saved or charged for an abandoned generation
+      logger.info('Streaming generation cancelled by client', { userId: req.user.id });
+      return;
+    }
+
+    responseRecord = await generationService.saveGeneratedResponses(req.user, req.body, responseResult, redactionPolicy, { req });
+
+    logger.business('Review responses generated successfully', {
+      userId: req.user.id,
+      reviewId: responseRecord.id,
+      businessType,
+      tone: responseResult.metadata.tone,
+      toneSelection: responseResult.metadata.toneSelection,
+      responseCount: responseResult.responses.length,
+      sentiment: responseResult.metadata.sentiment.sentiment,
+      redactions: responseResult.metadata.redactions,
+      escalated: responseResult.metadata.risk.escalate,
+      streamed: true
+    });
+
+    sendEvent(res, 'complete', {
+      message: responseResult.metadata.risk.escalate
+        ? 'Review escalated. Only a holding response is offered until the escalation is handled.'
+        : 'Review responses generated successfully',
+      metadata: {
+        reviewId: responseRecord.id,
+        createdAt: responseRecord.created_at,
+        tone: responseResult.metadata.tone,
+        toneSelection: responseResult.metadata.toneSelection,
+        sentiment: responseResult.metadata.sentiment,
+        language: responseResult.metadata.language,
+        cached: responseResult.metadata.cached,
+        redactions: responseResult.metadata.redactions,
+        compliance: responseResult.metadata.compliance,
+        risk: riskSummary(responseResult.metadata.risk, responseRecord),
+        responseCount: responseResult.responses.length
+      }
+    });
+  } catch (error) {
+    if (clientClosed) {
+      logger.info('Streaming generation cancelled by client', { userId: req.user.id });
+      return;
+    }
+
+    logger.error('Streaming response generation error:', error);
+    sendEvent(res, 'error', error instanceof ApiError
+      ? { error: error.message, code: error.errorCode }
+      : { error: 'Failed to generate review responses. Please try again.' });
+  } finally {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) {
+      res.end();
     }
+
+    // Tokens spent on abandoned or failed generations still cost us, so they are recorded too
+    await usageLedger.recordUsage(req.user.id, responseRecord && responseRecord.id, usage);
+  }
+}));
+
+// POST /api/responses/batch
+// Queue a background job that generates responses for many reviews. One credit per
+// review is reserved now; credits for reviews that do not use one are given back.
+router.post('/batch', authenticateToken, checkUsageLimit, batchValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const items = req.body.reviews.map(review => ({
+    reviewText: review.reviewText,
+    businessType: review.businessType || req.body.businessType || req.user.business_type,
+    tone: review.tone || req.body.tone,
+    rating: review.rating,
+    externalId: review.id
+  }));
+  const defaults = {
+    language: req.body.language,
+    languageMode: req.body.languageMode,
+    includeTranslation: req.body.includeTranslation
+  };
+
+  const job = await batchJobService.createBatchJob(req.user, items, defaults);
+  if (!job) {
+    return res.status(429).json({
+      error: 'Usage limit exceeded',
+      message: `This batch needs ${items.length} generation credits, which is more than is left of your monthly usage.`,
+      currentUsage: req.user.monthly_usage,
+      limit: req.user.usage_limit,
+      code: 'USAGE_LIMIT_EXCEEDED'
+    });
+  }
+
+  res.status(202).json({
+    message: 'Batch generation job queued',
+    job
+  });
+}));
+
+// GET /api/responses/batch
+router.get('/batch', authenticateToken, [
+  queryParam('status')
+    .optional()
+    .isIn(batchJobService.BATCH_STATUSES)
+    .withMessage(`Status must be one of: ${batchJobService.BATCH_STATUSES.join(', ')}`),
+  queryParam('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const jobs = await batchJobService.listBatchJobs(req.user.id, {
+    status: req.query.status,
+    limit: req.query.limit
+  });
+
+  res.json({
+    jobs
   });
 }));
 
+// GET /api/responses/batch/:id
+// Progress of a job, with every item and its result
+router.get('/batch/:id', authenticateToken, batchIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const job = await batchJobService.getBatchJob(req.user.id, req.params.id, { items: true });
+  if (!job) {
+    return res.status(404).json({
+      error: 'Batch job not found',
+      message: 'No batch generation job exists with this id'
+    });
+  }
+
+  res.json({
+    job
+  });
+}));
+
+// POST /api/responses/batch/:id/cancel
+router.post('/batch/:id/cancel', authenticateToken, batchIdValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const job = await batchJobService.cancelBatchJob(req.user.id, req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Batch job not found',
+      message: 'No batch generation job exists with this id'
+    });
+  }
+
+  if (job.alreadyFinished) {
+    return res.status(409).json({
+      error: 'Batch job already finished',
+      message: `The job is ${job.status} and can no longer be cancelled`
+    });
+  }
+
+  res.json({
+    message: 'Batch generation job cancelled',
+    job
+  });
+}));
+
+// GET /api/responses
+// History of generated responses, newest first, with keyset cursor pagination
+router.get('/', authenticateToken, historyValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const limit = req.query.limit || 20;
+  const conditions = ['user_id = $1'];
+  const params = [req.user.id];
+
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (req.query.tone) addCondition('tone = ?', req.query.tone);
+  if (req.query.businessType) addCondition('business_type = ?', req.query.businessType);
+  if (req.query.sentiment) addCondition('sentiment_category = ?', req.query.sentiment);
+  if (req.query.status) addCondition('response_status = ?', req.query.status);
+  if (req.query.complianceStatus) addCondition('compliance_status = ?', req.query.complianceStatus);
+  if (req.query.from) addCondition('created_at >= ?', new Date(req.query.from));
+  if (req.query.to) addCondition('created_at < ?', new Date(req.query.to));
+
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        message: 'The pagination cursor is malformed'
+      });
+    }
+    params.push(cursor.createdAt, cursor.id);
+    conditions.push(`(created_at, id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`);
+  }
+
+  params.push(limit + 1);
+  const result = await query(
+    `SELECT ${RECORD_COLUMNS}, created_at::text AS cursor_created_at
+     FROM generated_responses
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+  res.json({
+    responses: rows.map(formatRecord),
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+    }
+  });
+}));
+
+// GET /api/responses/:id
+router.get('/:id', authenticateToken, idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const record = await findOwnedRecord(req.params.id, req.user.id);
+  if (!record) {
+    return res.status(404).json({
+      error: 'Response not found',
+      message: 'No generated response exists with this id'
+    });
+  }
+
+  res.json({
+    response: formatRecord(record)
+  });
+}));
+
+// PATCH /api/responses/:id
+// Select or edit the chosen option and move the record through the review workflow
+router.patch('/:id', authenticateToken, updateValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const record = await findOwnedRecord(req.params.id, req.user.id);
+  if (!record) {
+    return res.status(404).json({
+      error: 'Response not found',
+      message: 'No generated response exists with this id'
+    });
+  }
+
+  const { selectedResponseIndex, finalResponse, status, platformResponseId, complianceOverride } = req.body;
+  const editsContent = selectedResponseIndex !== undefined || finalResponse !== undefined;
+
+  if (record.response_status === 'posted' && editsContent) {
+    return res.status(409).json({
+      error: 'Response already posted',
+      message: 'A posted response can no longer be edited'
+    });
+  }
+
+  const updates = {};
+
+  if (selectedResponseIndex !== undefined) {
+    const options = record.generated_responses_json || [];
+    if (selectedResponseIndex >= options.length) {
+      return res.status(400).json({
+        error: 'Invalid selection',
+        message: `selectedResponseIndex must be between 0 and ${options.length - 1}`
+      });
+    }
+    updates.selected_response_index = selectedResponseIndex;
+    updates.final_response = options[selectedResponseIndex].response;
+  }
+
+  if (finalResponse !== undefined) {
+    updates.final_response = finalResponse;
+  }
+
+  if (status && status !== record.response_status) {
+    if (!statusTransitions[record.response_status].includes(status)) {
+      return res.status(409).json({
+        error: 'Invalid status transition',
+        message: `Cannot move a response from ${record.response_status} to ${status}`,
+        allowed: statusTransitions[record.response_status]
+      });
+    }
+
+    const hasFinalResponse = updates.final_response || record.final_response;
+    if (status !== 'pending' && !hasFinalResponse) {
+      return res.status(400).json({
+        error: 'No response selected',
+        message: 'Select or write a response before approving or posting it'
+      });
+    }
+
+    updates.response_status = status;
+    if (status === 'approved') updates.approved_at = new Date();
+    if (status === 'pending') updates.approved_at = null;
+    if (status === 'posted') updates.posted_at = new Date();
+  }
+
+  // In a compliance mode an approved or posted reply is checked again whenever it is
+  // approved, posted or edited, since the text may have been changed by hand after the
+  // last check; a violation needs an explicit, audited override
+  const nextStatus = updates.response_status || record.response_status;
+  const replyText = updates.final_response || record.final_response;
+  if (record.compliance_mode && replyText && nextStatus !== 'pending' && (editsContent || updates.response_status)) {
+    const violations = complianceService.findReplyViolations(replyText, record.compliance_mode, record.response_language);
+    if (violations.length > 0 && !complianceOverride) {
+      await recordAudit({
+        userId: req.user.id,
+        action: 'compliance.approval_blocked',
+        resourceType: 'generated_response',
+        resourceId: record.id,
+        details: { mode: record.compliance_mode, status: nextStatus, violations },
+        req
+      });
+      return res.status(409).json({
+        error: 'Compliance review required',
+        message: `This response breaks ${record.compliance_mode} compliance rules. Edit it, or save it with complianceOverride: true`,
+        violations
+      });
+    }
+    if (violations.length > 0) {
+      await recordAudit({
+        userId: req.user.id,
+        action: 'compliance.override_approved',
+        resourceType: 'generated_response',
+        resourceId: record.id,
+        details: { mode: record.compliance_mode, status: nextStatus, violations },
+        req
+      });
+    }
+  }
+
+  if (platformResponseId !== undefined) {
+    updates.platform_response_id = platformResponseId;
+  }
+
+  const columns = Object.keys(updates);
+  if (columns.length === 0) {
+    return res.json({
+      response: formatRecord(record)
+    });
+  }
+
+  const result = await query(
+    `UPDATE generated_responses
+     SET ${columns.map((column, index) => `${column} = $${index + 3}`).join(', ')}
+     WHERE id = $1 AND user_id = $2
+     RETURNING ${RECORD_COLUMNS}`,
+    [record.id, req.user.id, ...columns.map(column => updates[column])]
+  );
+
+  logger.business('Generated response updated', {
+    userId: req.user.id,
+    reviewId: record.id,
+    fields: columns,
+    status: result.rows[0].response_status
+  });
+
+  res.json({
+    message: 'Response updated successfully',
+    response: formatRecord(result.rows[0])
+  });
+}));
+
+// POST /api/responses/:id/refine
+// Revise one option (or a variant from an earlier refinement) with presets and/or
+// free-text instructions. Refinements use their own, cheaper allowance instead of a
+// generation credit and are appended to the record's refinement history.
+router.post('/:id/refine', authenticateToken, checkRefinementLimit, refineValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const record = await findOwnedRecord(req.params.id, req.user.id);
+  if (!record) {
+    return res.status(404).json({
+      error: 'Response not found',
+      message: 'No generated response exists with this id'
+    });
+  }
+
+  if (record.response_status === 'posted') {
+    return res.status(409).json({
+      error: 'Response already posted',
+      message: 'A posted response can no longer be refined'
+    });
+  }
+
+  const { responseIndex, refinementId, presets = [], instructions } = req.body;
+
+  // The source is either one of the original options or a variant of an earlier refinement
+  let candidates = record.generated_responses_json || [];
+  if (refinementId) {
+    const previous = (record.refinement_history || []).find(entry => entry.id === refinementId);
+    if (!previous) {
+      return res.status(404).json({
+        error: 'Refinement not found',
+        message: 'No refinement exists with this id on this response'
+      });
+    }
+    candidates = previous.variants;
+  }
+
+  const source = candidates[responseIndex];
+  if (!source) {
+    return res.status(400).json({
+      error: 'Invalid selection',
+      message: `responseIndex must be between 0 and ${candidates.length - 1}`
+    });
+  }
+
+  const usage = usageLedger.createUsageTracker();
+  let refinement;
+
+  try {
+    const brandVoice = await brandVoiceService.getBrandVoice(req.user.id);
+    const redactionPolicy = await redactionService.getRedactionPolicy(req.user.id);
+    const businessType = await businessTypeService.findBusinessType(record.business_type, req.user.id);
+    const tone = await toneService.findTone(record.tone, req.user.id);
+
+    const result = await openaiService.refineResponse({
+      reviewText: record.original_review,
+      businessType: record.business_type,
+      tone: record.tone,
+      businessName: req.user.business_name,
+      sentiment: record.sentiment_category || 'neutral',
+      reviewLanguage: record.review_language
+    }, source.response, { presets, instructions }, {
+      subscriptionTier: req.user.subscription_tier,
+      brandVoice,
+      redactionPolicy,
+      language: record.response_language,
+      includeTranslation: Boolean(source.translation),
+      primaryLanguage: req.user.primary_language,
+      businessContext: businessTypeService.businessContextFor(businessType),
+      toneDefinition: tone || undefined,
+      complianceMode: record.compliance_mode || undefined,
+      usage
+    });
+
+    refinement = {
+      id: crypto.randomUUID(),
+      source: {
+        refinementId: refinementId || null,
+        responseIndex
+      },
+      presets,
+      instructions: instructions || null,
+      variants: result.variants,
+      provider: result.metadata.provider,
+      model: result.metadata.model,
+      compliance: result.metadata.compliance,
+      createdAt: result.metadata.refinedAt
+    };
+
+    await query(
+      `UPDATE generated_responses
+       SET refinement_history = COALESCE(refinement_history, '[]'::jsonb) || jsonb_build_array($3::jsonb)
+       WHERE id = $1 AND user_id = $2`,
+      [record.id, req.user.id, JSON.stringify(refinement)]
+    );
+
+    await generationService.auditCompliance(req.user.id, record.id, result.metadata.compliance, req);
+    await countRefinement(req.user);
+  } finally {
+    await usageLedger.recordUsage(req.user.id, record.id, usage);
+  }
+
+  logger.business('Review response refinement saved', {
+    userId: req.user.id,
+    reviewId: record.id,
+    refinementId: refinement.id,
+    presets
+  });
+
+  res.status(201).json({
+    message: 'Response refined successfully',
+    refinement,
+    usage: {
+      refinementsUsed: req.user.monthly_refinements,
+      refinementLimit: getRefinementLimit(req.user)
+    }
+  });
+}));
+
+// DELETE /api/responses/:id
+router.delete('/:id', authenticateToken, idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const result = await query(
+    'DELETE FROM generated_responses WHERE id = $1 AND user_id = $2',
+    [req.params.id, req.user.id]
+  );
+
+  if (result.rowCount === 0) {
+    return res.status(404).json({
+      error: 'Response not found',
+      message: 'No generated response exists with this id'
+    });
+  }
+
+  logger.business('Generated response deleted', {
+    userId: req.user.id,
+    reviewId: req.params.id
+  });
+
+  res.json({
+    message: 'Response deleted successfully'
+  });
+}));
 
 module.exports = router;
 
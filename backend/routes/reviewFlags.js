@@ -0,0 +1,176 @@
+const express = require('express');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const spamDetectionService = require('../services/spamDetectionService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+const PLATFORMS = ['google', 'yelp', 'facebook', 'tripadvisor'];
+
+// Validation rules
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid flag id')
+];
+
+const listValidation = [
+  queryParam('status')
+    .optional()
+    .isIn(spamDetectionService.FLAG_STATUSES)
+    .withMessage(`Status must be one of: ${spamDetectionService.FLAG_STATUSES.join(', ')}`),
+  queryParam('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+const decisionValidation = [
+  ...idValidation,
+  body('decision')
+    .isIn(['genuine', 'fake'])
+    .withMessage('Decision must be either genuine or fake'),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be at most 1000 characters')
+];
+
+// GET /api/review-flags
+router.get('/', authenticateToken, listValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const flags = await spamDetectionService.listFlags(req.user.id, {
+    status: req.query.status,
+    limit: req.query.limit
+  });
+
+  res.json({
+    flags
+  });
+}));
+
+// GET /api/review-flags/:id
+router.get('/:id', authenticateToken, idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const flag = await spamDetectionService.getFlag(req.user.id, req.params.id);
+  if (!flag) {
+    return res.status(404).json({
+      error: 'Flag not found',
+      message: 'No review flag exists with this id'
+    });
+  }
+
+  res.json({
+    flag
+  });
+}));
+
+// GET /api/review-flags/:id/report?platform=yelp
+// The dispute report worded for a platform (the stored report uses the review's own platform)
+router.get('/:id/report', authenticateToken, [
+  ...idValidation,
+  queryParam('platform')
+    .optional()
+    .isIn(PLATFORMS)
+    .withMessage(`Platform must be one of: ${PLATFORMS.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const flag = await spamDetectionService.getFlag(req.user.id, req.params.id);
+  if (!flag) {
+    return res.status(404).json({
+      error: 'Flag not found',
+      message: 'No review flag exists with this id'
+    });
+  }
+
+  const platform = req.query.platform || flag.platform;
+  const report = req.query.platform
+    ? spamDetectionService.buildDisputeReport({
+      platform,
+      businessName: req.user.business_name,
+      reviewText: flag.reviewText,
+      reasons: flag.reasons
+    })
+    : flag.report;
+
+  res.json({
+    platform,
+    report
+  });
+}));
+
+// PATCH /api/review-flags/:id
+// Override the detector: `genuine` dismisses the flag, `fake` confirms it
+router.patch('/:id', authenticateToken, decisionValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { decision, note } = req.body;
+  const flag = await spamDetectionService.decideFlag(req.user.id, req.params.id, decision, note);
+  if (!flag) {
+    return res.status(404).json({
+      error: 'Flag not found',
+      message: 'No review flag exists with this id'
+    });
+  }
+
+  await recordAudit({
+    userId: req.user.id,
+    action: flag.status === 'dismissed' ? 'review_flag.dismissed' : 'review_flag.confirmed',
+    resourceType: 'review_flag',
+    resourceId: flag.id,
+    details: { score: flag.score, checks: flag.reasons.map(reason => reason.check), note: flag.decisionNote },
+    req
+  });
+
+  logger.business('Review flag decided', {
+    userId: req.user.id,
+    flagId: flag.id,
+    decision
+  });
+
+  const dismissedMessage = flag.source === 'sync'
+    ? 'Flag dismissed. The review will be replied to like any other.'
+    : 'Flag dismissed. Pass flagId with the review to generate responses for it.';
+
+  res.json({
+    message: decision === 'genuine'
+      ? dismissedMessage
+      : 'Flag confirmed. Use the report to dispute the review on the platform.',
+    flag
+  });
+}));
+
+module.exports = router;
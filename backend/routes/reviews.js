@@ -0,0 +1,203 @@
+const express = require('express');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const platformReviewService = require('../services/platformReviewService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid review id')
+];
+
+const listValidation = [
+  queryParam('platform')
+    .optional()
+    .isString()
+    .trim(),
+  queryParam('integrationId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid integration id'),
+  queryParam('tag')
+    .optional()
+    .isString()
+    .trim()
+    .toLowerCase(),
+  queryParam('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+    .toInt()
+];
+
+const notFound = (res) => res.status(404).json({
+  error: 'Review not found',
+  message: 'No review exists with this id'
+});
+
+const notConnected = (res) => res.status(409).json({
+  error: 'Platform not connected',
+  message: 'This review was imported or its platform is disconnected, so replies cannot be sent from here'
+});
+
+// GET /api/reviews
+router.get('/', authenticateToken, [
+  ...listValidation,
+  queryParam('status')
+    .optional()
+    .isIn(platformReviewService.REVIEW_STATUSES)
+    .withMessage(`Status must be one of: ${platformReviewService.REVIEW_STATUSES.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const reviews = await platformReviewService.listReviews(req.user.id, {
+    status: req.query.status,
+    platform: req.query.platform,
+    integrationId: req.query.integrationId,
+    tag: req.query.tag,
+    limit: req.query.limit
+  });
+
+  res.json({
+    reviews
+  });
+}));
+
+// GET /api/reviews/pending
+// Reviews that still need a reply
+router.get('/pending', authenticateToken, listValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const reviews = await platformReviewService.listReviews(req.user.id, {
+    status: ['new', 'generated'],
+    platform: req.query.platform,
+    integrationId: req.query.integrationId,
+    tag: req.query.tag,
+    limit: req.query.limit
+  });
+
+  res.json({
+    reviews
+  });
+}));
+
+// GET /api/reviews/:id
+router.get('/:id', authenticateToken, idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const review = await platformReviewService.getReview(req.user.id, req.params.id);
+  if (!review) {
+    return notFound(res);
+  }
+
+  res.json({
+    review
+  });
+}));
+
+// POST /api/reviews/:id/reply
+// Post the reply on the platform, replacing the one the review has
+router.post('/:id/reply', authenticateToken, [
+  ...idValidation,
+  body('text')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 4000 })
+    .withMessage('Reply text must be between 1 and 4000 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const review = await platformReviewService.replyToReview(req.user.id, req.params.id, req.body.text);
+  if (!review) {
+    return notFound(res);
+  }
+
+  if (review.notConnected) {
+    return notConnected(res);
+  }
+
+  await recordAudit({
+    userId: req.user.id,
+    action: 'review.replied',
+    resourceType: 'review',
+    resourceId: review.id,
+    details: { platform: review.platform, platformResponseId: review.reply.platformResponseId },
+    req
+  });
+
+  res.json({
+    message: 'Reply posted',
+    review
+  });
+}));
+
+// DELETE /api/reviews/:id/reply
+router.delete('/:id/reply', authenticateToken, idValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const review = await platformReviewService.deleteReply(req.user.id, req.params.id);
+  if (!review) {
+    return notFound(res);
+  }
+
+  if (review.notConnected) {
+    return notConnected(res);
+  }
+
+  if (review.noReply) {
+    return res.status(404).json({
+      error: 'No reply',
+      message: 'This review has no reply to delete'
+    });
+  }
+
+  await recordAudit({
+    userId: req.user.id,
+    action: 'review.reply_deleted',
+    resourceType: 'review',
+    resourceId: review.id,
+    details: { platform: review.platform },
+    req
+  });
+
+  res.json({
+    message: 'Reply deleted',
+    review
+  });
+}));
+
+module.exports = router;
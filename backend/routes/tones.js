@@ -0,0 +1,160 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const toneService = require('../services/toneService');
+
+const router = express.Router();
+
+// Validation rules
+const definitionValidation = [
+  body('instruction')
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Instruction must be between 10 and 1000 characters'),
+  body('examples')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Examples must be a list of at most 5 sentences'),
+  body('examples.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Each example must be between 1 and 500 characters'),
+  body('defaults.ratings')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Default ratings must be a list of star ratings'),
+  body('defaults.ratings.*')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Each default rating must be between 1 and 5')
+    .toInt(),
+  body('defaults.sentiments')
+    .optional()
+    .isArray({ max: 3 })
+    .withMessage('Default sentiments must be a list of sentiments'),
+  body('defaults.sentiments.*')
+    .isIn(toneService.SENTIMENTS)
+    .withMessage(`Each default sentiment must be one of: ${toneService.SENTIMENTS.join(', ')}`)
+];
+
+const createValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  ...definitionValidation
+];
+
+const slugValidation = [
+  param('slug')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid tone')
+];
+
+// GET /api/tones
+// Built-in tones, plus the account's custom tones when signed in
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+  const tones = await toneService.listTones(req.user ? req.user.id : null);
+
+  res.json({
+    tones
+  });
+}));
+
+// POST /api/tones
+router.post('/', authenticateToken, createValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const existing = await toneService.findTone(req.body.name, req.user.id);
+  if (existing) {
+    return res.status(409).json({
+      error: 'Tone already exists',
+      message: existing.custom
+        ? 'This account already has a tone with this name'
+        : 'A built-in tone already has this name'
+    });
+  }
+
+  const tone = await toneService.createTone(req.user.id, req.body);
+
+  logger.business('Custom tone created', {
+    userId: req.user.id,
+    slug: tone.slug
+  });
+
+  res.status(201).json({
+    message: 'Tone created successfully',
+    tone
+  });
+}));
+
+// PUT /api/tones/:slug
+// Only the account's custom tones can be changed
+router.put('/:slug', authenticateToken, slugValidation, definitionValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const tone = await toneService.updateTone(req.user.id, req.params.slug, req.body);
+  if (!tone) {
+    return res.status(404).json({
+      error: 'Tone not found',
+      message: 'No custom tone exists with this name on this account'
+    });
+  }
+
+  logger.business('Custom tone updated', {
+    userId: req.user.id,
+    slug: tone.slug
+  });
+
+  res.json({
+    message: 'Tone updated successfully',
+    tone
+  });
+}));
+
+// DELETE /api/tones/:slug
+// Responses already generated keep the tone's name; refinements fall back to the default tone
+router.delete('/:slug', authenticateToken, slugValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const deleted = await toneService.deleteTone(req.user.id, req.params.slug);
+  if (!deleted) {
+    return res.status(404).json({
+      error: 'Tone not found',
+      message: 'No custom tone exists with this name on this account'
+    });
+  }
+
+  logger.business('Custom tone deleted', {
+    userId: req.user.id,
+    slug: req.params.slug
+  });
+
+  res.json({
+    message: 'Tone deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const { query: queryParam, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const usageLedger = require('../services/usageLedger');
+const generationCache = require('../services/generationCache');
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Validation rules
+const rangeValidation = [
+  queryParam('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  queryParam('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+];
+
+// Resolve the requested date range, defaulting to the last 30 days
+const resolveRange = (req) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  return { from, to };
+};
+
+// GET /api/usage
+// Token and cost totals for the current user, broken down per day and per model
+router.get('/', authenticateToken, rangeValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { from, to } = resolveRange(req);
+  const usage = await usageLedger.getUserUsage(req.user.id, from, to);
+
+  res.json({
+    range: { from: from.toISOString(), to: to.toISOString() },
+    ...usage
+  });
+}));
+
+// GET /api/usage/accounts
+// Admin view of token and cost totals per user and per subscription tier
+router.get('/accounts', authenticateToken, requireRole(['admin']), [
+  ...rangeValidation,
+  queryParam('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  queryParam('offset').optional().isInt({ min: 0 }).toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { from, to } = resolveRange(req);
+  const usage = await usageLedger.getAccountsUsage(from, to, {
+    limit: req.query.limit || 100,
+    offset: req.query.offset || 0
+  });
+
+  res.json({
+    range: { from: from.toISOString(), to: to.toISOString() },
+    ...usage
+  });
+}));
+
+// GET /api/usage/cache
+// Admin view of generation cache hit/miss counters
+router.get('/cache', authenticateToken, requireRole(['admin']), asyncHandler(async (req, res) => {
+  const stats = await generationCache.getCacheStats();
+
+  res.json({
+    enabled: process.env.GENERATION_CACHE_ENABLED !== 'false',
+    ...stats
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { SUPPORTED_LANGUAGES } = require('../services/languageService');
+const businessTypeService = require('../services/businessTypeService');
+const postingSchedule = require('../services/postingSchedule');
+const autoResponseService = require('../services/autoResponseService');
+
+const router = express.Router();
+
+// Validation rules
+const settingsValidation = [
+  body('businessName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .withMessage('Business name must be between 2 and 255 characters'),
+  body('businessType')
+    .optional()
+    .isString()
+    .bail()
+    .custom(businessTypeService.validateBusinessType)
+    .customSanitizer(businessTypeService.toSlug),
+  body('primaryLanguage')
+    .optional()
+    .isIn(Object.keys(SUPPORTED_LANGUAGES))
+    .withMessage('Please select a supported language'),
+  body('generationCacheEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('generationCacheEnabled must be true or false')
+    .toBoolean(),
+  body('timezone')
+    .optional()
+    .custom(postingSchedule.isValidTimezone)
+    .withMessage('Timezone must be an IANA timezone such as Europe/Berlin')
+];
+
+// PATCH /api/users/me
+router.patch('/me', authenticateToken, settingsValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { businessName, businessType, primaryLanguage, generationCacheEnabled, timezone } = req.body;
+
+  const result = await query(
+    `UPDATE users
+     SET business_name = COALESCE($2, business_name),
+         primary_language = COALESCE($3, primary_language),
+         generation_cache_enabled = COALESCE($4, generation_cache_enabled),
+         business_type = COALESCE($5, business_type),
+         timezone = COALESCE($6, timezone)
+     WHERE id = $1
+     RETURNING id, email, business_name, business_type, primary_language, generation_cache_enabled,
+               subscription_tier, timezone`,
+    [req.user.id, businessName || null, primaryLanguage || null,
+     generationCacheEnabled === undefined ? null : generationCacheEnabled, businessType || null, timezone || null]
+  );
+
+  const user = result.rows[0];
+
+  // Replies already scheduled move to the new local working hours
+  if (timezone) {
+    await autoResponseService.rescheduleAutoResponses(user.id);
+  }
+
+  logger.business('User settings updated', {
+    userId: user.id,
+    fields: Object.keys(req.body)
+  });
+
+  res.json({
+    message: 'Settings updated successfully',
+    user: {
+      id: user.id,
+      email: user.email,
+      businessName: user.business_name,
+      businessType: user.business_type,
+      primaryLanguage: user.primary_language,
+      generationCacheEnabled: user.generation_cache_enabled,
+      subscriptionTier: user.subscription_tier,
+      timezone: user.timezone
+    }
+  });
+}));
+
+module.exports = router;
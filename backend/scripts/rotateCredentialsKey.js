@@ -0,0 +1,30 @@
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/database');
+const logger = require('../utils/logger');
+const { rotateCredentials } = require('../services/platformService');
+
+// Re-wrap stored platform credentials with the current master key.
+//
+//   npm run credentials:rotate [-- --dry-run]
+//
+// To rotate: move the old key into ENCRYPTION_KEYS_PREVIOUS ("1:old-key"), set the
+// new ENCRYPTION_KEY and bump ENCRYPTION_KEY_VERSION, restart, then run this. Remove
+// the old key once it reports no failures. Exits with 1 if any record failed.
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+  try {
+    const summary = await rotateCredentials({ dryRun });
+    logger.info(`Credentials ${dryRun ? 'checked (dry run)' : 'rotated'}`, summary);
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+  } finally {
+    await disconnectDB();
+  }
+}
+
+main().catch(error => {
+  logger.error('Credential rotation failed', { message: error.message });
+  process.exitCode = 1;
+});
@@ -11,6 +11,7 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const { connectDB } = require('./config/database');
 const { connectRedis } = require('./config/redis');
+const { corsOptions } = require('./config/cors');
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
 
@@ -23,9 +24,22 @@ const stripeRoutes = require('./routes/stripe');
 const platformRoutes = require('./routes/platforms');
 const automationRoutes = require('./routes/automation');
 const reviewRoutes = require('./routes/reviews');
+const usageRoutes = require('./routes/usage');
+const brandVoiceRoutes = require('./routes/brandVoice');
+const redactionRoutes = require('./routes/redaction');
+const promptTemplateRoutes = require('./routes/promptTemplates');
+const businessTypeRoutes = require('./routes/businessTypes');
+const toneRoutes = require('./routes/tones');
+const reviewFlagRoutes = require('./routes/reviewFlags');
+const escalationRoutes = require('./routes/escalations');
+const importRoutes = require('./routes/imports');
+const jobRoutes = require('./routes/jobs');
 
 // Import background job processor
-const { initializeQueues } = require('./workers/queue');
+const { initializeQueues, shutdownQueues } = require('./workers/queue');
+const { resumeBatchJobs } = require('./services/batchJobService');
+const { startMockPlatformFromEnv } = require('./services/connectors/mockPlatformServer');
+const credentialVault = require('./services/credentialVault');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -45,14 +59,7 @@ app.use(helmet({
 }));
 
 // CORS configuration
-app.use(cors({
-  origin: process.env.NODE_ENV === 'production' 
-    ? process.env.CORS_ORIGIN 
-    : ['http://localhost:3000', 'http://127.0.0.1:3000'],
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key']
-}));
+app.use(cors(corsOptions));
 
 // Request parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -85,7 +92,9 @@ const generateResponseLimiter = rateLimit({
     retryAfter: 900
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Only generation requests count; browsing and editing history does not
+  skip: (req) => req.method !== 'POST'
 });
 
 app.use(generalLimiter);
@@ -107,9 +116,19 @@ app.use('/api/users', authMiddleware, userRoutes);
 app.use('/api/responses', authMiddleware, generateResponseLimiter, responseRoutes);
 app.use('/api/dashboard', authMiddleware, dashboardRoutes);
 app.use('/api/stripe', stripeRoutes);
-app.use('/api/platforms', authMiddleware, platformRoutes);
-app.use('/api/automation', authMiddleware, automationRoutes);
-app.use('/api/reviews', authMiddleware, reviewRoutes);
+app.use('/api/platforms', platformRoutes);
+app.use('/api/automation', automationRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/brand-voice', brandVoiceRoutes);
+app.use('/api/redaction-policy', redactionRoutes);
+app.use('/api/prompt-templates', promptTemplateRoutes);
+app.use('/api/business-types', businessTypeRoutes);
+app.use('/api/tones', toneRoutes);
+app.use('/api/review-flags', reviewFlagRoutes);
+app.use('/api/escalations', escalationRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Stripe webhook - must be before body parsing middleware
 app.use('/api/webhook', express.raw({ type: 'application/json' }), stripeRoutes);
@@ -133,6 +152,9 @@ process.on('SIGINT', gracefulShutdown);
 async function gracefulShutdown(signal) {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
+  // Let running background jobs finish (or give them back to the queue)
+  await shutdownQueues();
+  
   const server = app.listen(PORT);
   
   // Stop accepting new connections
@@ -153,6 +175,9 @@ async function gracefulShutdown(signal) {
 // Start server
 async function startServer() {
   try {
+    // Refuse unusable credential keys, such as the example ENCRYPTION_KEY
+    credentialVault.checkConfiguration();
+    
     // Initialize database connection
     await connectDB();
     logger.info('Database connected successfully');
@@ -161,6 +186,12 @@ async function startServer() {
     await connectRedis();
     logger.info('Redis connected successfully');
     
+    // Pick up batch generation jobs interrupted by the last shutdown
+    await resumeBatchJobs();
+    
+    // Serve the mock review platform in development (PLATFORM_MOCK_ENABLED)
+    await startMockPlatformFromEnv();
+    
     // Initialize background job queues
     await initializeQueues();
     logger.info('Background job queues initialized');
@@ -0,0 +1,86 @@
+// Aspect-based sentiment helpers. An aspect is one of the business type's
+// keywords (food, service, atmosphere, ...). The keyword scorer below is used
+// when the model is unavailable and by the fixture provider; model answers are
+// passed through normalizeAspects so only known aspects are stored.
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+// Split a review into clauses so "great food but rude service" scores each part on its own
+const splitClauses = (text) => (text || '')
+  .split(/[.!?;\n]+|,?\s+\b(?:but|however|although|though)\b/i)
+  .map(clause => clause.trim())
+  .filter(Boolean);
+
+const mentionsAspect = (clause, aspect) => {
+  const escaped = aspect.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}])${escaped}(s|es)?($|[^\\p{L}])`, 'iu').test(clause);
+};
+
+// Same scale as the overall score: 0 is very negative, 0.5 neutral, 1 very positive
+function scoreFromCounts(positiveCount, negativeCount) {
+  const total = positiveCount + negativeCount;
+  if (total === 0) {
+    return { sentiment: 'neutral', score: 0.5 };
+  }
+
+  let sentiment = 'neutral';
+  if (positiveCount > negativeCount) sentiment = 'positive';
+  else if (negativeCount > positiveCount) sentiment = 'negative';
+
+  return {
+    sentiment,
+    score: Number((0.5 + ((positiveCount - negativeCount) / total) * 0.45).toFixed(2))
+  };
+}
+
+// Score every aspect mentioned in the review with positive/negative keyword lists
+function scoreAspects(reviewText, aspects = [], { positive = [], negative = [] } = {}) {
+  const clauses = splitClauses(reviewText);
+  const results = [];
+
+  for (const aspect of aspects) {
+    const matching = clauses.filter(clause => mentionsAspect(clause, aspect));
+    if (matching.length === 0) {
+      continue;
+    }
+
+    const text = matching.join(' ').toLowerCase();
+    const positiveCount = positive.filter(word => text.includes(word)).length;
+    const negativeCount = negative.filter(word => text.includes(word)).length;
+
+    results.push({
+      aspect,
+      ...scoreFromCounts(positiveCount, negativeCount),
+      evidence: matching[0]
+    });
+  }
+
+  return results;
+}
+
+// Keep model-reported aspects that belong to the business type, one entry per aspect
+function normalizeAspects(aspects = [], allowedAspects = []) {
+  const allowed = new Set(allowedAspects.map(aspect => aspect.toLowerCase()));
+  const seen = new Set();
+
+  return aspects
+    .map(entry => ({ ...entry, aspect: String(entry.aspect || '').trim().toLowerCase() }))
+    .filter(entry => allowed.has(entry.aspect) && SENTIMENTS.includes(entry.sentiment))
+    .filter(entry => {
+      if (seen.has(entry.aspect)) {
+        return false;
+      }
+      seen.add(entry.aspect);
+      return true;
+    });
+}
+
+// Aspects the customer complained about, for the response prompt
+const criticisedAspects = (aspects = []) => aspects.filter(entry => entry.sentiment === 'negative');
+
+module.exports = {
+  splitClauses,
+  scoreAspects,
+  normalizeAspects,
+  criticisedAspects
+};
@@ -0,0 +1,30 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Write an entry to the audit_logs table. Auditing must never break the request
+// that triggered it, so failures are logged and swallowed.
+async function recordAudit({ userId, action, resourceType = null, resourceId = null, details = {}, req = null }) {
+  try {
+    await query(
+      `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, details, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        userId,
+        action,
+        resourceType,
+        resourceId,
+        JSON.stringify(details),
+        req ? req.ip : null,
+        req ? req.get('User-Agent') : null
+      ]
+    );
+    return true;
+  } catch (error) {
+    logger.error('Failed to write audit log entry', { action, userId, error: error.message });
+    return false;
+  }
+}
+
+module.exports = {
+  recordAudit
+};
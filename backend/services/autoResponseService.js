@@ -0,0 +1,489 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+const jobService = require('./jobService');
+const generationService = require('./generationService');
+const platformReviewService = require('./platformReviewService');
+const connectors = require('./connectors');
+const automationRuleService = require('./automationRuleService');
+const escalationService = require('./escalationService');
+const redactionService = require('./redactionService');
+const postingSchedule = require('./postingSchedule');
+const { recordAudit } = require('./auditService');
+
+// Automatic replies to synced reviews, following the account's automation
+// settings: new reviews are queued as `auto_response` jobs after the response
+// delay, moved into the working hours of the business's timezone (see
+// postingSchedule). The job analyzes the review and lets the automation rules (see
+// automationRuleService) decide: post a reply, draft one for approval, escalate
+// or leave the review alone. Drafts wait in the approval workflow.
+
+const AUTO_RESPONSE_JOB = 'auto_response';
+
+async function getAutomationSettings(userId) {
+  const result = await query(
+    `SELECT id, auto_respond_positive, auto_respond_negative, auto_respond_neutral, require_approval_negative,
+            response_delay_minutes, custom_rules_json, working_hours_start, working_hours_end,
+            weekend_enabled, max_daily_responses, response_jitter_minutes, holidays, updated_at
+     FROM automation_settings
+     WHERE user_id = $1
+     ORDER BY created_at
+     LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Map a settings row to the API shape
+const formatSettings = (row) => ({
+  autoRespondPositive: Boolean(row && row.auto_respond_positive),
+  autoRespondNegative: Boolean(row && row.auto_respond_negative),
+  autoRespondNeutral: Boolean(row && row.auto_respond_neutral),
+  requireApprovalNegative: row ? row.require_approval_negative !== false : true,
+  responseDelayMinutes: row ? row.response_delay_minutes : 30,
+  maxDailyResponses: row ? row.max_daily_responses : 50,
+  workingHours: {
+    start: row && row.working_hours_start ? String(row.working_hours_start).slice(0, 5) : '09:00',
+    end: row && row.working_hours_end ? String(row.working_hours_end).slice(0, 5) : '17:00'
+  },
+  weekendEnabled: Boolean(row && row.weekend_enabled),
+  responseJitterMinutes: row ? row.response_jitter_minutes || 0 : 0,
+  holidays: (row && row.holidays) || [],
+  updatedAt: row ? row.updated_at : null
+});
+
+// Settings that change when replies are posted
+const SCHEDULE_FIELDS = ['responseDelayMinutes', 'workingHoursStart', 'workingHoursEnd', 'weekendEnabled',
+  'responseJitterMinutes', 'holidays'];
+
+// The account's settings row, created with the defaults when it has none
+async function settingsRowId(userId) {
+  const existing = await query(
+    'SELECT id FROM automation_settings WHERE user_id = $1 ORDER BY created_at LIMIT 1',
+    [userId]
+  );
+  if (existing.rows.length > 0) {
+    return existing.rows[0].id;
+  }
+  const inserted = await query('INSERT INTO automation_settings (user_id) VALUES ($1) RETURNING id', [userId]);
+  return inserted.rows[0].id;
+}
+
+const valueOrNull = (value) => (value === undefined ? null : value);
+
+// Change some of the settings; fields left undefined keep their value. Replies
+// already scheduled are rescheduled when the posting schedule changed.
+async function updateSettings(userId, changes) {
+  const id = await settingsRowId(userId);
+  await query(
+    `UPDATE automation_settings
+     SET auto_respond_positive = COALESCE($2, auto_respond_positive),
+         auto_respond_negative = COALESCE($3, auto_respond_negative),
+         auto_respond_neutral = COALESCE($4, auto_respond_neutral),
+         require_approval_negative = COALESCE($5, require_approval_negative),
+         response_delay_minutes = COALESCE($6, response_delay_minutes),
+         max_daily_responses = COALESCE($7, max_daily_responses),
+         working_hours_start = COALESCE($8, working_hours_start),
+         working_hours_end = COALESCE($9, working_hours_end),
+         weekend_enabled = COALESCE($10, weekend_enabled),
+         response_jitter_minutes = COALESCE($11, response_jitter_minutes),
+         holidays = COALESCE($12, holidays),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [
+      id,
+      valueOrNull(changes.autoRespondPositive),
+      valueOrNull(changes.autoRespondNegative),
+      valueOrNull(changes.autoRespondNeutral),
+      valueOrNull(changes.requireApprovalNegative),
+      valueOrNull(changes.responseDelayMinutes),
+      valueOrNull(changes.maxDailyResponses),
+      valueOrNull(changes.workingHoursStart),
+      valueOrNull(changes.workingHoursEnd),
+      valueOrNull(changes.weekendEnabled),
+      valueOrNull(changes.responseJitterMinutes),
+      changes.holidays ? JSON.stringify(changes.holidays) : null
+    ]
+  );
+
+  if (SCHEDULE_FIELDS.some(field => changes[field] !== undefined)) {
+    await rescheduleAutoResponses(userId);
+  }
+  return getAutomationSettings(userId);
+}
+
+// Replace the account's rules (validated with automationRuleService.validateRuleset)
+async function saveRules(userId, ruleset) {
+  const id = await settingsRowId(userId);
+  await query(
+    'UPDATE automation_settings SET custom_rules_json = $2, updated_at = NOW() WHERE id = $1',
+    [id, JSON.stringify(ruleset)]
+  );
+  return getAutomationSettings(userId);
+}
+
+// Automation is on when a sentiment setting or an enabled rule acts on reviews
+const automates = (settings) => Boolean(settings) &&
+  Boolean(settings.auto_respond_positive || settings.auto_respond_negative || settings.auto_respond_neutral ||
+    automationRuleService.hasActiveRules(automationRuleService.rulesetOf(settings)));
+
+// A review's timezone: its location's, else the account's
+const REVIEW_TIMEZONE = 'COALESCE(i.timezone, u.timezone)';
+
+// Queue auto-responses for new reviews of an account that automates replies. Each
+// runs after the account's response delay (plus jitter), within the working hours
+// of the review's timezone. Returns the queued jobs.
+async function scheduleAutoResponses(userId, reviewIds) {
+  if (process.env.FEATURE_AUTO_RESPONSE === 'false' || reviewIds.length === 0) {
+    return [];
+  }
+  const settings = await getAutomationSettings(userId);
+  if (!automates(settings)) {
+    return [];
+  }
+
+  const result = await query(
+    `SELECT r.id, ${REVIEW_TIMEZONE} AS timezone
+     FROM reviews r
+     JOIN users u ON u.id = r.user_id
+     LEFT JOIN platform_integrations i ON i.id = r.platform_integration_id
+     WHERE r.id = ANY($1)`,
+    [reviewIds]
+  );
+
+  const jobs = [];
+  for (const review of result.rows) {
+    const runAt = postingSchedule.replyTime(new Date(), postingSchedule.scheduleFor(settings, review.timezone), {
+      delayMinutes: settings.response_delay_minutes || 0,
+      jitterMinutes: settings.response_jitter_minutes || 0
+    });
+    jobs.push(await jobService.enqueueJob(AUTO_RESPONSE_JOB, { reviewId: review.id }, { userId, dedupeKey: review.id, runAt }));
+  }
+  return jobs;
+}
+
+const SCHEDULED_COLUMNS = `j.id, j.scheduled_at, j.created_at, r.id AS review_id, r.platform_name, r.reviewer_name,
+  r.rating, r.review_text, ${REVIEW_TIMEZONE} AS timezone`;
+
+const SCHEDULED_FROM = `background_jobs j
+  JOIN reviews r ON r.id::text = j.payload->>'reviewId'
+  JOIN users u ON u.id = r.user_id
+  LEFT JOIN platform_integrations i ON i.id = r.platform_integration_id`;
+
+// Map a scheduled auto-response to the API shape
+const formatScheduledReply = (row, schedule) => ({
+  jobId: row.id,
+  reviewId: row.review_id,
+  platform: row.platform_name,
+  reviewerName: row.reviewer_name,
+  rating: row.rating,
+  excerpt: row.review_text.length > 120 ? `${row.review_text.slice(0, 117)}...` : row.review_text,
+  scheduledAt: row.scheduled_at,
+  timezone: schedule.timezone,
+  localTime: postingSchedule.localTime(row.scheduled_at, schedule)
+});
+
+// The account's upcoming automatic replies, soonest first
+async function listScheduledReplies(userId, { limit = 50 } = {}) {
+  const settings = await getAutomationSettings(userId);
+  const result = await query(
+    `SELECT ${SCHEDULED_COLUMNS}
+     FROM ${SCHEDULED_FROM}
+     WHERE j.job_type = $1 AND j.status = 'pending' AND j.user_id = $2
+     ORDER BY j.scheduled_at
+     LIMIT $3`,
+    [AUTO_RESPONSE_JOB, userId, limit]
+  );
+  return result.rows.map(row => formatScheduledReply(row, postingSchedule.scheduleFor(settings, row.timezone)));
+}
+
+async function findScheduledReply(userId, jobId) {
+  const result = await query(
+    `SELECT ${SCHEDULED_COLUMNS}
+     FROM ${SCHEDULED_FROM}
+     WHERE j.id = $1 AND j.job_type = $2 AND j.user_id = $3`,
+    [jobId, AUTO_RESPONSE_JOB, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Move one upcoming reply. Returns null when the account has no such reply,
+// { invalidStatus } when it already ran, or { outsideHours, nextPostingTime } when
+// `runAt` is outside the posting schedule.
+async function rescheduleReply(userId, jobId, runAt) {
+  const row = await findScheduledReply(userId, jobId);
+  if (!row) {
+    return null;
+  }
+
+  const schedule = postingSchedule.scheduleFor(await getAutomationSettings(userId), row.timezone);
+  if (!postingSchedule.isPostingTime(runAt, schedule)) {
+    return { outsideHours: true, nextPostingTime: postingSchedule.nextPostingTime(runAt, schedule) };
+  }
+
+  const job = await jobService.rescheduleJob(jobId, runAt);
+  return job.invalidStatus ? job : formatScheduledReply({ ...row, scheduled_at: job.scheduledAt }, schedule);
+}
+
+// Cancel one upcoming reply; the review is left for a person. Same return values
+// as rescheduleReply.
+async function cancelScheduledReply(userId, jobId) {
+  const row = await findScheduledReply(userId, jobId);
+  if (!row) {
+    return null;
+  }
+  const job = await jobService.cancelJob(jobId);
+  return job.invalidStatus ? job : { jobId, reviewId: row.review_id, status: job.status };
+}
+
+// Recompute the posting time of every upcoming reply after the schedule or a
+// timezone changed. Returns how many were moved.
+async function rescheduleAutoResponses(userId) {
+  const settings = await getAutomationSettings(userId);
+  const result = await query(
+    `SELECT ${SCHEDULED_COLUMNS}
+     FROM ${SCHEDULED_FROM}
+     WHERE j.job_type = $1 AND j.status = 'pending' AND j.user_id = $2`,
+    [AUTO_RESPONSE_JOB, userId]
+  );
+
+  let moved = 0;
+  for (const row of result.rows) {
+    const due = new Date(Math.max(Date.now(),
+      new Date(row.created_at).getTime() + ((settings && settings.response_delay_minutes) || 0) * 60000));
+    const runAt = postingSchedule.nextPostingTime(due, postingSchedule.scheduleFor(settings, row.timezone), {
+      jitterMinutes: (settings && settings.response_jitter_minutes) || 0
+    });
+    const job = await jobService.rescheduleJob(row.id, runAt || due);
+    if (job && !job.invalidStatus) {
+      moved += 1;
+    }
+  }
+  return moved;
+}
+
+// Replies posted automatically since the start of the local day
+async function countPostedToday(userId, schedule) {
+  const result = await query(
+    `SELECT COUNT(*)::int AS count
+     FROM generated_responses
+     WHERE user_id = $1 AND auto_generated = true AND posted_at >= $2`,
+    [userId, postingSchedule.startOfLocalDay(new Date(), schedule)]
+  );
+  return result.rows[0].count;
+}
+
+// Store the analysis and the rules' decision on the review
+async function recordDecision(reviewId, analysis, decision) {
+  await query(
+    `UPDATE reviews
+     SET sentiment_score = $2, sentiment_category = $3, aspect_sentiments = $4, language = COALESCE($5, language),
+         tags = (SELECT COALESCE(jsonb_agg(DISTINCT tag), '[]'::jsonb)
+                 FROM jsonb_array_elements_text(COALESCE(tags, '[]'::jsonb) || $6::jsonb) AS tag),
+         automation_decision = $7
+     WHERE id = $1`,
+    [
+      reviewId,
+      analysis.score,
+      analysis.sentiment,
+      JSON.stringify(analysis.aspects || []),
+      analysis.language || null,
+      JSON.stringify(decision.tags),
+      JSON.stringify({
+        action: decision.action,
+        rule: decision.rule,
+        tags: decision.tags,
+        explanation: decision.explanation,
+        decidedAt: new Date().toISOString()
+      })
+    ]
+  );
+}
+
+// Escalate a review because a rule said so
+async function escalateByRule(review, decision) {
+  const redactionPolicy = await redactionService.getRedactionPolicy(review.user_id);
+  const escalation = await escalationService.createEscalation(review.user_id, {
+    id: review.id,
+    text: redactionService.redact(review.review_text, redactionPolicy).text,
+    platform: review.platform_name
+  }, {
+    severity: decision.action.severity,
+    categories: [{
+      category: 'automation_rule',
+      severity: decision.action.severity,
+      evidence: decision.explanation,
+      source: 'rule'
+    }]
+  }, { businessName: review.business_name, ownerEmail: review.email });
+
+  await recordAudit({
+    userId: review.user_id,
+    action: 'escalation.opened',
+    resourceType: 'escalation',
+    resourceId: escalation.id,
+    details: { severity: escalation.severity, categories: ['automation_rule'], reviewId: review.id, rule: decision.rule }
+  });
+  return escalation;
+}
+
+// Decide what to do with a synced review and do it: generate a reply and post it,
+// draft one for approval, escalate, or skip. Returns { outcome } with 'posted',
+// 'awaiting_approval', 'flagged', 'escalated' or 'skipped' plus the deciding rule
+// and its explanation, or { skipped } when automation did not run. Generation
+// failures throw (the job retries them); a reply the platform refuses is left for
+// approval instead.
+async function respondToReview(reviewId, { signal } = {}) {
+  const result = await query(
+    `SELECT r.id, r.user_id, r.review_text, r.rating, r.platform_name, r.status, r.reviewer_name, r.review_date,
+            r.created_at, ${REVIEW_TIMEZONE} AS timezone,
+            u.email, u.business_name, u.business_type, u.subscription_tier, u.primary_language,
+            u.generation_cache_enabled, u.monthly_usage, u.usage_limit, u.is_active
+     FROM reviews r
+     JOIN users u ON u.id = r.user_id
+     LEFT JOIN platform_integrations i ON i.id = r.platform_integration_id
+     WHERE r.id = $1`,
+    [reviewId]
+  );
+  if (result.rows.length === 0) {
+    return { skipped: 'review_not_found' };
+  }
+  const review = result.rows[0];
+  const user = { ...review, id: review.user_id };
+
+  if (review.status !== 'new') {
+    return { skipped: 'already_handled', status: review.status };
+  }
+  if (!review.is_active) {
+    return { skipped: 'account_inactive' };
+  }
+  const settings = await getAutomationSettings(review.user_id);
+  if (!automates(settings)) {
+    return { skipped: 'automation_off' };
+  }
+  if (review.monthly_usage >= review.usage_limit) {
+    return { skipped: 'usage_limit' };
+  }
+
+  // Outside working hours (a retry, or a schedule changed since queueing) the
+  // review waits for the next posting window
+  const schedule = postingSchedule.scheduleFor(settings, review.timezone);
+  if (!postingSchedule.isPostingTime(new Date(), schedule)) {
+    const runAt = postingSchedule.nextPostingTime(new Date(), schedule, { jitterMinutes: settings.response_jitter_minutes || 0 });
+    if (!runAt) {
+      return { skipped: 'no_posting_window' };
+    }
+    const job = await jobService.enqueueJob(AUTO_RESPONSE_JOB, { reviewId }, { userId: review.user_id, dedupeKey: reviewId, runAt });
+    return { outcome: 'rescheduled', runAt, jobId: job.id };
+  }
+  if (settings.max_daily_responses && await countPostedToday(review.user_id, schedule) >= settings.max_daily_responses) {
+    return { skipped: 'daily_limit' };
+  }
+
+  const input = {
+    reviewText: review.review_text,
+    rating: review.rating || undefined,
+    businessType: review.business_type,
+    reviewId,
+    platform: review.platform_name
+  };
+  const analysis = await generationService.analyzeForUser(user, input, { signal });
+  const decision = automationRuleService.evaluateRules(
+    automationRuleService.rulesetOf(settings),
+    automationRuleService.reviewFacts(review, {
+      analysis,
+      previousReviews: await automationRuleService.previousReviewCount(review.user_id, review)
+    }),
+    settings
+  );
+  await recordDecision(reviewId, analysis, decision);
+  const decided = { rule: decision.rule, explanation: decision.explanation };
+
+  if (decision.action.type === 'skip') {
+    return { outcome: 'skipped', ...decided };
+  }
+  if (decision.action.type === 'escalate') {
+    const escalation = await escalateByRule(review, decision);
+    return { outcome: 'escalated', escalationId: escalation.id, ...decided };
+  }
+
+  const outcome = await generationService.generateForUser(user, {
+    ...input,
+    tone: decision.action.tone,
+    analysis
+  }, { signal });
+  if (outcome.flag) {
+    return { outcome: 'flagged', reviewFlagId: outcome.flag.id, ...decided };
+  }
+  const { record, responseResult } = outcome;
+  if (record.escalationId) {
+    return { outcome: 'escalated', escalationId: record.escalationId, ...decided };
+  }
+
+  const { sentiment } = analysis;
+  const { compliance } = responseResult.metadata;
+  await query(
+    `UPDATE reviews
+     SET status = 'generated', processed_at = NOW()
+     WHERE id = $1 AND status = 'new'`,
+    [reviewId]
+  );
+
+  // Compliance findings always need a person to look at the reply
+  if (decision.action.type !== 'auto_reply' || (compliance && compliance.requiresApproval)) {
+    return { outcome: 'awaiting_approval', generatedResponseId: record.id, sentiment, ...decided };
+  }
+
+  const text = responseResult.responses[0].response;
+  let posted;
+  try {
+    posted = await platformReviewService.replyToReview(review.user_id, reviewId, text);
+  } catch (error) {
+    if (!(error instanceof connectors.ConnectorError)) {
+      throw error;
+    }
+    logger.warn('Automatic reply not posted', { userId: review.user_id, reviewId, code: error.errorCode });
+    return { outcome: 'awaiting_approval', generatedResponseId: record.id, sentiment, postError: error.errorCode, ...decided };
+  }
+  if (posted.notConnected) {
+    return { outcome: 'awaiting_approval', generatedResponseId: record.id, sentiment, postError: 'PLATFORM_DISCONNECTED', ...decided };
+  }
+
+  await query(
+    `UPDATE generated_responses
+     SET selected_response_index = 0, final_response = $2, response_status = 'posted', auto_generated = true,
+         platform_source = $3, platform_response_id = $4, approved_at = NOW(), posted_at = NOW()
+     WHERE id = $1`,
+    [record.id, text, review.platform_name, posted.reply.platformResponseId]
+  );
+
+  await recordAudit({
+    userId: review.user_id,
+    action: 'review.auto_replied',
+    resourceType: 'review',
+    resourceId: reviewId,
+    details: { generatedResponseId: record.id, platform: review.platform_name, sentiment, rule: decision.rule }
+  });
+
+  logger.business('Reply posted automatically', {
+    userId: review.user_id,
+    reviewId,
+    generatedResponseId: record.id,
+    platform: review.platform_name
+  });
+
+  return { outcome: 'posted', generatedResponseId: record.id, platformResponseId: posted.reply.platformResponseId, ...decided };
+}
+
+module.exports = {
+  AUTO_RESPONSE_JOB,
+  getAutomationSettings,
+  formatSettings,
+  updateSettings,
+  saveRules,
+  listScheduledReplies,
+  rescheduleReply,
+  cancelScheduledReply,
+  rescheduleAutoResponses,
+  scheduleAutoResponses,
+  respondToReview
+};
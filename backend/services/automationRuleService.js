@@ -0,0 +1,370 @@
+const Joi = require('joi');
+const { query } = require('../config/database');
+const connectors = require('./connectors');
+const toneService = require('./toneService');
+const businessTypeService = require('./businessTypeService');
+const { SEVERITIES } = require('./riskService');
+
+// Automation rules, stored in automation_settings.custom_rules_json as
+// { "rules": [...] }. Rules are checked in order against each new review; the first
+// enabled rule whose conditions all hold decides what automation does with it.
+// `tag` rules only add tags and evaluation carries on past them. When no rule
+// decides, the sentiment settings (auto_respond_<sentiment>,
+// require_approval_negative) do, as they did before rules existed.
+//
+// A rule: { name, enabled, when: { rating, sentiment, aspects, keywords, platforms,
+// reviewer, length }, action: { type, tone, severity, tags } }. An empty `when`
+// matches every review.
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+const ACTION_TYPES = ['auto_reply', 'require_approval', 'escalate', 'skip', 'tag'];
+const MAX_RULES = 50;
+
+const rangeSchema = (min, max) => Joi.object({
+  min: Joi.number().integer().min(min).max(max),
+  max: Joi.number().integer().min(min).max(max)
+}).or('min', 'max');
+
+const keywordList = Joi.array().items(Joi.string().trim().lowercase().min(1).max(100)).max(50);
+
+const ruleSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  enabled: Joi.boolean().default(true),
+  when: Joi.object({
+    rating: rangeSchema(1, 5),
+    sentiment: Joi.array().items(Joi.string().lowercase().valid(...SENTIMENTS)).min(1).unique(),
+    aspects: Joi.array().items(Joi.object({
+      aspect: Joi.string().trim().lowercase().min(1).required(),
+      sentiment: Joi.string().lowercase().valid(...SENTIMENTS)
+    })).min(1),
+    keywords: Joi.object({
+      any: keywordList,
+      all: keywordList,
+      none: keywordList
+    }).or('any', 'all', 'none'),
+    platforms: Joi.array().items(Joi.string().trim().lowercase()).min(1).unique(),
+    reviewer: Joi.object({
+      minPreviousReviews: Joi.number().integer().min(0),
+      maxPreviousReviews: Joi.number().integer().min(0)
+    }).or('minPreviousReviews', 'maxPreviousReviews'),
+    length: rangeSchema(0, 10000)
+  }).default({}),
+  action: Joi.object({
+    type: Joi.string().valid(...ACTION_TYPES).required(),
+    tone: Joi.when('type', {
+      is: Joi.valid('auto_reply', 'require_approval'),
+      then: Joi.string().trim().lowercase(),
+      otherwise: Joi.forbidden()
+    }),
+    severity: Joi.when('type', {
+      is: 'escalate',
+      then: Joi.string().valid(...SEVERITIES).default('high'),
+      otherwise: Joi.forbidden()
+    }),
+    tags: Joi.when('type', {
+      is: 'tag',
+      then: Joi.array().items(Joi.string().trim().lowercase().pattern(/^[a-z0-9_-]+$/).max(50)).min(1).unique().required(),
+      otherwise: Joi.forbidden()
+    })
+  }).required()
+});
+
+const rulesetSchema = Joi.object({
+  rules: Joi.array().items(ruleSchema).max(MAX_RULES).required()
+});
+
+const inRange = (value, range) =>
+  (range.min === undefined || value >= range.min) && (range.max === undefined || value <= range.max);
+
+const describeRange = (range, unit = '') => {
+  if (range.min !== undefined && range.max !== undefined) {
+    return `between ${range.min} and ${range.max}${unit}`;
+  }
+  return range.min !== undefined ? `at least ${range.min}${unit}` : `at most ${range.max}${unit}`;
+};
+
+const describeAspect = (entry) => (entry.sentiment ? `${entry.aspect} (${entry.sentiment})` : entry.aspect);
+
+// Range bounds the schema cannot compare
+function rangeErrors(range, path) {
+  return range && range.min !== undefined && range.max !== undefined && range.min > range.max
+    ? [{ path, msg: 'min must not be greater than max' }]
+    : [];
+}
+
+// Validate a ruleset for an account: the shape, then the tones, aspects and
+// platforms it names. Returns { ruleset } with defaults applied, or { errors } as
+// a list of { path, msg }.
+async function validateRuleset(input, user) {
+  const { value, error } = rulesetSchema.validate(input, { abortEarly: false, convert: true });
+  if (error) {
+    return {
+      errors: error.details.map(detail => ({ path: detail.path.join('.'), msg: detail.message.replace(/"/g, '') }))
+    };
+  }
+
+  const tones = (await toneService.listTones(user.id)).map(tone => tone.slug);
+  const accountType = await businessTypeService.findBusinessType(user.business_type, user.id);
+  const aspects = businessTypeService.businessContextFor(accountType).keywords.map(aspect => aspect.toLowerCase());
+  const platforms = connectors.platformNames();
+
+  const errors = [];
+  value.rules.forEach((rule, index) => {
+    const path = `rules.${index}`;
+    const { when, action } = rule;
+
+    errors.push(...rangeErrors(when.rating, `${path}.when.rating`));
+    errors.push(...rangeErrors(when.length, `${path}.when.length`));
+    if (when.reviewer && when.reviewer.minPreviousReviews > when.reviewer.maxPreviousReviews) {
+      errors.push({ path: `${path}.when.reviewer`, msg: 'minPreviousReviews must not be greater than maxPreviousReviews' });
+    }
+    (when.aspects || []).forEach((entry, position) => {
+      if (!aspects.includes(entry.aspect)) {
+        errors.push({ path: `${path}.when.aspects.${position}.aspect`, msg: `Aspect must be one of: ${aspects.join(', ')}` });
+      }
+    });
+    (when.platforms || []).forEach((platform, position) => {
+      if (!platforms.includes(platform)) {
+        errors.push({ path: `${path}.when.platforms.${position}`, msg: `Platform must be one of: ${platforms.join(', ')}` });
+      }
+    });
+    if (action.tone && !tones.includes(action.tone)) {
+      errors.push({ path: `${path}.action.tone`, msg: `Tone must be one of: ${tones.join(', ')}` });
+    }
+  });
+
+  return errors.length > 0 ? { errors } : { ruleset: value };
+}
+
+// The saved ruleset; rows from before rules existed hold {}
+const rulesetOf = (settings) => ({
+  rules: (settings && settings.custom_rules_json && Array.isArray(settings.custom_rules_json.rules))
+    ? settings.custom_rules_json.rules
+    : []
+});
+
+// Whether any enabled rule makes automation act on reviews (tags and skips alone do not)
+const hasActiveRules = (ruleset) => ruleset.rules.some(rule =>
+  rule.enabled !== false && ['auto_reply', 'require_approval', 'escalate'].includes(rule.action.type));
+
+// Each condition returns { met, reason } for the explanation
+const conditions = {
+  rating(range, facts) {
+    if (facts.rating === null || facts.rating === undefined) {
+      return { met: false, reason: 'the review has no star rating' };
+    }
+    const met = inRange(facts.rating, range);
+    return { met, reason: `rating ${facts.rating} is ${met ? '' : 'not '}${describeRange(range)}` };
+  },
+
+  sentiment(sentiments, facts) {
+    if (!facts.sentiment) {
+      return { met: false, reason: 'the sentiment has not been analyzed' };
+    }
+    const met = sentiments.includes(facts.sentiment);
+    return { met, reason: `sentiment is ${facts.sentiment}${met ? '' : `, not ${sentiments.join(' or ')}`}` };
+  },
+
+  aspects(wanted, facts) {
+    const found = wanted.filter(entry => (facts.aspects || []).some(aspect =>
+      aspect.aspect === entry.aspect && (!entry.sentiment || aspect.sentiment === entry.sentiment)));
+    return found.length > 0
+      ? { met: true, reason: `mentions ${found.map(describeAspect).join(', ')}` }
+      : { met: false, reason: `mentions none of ${wanted.map(describeAspect).join(', ')}` };
+  },
+
+  keywords({ any = [], all = [], none = [] }, facts) {
+    const has = (keyword) => mentions(facts.text, keyword);
+    const reasons = [];
+    let met = true;
+
+    if (any.length > 0) {
+      const found = any.filter(has);
+      met = met && found.length > 0;
+      reasons.push(found.length > 0 ? `contains "${found.join('", "')}"` : `contains none of "${any.join('", "')}"`);
+    }
+    if (all.length > 0) {
+      const missing = all.filter(keyword => !has(keyword));
+      met = met && missing.length === 0;
+      reasons.push(missing.length === 0 ? `contains all of "${all.join('", "')}"` : `lacks "${missing.join('", "')}"`);
+    }
+    if (none.length > 0) {
+      const found = none.filter(has);
+      met = met && found.length === 0;
+      reasons.push(found.length === 0 ? `contains none of "${none.join('", "')}"` : `contains excluded "${found.join('", "')}"`);
+    }
+    return { met, reason: reasons.join('; ') };
+  },
+
+  platforms(platforms, facts) {
+    const met = platforms.includes(facts.platform);
+    return { met, reason: `platform is ${facts.platform}${met ? '' : `, not ${platforms.join(' or ')}`}` };
+  },
+
+  reviewer({ minPreviousReviews, maxPreviousReviews }, facts) {
+    if (facts.previousReviews === null || facts.previousReviews === undefined) {
+      return { met: false, reason: 'the reviewer is anonymous' };
+    }
+    const met = inRange(facts.previousReviews, { min: minPreviousReviews, max: maxPreviousReviews });
+    return {
+      met,
+      reason: `the reviewer has ${facts.previousReviews} previous reviews, ${met ? '' : 'not '}` +
+        describeRange({ min: minPreviousReviews, max: maxPreviousReviews })
+    };
+  },
+
+  length(range, facts) {
+    const length = (facts.text || '').length;
+    const met = inRange(length, range);
+    return { met, reason: `the review is ${length} characters, ${met ? '' : 'not '}${describeRange(range)}` };
+  }
+};
+
+// Whole-word (or whole-phrase) match, ignoring case
+function mentions(text, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text || '');
+}
+
+// What happens when no rule decides: the sentiment settings
+function defaultAction(settings, sentiment) {
+  if (!sentiment) {
+    return { action: { type: 'require_approval' }, reason: 'no rule matched and the sentiment is unknown, so the reply needs approval' };
+  }
+  const approvalRequired = sentiment === 'negative' && settings && settings.require_approval_negative;
+  if (settings && settings[`auto_respond_${sentiment}`] && !approvalRequired) {
+    return { action: { type: 'auto_reply' }, reason: `no rule matched; ${sentiment} reviews are answered automatically` };
+  }
+  return { action: { type: 'require_approval' }, reason: `no rule matched; replies to ${sentiment} reviews need approval` };
+}
+
+// Evaluate the rules against one review's facts: { text, rating, sentiment,
+// aspects, platform, previousReviews }. Returns the decision: the action, the tags
+// added, the rule that decided (null for the sentiment settings), a one-line
+// explanation and the trace of every rule checked.
+function evaluateRules(ruleset, facts, settings) {
+  const trace = [];
+  const tags = [];
+
+  for (const [index, rule] of ruleset.rules.entries()) {
+    if (rule.enabled === false) {
+      continue;
+    }
+
+    const checks = Object.entries(rule.when || {})
+      .map(([name, condition]) => ({ condition: name, ...conditions[name](condition, facts) }));
+    const matched = checks.every(check => check.met);
+    trace.push({ index, name: rule.name, matched, conditions: checks });
+    if (!matched) {
+      continue;
+    }
+
+    if (rule.action.type === 'tag') {
+      rule.action.tags.forEach(tag => {
+        if (!tags.includes(tag)) {
+          tags.push(tag);
+        }
+      });
+      continue;
+    }
+
+    const met = checks.map(check => check.reason);
+    return {
+      action: rule.action,
+      tags,
+      rule: { index, name: rule.name },
+      explanation: `Rule ${index + 1} "${rule.name}" matched${met.length > 0 ? `: ${met.join('; ')}` : ''}`,
+      trace
+    };
+  }
+
+  const fallback = defaultAction(settings, facts.sentiment);
+  return {
+    action: fallback.action,
+    tags,
+    rule: null,
+    explanation: fallback.reason.charAt(0).toUpperCase() + fallback.reason.slice(1),
+    trace
+  };
+}
+
+// Earlier reviews by the same reviewer on the same platform
+async function previousReviewCount(userId, review) {
+  if (!review.reviewer_name) {
+    return null;
+  }
+  const result = await query(
+    `SELECT COUNT(*)::int AS count
+     FROM reviews
+     WHERE user_id = $1 AND platform_name = $2 AND reviewer_name = $3 AND id <> $4
+       AND COALESCE(review_date, created_at) < COALESCE($5::timestamptz, NOW())`,
+    [userId, review.platform_name, review.reviewer_name, review.id, review.review_date || review.created_at || null]
+  );
+  return result.rows[0].count;
+}
+
+// Facts about a stored review for evaluateRules. `analysis` is a fresh sentiment
+// analysis; without one the sentiment stored on the review is used.
+function reviewFacts(review, { analysis = null, previousReviews = null } = {}) {
+  return {
+    text: review.review_text,
+    rating: review.rating,
+    platform: review.platform_name,
+    sentiment: analysis ? analysis.sentiment : review.sentiment_category || null,
+    aspects: analysis ? analysis.aspects || [] : review.aspect_sentiments || [],
+    previousReviews
+  };
+}
+
+// Replay the account's most recent reviews against a ruleset without acting on
+// them. Uses the sentiment stored on each review, so reviews never analyzed only
+// match rules without sentiment or aspect conditions.
+async function dryRun(userId, ruleset, settings, { limit = 20 } = {}) {
+  const result = await query(
+    `SELECT r.id, r.platform_name, r.reviewer_name, r.review_text, r.rating, r.review_date, r.status,
+            r.sentiment_category, r.aspect_sentiments, r.created_at,
+            CASE WHEN r.reviewer_name IS NULL THEN NULL ELSE (
+              SELECT COUNT(*)::int
+              FROM reviews p
+              WHERE p.user_id = r.user_id AND p.platform_name = r.platform_name AND p.reviewer_name = r.reviewer_name
+                AND p.id <> r.id AND COALESCE(p.review_date, p.created_at) < COALESCE(r.review_date, r.created_at)
+            ) END AS previous_reviews
+     FROM reviews r
+     WHERE r.user_id = $1
+     ORDER BY COALESCE(r.review_date, r.created_at) DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+
+  const reviews = result.rows.map(row => {
+    const decision = evaluateRules(ruleset, reviewFacts(row, { previousReviews: row.previous_reviews }), settings);
+    return {
+      reviewId: row.id,
+      platform: row.platform_name,
+      rating: row.rating,
+      sentiment: row.sentiment_category || null,
+      status: row.status,
+      excerpt: row.review_text.length > 120 ? `${row.review_text.slice(0, 117)}...` : row.review_text,
+      ...decision
+    };
+  });
+
+  const summary = {};
+  reviews.forEach(review => {
+    summary[review.action.type] = (summary[review.action.type] || 0) + 1;
+  });
+
+  return { reviews, summary };
+}
+
+module.exports = {
+  ACTION_TYPES,
+  MAX_RULES,
+  validateRuleset,
+  rulesetOf,
+  hasActiveRules,
+  evaluateRules,
+  previousReviewCount,
+  reviewFacts,
+  dryRun
+};
@@ -0,0 +1,578 @@
+const os = require('os');
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const generationService = require('./generationService');
+const { resolveProviderName } = require('./providers');
+const rateLimiter = require('./providers/rateLimiter');
+
+// Batch generation jobs. A job stores its reviews as items and is worked off in the
+// background: several items at a time, paced by the provider's tokens-per-minute
+// budget. One usage credit per item is reserved when the job is created and given
+// back for every item that ends up not using one (failed, cancelled, flagged as
+// fake, escalated or served from the cache).
+//
+// Several server processes can work on the same job. A process claims an item with a
+// lease (locked_by, locked_until) that it renews while the item is generated, and
+// only the lease holder settles it. The lease of a process that stopped runs out and
+// another process claims the item again. Running jobs are picked up again by
+// resumeBatchJobs() on startup.
+
+const BATCH_STATUSES = ['queued', 'running', 'completed', 'cancelled', 'failed'];
+const ITEM_STATUSES = ['pending', 'processing', 'completed', 'flagged', 'escalated', 'failed', 'cancelled'];
+
+const batchSettings = () => ({
+  maxItems: parseInt(process.env.BATCH_MAX_ITEMS) || 100,
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 4,
+  itemTokenEstimate: parseInt(process.env.BATCH_ITEM_TOKEN_ESTIMATE) || 3000,
+  maxAttempts: parseInt(process.env.BATCH_ITEM_MAX_ATTEMPTS) || 2,
+  leaseMs: parseInt(process.env.BATCH_ITEM_LEASE_MS) || 120000
+});
+
+// Jobs being worked on by this process: job id -> AbortController
+const activeJobs = new Map();
+// Lease holder name of this process
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// setTimeout that resolves early when the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+const JOB_COLUMNS = `j.id, j.status, j.defaults, j.total_items, j.reserved_credits, j.refunded_credits, j.error_message,
+  j.started_at, j.finished_at, j.cancelled_at, j.created_at, j.updated_at,
+  (SELECT COALESCE(jsonb_object_agg(counts.status, counts.items), '{}'::jsonb)
+   FROM (SELECT status, COUNT(*)::int AS items FROM batch_job_items WHERE batch_job_id = j.id GROUP BY status) counts
+  ) AS item_counts`;
+
+// Map a batch_jobs row to the API shape
+const formatJob = (row) => {
+  const counts = row.item_counts || {};
+  const finished = ['completed', 'flagged', 'escalated', 'failed', 'cancelled']
+    .reduce((total, status) => total + (counts[status] || 0), 0);
+
+  return {
+    id: row.id,
+    status: row.status,
+    defaults: row.defaults || {},
+    progress: {
+      total: row.total_items,
+      finished,
+      percent: row.total_items > 0 ? Math.round((finished / row.total_items) * 100) : 100,
+      ...Object.fromEntries(ITEM_STATUSES.map(status => [status, counts[status] || 0]))
+    },
+    credits: {
+      reserved: row.reserved_credits,
+      refunded: row.refunded_credits,
+      used: row.reserved_credits - row.refunded_credits
+    },
+    error: row.error_message,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    cancelledAt: row.cancelled_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+};
+
+// Map a batch_job_items row (joined with its result) to the API shape
+const formatItem = (row) => ({
+  id: row.id,
+  position: row.position,
+  externalId: row.external_id,
+  businessType: row.business_type,
+  tone: row.tone,
+  rating: row.rating,
+  status: row.status,
+  attempts: row.attempts,
+  generatedResponseId: row.generated_response_id,
+  responses: row.generated_responses_json || null,
+  reviewFlagId: row.review_flag_id,
+  escalationId: row.escalation_id,
+  tokensUsed: row.tokens_used,
+  error: row.error_message,
+  finishedAt: row.finished_at
+});
+
+// Insert a job for `items` ({ reviewText, businessType, tone, rating, externalId,
+// reviewId }) inside the caller's transaction, reserving one credit per item. Returns
+// the job id, or null when the account's remaining monthly usage cannot cover every
+// item. The caller starts the job once the transaction has committed.
+async function insertBatchJob(client, user, items, defaults = {}) {
+  // Reserve the credits up front so a job can never run past the usage limit
+  const reserved = await client.query(
+    `UPDATE users
+     SET monthly_usage = monthly_usage + $2
+     WHERE id = $1 AND monthly_usage + $2 <= usage_limit
+     RETURNING monthly_usage`,
+    [user.id, items.length]
+  );
+  if (reserved.rows.length === 0) {
+    return null;
+  }
+
+  const job = await client.query(
+    `INSERT INTO batch_jobs (user_id, defaults, total_items, reserved_credits)
+     VALUES ($1, $2, $3, $3)
+     RETURNING id`,
+    [user.id, JSON.stringify(defaults), items.length]
+  );
+  const id = job.rows[0].id;
+
+  const params = [];
+  const rows = items.map((item, index) => {
+    params.push(id, index, item.externalId || null, item.reviewText, item.businessType, item.tone || null, item.rating || null,
+      item.reviewId || null);
+    const base = index * 8;
+    return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8})`;
+  });
+  await client.query(
+    `INSERT INTO batch_job_items (batch_job_id, position, external_id, review_text, business_type, tone, rating, review_id)
+     VALUES ${rows.join(', ')}`,
+    params
+  );
+
+  logger.business('Batch generation job created', {
+    userId: user.id,
+    jobId: id,
+    items: items.length
+  });
+
+  return id;
+}
+
+// Create and start a job for `items`. `defaults` holds the language options applied
+// to every item. Returns null when the account's remaining monthly usage cannot
+// cover every item.
+async function createBatchJob(user, items, defaults = {}) {
+  const jobId = await transaction(client => insertBatchJob(client, user, items, defaults));
+  if (!jobId) {
+    return null;
+  }
+
+  startBatchJob(jobId);
+  return getBatchJob(user.id, jobId);
+}
+
+async function listBatchJobs(userId, { status, limit = 20 } = {}) {
+  const result = await query(
+    `SELECT ${JOB_COLUMNS}
+     FROM batch_jobs j
+     WHERE j.user_id = $1 AND ($2::text IS NULL OR j.status = $2)
+     ORDER BY j.created_at DESC
+     LIMIT $3`,
+    [userId, status || null, limit]
+  );
+  return result.rows.map(formatJob);
+}
+
+// A job with its progress; pass { items: true } to include every item and its result
+async function getBatchJob(userId, jobId, { items = false } = {}) {
+  const result = await query(
+    `SELECT ${JOB_COLUMNS} FROM batch_jobs j WHERE j.id = $1 AND j.user_id = $2`,
+    [jobId, userId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const job = formatJob(result.rows[0]);
+  if (items) {
+    const itemResult = await query(
+      `SELECT i.id, i.position, i.external_id, i.business_type, i.tone, i.rating, i.status, i.attempts,
+              i.generated_response_id, i.review_flag_id, i.escalation_id, i.tokens_used, i.error_message,
+              i.finished_at, gr.generated_responses_json
+       FROM batch_job_items i
+       LEFT JOIN generated_responses gr ON gr.id = i.generated_response_id
+       WHERE i.batch_job_id = $1
+       ORDER BY i.position`,
+      [jobId]
+    );
+    job.items = itemResult.rows.map(formatItem);
+  }
+  return job;
+}
+
+// Give back reserved credits, inside the transaction that settles the items
+async function refundCredits(client, userId, jobId, credits) {
+  if (credits === 0) {
+    return;
+  }
+  await client.query(
+    'UPDATE users SET monthly_usage = GREATEST(monthly_usage - $2, 0) WHERE id = $1',
+    [userId, credits]
+  );
+  await client.query(
+    'UPDATE batch_jobs SET refunded_credits = refunded_credits + $2 WHERE id = $1',
+    [jobId, credits]
+  );
+}
+
+// Stop a queued or running job: pending items are cancelled and refunded, and items
+// in flight are aborted. Returns the job, null when it does not exist, or
+// { alreadyFinished: true, status } when it has already stopped.
+async function cancelBatchJob(userId, jobId) {
+  const cancelled = await transaction(async (client) => {
+    const job = await client.query(
+      `UPDATE batch_jobs
+       SET status = 'cancelled', cancelled_at = NOW(), finished_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND status IN ('queued', 'running')
+       RETURNING id`,
+      [jobId, userId]
+    );
+    if (job.rows.length === 0) {
+      return false;
+    }
+
+    const items = await client.query(
+      `UPDATE batch_job_items
+       SET status = 'cancelled', review_text = NULL, finished_at = NOW()
+       WHERE batch_job_id = $1 AND status = 'pending'`,
+      [jobId]
+    );
+    await refundCredits(client, userId, jobId, items.rowCount);
+    return true;
+  });
+
+  if (!cancelled) {
+    const job = await getBatchJob(userId, jobId);
+    return job ? { alreadyFinished: true, status: job.status } : null;
+  }
+
+  if (activeJobs.has(jobId)) {
+    activeJobs.get(jobId).abort();
+  }
+
+  logger.business('Batch generation job cancelled', { userId, jobId });
+  return getBatchJob(userId, jobId);
+}
+
+// Lease the next item of a running job to this process: a pending item, or one whose
+// lease ran out because the process working on it stopped. SKIP LOCKED keeps two
+// workers (or two server processes) from taking the same item.
+async function claimItem(jobId) {
+  const result = await query(
+    `UPDATE batch_job_items
+     SET status = 'processing', attempts = attempts + 1, started_at = NOW(),
+         locked_by = $2, locked_until = NOW() + ($3 || ' milliseconds')::interval
+     WHERE id = (
+       SELECT i.id
+       FROM batch_job_items i
+       JOIN batch_jobs j ON j.id = i.batch_job_id
+       WHERE i.batch_job_id = $1 AND j.status = 'running'
+         AND (i.status = 'pending'
+              OR (i.status = 'processing' AND (i.locked_until IS NULL OR i.locked_until < NOW())))
+       ORDER BY i.position
+       LIMIT 1
+       FOR UPDATE OF i SKIP LOCKED
+     )
+     RETURNING id, position, review_text, business_type, tone, rating, attempts, review_id,
+               (SELECT platform_name FROM reviews WHERE reviews.id = review_id) AS platform_name`,
+    [jobId, workerId, String(batchSettings().leaseMs)]
+  );
+  return result.rows[0] || null;
+}
+
+// Milliseconds until the first lease another process holds on a running job's items
+// runs out, or null when no other process is working on the job
+async function otherLeaseExpiry(jobId) {
+  const result = await query(
+    `SELECT GREATEST(CEIL(EXTRACT(EPOCH FROM (MIN(i.locked_until) - NOW())) * 1000), 0)::int AS wait_ms
+     FROM batch_job_items i
+     JOIN batch_jobs j ON j.id = i.batch_job_id
+     WHERE i.batch_job_id = $1 AND j.status = 'running'
+       AND i.status = 'processing' AND i.locked_by IS DISTINCT FROM $2`,
+    [jobId, workerId]
+  );
+  const waitMs = result.rows[0] ? result.rows[0].wait_ms : null;
+  return waitMs === null || waitMs === undefined ? null : waitMs;
+}
+
+// Renew an item's lease while it is generated. The returned signal aborts when the job
+// is cancelled or the lease was lost to another process.
+function holdLease(item, jobSignal) {
+  const { leaseMs } = batchSettings();
+  const controller = new AbortController();
+  const lease = { signal: controller.signal, lost: false };
+  const onAbort = () => controller.abort();
+  jobSignal.addEventListener('abort', onAbort, { once: true });
+
+  const timer = setInterval(async () => {
+    try {
+      const renewed = await query(
+        `UPDATE batch_job_items SET locked_until = NOW() + ($3 || ' milliseconds')::interval
+         WHERE id = $1 AND status = 'processing' AND locked_by = $2`,
+        [item.id, workerId, String(leaseMs)]
+      );
+      if (renewed.rowCount === 0) {
+        lease.lost = true;
+        controller.abort();
+      }
+    } catch (error) {
+      logger.warn('Failed to renew batch item lease', { itemId: item.id, error: error.message });
+    }
+  }, Math.max(1000, Math.floor(leaseMs / 3)));
+  timer.unref();
+
+  lease.release = () => {
+    clearInterval(timer);
+    jobSignal.removeEventListener('abort', onAbort);
+  };
+  return lease;
+}
+
+// Record the outcome of an item this process holds the lease on; its review text is
+// dropped once it is settled. `refund` gives the item's reserved credit back. A stored
+// review the item was generated for is marked as generated (flags and escalations set
+// their own status). Nothing changes when the lease was lost.
+async function settleItem(job, item, { status, generatedResponseId = null, reviewFlagId = null, escalationId = null, tokensUsed = null, error = null, refund }) {
+  await transaction(async (client) => {
+    const settled = await client.query(
+      `UPDATE batch_job_items
+       SET status = $2, generated_response_id = $3, review_flag_id = $4, escalation_id = $5,
+           tokens_used = $6, error_message = $7, review_text = NULL, finished_at = NOW(),
+           locked_by = NULL, locked_until = NULL
+       WHERE id = $1 AND status = 'processing' AND locked_by = $8`,
+      [item.id, status, generatedResponseId, reviewFlagId, escalationId, tokensUsed, error, workerId]
+    );
+    if (settled.rowCount > 0 && refund) {
+      await refundCredits(client, job.user_id, job.id, 1);
+    }
+    if (settled.rowCount > 0 && status === 'completed' && item.review_id) {
+      await client.query(
+        `UPDATE reviews SET status = 'generated', processed_at = NOW() WHERE id = $1 AND status = 'new'`,
+        [item.review_id]
+      );
+    }
+  });
+}
+
+// Generate one claimed item and settle it. Failures are retried up to
+// BATCH_ITEM_MAX_ATTEMPTS times, except rejected requests and cancellations. An item
+// claimed again after its lease ran out counts the interrupted run as an attempt.
+async function processItem(job, user, item, signal) {
+  if (item.attempts > batchSettings().maxAttempts) {
+    await settleItem(job, item, { status: 'failed', error: 'Processing was interrupted too many times', refund: true });
+    return null;
+  }
+
+  const lease = holdLease(item, signal);
+  try {
+    const outcome = await generationService.generateForUser(user, {
+      ...job.defaults,
+      reviewText: item.review_text,
+      businessType: item.business_type,
+      tone: item.tone || undefined,
+      rating: item.rating || undefined,
+      reviewId: item.review_id || undefined,
+      platform: item.platform_name || undefined
+    }, { signal: lease.signal, charge: false });
+
+    if (outcome.flag) {
+      await settleItem(job, item, { status: 'flagged', reviewFlagId: outcome.flag.id, tokensUsed: outcome.usage.totalTokens, refund: true });
+    } else {
+      await settleItem(job, item, {
+        status: outcome.record.escalationId ? 'escalated' : 'completed',
+        generatedResponseId: outcome.record.id,
+        escalationId: outcome.record.escalationId || null,
+        tokensUsed: outcome.usage.totalTokens,
+        refund: !outcome.record.creditUsed
+      });
+    }
+    return outcome.usage.totalTokens;
+  } catch (error) {
+    if (lease.lost) {
+      logger.warn('Batch item lease lost', { jobId: job.id, itemId: item.id });
+      return null;
+    }
+    if (signal.aborted) {
+      await settleItem(job, item, { status: 'cancelled', refund: true });
+      return null;
+    }
+
+    const retry = !(error instanceof ApiError) && item.attempts < batchSettings().maxAttempts;
+    logger.warn('Batch item failed', { jobId: job.id, itemId: item.id, attempt: item.attempts, retry, error: error.message });
+
+    if (retry) {
+      await query(
+        `UPDATE batch_job_items SET status = 'pending', locked_by = NULL, locked_until = NULL
+         WHERE id = $1 AND status = 'processing' AND locked_by = $2`,
+        [item.id, workerId]
+      );
+    } else {
+      await settleItem(job, item, { status: 'failed', error: error.message, refund: true });
+    }
+    return null;
+  } finally {
+    lease.release();
+  }
+}
+
+// One worker: keep taking items while the token budget allows. When the only items
+// left are leased to other processes, wait for those leases: a process that stopped
+// leaves its items to be claimed once they run out.
+async function runWorker(job, user, providerName, pacing, signal) {
+  while (!signal.aborted) {
+    // Wait for budget before claiming, so no item sits claimed while the worker waits
+    const settle = await rateLimiter.acquireTokens(providerName, pacing.estimate, signal);
+    if (!settle) {
+      return;
+    }
+
+    const item = await claimItem(job.id);
+    if (!item) {
+      settle(0);
+      const waitMs = await otherLeaseExpiry(job.id);
+      if (waitMs === null) {
+        return;
+      }
+      await sleep(Math.min(waitMs + 1000, batchSettings().leaseMs), signal);
+      continue;
+    }
+
+    const tokensUsed = await processItem(job, user, item, signal);
+    if (tokensUsed) {
+      settle(tokensUsed);
+      // Later reservations follow what the items of this job actually use
+      pacing.estimate = Math.round((pacing.estimate + tokensUsed) / 2);
+    } else {
+      // Failed, cancelled and cached items give their reservation back
+      settle(0);
+    }
+  }
+}
+
+// Work off a job in this process. Does nothing if this process is already running it.
+async function runBatchJob(jobId) {
+  if (activeJobs.has(jobId)) {
+    return;
+  }
+  const controller = new AbortController();
+  activeJobs.set(jobId, controller);
+
+  try {
+    const started = await query(
+      `UPDATE batch_jobs
+       SET status = 'running', started_at = COALESCE(started_at, NOW())
+       WHERE id = $1 AND status IN ('queued', 'running')
+       RETURNING id, user_id, defaults, total_items`,
+      [jobId]
+    );
+    if (started.rows.length === 0) {
+      return;
+    }
+    const job = { ...started.rows[0], defaults: started.rows[0].defaults || {} };
+
+    const userResult = await query(
+      `SELECT id, email, business_name, business_type, subscription_tier, primary_language, generation_cache_enabled
+       FROM users
+       WHERE id = $1 AND is_active = true`,
+      [job.user_id]
+    );
+    if (userResult.rows.length === 0) {
+      throw new Error('Account not found or deactivated');
+    }
+    const user = userResult.rows[0];
+
+    // As many workers as the token budget can feed at once, within BATCH_CONCURRENCY
+    const settings = batchSettings();
+    const providerName = resolveProviderName(user.subscription_tier);
+    const pacing = { estimate: settings.itemTokenEstimate };
+    const workers = Math.max(1, Math.min(
+      settings.concurrency,
+      Math.floor(rateLimiter.tokensPerMinute(providerName) / pacing.estimate),
+      job.total_items
+    ));
+
+    await Promise.all(Array.from({ length: workers }, () => runWorker(job, user, providerName, pacing, controller.signal)));
+
+    const finished = await query(
+      `UPDATE batch_jobs SET status = 'completed', finished_at = NOW()
+       WHERE id = $1 AND status = 'running'
+         AND NOT EXISTS (SELECT 1 FROM batch_job_items WHERE batch_job_id = $1 AND status IN ('pending', 'processing'))
+       RETURNING id`,
+      [jobId]
+    );
+    if (finished.rows.length > 0) {
+      logger.business('Batch generation job completed', { userId: job.user_id, jobId });
+    }
+  } catch (error) {
+    logger.error('Batch generation job failed', { jobId, error: error.message });
+    await failBatchJob(jobId, error.message);
+  } finally {
+    activeJobs.delete(jobId);
+  }
+}
+
+// Stop a job that cannot go on, refunding every item that did not get to run
+async function failBatchJob(jobId, message) {
+  try {
+    await transaction(async (client) => {
+      const job = await client.query(
+        `UPDATE batch_jobs SET status = 'failed', error_message = $2, finished_at = NOW()
+         WHERE id = $1 AND status IN ('queued', 'running')
+         RETURNING user_id`,
+        [jobId, message]
+      );
+      if (job.rows.length === 0) {
+        return;
+      }
+      const items = await client.query(
+        `UPDATE batch_job_items
+         SET status = 'failed', error_message = $2, review_text = NULL, finished_at = NOW(),
+             locked_by = NULL, locked_until = NULL
+         WHERE batch_job_id = $1 AND status IN ('pending', 'processing')`,
+        [jobId, message]
+      );
+      await refundCredits(client, job.rows[0].user_id, jobId, items.rowCount);
+    });
+  } catch (error) {
+    logger.error('Failed to mark batch job as failed', { jobId, error: error.message });
+  }
+}
+
+// Run a job in the background of this process
+function startBatchJob(jobId) {
+  runBatchJob(jobId).catch(error => logger.error('Batch job runner crashed', { jobId, error: error.message }));
+}
+
+// Join the work on unfinished jobs at startup. Items stay with whichever process
+// holds their lease; items of a process that stopped are claimed again once their
+// lease has run out, and their partial work is not charged.
+async function resumeBatchJobs() {
+  const jobs = await query(
+    `SELECT id FROM batch_jobs WHERE status IN ('queued', 'running') ORDER BY created_at`
+  );
+  for (const { id } of jobs.rows) {
+    startBatchJob(id);
+  }
+
+  if (jobs.rows.length > 0) {
+    logger.info('Resumed batch generation jobs', { jobs: jobs.rows.length });
+  }
+  return jobs.rows.length;
+}
+
+module.exports = {
+  BATCH_STATUSES,
+  ITEM_STATUSES,
+  batchSettings,
+  insertBatchJob,
+  createBatchJob,
+  listBatchJobs,
+  getBatchJob,
+  cancelBatchJob,
+  startBatchJob,
+  resumeBatchJobs
+};
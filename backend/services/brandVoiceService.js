@@ -0,0 +1,164 @@
+const { query } = require('../config/database');
+
+const FORMALITY_LEVELS = ['casual', 'balanced', 'formal'];
+
+const formalityInstructions = {
+  casual: 'Relaxed and conversational, like talking to a regular customer. Contractions are welcome.',
+  balanced: 'Warm but polished. Friendly without being overly casual.',
+  formal: 'Polished and formal. Avoid slang and contractions.'
+};
+
+// Map a database row to the profile shape used by the API and prompt builder
+const formatProfile = (row) => ({
+  preferredPhrases: row.preferred_phrases || [],
+  bannedWords: row.banned_words || [],
+  signature: row.signature,
+  managerName: row.manager_name,
+  useEmojis: row.use_emojis,
+  formalityLevel: row.formality_level,
+  exampleReplies: row.example_replies || [],
+  version: row.version,
+  updatedAt: row.updated_at
+});
+
+// Get the brand voice profile for a user, or null if none has been defined
+async function getBrandVoice(userId) {
+  const result = await query(
+    `SELECT preferred_phrases, banned_words, signature, manager_name, use_emojis,
+            formality_level, example_replies, version, updated_at
+     FROM brand_voice_profiles
+     WHERE user_id = $1`,
+    [userId]
+  );
+
+  return result.rows.length > 0 ? formatProfile(result.rows[0]) : null;
+}
+
+// Create or replace the brand voice profile for a user; each save bumps the version
+async function saveBrandVoice(userId, profile) {
+  const result = await query(
+    `INSERT INTO brand_voice_profiles (user_id, preferred_phrases, banned_words, signature, manager_name,
+                                       use_emojis, formality_level, example_replies)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (user_id) DO UPDATE SET
+       preferred_phrases = EXCLUDED.preferred_phrases,
+       banned_words = EXCLUDED.banned_words,
+       signature = EXCLUDED.signature,
+       manager_name = EXCLUDED.manager_name,
+       use_emojis = EXCLUDED.use_emojis,
+       formality_level = EXCLUDED.formality_level,
+       example_replies = EXCLUDED.example_replies,
+       version = brand_voice_profiles.version + 1
+     RETURNING preferred_phrases, banned_words, signature, manager_name, use_emojis,
+               formality_level, example_replies, version, updated_at`,
+    [
+      userId,
+      JSON.stringify(profile.preferredPhrases || []),
+      JSON.stringify(profile.bannedWords || []),
+      profile.signature || null,
+      profile.managerName || null,
+      Boolean(profile.useEmojis),
+      profile.formalityLevel || 'balanced',
+      JSON.stringify(profile.exampleReplies || [])
+    ]
+  );
+
+  return formatProfile(result.rows[0]);
+}
+
+// Remove the brand voice profile for a user
+async function deleteBrandVoice(userId) {
+  const result = await query(
+    'DELETE FROM brand_voice_profiles WHERE user_id = $1',
+    [userId]
+  );
+  return result.rowCount > 0;
+}
+
+// Build the BRAND VOICE section of the system prompt
+function buildBrandVoicePrompt(profile) {
+  if (!profile) {
+    return '';
+  }
+
+  const lines = [`- Formality: ${formalityInstructions[profile.formalityLevel] || formalityInstructions.balanced}`];
+
+  if (profile.preferredPhrases.length > 0) {
+    lines.push(`- Work in these phrases naturally where they fit: ${profile.preferredPhrases.map(p => `"${p}"`).join(', ')}`);
+  }
+  if (profile.bannedWords.length > 0) {
+    lines.push(`- Never use these words or phrases: ${profile.bannedWords.map(w => `"${w}"`).join(', ')}`);
+  }
+  if (profile.managerName) {
+    lines.push(`- Write on behalf of ${profile.managerName}, the manager`);
+  }
+  if (profile.signature) {
+    lines.push(`- End every response with this sign-off: "${profile.signature}"`);
+  }
+  lines.push(profile.useEmojis
+    ? '- One fitting emoji per response is welcome'
+    : '- Do not use any emojis');
+
+  if (profile.exampleReplies.length > 0) {
+    lines.push('- Match the voice of these example replies (do not copy them):');
+    profile.exampleReplies.forEach((example, index) => {
+      lines.push(`  ${index + 1}. "${example}"`);
+    });
+  }
+
+  return `BRAND VOICE:\n${lines.join('\n')}`;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// List the banned words/phrases that appear in a text (whole words, case-insensitive)
+function findBannedPhrases(text, profile) {
+  if (!profile || profile.bannedWords.length === 0) {
+    return [];
+  }
+
+  return profile.bannedWords.filter((phrase) => {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(phrase)}(?![\\p{L}\\p{N}])`, 'iu');
+    return pattern.test(text);
+  });
+}
+
+// Describe why a set of response options breaks the brand voice, or return null if it doesn't
+function checkBrandVoice(responses, profile) {
+  if (!profile) {
+    return null;
+  }
+
+  const problems = [];
+
+  responses.forEach((resp, index) => {
+    const banned = findBannedPhrases(resp.response, profile);
+    if (banned.length > 0) {
+      problems.push(`response ${index + 1} uses banned words: ${banned.join(', ')}`);
+    }
+    if (!profile.useEmojis && /\p{Extended_Pictographic}/u.test(resp.response)) {
+      problems.push(`response ${index + 1} contains emojis`);
+    }
+  });
+
+  return problems.length > 0 ? problems.join('; ') : null;
+}
+
+// Make sure the configured sign-off ends the response
+function applySignature(text, profile) {
+  if (!profile || !profile.signature || text.includes(profile.signature)) {
+    return text;
+  }
+  return `${text.trimEnd()}\n\n${profile.signature}`;
+}
+
+module.exports = {
+  FORMALITY_LEVELS,
+  getBrandVoice,
+  saveBrandVoice,
+  deleteBrandVoice,
+  buildBrandVoicePrompt,
+  findBannedPhrases,
+  checkBrandVoice,
+  applySignature
+};
@@ -0,0 +1,123 @@
+const { query } = require('../config/database');
+
+// Business type catalogue. Built-in types (user_id NULL) are seeded by the schema;
+// accounts can add custom types with their own keywords and specialties. The slug
+// is what users.business_type and generated_responses.business_type store.
+
+// Used when a stored business type no longer exists in the catalogue
+const DEFAULT_CONTEXT = {
+  keywords: ['service', 'expertise', 'professional', 'quality', 'communication', 'results'],
+  specialties: 'Emphasize expertise, professionalism, results, and client satisfaction'
+};
+
+const BUSINESS_TYPE_COLUMNS = 'id, user_id, slug, name, keywords, specialties, compliance_mode, created_at, updated_at';
+
+// Slugs are lowercase names with single spaces, like the original built-ins ("professional services")
+const toSlug = (name) => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Map a database row to the API shape
+const formatBusinessType = (row) => ({
+  slug: row.slug,
+  name: row.name,
+  keywords: row.keywords || [],
+  specialties: row.specialties,
+  complianceMode: row.compliance_mode,
+  custom: row.user_id !== null,
+  updatedAt: row.updated_at
+});
+
+// Built-in types plus the account's custom types (pass no user for built-ins only)
+async function listBusinessTypes(userId = null) {
+  const result = await query(
+    `SELECT ${BUSINESS_TYPE_COLUMNS}
+     FROM business_types
+     WHERE user_id IS NULL OR user_id = $1
+     ORDER BY user_id NULLS FIRST, name`,
+    [userId]
+  );
+  return result.rows.map(formatBusinessType);
+}
+
+// Look up a business type available to the account, or null
+async function findBusinessType(slug, userId = null) {
+  if (typeof slug !== 'string') {
+    return null;
+  }
+
+  const result = await query(
+    `SELECT ${BUSINESS_TYPE_COLUMNS}
+     FROM business_types
+     WHERE slug = $1 AND (user_id IS NULL OR user_id = $2)
+     ORDER BY user_id NULLS FIRST
+     LIMIT 1`,
+    [toSlug(slug), userId]
+  );
+  return result.rows.length > 0 ? formatBusinessType(result.rows[0]) : null;
+}
+
+// express-validator custom validator: the value must be in the account's catalogue
+async function validateBusinessType(value, { req }) {
+  const businessType = await findBusinessType(value, req.user ? req.user.id : null);
+  if (!businessType) {
+    throw new Error('Please select a valid business type');
+  }
+  return true;
+}
+
+// Keywords and specialties used by the prompts and the aspect sentiment
+function businessContextFor(businessType) {
+  return businessType
+    ? { keywords: businessType.keywords, specialties: businessType.specialties }
+    : DEFAULT_CONTEXT;
+}
+
+async function createBusinessType(userId, { name, keywords, specialties, complianceMode }) {
+  const result = await query(
+    `INSERT INTO business_types (user_id, slug, name, keywords, specialties, compliance_mode)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${BUSINESS_TYPE_COLUMNS}`,
+    [userId, toSlug(name), name.trim(), JSON.stringify(keywords), specialties, complianceMode || null]
+  );
+  return formatBusinessType(result.rows[0]);
+}
+
+// Update one of the account's custom types; built-ins cannot be changed
+async function updateBusinessType(userId, slug, { keywords, specialties, complianceMode }) {
+  const result = await query(
+    `UPDATE business_types
+     SET keywords = COALESCE($3, keywords),
+         specialties = COALESCE($4, specialties),
+         compliance_mode = CASE WHEN $5::boolean THEN $6 ELSE compliance_mode END
+     WHERE user_id = $1 AND slug = $2
+     RETURNING ${BUSINESS_TYPE_COLUMNS}`,
+    [
+      userId,
+      toSlug(slug),
+      keywords ? JSON.stringify(keywords) : null,
+      specialties || null,
+      complianceMode !== undefined,
+      complianceMode || null
+    ]
+  );
+  return result.rows.length > 0 ? formatBusinessType(result.rows[0]) : null;
+}
+
+async function deleteBusinessType(userId, slug) {
+  const result = await query(
+    'DELETE FROM business_types WHERE user_id = $1 AND slug = $2',
+    [userId, toSlug(slug)]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  DEFAULT_CONTEXT,
+  toSlug,
+  listBusinessTypes,
+  findBusinessType,
+  validateBusinessType,
+  businessContextFor,
+  createBusinessType,
+  updateBusinessType,
+  deleteBusinessType
+};
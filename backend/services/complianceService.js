@@ -0,0 +1,150 @@
+// Compliance modes add prompt constraints and a post-generation checker for
+// regulated business types. Healthcare mode is switched on for business types
+// whose catalogue entry names it (`medical` and `dentist` among the built-ins):
+// a public reply must never confirm that the reviewer is a patient or mention
+// treatments, diagnoses or visit details.
+
+const complianceModes = {
+  healthcare: {
+    // Fallback for callers that do not look the business type up in the catalogue
+    businessTypes: ['medical', 'dentist'],
+    prompt: [
+      'Never confirm or imply that the reviewer is, or was, a patient',
+      'Never mention treatments, procedures, diagnoses, medications, test results or any visit details (dates, times, staff who saw them)',
+      'Do not refer to "your visit", "your appointment" or "your treatment"; speak about the practice and its general commitments instead',
+      'Invite the reviewer to contact the office privately to discuss any concerns'
+    ]
+  }
+};
+
+const weekdays = 'monday|tuesday|wednesday|thursday|friday|saturday|sunday';
+
+// Rules for healthcare mode; each pattern is matched case-insensitively
+const healthcareRules = [
+  {
+    rule: 'patient_relationship',
+    description: 'confirms a patient relationship',
+    patterns: [
+      /\b(?:as|being) (?:a|an|our|one of our) (?:valued )?patients?\b/i,
+      /\byou(?:'re| are| were| have been) (?:a|an|our) (?:valued |long-time )?patient\b/i,
+      /\bwe (?:treated|saw|examined|diagnosed|operated on|admitted|discharged)\b/i,
+      /\bwhen you (?:came in|were here|were in|visited)\b/i,
+      /\byour (?:visit|appointment|treatment|care plan|procedure|surgery|operation|exam|examination|consultation|check-?up|stay|session|chart|file|records?|doctor|dentist|physician|surgeon|therapist|provider)\b/i,
+      /\bour records\b/i
+    ]
+  },
+  {
+    rule: 'treatment_details',
+    description: 'mentions treatments or diagnoses',
+    patterns: [
+      /\b(?:diagnos(?:is|es|ed)|prescri(?:ption|bed)|medications?|surgery|x-?rays?|mri|ct scan|blood (?:test|work)|biops(?:y|ies)|vaccin(?:e|ation)s?|injections?|root canal|fillings?|extraction|physical therapy|chemotherapy|test results?|lab results?)\b/i
+    ]
+  },
+  {
+    rule: 'visit_details',
+    description: 'mentions visit details',
+    patterns: [
+      new RegExp(`\\b(?:on|last|this past) (?:${weekdays})\\b`, 'i'),
+      /\b\d{1,2}(?::\d{2})?\s?(?:am|pm)\b/i,
+      /\b(?:waiting room|exam room|front desk staff who)\b/i
+    ]
+  }
+];
+
+const rulesByMode = {
+  healthcare: healthcareRules
+};
+
+// The rules above only understand English
+const RULES_LANGUAGE = 'en';
+
+// The compliance mode that applies to a business type, or null
+function getComplianceMode(businessType) {
+  const mode = Object.keys(complianceModes).find(name => complianceModes[name].businessTypes.includes(businessType));
+  return mode || null;
+}
+
+// Build the COMPLIANCE section of the system prompt
+function buildCompliancePrompt(mode) {
+  if (!mode || !complianceModes[mode]) {
+    return '';
+  }
+  return `COMPLIANCE (${mode}, mandatory):\n${complianceModes[mode].prompt.map(line => `- ${line}`).join('\n')}`;
+}
+
+// List the rules a reply breaks, with the text that triggered each one
+function findViolations(text, mode) {
+  const rules = rulesByMode[mode] || [];
+  const violations = [];
+
+  for (const { rule, description, patterns } of rules) {
+    for (const pattern of patterns) {
+      const match = (text || '').match(pattern);
+      if (match) {
+        violations.push({ rule, description, match: match[0] });
+        break;
+      }
+    }
+  }
+
+  return violations;
+}
+
+// Violations of a reply written in `language`. The rules cannot read other languages,
+// so such a reply is also reported as unchecked and needs a person to approve it.
+function findReplyViolations(text, mode, language) {
+  const violations = findViolations(text, mode);
+  if (rulesByMode[mode] && language && language !== RULES_LANGUAGE) {
+    violations.push({
+      rule: 'unchecked_language',
+      description: 'is not in English, so the compliance rules cannot check it',
+      match: language
+    });
+  }
+  return violations;
+}
+
+// Describe why a set of response options breaks the compliance rules, or return null
+function checkCompliance(responses, mode) {
+  if (!mode) {
+    return null;
+  }
+
+  const problems = [];
+
+  responses.forEach((resp, index) => {
+    const texts = [resp.response, resp.translation].filter(Boolean);
+    const violations = texts.flatMap(text => findViolations(text, mode));
+    if (violations.length > 0) {
+      problems.push(`response ${index + 1} ${[...new Set(violations.map(v => `${v.description} ("${v.match}")`))].join(', ')}`);
+    }
+  });
+
+  return problems.length > 0
+    ? `${problems.join('; ')}. ${mode} compliance rules forbid this`
+    : null;
+}
+
+// Per-option compliance result attached to the API response. The English translation
+// that comes with a reply in another language is checked as well.
+function assessResponse(resp, mode, language) {
+  const violations = [
+    ...findReplyViolations(resp.response, mode, language),
+    ...(resp.translation ? findViolations(resp.translation, mode) : [])
+  ];
+
+  return {
+    mode,
+    blocked: violations.length > 0,
+    violations
+  };
+}
+
+module.exports = {
+  getComplianceMode,
+  buildCompliancePrompt,
+  findViolations,
+  findReplyViolations,
+  checkCompliance,
+  assessResponse
+};
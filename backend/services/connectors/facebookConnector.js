@@ -0,0 +1,96 @@
+const { createHttpClient, send, collectNewestFirst, isoDate, requireCredentials } = require('./http');
+
+// Facebook Page recommendations through the Graph API. `businessId` is the Page id
+// and the credential is a Page access token with pages_read_user_content and
+// pages_manage_engagement. Replies are comments on the recommendation's story.
+
+const PLATFORM = 'facebook';
+
+const apiUrl = () => `${process.env.FACEBOOK_GRAPH_API_URL || 'https://graph.facebook.com'}/${process.env.FACEBOOK_GRAPH_API_VERSION || 'v19.0'}`;
+
+const RATING_FIELDS = 'created_time,recommendation_type,rating,review_text,reviewer{name},open_graph_story{id}';
+
+function client({ credentials }) {
+  requireCredentials(PLATFORM, credentials, ['pageAccessToken']);
+  return createHttpClient(apiUrl(), { Authorization: `Bearer ${credentials.pageAccessToken}` });
+}
+
+// Recommendations have no stars; a recommendation counts as 5 and the opposite as 1
+function normalizeReview(rating) {
+  const reviewDate = isoDate(rating.created_time);
+  const recommended = rating.recommendation_type === 'positive' ? 5 : (rating.recommendation_type === 'negative' ? 1 : null);
+  return {
+    platformReviewId: rating.open_graph_story ? rating.open_graph_story.id : `${rating.reviewer ? rating.reviewer.id : 'anonymous'}-${reviewDate}`,
+    reviewerName: rating.reviewer ? rating.reviewer.name || null : null,
+    rating: rating.rating || recommended,
+    text: rating.review_text || '',
+    reviewDate,
+    reply: null,
+    cursorValue: reviewDate
+  };
+}
+
+function createFacebookConnector() {
+  return {
+    name: PLATFORM,
+    label: 'Facebook',
+    credentialFields: ['pageAccessToken'],
+    capabilities: { postReply: true, updateReply: true, deleteReply: true },
+
+    async authenticate(context) {
+      const { data, rateLimit } = await send(PLATFORM, client(context), {
+        method: 'GET',
+        url: `/${encodeURIComponent(context.businessId)}`,
+        params: { fields: 'id,name' }
+      });
+      return { account: { id: data.id, name: data.name }, rateLimit };
+    },
+
+    async listReviews(context, { cursor, limit }) {
+      const http = client(context);
+      return collectNewestFirst(async (after) => {
+        const { data, rateLimit } = await send(PLATFORM, http, {
+          method: 'GET',
+          url: `/${encodeURIComponent(context.businessId)}/ratings`,
+          params: { fields: RATING_FIELDS, limit: 25, after: after || undefined }
+        });
+        const paging = data.paging || {};
+        return {
+          reviews: (data.data || []).map(normalizeReview),
+          nextPageToken: paging.next && paging.cursors ? paging.cursors.after : null,
+          rateLimit
+        };
+      }, cursor, limit);
+    },
+
+    async postReply(context, review, text) {
+      const { data, rateLimit } = await send(PLATFORM, client(context), {
+        method: 'POST',
+        url: `/${encodeURIComponent(review.platformReviewId)}/comments`,
+        data: { message: text }
+      });
+      return { platformResponseId: data.id, rateLimit };
+    },
+
+    async updateReply(context, review, text) {
+      const { rateLimit } = await send(PLATFORM, client(context), {
+        method: 'POST',
+        url: `/${encodeURIComponent(review.platformResponseId)}`,
+        data: { message: text }
+      });
+      return { platformResponseId: review.platformResponseId, rateLimit };
+    },
+
+    async deleteReply(context, review) {
+      const { rateLimit } = await send(PLATFORM, client(context), {
+        method: 'DELETE',
+        url: `/${encodeURIComponent(review.platformResponseId)}`
+      });
+      return { rateLimit };
+    }
+  };
+}
+
+module.exports = {
+  createFacebookConnector
+};
@@ -0,0 +1,136 @@
+const { ConnectorError, createHttpClient, send, collectNewestFirst, isoDate, requireCredentials } = require('./http');
+
+// Google Business Profile (My Business API v4). `businessId` is the location path,
+// "accounts/{accountId}/locations/{locationId}". Credentials are an OAuth access
+// token with the business.manage scope, or a refresh token that is exchanged for
+// one with GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET.
+
+const PLATFORM = 'google';
+const STAR_RATINGS = { ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5 };
+
+const apiUrl = () => process.env.GOOGLE_BUSINESS_API_URL || 'https://mybusiness.googleapis.com/v4';
+const tokenUrl = () => process.env.GOOGLE_OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token';
+
+// Access tokens from refresh tokens, reused until shortly before they expire
+const tokenCache = new Map();
+
+async function accessToken(credentials) {
+  if (!credentials.refreshToken) {
+    requireCredentials(PLATFORM, credentials, ['accessToken']);
+    return credentials.accessToken;
+  }
+
+  const cached = tokenCache.get(credentials.refreshToken);
+  if (cached && cached.expiresAt > Date.now() + 60000) {
+    return cached.token;
+  }
+
+  const { data } = await send(PLATFORM, createHttpClient(tokenUrl()), {
+    method: 'POST',
+    data: new URLSearchParams({
+      client_id: credentials.clientId || process.env.GOOGLE_CLIENT_ID || '',
+      client_secret: credentials.clientSecret || process.env.GOOGLE_CLIENT_SECRET || '',
+      refresh_token: credentials.refreshToken,
+      grant_type: 'refresh_token'
+    }).toString(),
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  }).catch((error) => {
+    // The token endpoint answers a bad refresh token with 400
+    if (error.statusCode === 502) {
+      throw new ConnectorError(PLATFORM, 'PLATFORM_AUTH_FAILED', 'google rejected the refresh token');
+    }
+    throw error;
+  });
+
+  tokenCache.set(credentials.refreshToken, {
+    token: data.access_token,
+    expiresAt: Date.now() + (data.expires_in || 3600) * 1000
+  });
+  return data.access_token;
+}
+
+async function client({ credentials }) {
+  return createHttpClient(apiUrl(), { Authorization: `Bearer ${await accessToken(credentials)}` });
+}
+
+const reviewPath = (businessId, platformReviewId) => `/${businessId}/reviews/${encodeURIComponent(platformReviewId)}`;
+
+function normalizeReview(review) {
+  return {
+    platformReviewId: review.reviewId,
+    reviewerName: review.reviewer ? review.reviewer.displayName || null : null,
+    rating: STAR_RATINGS[review.starRating] || null,
+    text: review.comment || '',
+    reviewDate: isoDate(review.createTime),
+    reply: review.reviewReply
+      ? { text: review.reviewReply.comment, platformResponseId: `${review.name}/reply` }
+      : null,
+    cursorValue: isoDate(review.updateTime || review.createTime)
+  };
+}
+
+function createGoogleConnector() {
+  return {
+    name: PLATFORM,
+    label: 'Google Business Profile',
+    credentialFields: ['accessToken', 'refreshToken', 'clientId', 'clientSecret'],
+    capabilities: { postReply: true, updateReply: true, deleteReply: true },
+
+    async authenticate(context) {
+      const http = await client(context);
+      const { data, rateLimit } = await send(PLATFORM, http, {
+        method: 'GET',
+        url: `/${context.businessId}/reviews`,
+        params: { pageSize: 1 }
+      });
+      return {
+        account: { id: context.businessId, totalReviews: data.totalReviewCount || 0 },
+        rateLimit
+      };
+    },
+
+    async listReviews(context, { cursor, limit }) {
+      const http = await client(context);
+      return collectNewestFirst(async (pageToken) => {
+        const { data, rateLimit } = await send(PLATFORM, http, {
+          method: 'GET',
+          url: `/${context.businessId}/reviews`,
+          params: { pageSize: 50, orderBy: 'updateTime desc', pageToken: pageToken || undefined }
+        });
+        return {
+          reviews: (data.reviews || []).map(normalizeReview),
+          nextPageToken: data.nextPageToken,
+          rateLimit
+        };
+      }, cursor, limit);
+    },
+
+    // Google keeps one reply per review; posting again replaces it
+    async postReply(context, review, text) {
+      const http = await client(context);
+      const { rateLimit } = await send(PLATFORM, http, {
+        method: 'PUT',
+        url: `${reviewPath(context.businessId, review.platformReviewId)}/reply`,
+        data: { comment: text }
+      });
+      return { platformResponseId: `${context.businessId}/reviews/${review.platformReviewId}/reply`, rateLimit };
+    },
+
+    async updateReply(context, review, text) {
+      return this.postReply(context, review, text);
+    },
+
+    async deleteReply(context, review) {
+      const http = await client(context);
+      const { rateLimit } = await send(PLATFORM, http, {
+        method: 'DELETE',
+        url: `${reviewPath(context.businessId, review.platformReviewId)}/reply`
+      });
+      return { rateLimit };
+    }
+  };
+}
+
+module.exports = {
+  createGoogleConnector
+};
@@ -0,0 +1,161 @@
+const axios = require('axios');
+const { ApiError } = require('../../middleware/errorHandler');
+
+// HTTP plumbing shared by the platform connectors: one axios client per call site,
+// platform errors mapped to ConnectorError, and rate-limit hints read from headers.
+
+const requestTimeout = () => parseInt(process.env.PLATFORM_REQUEST_TIMEOUT_MS) || 15000;
+
+// Raised by connectors. `errorCode` says what went wrong on the platform's side;
+// `retryAfterMs` is set when the platform asked us to slow down. Messages never
+// include credentials or request headers.
+class ConnectorError extends ApiError {
+  constructor(platform, errorCode, message, { statusCode, retryAfterMs = null } = {}) {
+    const statusCodes = {
+      PLATFORM_AUTH_FAILED: 400,
+      PLATFORM_NOT_FOUND: 404,
+      PLATFORM_RATE_LIMITED: 429,
+      PLATFORM_UNSUPPORTED: 422,
+      PLATFORM_ERROR: 502
+    };
+    super(statusCode || statusCodes[errorCode] || 502, message);
+    this.name = 'ConnectorError';
+    this.platform = platform;
+    this.errorCode = errorCode;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Rate-limit hints from the usual headers: { limit, remaining, resetAt, retryAfterMs }
+function rateLimitFromHeaders(headers = {}) {
+  const number = (name) => {
+    const value = parseInt(headers[name]);
+    return Number.isNaN(value) ? null : value;
+  };
+
+  const limit = number('x-ratelimit-limit') ?? number('ratelimit-limit');
+  const remaining = number('x-ratelimit-remaining') ?? number('ratelimit-remaining');
+  const reset = number('x-ratelimit-reset') ?? number('ratelimit-reset');
+  const retryAfter = number('retry-after');
+
+  // Reset is either epoch seconds or seconds from now
+  let resetAt = null;
+  if (reset !== null) {
+    resetAt = new Date(reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000).toISOString();
+  }
+
+  return {
+    limit,
+    remaining,
+    resetAt,
+    retryAfterMs: retryAfter !== null ? retryAfter * 1000 : null
+  };
+}
+
+// The platform's own error message, if it sent one we can show
+function platformMessage(data) {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+  const error = data.error;
+  if (typeof error === 'string') {
+    return data.error_description || data.message || error;
+  }
+  return (error && (error.message || error.description)) || data.message || null;
+}
+
+function createHttpClient(baseURL, headers = {}) {
+  return axios.create({ baseURL, headers, timeout: requestTimeout() });
+}
+
+// Send a request and return { data, rateLimit }; failures become ConnectorErrors
+async function send(platform, client, config) {
+  try {
+    const response = await client.request(config);
+    return { data: response.data, rateLimit: rateLimitFromHeaders(response.headers) };
+  } catch (error) {
+    if (!error.response) {
+      throw new ConnectorError(platform, 'PLATFORM_ERROR',
+        error.code === 'ECONNABORTED' ? `${platform} did not respond in time` : `Could not reach ${platform}`);
+    }
+
+    const { status, data, headers } = error.response;
+    const detail = platformMessage(data);
+    const rateLimit = rateLimitFromHeaders(headers);
+
+    if (status === 401 || status === 403) {
+      throw new ConnectorError(platform, 'PLATFORM_AUTH_FAILED', `${platform} rejected the credentials${detail ? `: ${detail}` : ''}`);
+    }
+    if (status === 404) {
+      throw new ConnectorError(platform, 'PLATFORM_NOT_FOUND', `${platform} could not find the business or review${detail ? `: ${detail}` : ''}`);
+    }
+    if (status === 429) {
+      throw new ConnectorError(platform, 'PLATFORM_RATE_LIMITED', `${platform} rate limit reached`, {
+        retryAfterMs: rateLimit.retryAfterMs || (rateLimit.resetAt ? Math.max(Date.parse(rateLimit.resetAt) - Date.now(), 0) : 60000)
+      });
+    }
+    throw new ConnectorError(platform, 'PLATFORM_ERROR', `${platform} returned an error (${status})${detail ? `: ${detail}` : ''}`);
+  }
+}
+
+// Page through an API that lists reviews newest first until reaching reviews at or
+// before `cursor` (an ISO time). `fetchPage(pageToken)` resolves to { reviews,
+// nextPageToken, rateLimit }, each review carrying its ISO `cursorValue`. Returns
+// the oldest `limit` new reviews, oldest first, the cursor to continue from and
+// whether more new reviews are waiting.
+async function collectNewestFirst(fetchPage, cursor, limit, maxPages = 10) {
+  const found = [];
+  let pageToken = null;
+  let rateLimit = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const result = await fetchPage(pageToken);
+    rateLimit = result.rateLimit;
+    const fresh = result.reviews.filter(review => !cursor || review.cursorValue > cursor);
+    found.push(...fresh);
+    if (fresh.length < result.reviews.length || !result.nextPageToken) {
+      break;
+    }
+    pageToken = result.nextPageToken;
+  }
+
+  found.sort((a, b) => a.cursorValue.localeCompare(b.cursorValue));
+  const reviews = found.slice(0, limit);
+
+  return {
+    reviews: reviews.map(({ cursorValue, ...review }) => review),
+    cursor: reviews.length > 0 ? reviews[reviews.length - 1].cursorValue : cursor || null,
+    hasMore: found.length > limit,
+    rateLimit
+  };
+}
+
+// ISO time for a platform timestamp, or null
+function isoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// Fail fast when a connector is missing a credential it needs
+function requireCredentials(platform, credentials, fields) {
+  const missing = fields.filter(field => !credentials || !credentials[field]);
+  if (missing.length > 0) {
+    throw new ConnectorError(platform, 'PLATFORM_AUTH_FAILED', `Missing ${platform} credentials: ${missing.join(', ')}`);
+  }
+}
+
+// For operations a platform's API does not offer
+function unsupported(platform, operation) {
+  throw new ConnectorError(platform, 'PLATFORM_UNSUPPORTED', `${platform} does not support ${operation} through its API`);
+}
+
+module.exports = {
+  ConnectorError,
+  rateLimitFromHeaders,
+  createHttpClient,
+  send,
+  collectNewestFirst,
+  isoDate,
+  requireCredentials,
+  unsupported
+};
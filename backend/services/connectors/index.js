@@ -0,0 +1,78 @@
+const { createGoogleConnector } = require('./googleConnector');
+const { createYelpConnector } = require('./yelpConnector');
+const { createFacebookConnector } = require('./facebookConnector');
+const { createTripadvisorConnector } = require('./tripadvisorConnector');
+const { createMockConnector } = require('./mockConnector');
+const { ConnectorError } = require('./http');
+
+// Review platform connectors. Every connector has the same shape:
+//
+//   name, label, credentialFields, capabilities: { postReply, updateReply, deleteReply }
+//   authenticate(context)                    -> { account, rateLimit }
+//   listReviews(context, { cursor, limit })  -> { reviews, cursor, hasMore, rateLimit }
+//   postReply(context, review, text)         -> { platformResponseId, rateLimit }
+//   updateReply(context, review, text)       -> { platformResponseId, rateLimit }
+//   deleteReply(context, review)             -> { rateLimit }
+//
+// `context` is { businessId, credentials } of an integration; `review` carries the
+// platformReviewId and, for replies that exist, the platformResponseId. Reviews are
+// { platformReviewId, reviewerName, rating, text, reviewDate, reply }. listReviews
+// returns the reviews posted since `cursor` (opaque, null on the first sync), oldest
+// first, and the cursor to pass next time. rateLimit is { limit, remaining, resetAt,
+// retryAfterMs } as far as the platform reports it. Failures are ConnectorErrors.
+
+// Connector factories keyed by platform name
+const connectorFactories = {
+  google: createGoogleConnector,
+  yelp: createYelpConnector,
+  facebook: createFacebookConnector,
+  tripadvisor: createTripadvisorConnector,
+  mock: createMockConnector
+};
+
+const connectorCache = new Map();
+
+// The mock platform is for development and tests only
+const isAvailable = (name) => Boolean(connectorFactories[name]) &&
+  (name !== 'mock' || process.env.PLATFORM_MOCK_ENABLED === 'true');
+
+// Register an additional connector factory
+function registerConnector(name, factory) {
+  connectorFactories[name] = factory;
+  connectorCache.delete(name);
+}
+
+function platformNames() {
+  return Object.keys(connectorFactories).filter(isAvailable);
+}
+
+function getConnector(name) {
+  if (!isAvailable(name)) {
+    throw new ConnectorError(name, 'PLATFORM_UNSUPPORTED', `Unknown review platform: ${name}`);
+  }
+  if (!connectorCache.has(name)) {
+    connectorCache.set(name, connectorFactories[name]());
+  }
+  return connectorCache.get(name);
+}
+
+// What each available platform needs and supports, for the API
+function listConnectors() {
+  return platformNames().map((name) => {
+    const connector = getConnector(name);
+    return {
+      name,
+      label: connector.label,
+      credentialFields: connector.credentialFields,
+      capabilities: connector.capabilities
+    };
+  });
+}
+
+module.exports = {
+  ConnectorError,
+  registerConnector,
+  platformNames,
+  getConnector,
+  listConnectors
+};
@@ -0,0 +1,86 @@
+const { createHttpClient, send, isoDate, requireCredentials } = require('./http');
+
+// Connector for the in-process mock platform (mockPlatformServer.js). Available
+// when PLATFORM_MOCK_ENABLED=true; the platform's address comes from
+// MOCK_PLATFORM_URL, or 127.0.0.1 on MOCK_PLATFORM_PORT.
+
+const PLATFORM = 'mock';
+
+const apiUrl = () => process.env.MOCK_PLATFORM_URL || `http://127.0.0.1:${process.env.MOCK_PLATFORM_PORT || 4010}`;
+
+function client({ credentials }) {
+  requireCredentials(PLATFORM, credentials, ['apiKey']);
+  return createHttpClient(apiUrl(), { Authorization: `Bearer ${credentials.apiKey}` });
+}
+
+const replyPath = (businessId, review) =>
+  `/businesses/${encodeURIComponent(businessId)}/reviews/${encodeURIComponent(review.platformReviewId)}/reply`;
+
+function createMockConnector() {
+  return {
+    name: PLATFORM,
+    label: 'Mock platform',
+    credentialFields: ['apiKey'],
+    capabilities: { postReply: true, updateReply: true, deleteReply: true },
+
+    async authenticate(context) {
+      const { data, rateLimit } = await send(PLATFORM, client(context), {
+        method: 'GET',
+        url: `/businesses/${encodeURIComponent(context.businessId)}`
+      });
+      return { account: { id: data.id, name: data.name, totalReviews: data.reviewCount }, rateLimit };
+    },
+
+    // The mock lists oldest first, so its own cursor is used as it is
+    async listReviews(context, { cursor, limit }) {
+      const { data, rateLimit } = await send(PLATFORM, client(context), {
+        method: 'GET',
+        url: `/businesses/${encodeURIComponent(context.businessId)}/reviews`,
+        params: { since: cursor || undefined, limit }
+      });
+      return {
+        reviews: data.reviews.map(review => ({
+          platformReviewId: review.id,
+          reviewerName: review.author,
+          rating: review.rating,
+          text: review.text,
+          reviewDate: isoDate(review.createdAt),
+          reply: review.reply ? { text: review.reply.text, platformResponseId: review.reply.id } : null
+        })),
+        cursor: data.nextCursor,
+        hasMore: data.hasMore,
+        rateLimit
+      };
+    },
+
+    async postReply(context, review, text) {
+      const { data, rateLimit } = await send(PLATFORM, client(context), {
+        method: 'POST',
+        url: replyPath(context.businessId, review),
+        data: { text }
+      });
+      return { platformResponseId: data.id, rateLimit };
+    },
+
+    async updateReply(context, review, text) {
+      const { data, rateLimit } = await send(PLATFORM, client(context), {
+        method: 'PUT',
+        url: replyPath(context.businessId, review),
+        data: { text }
+      });
+      return { platformResponseId: data.id, rateLimit };
+    },
+
+    async deleteReply(context, review) {
+      const { rateLimit } = await send(PLATFORM, client(context), {
+        method: 'DELETE',
+        url: replyPath(context.businessId, review)
+      });
+      return { rateLimit };
+    }
+  };
+}
+
+module.exports = {
+  createMockConnector
+};
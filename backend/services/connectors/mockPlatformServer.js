@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../../utils/logger');
+
+// A review platform that runs inside this process, so connecting, syncing and
+// replying can be exercised without a real platform account. It speaks the
+// contract the mock connector expects:
+//
+//   GET    /businesses/:businessId                                -> { id, name, reviewCount }
+//   GET    /businesses/:businessId/reviews?since=&limit=          -> { reviews, nextCursor, hasMore }
+//   POST   /businesses/:businessId/reviews/:reviewId/reply {text} -> 201 { id }  (409 if there is one)
+//   PUT    /businesses/:businessId/reviews/:reviewId/reply {text} -> 200 { id }  (404 if there is none)
+//   DELETE /businesses/:businessId/reviews/:reviewId/reply        -> 204         (404 if there is none)
+//
+// Every request needs "Authorization: Bearer <the business's apiKey>". Responses
+// carry X-RateLimit-* headers, and a business that goes over its requests per
+// minute gets 429 with Retry-After. Reviews are listed oldest first; the cursor is
+// the sequence number of the last review returned.
+
+function createMockPlatform({ requestsPerMinute = 120 } = {}) {
+  const businesses = new Map();
+  let sequence = 0;
+
+  const app = express();
+  app.use(express.json());
+
+  // Business and API key check, then the per-business rate limit
+  app.use('/businesses/:businessId', (req, res, next) => {
+    const business = businesses.get(req.params.businessId);
+    const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+    if (!business || token !== business.apiKey) {
+      return res.status(business ? 401 : 404).json({ error: business ? 'Invalid API key' : 'Unknown business' });
+    }
+
+    const now = Date.now();
+    if (now - business.window.startedAt >= 60000) {
+      business.window = { startedAt: now, requests: 0 };
+    }
+    business.window.requests += 1;
+    const resetSeconds = Math.ceil((business.window.startedAt + 60000 - now) / 1000);
+    res.set({
+      'X-RateLimit-Limit': String(business.requestsPerMinute),
+      'X-RateLimit-Remaining': String(Math.max(business.requestsPerMinute - business.window.requests, 0)),
+      'X-RateLimit-Reset': String(resetSeconds)
+    });
+    if (business.window.requests > business.requestsPerMinute) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error: 'Rate limit exceeded' });
+    }
+
+    req.business = business;
+    next();
+  });
+
+  app.get('/businesses/:businessId', (req, res) => {
+    res.json({ id: req.business.id, name: req.business.name, reviewCount: req.business.reviews.length });
+  });
+
+  app.get('/businesses/:businessId/reviews', (req, res) => {
+    const since = parseInt(req.query.since) || 0;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const newer = req.business.reviews.filter(review => review.seq > since);
+    const page = newer.slice(0, limit);
+    res.json({
+      reviews: page,
+      nextCursor: page.length > 0 ? String(page[page.length - 1].seq) : (since ? String(since) : null),
+      hasMore: newer.length > limit
+    });
+  });
+
+  // Reply routes share the review lookup
+  app.use('/businesses/:businessId/reviews/:reviewId/reply', (req, res, next) => {
+    req.review = req.business.reviews.find(review => review.id === req.params.reviewId);
+    if (!req.review) {
+      return res.status(404).json({ error: 'Unknown review' });
+    }
+    if (req.method !== 'DELETE' && (typeof req.body.text !== 'string' || req.body.text.trim() === '')) {
+      return res.status(400).json({ error: 'Reply text is required' });
+    }
+    next();
+  });
+
+  app.post('/businesses/:businessId/reviews/:reviewId/reply', (req, res) => {
+    if (req.review.reply) {
+      return res.status(409).json({ error: 'The review already has a reply' });
+    }
+    req.review.reply = { id: `reply-${crypto.randomUUID()}`, text: req.body.text, updatedAt: new Date().toISOString() };
+    res.status(201).json({ id: req.review.reply.id });
+  });
+
+  app.put('/businesses/:businessId/reviews/:reviewId/reply', (req, res) => {
+    if (!req.review.reply) {
+      return res.status(404).json({ error: 'The review has no reply' });
+    }
+    Object.assign(req.review.reply, { text: req.body.text, updatedAt: new Date().toISOString() });
+    res.json({ id: req.review.reply.id });
+  });
+
+  app.delete('/businesses/:businessId/reviews/:reviewId/reply', (req, res) => {
+    if (!req.review.reply) {
+      return res.status(404).json({ error: 'The review has no reply' });
+    }
+    req.review.reply = null;
+    res.status(204).end();
+  });
+
+  let server = null;
+
+  return {
+    app,
+
+    addBusiness({ id, name = id, apiKey, requestsPerMinute: limit = requestsPerMinute }) {
+      const business = { id, name, apiKey, requestsPerMinute: limit, reviews: [], window: { startedAt: Date.now(), requests: 0 } };
+      businesses.set(id, business);
+      return business;
+    },
+
+    // A new review, as if a customer had just posted it
+    addReview(businessId, { author = null, rating = null, text, createdAt = new Date().toISOString() }) {
+      const business = businesses.get(businessId);
+      if (!business) {
+        throw new Error(`Unknown mock business: ${businessId}`);
+      }
+      sequence += 1;
+      const review = { id: `review-${sequence}`, seq: sequence, author, rating, text, createdAt, reply: null };
+      business.reviews.push(review);
+      return review;
+    },
+
+    getReview(businessId, reviewId) {
+      const business = businesses.get(businessId);
+      return business ? business.reviews.find(review => review.id === reviewId) || null : null;
+    },
+
+    // Start listening; port 0 picks a free port. Resolves to the base URL.
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+        server.on('error', reject);
+      });
+    },
+
+    close() {
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+  };
+}
+
+const SAMPLE_REVIEWS = [
+  { author: 'Maria G.', rating: 5, text: 'Wonderful evening, the staff were attentive and the food was excellent.' },
+  { author: 'Tom B.', rating: 2, text: 'We waited almost an hour for our mains and nobody told us why.' },
+  { author: 'Priya K.', rating: 4, text: 'Great value lunch menu, although the music was a little loud.' }
+];
+
+// Start the mock platform when PLATFORM_MOCK_ENABLED=true and MOCK_PLATFORM_PORT is
+// set, with one business (MOCK_PLATFORM_BUSINESS_ID / MOCK_PLATFORM_API_KEY) and a
+// few sample reviews. Returns the platform, or null when it is not enabled.
+async function startMockPlatformFromEnv() {
+  if (process.env.PLATFORM_MOCK_ENABLED !== 'true' || !process.env.MOCK_PLATFORM_PORT) {
+    return null;
+  }
+
+  const platform = createMockPlatform();
+  const businessId = process.env.MOCK_PLATFORM_BUSINESS_ID || 'demo-business';
+  platform.addBusiness({ id: businessId, name: 'Demo Business', apiKey: process.env.MOCK_PLATFORM_API_KEY || 'mock-api-key' });
+  SAMPLE_REVIEWS.forEach(review => platform.addReview(businessId, review));
+
+  const url = await platform.listen(parseInt(process.env.MOCK_PLATFORM_PORT));
+  logger.info('Mock review platform listening', { url, businessId });
+  return platform;
+}
+
+module.exports = {
+  createMockPlatform,
+  startMockPlatformFromEnv
+};
@@ -0,0 +1,77 @@
+const { createHttpClient, send, collectNewestFirst, isoDate, requireCredentials, unsupported } = require('./http');
+
+// Tripadvisor Content API. `businessId` is the location id and the credential is a
+// Content API key. The API is read-only: it returns a location's most recent
+// reviews, and management responses are written in the Tripadvisor Management Center.
+
+const PLATFORM = 'tripadvisor';
+
+const apiUrl = () => process.env.TRIPADVISOR_API_URL || 'https://api.content.tripadvisor.com/api/v1';
+
+function client({ credentials }) {
+  requireCredentials(PLATFORM, credentials, ['apiKey']);
+  // The key goes in the query string; axios errors are never passed on as they are
+  return createHttpClient(apiUrl(), { accept: 'application/json' });
+}
+
+function normalizeReview(review) {
+  const reviewDate = isoDate(review.published_date);
+  return {
+    platformReviewId: String(review.id),
+    reviewerName: review.user ? review.user.username || null : null,
+    rating: review.rating || null,
+    text: [review.title, review.text].filter(Boolean).join('\n\n'),
+    reviewDate,
+    reply: null,
+    cursorValue: reviewDate
+  };
+}
+
+function createTripadvisorConnector() {
+  return {
+    name: PLATFORM,
+    label: 'Tripadvisor',
+    credentialFields: ['apiKey'],
+    capabilities: { postReply: false, updateReply: false, deleteReply: false },
+
+    async authenticate(context) {
+      const { data, rateLimit } = await send(PLATFORM, client(context), {
+        method: 'GET',
+        url: `/location/${encodeURIComponent(context.businessId)}/details`,
+        params: { key: context.credentials.apiKey }
+      });
+      return {
+        account: { id: String(data.location_id || context.businessId), name: data.name, totalReviews: parseInt(data.num_reviews) || 0 },
+        rateLimit
+      };
+    },
+
+    async listReviews(context, { cursor, limit }) {
+      const http = client(context);
+      return collectNewestFirst(async () => {
+        const { data, rateLimit } = await send(PLATFORM, http, {
+          method: 'GET',
+          url: `/location/${encodeURIComponent(context.businessId)}/reviews`,
+          params: { key: context.credentials.apiKey }
+        });
+        return { reviews: (data.data || []).map(normalizeReview), nextPageToken: null, rateLimit };
+      }, cursor, limit);
+    },
+
+    async postReply() {
+      unsupported(PLATFORM, 'posting replies');
+    },
+
+    async updateReply() {
+      unsupported(PLATFORM, 'updating replies');
+    },
+
+    async deleteReply() {
+      unsupported(PLATFORM, 'deleting replies');
+    }
+  };
+}
+
+module.exports = {
+  createTripadvisorConnector
+};
@@ -0,0 +1,77 @@
+const { createHttpClient, send, collectNewestFirst, isoDate, requireCredentials, unsupported } = require('./http');
+
+// Yelp Fusion API. `businessId` is the Yelp business id or alias; the credential is
+// a Fusion API key (YELP_API_KEY when the integration has none). Fusion only
+// returns a business's newest reviews and has no endpoint for owner replies, so
+// replies are posted from Yelp for Business.
+
+const PLATFORM = 'yelp';
+
+const apiUrl = () => process.env.YELP_API_URL || 'https://api.yelp.com/v3';
+
+function client({ credentials }) {
+  const apiKey = (credentials && credentials.apiKey) || process.env.YELP_API_KEY;
+  requireCredentials(PLATFORM, { apiKey }, ['apiKey']);
+  return createHttpClient(apiUrl(), { Authorization: `Bearer ${apiKey}` });
+}
+
+function normalizeReview(review) {
+  const reviewDate = isoDate(review.time_created);
+  return {
+    platformReviewId: review.id,
+    reviewerName: review.user ? review.user.name || null : null,
+    rating: review.rating || null,
+    text: review.text || '',
+    reviewDate,
+    reply: null,
+    cursorValue: reviewDate
+  };
+}
+
+function createYelpConnector() {
+  return {
+    name: PLATFORM,
+    label: 'Yelp',
+    credentialFields: ['apiKey'],
+    capabilities: { postReply: false, updateReply: false, deleteReply: false },
+
+    async authenticate(context) {
+      const { data, rateLimit } = await send(PLATFORM, client(context), {
+        method: 'GET',
+        url: `/businesses/${encodeURIComponent(context.businessId)}`
+      });
+      return {
+        account: { id: data.id, name: data.name, totalReviews: data.review_count || 0 },
+        rateLimit
+      };
+    },
+
+    async listReviews(context, { cursor, limit }) {
+      const http = client(context);
+      return collectNewestFirst(async () => {
+        const { data, rateLimit } = await send(PLATFORM, http, {
+          method: 'GET',
+          url: `/businesses/${encodeURIComponent(context.businessId)}/reviews`,
+          params: { sort_by: 'newest', limit: 50 }
+        });
+        return { reviews: (data.reviews || []).map(normalizeReview), nextPageToken: null, rateLimit };
+      }, cursor, limit);
+    },
+
+    async postReply() {
+      unsupported(PLATFORM, 'posting replies');
+    },
+
+    async updateReply() {
+      unsupported(PLATFORM, 'updating replies');
+    },
+
+    async deleteReply() {
+      unsupported(PLATFORM, 'deleting replies');
+    }
+  };
+}
+
+module.exports = {
+  createYelpConnector
+};
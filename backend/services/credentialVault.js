@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Envelope encryption for stored platform credentials. Each record gets its own
+// random data key: the credentials are sealed with it, and the data key is wrapped
+// with the master key. Both use AES-256-GCM, bound to the record they belong to so a
+// sealed value copied onto another record will not open. Records carry the version
+// of the master key that wrapped them, so rotating the master key only re-wraps the
+// data keys (`npm run credentials:rotate`).
+//
+// The current master key is ENCRYPTION_KEY, version ENCRYPTION_KEY_VERSION (default
+// 1). Retired keys stay readable through ENCRYPTION_KEYS_PREVIOUS, a comma-separated
+// list of "version:key" until every record has been rotated. A key is 64 hex
+// characters, base64 of 32 bytes (`openssl rand -base64 32`), or a passphrase of at
+// least 32 characters. The example value from .env.example is refused.
+//
+// Nothing in this module logs, and its errors never include key material, sealed
+// values or credentials.
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_FORMAT = 1;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Example values shipped in .env.example and the README; anyone can read them
+const PLACEHOLDER_KEYS = ['your-32-character-encryption-key-here'];
+
+// Raised when credentials cannot be sealed or opened. The message is safe to return.
+class VaultError extends ApiError {
+  constructor(errorCode, message) {
+    super(500, message);
+    this.name = 'VaultError';
+    this.errorCode = errorCode;
+  }
+}
+
+// 32 bytes of key from the configured string
+function parseMasterKey(value) {
+  if (PLACEHOLDER_KEYS.includes(value)) {
+    throw new VaultError('VAULT_MISCONFIGURED',
+      'ENCRYPTION_KEY is still the example value; generate a key with `openssl rand -base64 32`');
+  }
+  if (/^[0-9a-f]{64}$/i.test(value)) {
+    return Buffer.from(value, 'hex');
+  }
+  if (/^[A-Za-z0-9+/]{43}=$/.test(value)) {
+    return Buffer.from(value, 'base64');
+  }
+  if (value.length >= 32) {
+    return Buffer.from(crypto.hkdfSync('sha256', value, '', 'reviewbot-credentials-master-key', 32));
+  }
+  return null;
+}
+
+// Master keys by version, read from the environment on each call so tests and the
+// rotation command can change them
+function masterKeys() {
+  const keys = new Map();
+  const currentVersion = parseInt(process.env.ENCRYPTION_KEY_VERSION) || 1;
+
+  (process.env.ENCRYPTION_KEYS_PREVIOUS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const version = parseInt(entry.slice(0, separator));
+    const key = separator > 0 ? parseMasterKey(entry.slice(separator + 1)) : null;
+    if (!version || !key) {
+      throw new VaultError('VAULT_MISCONFIGURED', 'ENCRYPTION_KEYS_PREVIOUS must list keys as "version:key"');
+    }
+    keys.set(version, key);
+  });
+
+  const current = process.env.ENCRYPTION_KEY ? parseMasterKey(process.env.ENCRYPTION_KEY) : null;
+  if (!current) {
+    throw new VaultError('VAULT_MISCONFIGURED', 'ENCRYPTION_KEY must be set to a key of at least 32 characters');
+  }
+  keys.set(currentVersion, current);
+
+  return { currentVersion, keys };
+}
+
+function currentKeyVersion() {
+  return masterKeys().currentVersion;
+}
+
+// Fail at startup, rather than on the first connected platform, when the configured
+// keys cannot be used. Nothing to check while no key is configured.
+function checkConfiguration() {
+  if (process.env.ENCRYPTION_KEY || process.env.ENCRYPTION_KEYS_PREVIOUS) {
+    masterKeys();
+  }
+}
+
+// iv | tag | ciphertext
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+// Throws when the key is wrong or anything was tampered with
+function decrypt(key, sealed, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_BYTES));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+// What the sealed value is bound to; the key version is bound to the wrapped key
+const dataAad = (context) => Buffer.from(`credentials|${context}`);
+const wrapAad = (context, keyVersion) => Buffer.from(`data-key|${keyVersion}|${context}`);
+
+function parseEnvelope(stored) {
+  let envelope;
+  try {
+    envelope = JSON.parse(stored);
+  } catch (error) {
+    envelope = null;
+  }
+  if (!envelope || envelope.v !== ENVELOPE_FORMAT || !Number.isInteger(envelope.kv) || !envelope.dk || !envelope.ct) {
+    throw new VaultError('CREDENTIALS_UNREADABLE', 'Stored credentials are not in the vault format');
+  }
+  return envelope;
+}
+
+function unwrapDataKey(envelope, context) {
+  const { keys } = masterKeys();
+  const masterKey = keys.get(envelope.kv);
+  if (!masterKey) {
+    throw new VaultError('CREDENTIALS_UNREADABLE', `Master key version ${envelope.kv} is not configured`);
+  }
+  try {
+    return decrypt(masterKey, Buffer.from(envelope.dk, 'base64'), wrapAad(context, envelope.kv));
+  } catch (error) {
+    throw new VaultError('CREDENTIALS_UNREADABLE', 'Stored credentials could not be decrypted');
+  }
+}
+
+// Seal credentials for the record named by `context` (any stable string identifying
+// it). Returns { sealed, keyVersion }; `sealed` is what gets stored.
+function sealCredentials(credentials, context) {
+  const { currentVersion, keys } = masterKeys();
+  const dataKey = crypto.randomBytes(32);
+
+  try {
+    const envelope = {
+      v: ENVELOPE_FORMAT,
+      kv: currentVersion,
+      dk: encrypt(keys.get(currentVersion), dataKey, wrapAad(context, currentVersion)).toString('base64'),
+      ct: encrypt(dataKey, Buffer.from(JSON.stringify(credentials || {})), dataAad(context)).toString('base64')
+    };
+    return { sealed: JSON.stringify(envelope), keyVersion: currentVersion };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+// The credentials sealed for `context`. An empty value (a disconnected integration)
+// opens to {}.
+function openCredentials(sealed, context) {
+  if (!sealed) {
+    return {};
+  }
+
+  const envelope = parseEnvelope(sealed);
+  const dataKey = unwrapDataKey(envelope, context);
+  try {
+    return JSON.parse(decrypt(dataKey, Buffer.from(envelope.ct, 'base64'), dataAad(context)).toString('utf8'));
+  } catch (error) {
+    throw new VaultError('CREDENTIALS_UNREADABLE', 'Stored credentials could not be decrypted');
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+// Wrap the record's data key with the current master key. The sealed credentials
+// stay as they are. Returns { sealed, keyVersion }, or null when the record is
+// already on the current key.
+function rewrapCredentials(sealed, context) {
+  const envelope = parseEnvelope(sealed);
+  const { currentVersion, keys } = masterKeys();
+  if (envelope.kv === currentVersion) {
+    return null;
+  }
+
+  const dataKey = unwrapDataKey(envelope, context);
+  try {
+    const rewrapped = {
+      ...envelope,
+      kv: currentVersion,
+      dk: encrypt(keys.get(currentVersion), dataKey, wrapAad(context, currentVersion)).toString('base64')
+    };
+    return { sealed: JSON.stringify(rewrapped), keyVersion: currentVersion };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+// Whether a stored value is a vault envelope (rather than legacy plaintext)
+function isSealed(stored) {
+  try {
+    parseEnvelope(stored);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  VaultError,
+  checkConfiguration,
+  currentKeyVersion,
+  sealCredentials,
+  openCredentials,
+  rewrapCredentials,
+  isSealed
+};
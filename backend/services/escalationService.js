@@ -0,0 +1,238 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+const { SEVERITIES, RISK_CATEGORIES, severityRank, holdingResponse } = require('./riskService');
+const { queueEmail } = require('./notificationService');
+
+// Escalations for high-risk reviews (food safety, injury, discrimination, legal
+// threats, staff misconduct). The review gets no automated reply; the account's
+// designated contacts are emailed and work the item from open to resolved.
+
+const ESCALATION_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Allowed status changes
+const statusTransitions = {
+  open: ['acknowledged', 'resolved'],
+  acknowledged: ['resolved'],
+  resolved: []
+};
+
+const ESCALATION_COLUMNS = `id, generated_response_id, review_id, review_text, platform_name, categories, severity,
+  status, holding_response, notified_contacts, resolution_note, acknowledged_at, resolved_at, created_at, updated_at`;
+
+// Map a database row to the API shape
+const formatEscalation = (row) => ({
+  id: row.id,
+  generatedResponseId: row.generated_response_id,
+  reviewId: row.review_id,
+  reviewText: row.review_text,
+  platform: row.platform_name,
+  categories: row.categories || [],
+  severity: row.severity,
+  status: row.status,
+  holdingResponse: row.holding_response,
+  notifiedContacts: row.notified_contacts || [],
+  resolutionNote: row.resolution_note,
+  acknowledgedAt: row.acknowledged_at,
+  resolvedAt: row.resolved_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const CONTACT_COLUMNS = 'id, name, email, min_severity, categories, created_at';
+
+const formatContact = (row) => ({
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  minSeverity: row.min_severity,
+  categories: row.categories || [],
+  createdAt: row.created_at
+});
+
+// Contacts that want to hear about this escalation: at or above their minimum
+// severity, and in one of their categories (no categories means all of them)
+function matchingContacts(contacts, escalation) {
+  const categories = escalation.categories.map(entry => entry.category);
+  return contacts.filter(contact =>
+    severityRank(escalation.severity) >= severityRank(contact.minSeverity) &&
+    (contact.categories.length === 0 || contact.categories.some(category => categories.includes(category))));
+}
+
+function notificationText(escalation, businessName) {
+  const categories = escalation.categories
+    .map(entry => `- ${entry.category.replace(/_/g, ' ')}: "${entry.evidence}"`)
+    .join('\n');
+
+  return `A ${escalation.severity} severity review for ${businessName} needs personal attention.
+No automated reply will be posted for it.
+
+Review:
+"${escalation.reviewText}"
+
+Why it was escalated:
+${categories}
+
+Suggested holding response:
+"${escalation.holdingResponse}"
+
+Acknowledge the escalation once someone is handling it, and resolve it when the matter is closed.`;
+}
+
+// Email the matching contacts (the account owner when none are designated) through
+// the email job, and record who was notified
+async function notifyContacts(userId, escalation, { businessName, ownerEmail }) {
+  const contacts = await listContacts(userId);
+  const recipients = contacts.length > 0
+    ? matchingContacts(contacts, escalation)
+    : (ownerEmail ? [{ name: businessName, email: ownerEmail }] : []);
+
+  const notified = [];
+  for (const recipient of recipients) {
+    let job = null;
+    try {
+      job = await queueEmail({
+        to: recipient.email,
+        subject: `[${escalation.severity.toUpperCase()}] Review escalated for ${businessName}`,
+        text: notificationText(escalation, businessName)
+      }, { userId });
+    } catch (error) {
+      logger.error('Failed to queue escalation email', { escalationId: escalation.id, error: error.message });
+    }
+    notified.push({ email: recipient.email, queued: Boolean(job), jobId: job ? job.id : null, at: new Date().toISOString() });
+  }
+
+  await query(
+    'UPDATE escalations SET notified_contacts = $2 WHERE id = $1',
+    [escalation.id, JSON.stringify(notified)]
+  );
+  return notified;
+}
+
+// Open an escalation for a classified review. `review.text` is the text to store
+// (already redacted by the caller); synced reviews (review.id) are set to escalated.
+async function createEscalation(userId, review, risk, { businessName, ownerEmail }) {
+  const result = await query(
+    `INSERT INTO escalations (user_id, generated_response_id, review_id, review_text, platform_name,
+                              categories, severity, holding_response)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING ${ESCALATION_COLUMNS}`,
+    [userId, review.generatedResponseId || null, review.id || null, review.text, review.platform || null,
+     JSON.stringify(risk.categories), risk.severity, holdingResponse(businessName)]
+  );
+  const escalation = formatEscalation(result.rows[0]);
+
+  if (review.id) {
+    await query(
+      `UPDATE reviews SET status = 'escalated' WHERE id = $1 AND user_id = $2`,
+      [review.id, userId]
+    );
+  }
+
+  escalation.notifiedContacts = await notifyContacts(userId, escalation, { businessName, ownerEmail });
+
+  logger.business('Review escalated', {
+    userId,
+    escalationId: escalation.id,
+    severity: escalation.severity,
+    categories: risk.categories.map(entry => entry.category),
+    notified: escalation.notifiedContacts.length
+  });
+
+  return escalation;
+}
+
+async function listEscalations(userId, { status, severity, limit = 50 } = {}) {
+  const result = await query(
+    `SELECT ${ESCALATION_COLUMNS}
+     FROM escalations
+     WHERE user_id = $1 AND ($2::text IS NULL OR status = $2) AND ($3::text IS NULL OR severity = $3)
+     ORDER BY created_at DESC
+     LIMIT $4`,
+    [userId, status || null, severity || null, limit]
+  );
+  return result.rows.map(formatEscalation);
+}
+
+async function getEscalation(userId, escalationId) {
+  const result = await query(
+    `SELECT ${ESCALATION_COLUMNS} FROM escalations WHERE id = $1 AND user_id = $2`,
+    [escalationId, userId]
+  );
+  return result.rows.length > 0 ? formatEscalation(result.rows[0]) : null;
+}
+
+// Move an escalation to a new status. Returns the updated escalation, null when
+// it does not exist, or { invalidTransition, allowed } when the move is not allowed.
+async function updateEscalation(userId, escalationId, { status, note }) {
+  const escalation = await getEscalation(userId, escalationId);
+  if (!escalation) {
+    return null;
+  }
+
+  if (!statusTransitions[escalation.status].includes(status)) {
+    return { invalidTransition: true, from: escalation.status, allowed: statusTransitions[escalation.status] };
+  }
+
+  const result = await query(
+    `UPDATE escalations
+     SET status = $3,
+         acknowledged_at = CASE WHEN $3 = 'acknowledged' OR acknowledged_at IS NULL THEN NOW() ELSE acknowledged_at END,
+         acknowledged_by = CASE WHEN $3 = 'acknowledged' OR acknowledged_by IS NULL THEN $2 ELSE acknowledged_by END,
+         resolved_at = CASE WHEN $3 = 'resolved' THEN NOW() ELSE resolved_at END,
+         resolved_by = CASE WHEN $3 = 'resolved' THEN $2 ELSE resolved_by END,
+         resolution_note = COALESCE($4, resolution_note)
+     WHERE id = $1 AND user_id = $2
+     RETURNING ${ESCALATION_COLUMNS}`,
+    [escalationId, userId, status, note || null]
+  );
+
+  // A resolved synced review goes back to `new`; the holding response stays the reply until someone writes one
+  if (status === 'resolved' && escalation.reviewId) {
+    await query(
+      `UPDATE reviews SET status = 'new' WHERE id = $1 AND user_id = $2 AND status = 'escalated'`,
+      [escalation.reviewId, userId]
+    );
+  }
+
+  return formatEscalation(result.rows[0]);
+}
+
+async function listContacts(userId) {
+  const result = await query(
+    `SELECT ${CONTACT_COLUMNS} FROM escalation_contacts WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows.map(formatContact);
+}
+
+async function createContact(userId, { name, email, minSeverity = 'high', categories = [] }) {
+  const result = await query(
+    `INSERT INTO escalation_contacts (user_id, name, email, min_severity, categories)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${CONTACT_COLUMNS}`,
+    [userId, name, email, minSeverity, JSON.stringify(categories)]
+  );
+  return formatContact(result.rows[0]);
+}
+
+async function deleteContact(userId, contactId) {
+  const result = await query(
+    'DELETE FROM escalation_contacts WHERE id = $1 AND user_id = $2',
+    [contactId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  ESCALATION_STATUSES,
+  SEVERITIES,
+  RISK_CATEGORIES,
+  matchingContacts,
+  createEscalation,
+  listEscalations,
+  getEscalation,
+  updateEscalation,
+  listContacts,
+  createContact,
+  deleteContact
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Redis-backed cache for sentiment results and response options. Keys are built
+// from the normalized review text, so reviews that only differ in case,
+// punctuation or spacing ("Great food, great service!" / "great food great
+// service") share an entry. Redis errors are swallowed by the redis helpers,
+// so a cache outage only turns every lookup into a miss.
+
+const METRICS_KEY = 'metrics:generation_cache';
+const CACHE_KINDS = ['sentiment', 'responses'];
+
+const DEFAULT_RESPONSES_TTL = 24 * 60 * 60;
+const DEFAULT_SENTIMENT_TTL = 7 * 24 * 60 * 60;
+
+// Caching can be switched off globally, per user (users.generation_cache_enabled) or per call
+function shouldUseCache(options = {}) {
+  return process.env.GENERATION_CACHE_ENABLED !== 'false' && options.cache !== false;
+}
+
+const responsesTtl = () => parseInt(process.env.GENERATION_CACHE_TTL) || DEFAULT_RESPONSES_TTL;
+const sentimentTtl = () => parseInt(process.env.SENTIMENT_CACHE_TTL) || DEFAULT_SENTIMENT_TTL;
+
+// Lowercase, drop punctuation and symbols, collapse whitespace
+function normalizeReviewText(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const hashParts = (parts) => crypto
+  .createHash('sha256')
+  .update(parts.map(part => (part === undefined || part === null ? '' : String(part))).join('\u0000'))
+  .digest('hex');
+
+// The aspects (the business type's keywords) are part of the sentiment key too,
+// as is the prompt template that produced the result
+function sentimentKey(reviewText, aspects = [], promptTemplateId) {
+  return `cache:sentiment:${hashParts([normalizeReviewText(reviewText), aspects.join(','), promptTemplateId])}`;
+}
+
+// Everything that changes the generated text is part of the key
+function responsesKey(reviewText, { businessType, specialties, tone, toneInstruction, businessName, brandVoiceVersion, language, translationLanguage, complianceMode, promptTemplateId }) {
+  return `cache:responses:${hashParts([
+    normalizeReviewText(reviewText),
+    businessType,
+    specialties,
+    tone,
+    toneInstruction,
+    businessName,
+    brandVoiceVersion || 0,
+    language,
+    translationLanguage,
+    complianceMode,
+    promptTemplateId
+  ])}`;
+}
+
+async function recordMetric(kind, outcome) {
+  await redis.hincrby(METRICS_KEY, `${kind}:${outcome}`, 1);
+}
+
+async function lookup(kind, key) {
+  const value = await redis.get(key);
+  await recordMetric(kind, value ? 'hit' : 'miss');
+  logger.debug('Generation cache lookup', { kind, hit: Boolean(value) });
+  return value;
+}
+
+async function getSentiment(reviewText, aspects, promptTemplateId) {
+  return lookup('sentiment', sentimentKey(reviewText, aspects, promptTemplateId));
+}
+
+async function setSentiment(reviewText, aspects, promptTemplateId, sentiment) {
+  return redis.set(sentimentKey(reviewText, aspects, promptTemplateId), sentiment, sentimentTtl());
+}
+
+async function getResponses(reviewText, params) {
+  return lookup('responses', responsesKey(reviewText, params));
+}
+
+async function setResponses(reviewText, params, value) {
+  return redis.set(responsesKey(reviewText, params), value, responsesTtl());
+}
+
+// Hit/miss counters and hit rate per cache kind
+async function getCacheStats() {
+  const counters = await redis.hgetall(METRICS_KEY);
+
+  return CACHE_KINDS.reduce((stats, kind) => {
+    const hits = parseInt(counters[`${kind}:hit`]) || 0;
+    const misses = parseInt(counters[`${kind}:miss`]) || 0;
+    const lookups = hits + misses;
+    stats[kind] = {
+      hits,
+      misses,
+      hitRate: lookups === 0 ? 0 : Number((hits / lookups).toFixed(4))
+    };
+    return stats;
+  }, {});
+}
+
+module.exports = {
+  shouldUseCache,
+  normalizeReviewText,
+  sentimentKey,
+  responsesKey,
+  getSentiment,
+  setSentiment,
+  getResponses,
+  setResponses,
+  getCacheStats
+};
@@ -0,0 +1,253 @@
+const { query } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const openaiService = require('./openaiService');
+const usageLedger = require('./usageLedger');
+const brandVoiceService = require('./brandVoiceService');
+const redactionService = require('./redactionService');
+const businessTypeService = require('./businessTypeService');
+const toneService = require('./toneService');
+const spamDetectionService = require('./spamDetectionService');
+const escalationService = require('./escalationService');
+const promptTemplateService = require('./promptTemplateService');
+const { recordAudit } = require('./auditService');
+
+// The generation pipeline for one review of one account: the account's settings,
+// the fake-review screen, generation and the stored record. Shared by the
+// responses routes and the batch job runner. `user` is the account row as loaded
+// by the auth middleware; `input` carries reviewText, businessType and the optional
+// tone, rating, flagId and language options of a generation request. Reviews stored
+// in the `reviews` table also pass their reviewId and platform.
+
+// Language, cache, business type and tone options for a generation request
+async function generationOptions(user, input) {
+  const requestType = await businessTypeService.findBusinessType(input.businessType, user.id);
+  const accountType = await businessTypeService.findBusinessType(user.business_type, user.id);
+
+  return {
+    language: input.language,
+    languageMode: input.languageMode,
+    includeTranslation: input.includeTranslation,
+    primaryLanguage: user.primary_language,
+    cache: user.generation_cache_enabled !== false,
+    businessContext: businessTypeService.businessContextFor(requestType),
+    tones: await toneService.listTones(user.id),
+    rating: input.rating,
+    // Accounts in a compliance mode stay in it whatever business type a request names
+    complianceMode: (accountType && accountType.complianceMode) || (requestType && requestType.complianceMode) || undefined
+  };
+}
+
+// Check the review for fake/spam signals before generating. Returns the new flag when
+// the review is held, or null when generation can go ahead. A review whose flag the
+// user dismissed is generated when the input passes that flag's id.
+async function screenRequest(user, input, redactionPolicy, options, usage) {
+  const { reviewText, rating, flagId } = input;
+  // The detector (and its LLM call) only sees the redacted text
+  const safeReview = redactionService.redact(reviewText, redactionPolicy).text;
+
+  if (flagId) {
+    const dismissed = await spamDetectionService.findDismissedFlag(user.id, flagId, safeReview);
+    if (!dismissed) {
+      throw new ApiError(409, 'flagId does not match a dismissed flag for this review');
+    }
+    return null;
+  }
+
+  if (!spamDetectionService.isEnabled()) {
+    return null;
+  }
+
+  const detection = await spamDetectionService.detectSpam(user.id, { text: safeReview, rating }, {
+    subscriptionTier: user.subscription_tier,
+    usage,
+    businessContext: options.businessContext,
+    businessType: input.businessType
+  });
+  if (!detection.flagged) {
+    return null;
+  }
+
+  return spamDetectionService.flagReview(user.id, {
+    id: input.reviewId,
+    text: redactionPolicy && redactionPolicy.storeOriginal ? reviewText : safeReview,
+    rating,
+    platform: input.platform
+  }, detection, { source: 'request', businessName: user.business_name });
+}
+
+// Audit every draft the compliance checker rejected, and every record held for approval
+async function auditCompliance(userId, recordId, compliance, req = null) {
+  if (!compliance) {
+    return;
+  }
+
+  for (const problem of compliance.blockedDrafts) {
+    await recordAudit({
+      userId,
+      action: 'compliance.draft_blocked',
+      resourceType: 'generated_response',
+      resourceId: recordId,
+      details: { mode: compliance.mode, problem },
+      req
+    });
+  }
+
+  if (compliance.requiresApproval) {
+    await recordAudit({
+      userId,
+      action: 'compliance.held_for_approval',
+      resourceType: 'generated_response',
+      resourceId: recordId,
+      details: { mode: compliance.mode, problem: compliance.blockedDrafts[compliance.blockedDrafts.length - 1] },
+      req
+    });
+  }
+}
+
+// Add generation credits to the account's monthly usage
+async function chargeCredits(userId, credits = 1) {
+  try {
+    await query(
+      'UPDATE users SET monthly_usage = monthly_usage + $2 WHERE id = $1',
+      [userId, credits]
+    );
+  } catch (error) {
+    logger.error('Usage increment error:', error);
+  }
+}
+
+// Persist a generation result. One usage credit is used unless the options came from
+// the cache or the review was escalated; `creditUsed` on the returned record says
+// which, and `charge: false` leaves the charging to the caller (batch jobs reserve
+// credits up front). The review is stored redacted unless the account's policy keeps
+// originals. High-risk reviews open an escalation linked to the record.
+async function saveGeneratedResponses(user, { reviewText, businessType, reviewId, platform }, responseResult, redactionPolicy, { req = null, charge = true } = {}) {
+  const storedReview = redactionPolicy && redactionPolicy.storeOriginal
+    ? reviewText
+    : responseResult.metadata.redactedReview;
+  const { compliance, promptTemplate, risk } = responseResult.metadata;
+
+  const insertResult = await query(
+    `INSERT INTO generated_responses (user_id, original_review, business_type, tone,
+                                      generated_responses_json, response_status, auto_generated,
+                                      review_language, response_language, sentiment_score, sentiment_category,
+                                      aspect_sentiments, compliance_mode, compliance_status, compliance_flags,
+                                      prompt_template_id, prompt_template_version, prompt_experiment_id,
+                                      review_fingerprint)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+     RETURNING id, created_at`,
+    [user.id, storedReview, businessType, responseResult.metadata.tone, JSON.stringify(responseResult.responses), 'pending', false,
+     responseResult.metadata.language.review, responseResult.metadata.language.response,
+     responseResult.metadata.sentiment.score, responseResult.metadata.sentiment.sentiment,
+     JSON.stringify(responseResult.metadata.sentiment.aspects || []),
+     compliance ? compliance.mode : null,
+     compliance ? (compliance.requiresApproval ? 'needs_approval' : 'passed') : null,
+     JSON.stringify(compliance ? compliance.blockedDrafts : []),
+     promptTemplate.id, promptTemplate.version, promptTemplate.experimentId,
+     spamDetectionService.fingerprint(responseResult.metadata.redactedReview)]
+  );
+  const record = insertResult.rows[0];
+
+  await auditCompliance(user.id, record.id, compliance, req);
+
+  if (risk.escalate) {
+    const escalation = await escalationService.createEscalation(user.id, {
+      generatedResponseId: record.id,
+      id: reviewId,
+      text: storedReview,
+      platform
+    }, risk, { businessName: user.business_name, ownerEmail: user.email });
+
+    await recordAudit({
+      userId: user.id,
+      action: 'escalation.opened',
+      resourceType: 'escalation',
+      resourceId: escalation.id,
+      details: { severity: escalation.severity, categories: risk.categories.map(entry => entry.category) },
+      req
+    });
+
+    return { ...record, escalationId: escalation.id, creditUsed: false };
+  }
+
+  const creditUsed = !responseResult.metadata.cached;
+  if (creditUsed && charge) {
+    await chargeCredits(user.id);
+  }
+
+  return { ...record, creditUsed };
+}
+
+// Screen, generate and store the responses for one review. Every LLM call is
+// recorded in the usage ledger, even when generation fails. Returns { flag } when
+// the review was held as possibly fake, otherwise { responseResult, record }.
+async function generateForUser(user, input, { req = null, signal, charge = true } = {}) {
+  const usage = usageLedger.createUsageTracker();
+  let record;
+
+  try {
+    const brandVoice = await brandVoiceService.getBrandVoice(user.id);
+    const redactionPolicy = await redactionService.getRedactionPolicy(user.id);
+    const prompts = await promptTemplateService.resolveTemplates(user.id);
+    const options = await generationOptions(user, input);
+
+    // Suspected fake reviews are held for the user instead of being replied to
+    const flag = await screenRequest(user, input, redactionPolicy, options, usage);
+    if (flag) {
+      return { flag, usage: usage.totals() };
+    }
+
+    // Generate responses with the LLM provider configured for the user's plan
+    const responseResult = await openaiService.generateResponses(input.reviewText, input.businessType, input.tone, user.business_name, {
+      subscriptionTier: user.subscription_tier,
+      analysis: input.analysis,
+      signal,
+      brandVoice,
+      redactionPolicy,
+      prompts,
+      ...options,
+      usage
+    });
+
+    record = await saveGeneratedResponses(user, input, responseResult, redactionPolicy, { req, charge });
+    return { responseResult, record, usage: usage.totals() };
+  } finally {
+    await usageLedger.recordUsage(user.id, record && record.id, usage);
+  }
+}
+
+// Sentiment and aspects of a review as the generation sees it (redacted), for
+// decisions taken before generating. Pass the result to generateForUser as
+// input.analysis so the review is not analyzed twice.
+async function analyzeForUser(user, input, { signal } = {}) {
+  const usage = usageLedger.createUsageTracker();
+
+  try {
+    const redactionPolicy = await redactionService.getRedactionPolicy(user.id);
+    const prompts = await promptTemplateService.resolveTemplates(user.id);
+    const options = await generationOptions(user, input);
+    const safeReview = redactionService.redact(input.reviewText, redactionPolicy).text;
+
+    return await openaiService.analyzeSentiment(safeReview, {
+      ...options,
+      subscriptionTier: user.subscription_tier,
+      businessType: input.businessType,
+      prompts,
+      signal,
+      usage
+    });
+  } finally {
+    await usageLedger.recordUsage(user.id, null, usage);
+  }
+}
+
+module.exports = {
+  generationOptions,
+  screenRequest,
+  auditCompliance,
+  chargeCredits,
+  saveGeneratedResponses,
+  generateForUser,
+  analyzeForUser
+};
@@ -0,0 +1,284 @@
+const { query } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Durable background jobs in the `background_jobs` table: enqueueing, the claim /
+// complete / fail steps the runner in workers/queue.js uses, and the admin views.
+// Jobs are claimed with FOR UPDATE SKIP LOCKED, so any number of processes can run
+// them side by side without taking the same job twice.
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead', 'cancelled'];
+
+const jobSettings = () => ({
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000,
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 5,
+  maxAttempts: parseInt(process.env.JOB_ATTEMPTS) || 3,
+  backoffDelayMs: parseInt(process.env.JOB_BACKOFF_DELAY) || 5000,
+  backoffMaxMs: parseInt(process.env.JOB_BACKOFF_MAX) || 3600000,
+  timeoutMs: parseInt(process.env.JOB_TIMEOUT_MS) || 300000
+});
+
+const JOB_COLUMNS = `id, job_type, payload, status, attempts, max_attempts, scheduled_at, started_at, completed_at,
+  error_message, created_at, user_id, dedupe_key, locked_by, locked_until, result`;
+
+// Map a database row to the API shape
+const formatJob = (row) => ({
+  id: row.id,
+  type: row.job_type,
+  payload: row.payload,
+  status: row.status,
+  attempts: row.attempts,
+  maxAttempts: row.max_attempts,
+  scheduledAt: row.scheduled_at,
+  startedAt: row.started_at,
+  completedAt: row.completed_at,
+  error: row.error_message,
+  result: row.result || null,
+  userId: row.user_id,
+  dedupeKey: row.dedupe_key,
+  lockedBy: row.locked_by,
+  lockedUntil: row.locked_until,
+  createdAt: row.created_at
+});
+
+// Queue a job. `runAt` (a Date) or `delayMs` schedules it for later. With a
+// `dedupeKey`, a pending job of the same type and key is returned instead of
+// queueing a second one.
+async function enqueueJob(type, payload, { runAt = null, delayMs = 0, maxAttempts, userId = null, dedupeKey = null } = {}) {
+  const scheduledAt = runAt || new Date(Date.now() + delayMs);
+
+  const result = await query(
+    `INSERT INTO background_jobs (job_type, payload, scheduled_at, max_attempts, user_id, dedupe_key)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (job_type, dedupe_key) WHERE status = 'pending' AND dedupe_key IS NOT NULL DO NOTHING
+     RETURNING ${JOB_COLUMNS}`,
+    [type, JSON.stringify(payload || {}), scheduledAt, maxAttempts || jobSettings().maxAttempts, userId, dedupeKey]
+  );
+  if (result.rows.length > 0) {
+    logger.job(type, 'queued');
+    return formatJob(result.rows[0]);
+  }
+
+  const existing = await query(
+    `SELECT ${JOB_COLUMNS} FROM background_jobs WHERE job_type = $1 AND dedupe_key = $2 AND status = 'pending'`,
+    [type, dedupeKey]
+  );
+  return existing.rows.length > 0 ? formatJob(existing.rows[0]) : null;
+}
+
+// Lease the next due job of a type to `workerId` for `leaseMs`
+async function claimJob(type, workerId, leaseMs) {
+  const result = await query(
+    `UPDATE background_jobs
+     SET status = 'running', attempts = attempts + 1, started_at = NOW(), completed_at = NULL,
+         locked_by = $2, locked_until = NOW() + ($3 || ' milliseconds')::interval
+     WHERE id = (
+       SELECT id
+       FROM background_jobs
+       WHERE job_type = $1 AND status = 'pending' AND scheduled_at <= NOW()
+       ORDER BY scheduled_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING ${JOB_COLUMNS}`,
+    [type, workerId, String(leaseMs)]
+  );
+  return result.rows.length > 0 ? formatJob(result.rows[0]) : null;
+}
+
+// Finish a job the worker still holds. Returns false when it lost the lease or the
+// job was cancelled in the meantime.
+async function completeJob(job, workerId, outcome) {
+  const result = await query(
+    `UPDATE background_jobs
+     SET status = 'completed', completed_at = NOW(), result = $3, error_message = NULL,
+         locked_by = NULL, locked_until = NULL
+     WHERE id = $1 AND status = 'running' AND locked_by = $2`,
+    [job.id, workerId, JSON.stringify(outcome === undefined ? null : outcome)]
+  );
+  return result.rowCount > 0;
+}
+
+// Delay before the next attempt: JOB_BACKOFF_DELAY doubled per attempt made, up to
+// JOB_BACKOFF_MAX, plus up to 20% jitter so failed jobs do not retry in lockstep
+function backoffDelay(attempts, settings = jobSettings()) {
+  const delay = Math.min(settings.backoffDelayMs * 2 ** Math.max(attempts - 1, 0), settings.backoffMaxMs);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+// Rejected requests (4xx) will fail the same way again; a platform that asked us to
+// slow down is the exception
+const isRetryable = (error) => {
+  if (error.retryable !== undefined) {
+    return Boolean(error.retryable);
+  }
+  if (error.retryAfterMs) {
+    return true;
+  }
+  return !(error instanceof ApiError && error.statusCode < 500);
+};
+
+// Record a failed attempt. The job is scheduled again after the backoff (or the
+// retry time the error asks for) until it runs out of attempts; then, or when the
+// error is not retryable, it moves to the dead-letter state. Returns the new status,
+// or null when the worker no longer held the job.
+async function failJob(job, workerId, error) {
+  const retry = isRetryable(error) && job.attempts < job.maxAttempts;
+  const delayMs = error.retryAfterMs || backoffDelay(job.attempts);
+
+  const result = await query(
+    `UPDATE background_jobs
+     SET status = $3, error_message = $4, locked_by = NULL, locked_until = NULL,
+         scheduled_at = CASE WHEN $3 = 'pending' THEN NOW() + ($5 || ' milliseconds')::interval ELSE scheduled_at END,
+         completed_at = CASE WHEN $3 = 'dead' THEN NOW() ELSE NULL END
+     WHERE id = $1 AND status = 'running' AND locked_by = $2`,
+    [job.id, workerId, retry ? 'pending' : 'dead', error.message, String(delayMs)]
+  );
+  if (result.rowCount === 0) {
+    return null;
+  }
+  return retry ? 'pending' : 'dead';
+}
+
+// Jobs whose worker died (their lease ran out) count as a failed attempt
+async function recoverExpiredJobs() {
+  const result = await query(
+    `UPDATE background_jobs
+     SET status = CASE WHEN attempts < max_attempts THEN 'pending' ELSE 'dead' END,
+         error_message = 'The worker stopped before the job finished',
+         completed_at = CASE WHEN attempts < max_attempts THEN NULL ELSE NOW() END,
+         locked_by = NULL, locked_until = NULL
+     WHERE status = 'running' AND locked_until < NOW()
+     RETURNING id, job_type, status`
+  );
+  result.rows.forEach(row => logger.job(row.job_type, row.status === 'dead' ? 'dead' : 'lease_expired'));
+  return result.rows.length;
+}
+
+async function listJobs({ status, type, userId, limit = 50 } = {}) {
+  const result = await query(
+    `SELECT ${JOB_COLUMNS}
+     FROM background_jobs
+     WHERE ($1::text IS NULL OR status = $1)
+       AND ($2::text IS NULL OR job_type = $2)
+       AND ($3::uuid IS NULL OR user_id = $3)
+     ORDER BY created_at DESC
+     LIMIT $4`,
+    [status || null, type || null, userId || null, limit]
+  );
+  return result.rows.map(formatJob);
+}
+
+async function getJob(jobId) {
+  const result = await query(`SELECT ${JOB_COLUMNS} FROM background_jobs WHERE id = $1`, [jobId]);
+  return result.rows.length > 0 ? formatJob(result.rows[0]) : null;
+}
+
+// Jobs per type and status, with how late the oldest due job is
+async function jobStats() {
+  const result = await query(
+    `SELECT job_type, status, COUNT(*)::int AS count,
+            MIN(scheduled_at) FILTER (WHERE status = 'pending' AND scheduled_at <= NOW()) AS oldest_due
+     FROM background_jobs
+     GROUP BY job_type, status
+     ORDER BY job_type, status`
+  );
+
+  const types = {};
+  result.rows.forEach(row => {
+    const entry = types[row.job_type] || (types[row.job_type] = { counts: {}, oldestDueAt: null });
+    entry.counts[row.status] = row.count;
+    if (row.oldest_due) {
+      entry.oldestDueAt = row.oldest_due;
+    }
+  });
+  return types;
+}
+
+// Run a dead or cancelled job again, with a fresh set of attempts. Returns null when
+// the job does not exist, { invalidStatus } when it is not dead or cancelled and
+// { duplicate } when the same work is already pending.
+async function retryJob(jobId) {
+  const job = await getJob(jobId);
+  if (!job) {
+    return null;
+  }
+  if (!['dead', 'cancelled'].includes(job.status)) {
+    return { invalidStatus: job.status };
+  }
+
+  try {
+    const result = await query(
+      `UPDATE background_jobs
+       SET status = 'pending', attempts = 0, scheduled_at = NOW(), started_at = NULL, completed_at = NULL
+       WHERE id = $1 AND status IN ('dead', 'cancelled')
+       RETURNING ${JOB_COLUMNS}`,
+      [jobId]
+    );
+    if (result.rows.length === 0) {
+      return getJob(jobId);
+    }
+    logger.job(job.type, 'retried');
+    return formatJob(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return { duplicate: true };
+    }
+    throw error;
+  }
+}
+
+// Move a pending job to another time. Returns null when the job does not exist, or
+// { invalidStatus } when it is no longer pending.
+async function rescheduleJob(jobId, runAt) {
+  const result = await query(
+    `UPDATE background_jobs
+     SET scheduled_at = $2
+     WHERE id = $1 AND status = 'pending'
+     RETURNING ${JOB_COLUMNS}`,
+    [jobId, runAt]
+  );
+  if (result.rows.length > 0) {
+    return formatJob(result.rows[0]);
+  }
+
+  const job = await getJob(jobId);
+  return job ? { invalidStatus: job.status } : null;
+}
+
+// Cancel a pending or running job. A running job finishes its current step but
+// its outcome is discarded. Returns null when the job does not exist, or
+// { invalidStatus } when it already finished.
+async function cancelJob(jobId) {
+  const result = await query(
+    `UPDATE background_jobs
+     SET status = 'cancelled', completed_at = NOW(), locked_by = NULL, locked_until = NULL
+     WHERE id = $1 AND status IN ('pending', 'running')
+     RETURNING ${JOB_COLUMNS}`,
+    [jobId]
+  );
+  if (result.rows.length > 0) {
+    logger.job(result.rows[0].job_type, 'cancelled');
+    return formatJob(result.rows[0]);
+  }
+
+  const job = await getJob(jobId);
+  return job ? { invalidStatus: job.status } : null;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  jobSettings,
+  enqueueJob,
+  claimJob,
+  completeJob,
+  failJob,
+  backoffDelay,
+  recoverExpiredJobs,
+  listJobs,
+  getJob,
+  jobStats,
+  retryJob,
+  rescheduleJob,
+  cancelJob
+};
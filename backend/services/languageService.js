@@ -0,0 +1,90 @@
+// Languages we can detect and reply in, keyed by ISO 639-1 code
+const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  ja: 'Japanese',
+  zh: 'Chinese',
+  ko: 'Korean'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Common function words used to tell Latin-script languages apart
+const stopwords = {
+  en: ['the', 'and', 'was', 'were', 'with', 'very', 'this', 'for', 'but', 'not', 'our', 'they', 'great', 'will'],
+  es: ['el', 'la', 'los', 'las', 'muy', 'con', 'pero', 'fue', 'que', 'una', 'por', 'para', 'del', 'es', 'comida'],
+  fr: ['le', 'la', 'les', 'très', 'avec', 'mais', 'était', 'une', 'des', 'pour', 'est', 'nous', 'pas', 'et'],
+  de: ['der', 'die', 'das', 'und', 'sehr', 'mit', 'aber', 'war', 'ein', 'eine', 'nicht', 'ist', 'wir', 'auch'],
+  it: ['il', 'lo', 'gli', 'molto', 'con', 'ma', 'era', 'una', 'per', 'che', 'non', 'sono', 'del', 'è'],
+  pt: ['o', 'os', 'muito', 'com', 'mas', 'foi', 'uma', 'para', 'não', 'que', 'do', 'da', 'atendimento', 'é'],
+  nl: ['de', 'het', 'een', 'en', 'zeer', 'met', 'maar', 'was', 'niet', 'voor', 'ook', 'wij', 'erg', 'lekker']
+};
+
+// Detect the language of a text with script and stopword heuristics.
+// Used when the model does not report a language and by the offline fallbacks.
+function detectLanguage(text = '') {
+  if (/[\u3040-\u30ff]/.test(text)) return 'ja';
+  if (/[\uac00-\ud7af]/.test(text)) return 'ko';
+  if (/[\u4e00-\u9fff]/.test(text)) return 'zh';
+
+  const words = text.toLowerCase().match(/[\p{L}]+/gu) || [];
+  let best = DEFAULT_LANGUAGE;
+  let bestScore = 0;
+
+  for (const [language, list] of Object.entries(stopwords)) {
+    const score = words.filter(word => list.includes(word)).length;
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+// Normalize a language code to a supported ISO 639-1 code, or null
+function normalizeLanguage(code) {
+  if (!code || typeof code !== 'string') {
+    return null;
+  }
+  const normalized = code.trim().toLowerCase().slice(0, 2);
+  return SUPPORTED_LANGUAGES[normalized] ? normalized : null;
+}
+
+const languageName = (code) => SUPPORTED_LANGUAGES[code] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE];
+
+// Work out which language to reply in and whether to add a translation.
+// Replies follow the review language unless the request overrides it or asks for the
+// business's primary language. A translation is added when the reply is not in the
+// business's language (so the owner can read it) or, when forced into the business
+// language, into the reviewer's language. Compliance rules only read English, so in
+// a compliance mode a reply in any other language always gets an English translation.
+function resolveLanguages(reviewLanguage, { language, languageMode, primaryLanguage, includeTranslation, complianceMode } = {}) {
+  const review = normalizeLanguage(reviewLanguage) || DEFAULT_LANGUAGE;
+  const primary = normalizeLanguage(primaryLanguage) || DEFAULT_LANGUAGE;
+  const response = normalizeLanguage(language) || (languageMode === 'business' ? primary : review);
+
+  let translation = null;
+  if (complianceMode && response !== DEFAULT_LANGUAGE) {
+    translation = DEFAULT_LANGUAGE;
+  } else if (includeTranslation) {
+    if (response !== primary) translation = primary;
+    else if (response !== review) translation = review;
+  }
+
+  return { review, response, translation };
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  normalizeLanguage,
+  languageName,
+  resolveLanguages
+};
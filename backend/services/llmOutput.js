@@ -0,0 +1,230 @@
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Expected shape of the sentiment analysis answer
+const sentimentSchema = Joi.object({
+  sentiment: Joi.string().lowercase().valid('positive', 'negative', 'neutral').required(),
+  score: Joi.number().min(0).max(1).required(),
+  confidence: Joi.string().lowercase().valid('high', 'medium', 'low').default('medium'),
+  key_emotions: Joi.array().items(Joi.string()).default([]),
+  main_concerns: Joi.array().items(Joi.string()).default([]),
+  language: Joi.string().allow(null, ''),
+  aspects: Joi.array().items(Joi.object({
+    aspect: Joi.string().trim().required(),
+    sentiment: Joi.string().lowercase().valid('positive', 'negative', 'neutral').required(),
+    score: Joi.number().min(0).max(1).required(),
+    evidence: Joi.string().allow('')
+  }).unknown(true)).default([])
+}).unknown(true);
+
+// Expected shape of a single response option
+const responseOptionSchema = Joi.object({
+  response: Joi.string().trim().min(1).required(),
+  length: Joi.number().integer().min(0),
+  key_points: Joi.array().items(Joi.string()).default([]),
+  translation: Joi.string().trim()
+}).unknown(true).required();
+
+// Expected shape of the response generation answer: exactly three options
+const responsesSchema = Joi.array().items(responseOptionSchema).length(3).required();
+
+// Expected shape of a refinement answer: two revised variants of one option
+const REFINEMENT_VARIANTS = 2;
+const refinementSchema = Joi.array().items(responseOptionSchema).length(REFINEMENT_VARIANTS).required();
+
+// Expected shape of the fake/spam review classification
+const spamClassificationSchema = Joi.object({
+  verdict: Joi.string().lowercase().valid('genuine', 'suspicious', 'fake').required(),
+  confidence: Joi.number().min(0).max(1).required(),
+  reasons: Joi.array().items(Joi.string()).default([])
+}).unknown(true);
+
+// Expected shape of the high-risk review classification
+const RISK_CATEGORIES = ['food_safety', 'injury', 'discrimination', 'legal_threat', 'staff_misconduct'];
+const riskSchema = Joi.object({
+  categories: Joi.array().items(Joi.object({
+    category: Joi.string().lowercase().valid(...RISK_CATEGORIES).required(),
+    evidence: Joi.string().allow('').default('')
+  }).unknown(true)).default([])
+}).unknown(true);
+
+// Raised when the model output is still invalid after every repair attempt
+class LlmOutputError extends ApiError {
+  constructor(purpose, attempts, errors) {
+    super(502, 'AI service returned an invalid response. Please try again.');
+    this.name = 'LlmOutputError';
+    this.errorCode = 'LLM_OUTPUT_INVALID';
+    this.details = { purpose, attempts, errors };
+  }
+}
+
+// Pull the first complete JSON object or array out of free text (prose, code fences)
+function extractJson(text) {
+  const start = text.search(/[[{]/);
+  if (start === -1) {
+    return null;
+  }
+
+  const open = text[start];
+  const close = open === '{' ? '}' : ']';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === open) depth += 1;
+    else if (char === close) {
+      depth -= 1;
+      if (depth === 0) {
+        return text.slice(start, i + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+// Parse model text and validate it against a schema
+// Returns { value } on success or { error } with a message suitable for a repair prompt
+function parseOutput(content, schema) {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    const extracted = extractJson(content || '');
+    if (!extracted) {
+      return { error: 'The reply did not contain any JSON' };
+    }
+    try {
+      parsed = JSON.parse(extracted);
+    } catch (error) {
+      return { error: `The JSON could not be parsed: ${error.message}` };
+    }
+  }
+
+  const { value, error } = schema.validate(parsed, { abortEarly: false, convert: true });
+  if (error) {
+    return { error: error.details.map(detail => detail.message).join('; ') };
+  }
+
+  return { value };
+}
+
+// Validate a completion, re-asking the model with the validation error until it
+// produces valid output or the repair budget is spent. options.check can add
+// content rules on top of the schema: it returns a problem description or null.
+// options.flag works the same way, but once the budget is spent the last draft is
+// returned with its problem in `flagged` instead of failing the request.
+// options.improve is the softest rule (quality): once the budget is spent the
+// last draft is accepted as it is.
+// Resolves to { value, completion, completions, flags } where completions lists
+// every provider call made, including the one passed in, and flags lists every
+// problem options.flag reported along the way.
+async function validateWithRepair(provider, request, schema, completion, options = {}) {
+  const maxRepairs = options.maxRepairs ?? (parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS) || 2);
+  const completions = [completion];
+  const errors = [];
+  const flags = [];
+  let current = completion;
+
+  for (let attempt = 0; ; attempt++) {
+    const result = parseOutput(current.content, schema);
+    if (!result.error && options.check) {
+      const problem = options.check(result.value);
+      if (problem) {
+        result.error = problem;
+      }
+    }
+
+    let flagged = null;
+    if (!result.error && options.flag) {
+      flagged = options.flag(result.value);
+      if (flagged) {
+        result.error = flagged;
+        flags.push(flagged);
+      }
+    }
+
+    let weak = null;
+    if (!result.error && options.improve) {
+      weak = options.improve(result.value);
+      if (weak) {
+        result.error = weak;
+      }
+    }
+
+    if (!result.error) {
+      if (attempt > 0) {
+        logger.info('LLM output repaired', { purpose: request.purpose, repairs: attempt });
+      }
+      return { value: result.value, completion: current, completions, flags };
+    }
+
+    errors.push(result.error);
+    logger.warn('LLM output failed validation', {
+      purpose: request.purpose,
+      attempt: attempt + 1,
+      error: result.error
+    });
+
+    if (attempt >= maxRepairs) {
+      if (flagged) {
+        return { value: result.value, completion: current, completions, flags, flagged };
+      }
+      if (weak) {
+        return { value: result.value, completion: current, completions, flags };
+      }
+      throw new LlmOutputError(request.purpose, attempt + 1, errors);
+    }
+
+    current = await provider.complete({
+      ...request,
+      messages: [
+        ...request.messages,
+        { role: 'assistant', content: current.content || '' },
+        {
+          role: 'user',
+          content: `Your previous reply did not meet the requirements: ${result.error}. ` +
+            'Reply again with ONLY the corrected JSON, without explanations or code fences.'
+        }
+      ],
+      // Repairs should follow the format, not get creative
+      temperature: Math.min(request.temperature ?? 0.2, 0.2)
+    });
+    completions.push(current);
+  }
+}
+
+// Run a completion and validate it against a schema with bounded repairs
+async function completeWithSchema(provider, request, schema, options = {}) {
+  const completion = await provider.complete(request);
+  return validateWithRepair(provider, request, schema, completion, options);
+}
+
+module.exports = {
+  sentimentSchema,
+  responseOptionSchema,
+  responsesSchema,
+  REFINEMENT_VARIANTS,
+  refinementSchema,
+  spamClassificationSchema,
+  RISK_CATEGORIES,
+  riskSchema,
+  LlmOutputError,
+  extractJson,
+  parseOutput,
+  validateWithRepair,
+  completeWithSchema
+};
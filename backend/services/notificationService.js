@@ -0,0 +1,73 @@
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+const jobService = require('./jobService');
+
+// Outgoing email. Notifications must never break the request that triggered
+// them, so a missing configuration or a failed send is logged and reported as false.
+// queueEmail hands the message to the `email` background job, which retries failed
+// sends.
+
+let transporter = null;
+
+function isConfigured() {
+  return Boolean(process.env.EMAIL_HOST);
+}
+
+function getTransporter() {
+  if (!transporter) {
+    const port = parseInt(process.env.EMAIL_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+        : undefined
+    });
+  }
+  return transporter;
+}
+
+// Send a plain-text email. Throws when email is not configured or the send fails.
+async function deliverEmail({ to, subject, text }) {
+  if (!isConfigured()) {
+    const error = new Error('Email is not configured');
+    error.retryable = false;
+    throw error;
+  }
+
+  await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM,
+    to,
+    subject,
+    text
+  });
+}
+
+// Send a plain-text email; resolves to true when the message was accepted
+async function sendEmail({ to, subject, text }) {
+  if (!isConfigured()) {
+    logger.warn('Email not configured, notification not sent', { to, subject });
+    return false;
+  }
+
+  try {
+    await deliverEmail({ to, subject, text });
+    return true;
+  } catch (error) {
+    logger.error('Failed to send email', { to, subject, error: error.message });
+    return false;
+  }
+}
+
+// Queue a plain-text email for the background job runner. Resolves to the job.
+async function queueEmail({ to, subject, text }, { userId = null } = {}) {
+  return jobService.enqueueJob('email', { to, subject, text }, { userId });
+}
+
+module.exports = {
+  isConfigured,
+  deliverEmail,
+  sendEmail,
+  queueEmail
+};
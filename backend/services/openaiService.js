@@ -1,51 +1,28 @@
-const OpenAI = require('openai');
 const logger = require('../utils/logger');
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// Business type specific contexts
-const businessContexts = {
-  restaurant: {
-    keywords: ['food', 'service', 'dining', 'meal', 'chef', 'menu', 'taste', 'atmosphere'],
-    specialties: 'Focus on food quality, service speed, ambiance, and overall dining experience'
-  },
-  salon: {
-    keywords: ['hair', 'styling', 'cut', 'color', 'treatment', 'stylist', 'appointment'],
-    specialties: 'Emphasize expertise, cleanliness, professionalism, and customer satisfaction'
-  },
-  retail: {
-    keywords: ['product', 'quality', 'price', 'staff', 'selection', 'store', 'shopping'],
-    specialties: 'Focus on product quality, customer service, value, and shopping experience'
-  },
-  medical: {
-    keywords: ['treatment', 'care', 'doctor', 'staff', 'appointment', 'professional', 'health'],
-    specialties: 'Emphasize professionalism, care quality, staff expertise, and patient comfort'
-  },
-  automotive: {
-    keywords: ['service', 'repair', 'mechanic', 'parts', 'vehicle', 'maintenance', 'quality'],
-    specialties: 'Focus on technical expertise, reliability, honesty, and customer service'
-  },
-  'professional services': {
-    keywords: ['service', 'expertise', 'professional', 'quality', 'communication', 'results'],
-    specialties: 'Emphasize expertise, professionalism, results, and client satisfaction'
-  },
-  hotel: {
-    keywords: ['stay', 'room', 'service', 'staff', 'amenities', 'location', 'experience'],
-    specialties: 'Focus on comfort, service quality, amenities, and overall guest experience'
-  }
-};
-
-// Tone-specific instructions
-const toneInstructions = {
-  professional: 'Use formal, business-appropriate language. Be courteous and maintain professional boundaries.',
-  friendly: 'Use warm, conversational tone. Be personable while remaining appropriate.',
-  apologetic: 'Express genuine remorse and commitment to improvement. Focus on making things right.',
-  grateful: 'Express sincere appreciation and gratitude. Highlight positive aspects mentioned.',
-  formal: 'Use very formal, traditional business language. Be respectful and conservative in tone.'
-};
+const { getProvider } = require('./providers');
+const { createJsonArrayStream } = require('../utils/jsonStream');
+const { ApiError } = require('../middleware/errorHandler');
+const {
+  sentimentSchema,
+  responseOptionSchema,
+  responsesSchema,
+  REFINEMENT_VARIANTS,
+  refinementSchema,
+  completeWithSchema,
+  validateWithRepair
+} = require('./llmOutput');
+const usageLedger = require('./usageLedger');
+const brandVoiceService = require('./brandVoiceService');
+const languageService = require('./languageService');
+const generationCache = require('./generationCache');
+const aspectSentiment = require('./aspectSentiment');
+const redactionService = require('./redactionService');
+const complianceService = require('./complianceService');
+const qualityService = require('./qualityService');
+const promptTemplateService = require('./promptTemplateService');
+const businessTypeService = require('./businessTypeService');
+const toneService = require('./toneService');
+const riskService = require('./riskService');
 
 // Sentiment-based response strategies
 const sentimentStrategies = {
@@ -63,51 +40,125 @@ const sentimentStrategies = {
   }
 };
 
-// Analyze sentiment of the review
-async function analyzeSentiment(reviewText) {
-  try {
-    const prompt = `Analyze the sentiment of this review and return ONLY a JSON object with the following format:
-{
-  "sentiment": "positive|negative|neutral",
-  "score": 0.85,
-  "confidence": "high|medium|low",
-  "key_emotions": ["satisfied", "disappointed", "etc"],
-  "main_concerns": ["service", "quality", "etc"]
+// Preset refinement instructions users can pick instead of (or on top of) free text
+const refinementPresets = {
+  shorter: 'Make the response noticeably shorter (1-2 sentences) while keeping its key points.',
+  longer: 'Expand the response with one or two more specific, relevant sentences.',
+  less_apologetic: 'Tone down the apologies: acknowledge the issue once and focus on the solution.',
+  more_apologetic: 'Apologize more sincerely and take clear responsibility for what went wrong.',
+  warmer: 'Make the response warmer and more personal.',
+  more_formal: 'Make the response more formal and businesslike.',
+  offer_discount: 'Offer a discount on their next visit as a goodwill gesture. Only mention a specific discount code if one is given in the instructions.'
+};
+
+// Keyword lists for the offline sentiment fallback, per review language
+const fallbackSentimentWords = {
+  en: {
+    positive: ['good', 'great', 'excellent', 'amazing', 'love', 'perfect', 'awesome'],
+    negative: ['bad', 'terrible', 'awful', 'hate', 'worst', 'horrible', 'disappointed']
+  },
+  es: {
+    positive: ['bueno', 'buena', 'excelente', 'increíble', 'encanta', 'perfecto', 'delicioso', 'genial'],
+    negative: ['malo', 'mala', 'terrible', 'horrible', 'peor', 'decepcionado', 'sucio', 'lento']
+  },
+  fr: {
+    positive: ['bon', 'bonne', 'excellent', 'parfait', 'délicieux', 'super', 'adore', 'génial'],
+    negative: ['mauvais', 'terrible', 'horrible', 'pire', 'déçu', 'sale', 'lent', 'froid']
+  },
+  de: {
+    positive: ['gut', 'toll', 'ausgezeichnet', 'lecker', 'perfekt', 'super', 'freundlich', 'empfehlen'],
+    negative: ['schlecht', 'schrecklich', 'furchtbar', 'enttäuscht', 'schmutzig', 'langsam', 'unfreundlich', 'kalt']
+  },
+  ja: {
+    positive: ['美味しい', 'おいしい', '最高', '素晴らしい', '満足', '親切', 'また来たい'],
+    negative: ['まずい', '最悪', '残念', '不満', '遅い', '汚い', '失礼']
+  }
+};
+
+// Keywords and specialties of the business type, resolved from the catalogue by the
+// caller; the keywords are also the aspects sentiment is scored on
+const businessContextOf = (options = {}) => options.businessContext || businessTypeService.DEFAULT_CONTEXT;
+
+// Resolve the tone of a generation against options.tones (the account's tone
+// catalogue). Without a requested tone, the default for options.rating or the
+// review's sentiment is used. Returns { tone, definition, selection }.
+function resolveTone(tone, sentiment, options = {}) {
+  const tones = options.tones || [];
+  if (tone) {
+    return {
+      tone,
+      definition: tones.find(entry => entry.slug === tone) || toneService.DEFAULT_TONE,
+      selection: 'requested'
+    };
+  }
+
+  const { tone: definition, reason } = toneService.selectTone(tones, {
+    rating: options.rating,
+    sentiment: sentiment.sentiment
+  });
+  return { tone: definition.slug, definition, selection: reason };
 }
 
-Review: "${reviewText}"`;
+// Analyze sentiment of the review, overall and per aspect of the business type
+async function analyzeSentiment(reviewText, options = {}) {
+  const aspects = businessContextOf(options).keywords;
+  const template = (options.prompts && options.prompts.sentiment) || promptTemplateService.builtinTemplate('sentiment');
+  const useCache = generationCache.shouldUseCache(options);
+  if (useCache) {
+    const cached = await generationCache.getSentiment(reviewText, aspects, template.id);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  try {
+    const provider = usageLedger.meterProvider(getProvider(options), options.usage);
 
-    const response = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+    const variables = { reviewText, aspects: aspects.join(', ') };
+
+    const { value: analysis } = await completeWithSchema(provider, {
+      purpose: 'sentiment',
       messages: [
         {
           role: 'system',
-          content: 'You are a sentiment analysis expert. Respond only with valid JSON.'
+          content: promptTemplateService.render(template.system, variables)
         },
         {
           role: 'user',
-          content: prompt
+          content: promptTemplateService.render(template.user, variables)
         }
       ],
-      max_tokens: 300,
-      temperature: 0.1
-    });
+      maxTokens: 500,
+      temperature: 0.1,
+      context: { reviewText, aspects },
+      signal: options.signal
+    }, sentimentSchema);
 
-    const analysis = JSON.parse(response.choices[0].message.content);
+    analysis.language = languageService.normalizeLanguage(analysis.language) ||
+      languageService.detectLanguage(reviewText);
+    analysis.aspects = aspectSentiment.normalizeAspects(analysis.aspects, aspects);
     
     logger.debug('Sentiment analysis completed', {
       sentiment: analysis.sentiment,
       score: analysis.score,
-      confidence: analysis.confidence
+      confidence: analysis.confidence,
+      language: analysis.language,
+      aspects: analysis.aspects.length
     });
 
+    if (useCache) {
+      await generationCache.setSentiment(reviewText, aspects, template.id, analysis);
+    }
+
     return analysis;
   } catch (error) {
     logger.error('Sentiment analysis failed:', error);
     
-    // Fallback simple sentiment analysis
-    const positiveWords = ['good', 'great', 'excellent', 'amazing', 'love', 'perfect', 'awesome'];
-    const negativeWords = ['bad', 'terrible', 'awful', 'hate', 'worst', 'horrible', 'disappointed'];
+    // Fallback simple sentiment analysis in the review's language (English words are always checked too)
+    const language = languageService.detectLanguage(reviewText);
+    const languageWords = fallbackSentimentWords[language] || { positive: [], negative: [] };
+    const positiveWords = [...new Set([...fallbackSentimentWords.en.positive, ...languageWords.positive])];
+    const negativeWords = [...new Set([...fallbackSentimentWords.en.negative, ...languageWords.negative])];
     
     const text = reviewText.toLowerCase();
     const positiveCount = positiveWords.filter(word => text.includes(word)).length;
@@ -116,102 +167,288 @@ Review: "${reviewText}"`;
     let sentiment = 'neutral';
     if (positiveCount > negativeCount) sentiment = 'positive';
     else if (negativeCount > positiveCount) sentiment = 'negative';
+
+    const aspectResults = aspectSentiment.scoreAspects(reviewText, aspects, {
+      positive: positiveWords,
+      negative: negativeWords
+    });
     
     return {
       sentiment,
       score: 0.5,
       confidence: 'low',
       key_emotions: [],
-      main_concerns: []
+      main_concerns: aspectSentiment.criticisedAspects(aspectResults).map(entry => entry.aspect),
+      language,
+      aspects: aspectResults
     };
   }
 }
 
-// Generate multiple response options
-async function generateResponses(reviewText, businessType, tone, businessName = 'our business') {
-  try {
-    const sentiment = await analyzeSentiment(reviewText);
-    const businessContext = businessContexts[businessType] || businessContexts['professional services'];
-    const toneInstruction = toneInstructions[tone] || toneInstructions.professional;
-    const strategy = sentimentStrategies[sentiment.sentiment];
+// Prompt template for the response options: the one resolved for the user (options.prompts), or the built-in one
+const responsesTemplate = (options = {}) => (options.prompts && options.prompts.responses) ||
+  promptTemplateService.builtinTemplate('responses');
 
-    const systemPrompt = `You are an expert at writing professional review responses for ${businessType} businesses. 
+// Template version and experiment a generation used, recorded with the generated responses
+function promptTemplateInfo(options = {}) {
+  const template = responsesTemplate(options);
+  return { id: template.id, version: template.version, experimentId: template.experimentId || null };
+}
 
-BUSINESS CONTEXT: ${businessContext.specialties}
-TONE: ${toneInstruction}
-STRATEGY: ${strategy.approach}
+// Build the provider request that asks for the response options
+function buildResponseRequest(reviewText, businessType, tone, businessName, sentiment, options = {}) {
+  const businessContext = businessContextOf(options);
+  const toneInstruction = toneService.toneInstruction(options.toneDefinition);
+  const strategy = sentimentStrategies[sentiment.sentiment];
+  const brandVoicePrompt = brandVoiceService.buildBrandVoicePrompt(options.brandVoice);
+  const languages = languageService.resolveLanguages(sentiment.language, options);
+  const languageInstruction = languages.translation
+    ? `Write every response in ${languageService.languageName(languages.response)}. Also add a "translation" field to each option with that response translated into ${languageService.languageName(languages.translation)}.`
+    : `Write every response in ${languageService.languageName(languages.response)}.`;
+  const redactionPrompt = redactionService.buildRedactionPrompt(options.redaction);
+  const compliancePrompt = complianceService.buildCompliancePrompt(options.complianceMode);
+  const criticised = aspectSentiment.criticisedAspects(sentiment.aspects);
+  const aspectsPrompt = criticised.length > 0
+    ? `CRITICISED ASPECTS (acknowledge each one explicitly):\n${criticised.map(entry => `- ${entry.aspect}${entry.evidence ? `: "${entry.evidence}"` : ''}`).join('\n')}`
+    : '';
 
-REQUIREMENTS:
-- Generate exactly 3 different response options
-- Each response should be 2-4 sentences long
-- Include the business name: "${businessName}"
-- Address specific points mentioned in the review
-- ${strategy.elements.join(', ')}
-- Make each response unique but appropriate
-- Keep responses between 50-150 words each
-- Use natural, human-like language
-- Avoid generic templates
-
-Return ONLY a JSON array with this exact format:
-[
-  {
-    "response": "Response text here...",
-    "length": 95,
-    "key_points": ["point1", "point2"]
-  },
-  {
-    "response": "Response text here...",
-    "length": 87,
-    "key_points": ["point1", "point2"]
-  },
-  {
-    "response": "Response text here...",
-    "length": 102,
-    "key_points": ["point1", "point2"]
+  // Optional prompt sections are empty or a block wrapped in newlines
+  const section = (text) => (text ? `\n${text}\n` : '');
+  const template = responsesTemplate(options);
+  const variables = {
+    businessType,
+    businessName,
+    businessContext: businessContext.specialties,
+    tone,
+    toneInstruction,
+    strategyApproach: strategy.approach,
+    strategyElements: strategy.elements.join(', '),
+    languageInstruction,
+    replyLanguage: languageService.languageName(languages.response),
+    brandVoice: section(brandVoicePrompt),
+    criticisedAspects: section(aspectsPrompt),
+    privacy: section(redactionPrompt),
+    compliance: section(compliancePrompt),
+    reviewText,
+    sentiment: sentiment.sentiment
+  };
+
+  return {
+    purpose: 'responses',
+    messages: [
+      {
+        role: 'system',
+        content: promptTemplateService.render(template.system, variables)
+      },
+      {
+        role: 'user',
+        content: promptTemplateService.render(template.user, variables)
+      }
+    ],
+    maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 1000,
+    temperature: 0.7,
+    presencePenalty: 0.1,
+    frequencyPenalty: 0.1,
+    context: {
+      reviewText,
+      businessType,
+      tone,
+      businessName,
+      sentiment: sentiment.sentiment,
+      mainConcerns: sentiment.main_concerns || [],
+      language: languages.response,
+      translationLanguage: languages.translation,
+      bannedWords: options.brandVoice ? options.brandVoice.bannedWords : [],
+      complianceMode: options.complianceMode
+    }
+  };
+}
+
+// Cache key parameters for the response options of one request
+function responseCacheParams(businessType, tone, businessName, sentiment, options = {}) {
+  const languages = languageService.resolveLanguages(sentiment.language, options);
+  return {
+    businessType,
+    tone,
+    toneInstruction: toneService.toneInstruction(options.toneDefinition),
+    businessName,
+    sentiment: sentiment.sentiment,
+    specialties: businessContextOf(options).specialties,
+    brandVoiceVersion: options.brandVoice ? options.brandVoice.version : 0,
+    language: languages.response,
+    translationLanguage: languages.translation,
+    complianceMode: options.complianceMode,
+    promptTemplateId: responsesTemplate(options).id
+  };
+}
+
+// Look up cached response options; returns { responses, model } or null
+async function getCachedResponses(reviewText, cacheParams, options = {}) {
+  if (!generationCache.shouldUseCache(options)) {
+    return null;
   }
-]`;
+  return generationCache.getResponses(reviewText, cacheParams);
+}
 
-    const userPrompt = `Original Review: "${reviewText}"
+async function cacheResponses(reviewText, cacheParams, responses, model, options = {}) {
+  if (generationCache.shouldUseCache(options)) {
+    await generationCache.setResponses(reviewText, cacheParams, { responses, model });
+  }
+}
 
-Business: ${businessName}
-Business Type: ${businessType}
-Requested Tone: ${tone}
-Review Sentiment: ${sentiment.sentiment}`;
+// Content rules applied on top of the response schema; violations trigger a regeneration
+function checkResponses(responses, options = {}) {
+  return brandVoiceService.checkBrandVoice(responses, options.brandVoice);
+}
 
-    const response = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
+// Compliance rules (healthcare mode for medical accounts): violations trigger a
+// regeneration, and drafts that still break them are held for manual approval
+function flagResponses(responses, options = {}) {
+  return complianceService.checkCompliance(responses, options.complianceMode);
+}
+
+// What the quality checker needs to know about a generation
+function qualityContext(businessName, sentiment, options = {}) {
+  const languages = languageService.resolveLanguages(sentiment.language, options);
+  return {
+    businessName,
+    mainConcerns: sentiment.main_concerns || [],
+    strategyElements: (sentimentStrategies[sentiment.sentiment] || sentimentStrategies.neutral).elements,
+    language: languages.response
+  };
+}
+
+// Quality rules: low-scoring options are regenerated with the warnings as feedback,
+// and accepted as they are once the repair budget is spent
+function improveResponses(responses, options = {}) {
+  return options.quality ? qualityService.checkQuality(responses, options.quality) : null;
+}
+
+// Compliance outcome of a generation, or null when no compliance mode applies
+function complianceSummary(responses, flags = [], options = {}) {
+  if (!options.complianceMode) {
+    return null;
+  }
+  return {
+    mode: options.complianceMode,
+    requiresApproval: responses.some(resp => resp.compliance.blocked),
+    blockedDrafts: flags
+  };
+}
+
+// JSON.parse that returns undefined instead of throwing
+function safeParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+// Add the fields the API exposes on every response option
+// `siblings` are the other options' texts, used by the quality score's repetition check
+function enhanceResponse(resp, index, tone, sentiment, options = {}, siblings = []) {
+  const finalized = redactionService.finalizeReply(resp, options.redaction);
+  const response = brandVoiceService.applySignature(finalized.response, options.brandVoice);
+  const languages = languageService.resolveLanguages(sentiment.language, options);
+  const wordCount = qualityService.countWords(response);
+
+  return {
+    ...finalized,
+    response,
+    id: index + 1,
+    tone: tone,
+    length: wordCount,
+    language: languages.response,
+    sentiment_addressed: sentiment.sentiment,
+    estimated_reading_time: Math.ceil(wordCount / 200), // words per minute
+    ...(options.quality && {
+      quality: qualityService.scoreResponse({ ...finalized, response }, siblings, options.quality)
+    }),
+    ...(options.complianceMode && {
+      compliance: complianceService.assessResponse({ ...finalized, response }, options.complianceMode, languages.response)
+    })
+  };
+}
+
+// High-risk reviews get no model-written reply: the only option is the cautious
+// holding response, in English, until someone has handled the escalation
+function holdingResponses(tone, businessName, sentiment, options = {}) {
+  const response = riskService.holdingResponse(businessName);
+  return [{
+    ...enhanceResponse({ response, length: qualityService.countWords(response), key_points: ['holding response'] }, 0, tone, sentiment, options),
+    language: 'en',
+    holding: true
+  }];
+}
+
+// Generate multiple response options. options.analysis reuses a sentiment analysis
+// of the same (redacted) review made earlier.
+async function generateResponses(reviewText, businessType, tone, businessName = 'our business', options = {}) {
+  try {
+    // Personal details are masked before anything reaches the model, the cache or the logs
+    const redaction = redactionService.redact(reviewText, options.redactionPolicy);
+    const safeReview = redaction.text;
+    options = {
+      ...options,
+      redaction,
+      complianceMode: options.complianceMode || complianceService.getComplianceMode(businessType)
+    };
+
+    const provider = usageLedger.meterProvider(getProvider(options), options.usage);
+    const [sentiment, risk] = await Promise.all([
+      options.analysis || analyzeSentiment(safeReview, { ...options, businessType, provider }),
+      riskService.classifyRisk(safeReview, provider, options)
+    ]);
+    const toneChoice = resolveTone(tone, sentiment, options);
+    tone = toneChoice.tone;
+    options = { ...options, toneDefinition: toneChoice.definition };
+    if (!risk.escalate) {
+      options.quality = qualityContext(businessName, sentiment, options);
+    }
+    const cacheParams = responseCacheParams(businessType, tone, businessName, sentiment, options);
+
+    // Identical (or near-identical) reviews reuse cached options instead of calling the model
+    let generated = risk.escalate ? null : await getCachedResponses(safeReview, cacheParams, options);
+    const cached = Boolean(generated);
+    let flags = [];
+
+    if (risk.escalate) {
+      generated = { responses: holdingResponses(tone, businessName, sentiment, options), model: null, holding: true };
+    } else if (!generated) {
+      const { value, completion, flags: raised, flagged } = await completeWithSchema(
+        provider,
+        buildResponseRequest(safeReview, businessType, tone, businessName, sentiment, options),
+        responsesSchema,
         {
-          role: 'user',
-          content: userPrompt
+          check: (responses) => checkResponses(responses, options),
+          flag: (responses) => flagResponses(responses, options),
+          improve: (responses) => improveResponses(responses, options)
         }
-      ],
-      max_tokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 1000,
-      temperature: 0.7,
-      presence_penalty: 0.1,
-      frequency_penalty: 0.1
-    });
-
-    const generatedResponses = JSON.parse(response.choices[0].message.content);
+      );
+      generated = { responses: value, model: completion.model };
+      flags = raised;
+      // Drafts held for approval are not reused for other reviews
+      if (!flagged) {
+        await cacheResponses(safeReview, cacheParams, value, completion.model, options);
+      }
+    }
+    const generatedResponses = generated.responses;
     
     // Validate and enhance the responses
-    const enhancedResponses = generatedResponses.map((resp, index) => ({
-      ...resp,
-      id: index + 1,
-      tone: tone,
-      sentiment_addressed: sentiment.sentiment,
-      estimated_reading_time: Math.ceil(resp.response.split(' ').length / 200) // words per minute
-    }));
+    const enhancedResponses = generated.holding
+      ? generatedResponses
+      : generatedResponses.map((resp, index) => enhanceResponse(resp, index, tone, sentiment, options,
+        generatedResponses.filter((_, other) => other !== index).map(other => other.response)));
 
     logger.business('Review responses generated', {
       reviewLength: reviewText.length,
       businessType,
       tone,
       sentiment: sentiment.sentiment,
+      provider: provider.name,
+      cached,
+      escalated: risk.escalate,
       responsesCount: enhancedResponses.length
     });
 
@@ -219,28 +456,334 @@ Review Sentiment: ${sentiment.sentiment}`;
       responses: enhancedResponses,
       metadata: {
         originalReview: reviewText,
+        redactedReview: safeReview,
+        redactions: redactionService.summarizeEntities(redaction.entities),
         businessType,
         tone,
+        toneSelection: toneChoice.selection,
         sentiment,
+        language: languageService.resolveLanguages(sentiment.language, options),
         generatedAt: new Date().toISOString(),
-        model: process.env.OPENAI_MODEL || 'gpt-4'
+        provider: provider.name,
+        model: generated.model,
+        cached,
+        compliance: complianceSummary(enhancedResponses, flags, options),
+        promptTemplate: promptTemplateInfo(options),
+        risk
       }
     };
 
   } catch (error) {
     logger.error('Response generation failed:', error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new Error('Failed to generate review responses. Please try again.');
+  }
+}
+
+// Stream response generation as events: the sentiment first, then each response
+// option as soon as the model has finished writing it, then the complete result.
+// Pass options.signal to abort the upstream request when the client goes away.
+async function* streamResponses(reviewText, businessType, tone, businessName = 'our business', options = {}) {
+  try {
+    // Personal details are masked before anything reaches the model, the cache or the logs
+    const redaction = redactionService.redact(reviewText, options.redactionPolicy);
+    const safeReview = redaction.text;
+    options = {
+      ...options,
+      redaction,
+      complianceMode: options.complianceMode || complianceService.getComplianceMode(businessType)
+    };
+
+    const provider = usageLedger.meterProvider(getProvider(options), options.usage);
+    const [sentiment, risk] = await Promise.all([
+      analyzeSentiment(safeReview, { ...options, businessType, provider }),
+      riskService.classifyRisk(safeReview, provider, options)
+    ]);
+
+    yield { type: 'sentiment', data: sentiment };
+    if (risk.escalate) {
+      yield { type: 'risk', data: risk };
+    }
+    const toneChoice = resolveTone(tone, sentiment, options);
+    tone = toneChoice.tone;
+    options = { ...options, toneDefinition: toneChoice.definition };
+    if (!risk.escalate) {
+      options.quality = qualityContext(businessName, sentiment, options);
+    }
+
+    const cacheParams = responseCacheParams(businessType, tone, businessName, sentiment, options);
+    const cachedResult = risk.escalate ? null : await getCachedResponses(safeReview, cacheParams, options);
+    const cached = Boolean(cachedResult);
+    let enhancedResponses = [];
+    let flags = [];
+    let model;
+
+    if (risk.escalate) {
+      for (const holding of holdingResponses(tone, businessName, sentiment, options)) {
+        enhancedResponses.push(holding);
+        yield { type: 'response', data: holding };
+      }
+      model = null;
+    } else if (cachedResult) {
+      for (const resp of cachedResult.responses) {
+        const enhanced = enhanceResponse(resp, enhancedResponses.length, tone, sentiment, options, enhancedResponses.map(prev => prev.response));
+        enhancedResponses.push(enhanced);
+        yield { type: 'response', data: enhanced };
+      }
+      model = cachedResult.model;
+    } else {
+      const request = buildResponseRequest(safeReview, businessType, tone, businessName, sentiment, options);
+      const parser = createJsonArrayStream();
+      let content = '';
+      let streamed = { model: provider.models.default, usage: {} };
+
+      for await (const chunk of provider.stream({ ...request, signal: options.signal })) {
+        if (chunk.done) {
+          streamed = chunk;
+          continue;
+        }
+
+        content += chunk.delta;
+
+        // Emit options that are valid on their own; anything else is left to the repair pass below
+        for (const item of parser.push(chunk.delta)) {
+          const { value, error } = responseOptionSchema.validate(safeParse(item));
+          if (error || enhancedResponses.length >= 3 || checkResponses([value], options) || flagResponses([value], options) ||
+            improveResponses([value], options)) {
+            continue;
+          }
+          const enhanced = enhanceResponse(value, enhancedResponses.length, tone, sentiment, options, enhancedResponses.map(prev => prev.response));
+          enhancedResponses.push(enhanced);
+          yield { type: 'response', data: enhanced };
+        }
+      }
+
+      // Validate the whole answer and repair it if needed. The validated options are the
+      // result: they are what gets cached, saved and returned in `complete`.
+      const { value: validatedResponses, completion, flags: raised, flagged } = await validateWithRepair(
+        provider,
+        request,
+        responsesSchema,
+        { content, model: streamed.model, usage: streamed.usage },
+        {
+          check: (responses) => checkResponses(responses, options),
+          flag: (responses) => flagResponses(responses, options),
+          improve: (responses) => improveResponses(responses, options)
+        }
+      );
+      flags = raised;
+
+      const finalResponses = [];
+      for (const resp of validatedResponses) {
+        finalResponses.push(enhanceResponse(resp, finalResponses.length, tone, sentiment, options, finalResponses.map(prev => prev.response)));
+      }
+
+      // Options already sent stand when they are the start of the result. Otherwise (a
+      // repair replaced the draft) the client is told to drop them and gets every option again.
+      const keepsStreamed = enhancedResponses.every((sent, index) =>
+        index < finalResponses.length && JSON.stringify(sent) === JSON.stringify(finalResponses[index]));
+      if (!keepsStreamed) {
+        yield { type: 'reset', data: { reason: 'repaired' } };
+      }
+      for (const enhanced of finalResponses.slice(keepsStreamed ? enhancedResponses.length : 0)) {
+        yield { type: 'response', data: enhanced };
+      }
+      enhancedResponses = finalResponses;
+
+      if (!flagged) {
+        await cacheResponses(safeReview, cacheParams, validatedResponses, completion.model, options);
+      }
+      model = completion.model;
+    }
+
+    logger.business('Review responses streamed', {
+      reviewLength: reviewText.length,
+      businessType,
+      tone,
+      sentiment: sentiment.sentiment,
+      provider: provider.name,
+      cached,
+      escalated: risk.escalate,
+      responsesCount: enhancedResponses.length
+    });
+
+    yield {
+      type: 'complete',
+      data: {
+        responses: enhancedResponses,
+        metadata: {
+          originalReview: reviewText,
+          redactedReview: safeReview,
+          redactions: redactionService.summarizeEntities(redaction.entities),
+          businessType,
+          tone,
+          toneSelection: toneChoice.selection,
+          sentiment,
+          language: languageService.resolveLanguages(sentiment.language, options),
+          generatedAt: new Date().toISOString(),
+          provider: provider.name,
+          model,
+          cached,
+          compliance: complianceSummary(enhancedResponses, flags, options),
+          promptTemplate: promptTemplateInfo(options),
+          risk
+        }
+      }
+    };
+
+  } catch (error) {
+    if (options.signal && options.signal.aborted) {
+      throw error;
+    }
+    logger.error('Streaming response generation failed:', error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
     throw new Error('Failed to generate review responses. Please try again.');
   }
 }
 
+// Build the provider request that asks for revised variants of one response option
+function buildRefinementRequest(record, sourceResponse, refinement, options = {}) {
+  const businessContext = businessContextOf(options);
+  const toneInstruction = toneService.toneInstruction(options.toneDefinition);
+  const brandVoicePrompt = brandVoiceService.buildBrandVoicePrompt(options.brandVoice);
+  const redactionPrompt = redactionService.buildRedactionPrompt(options.redaction);
+  const compliancePrompt = complianceService.buildCompliancePrompt(options.complianceMode);
+  const languages = languageService.resolveLanguages(record.reviewLanguage, options);
+  const presets = refinement.presets || [];
+  const changes = [
+    ...presets.map(preset => refinementPresets[preset]),
+    ...(refinement.instructions ? [refinement.instructions] : [])
+  ];
+  const languageInstruction = languages.translation
+    ? `Write every variant in ${languageService.languageName(languages.response)}. Also add a "translation" field to each variant with that text translated into ${languageService.languageName(languages.translation)}.`
+    : `Write every variant in ${languageService.languageName(languages.response)}.`;
+
+  const systemPrompt = `You revise review responses for ${record.businessType} businesses.
+
+BUSINESS CONTEXT: ${businessContext.specialties}
+TONE: ${toneInstruction}
+LANGUAGE: ${languageInstruction}
+${brandVoicePrompt ? `\n${brandVoicePrompt}\n` : ''}${redactionPrompt ? `\n${redactionPrompt}\n` : ''}${compliancePrompt ? `\n${compliancePrompt}\n` : ''}
+REQUIREMENTS:
+- Rewrite the current response following the requested changes
+- Keep the facts, the business name "${record.businessName}" and the way the review's ${record.sentiment} sentiment is addressed
+- Do not invent offers, names or details that are not in the review, the current response or the requested changes
+- Generate exactly ${REFINEMENT_VARIANTS} different variants
+
+Return ONLY a JSON array of ${REFINEMENT_VARIANTS} objects with this exact format:
+[
+  {
+    "response": "Revised response text here...",
+    "length": 60,
+    "key_points": ["point1", "point2"]
+  }
+]`;
+
+  const userPrompt = `Original Review: "${record.reviewText}"
+
+Current Response: "${sourceResponse}"
+
+Requested Changes:
+${changes.map(change => `- ${change}`).join('\n')}`;
+
+  return {
+    purpose: 'refine',
+    messages: [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      {
+        role: 'user',
+        content: userPrompt
+      }
+    ],
+    maxTokens: parseInt(process.env.OPENAI_REFINE_MAX_TOKENS) || 600,
+    temperature: 0.6,
+    context: {
+      response: sourceResponse,
+      presets,
+      instructions: refinement.instructions,
+      language: languages.response,
+      translationLanguage: languages.translation,
+      bannedWords: options.brandVoice ? options.brandVoice.bannedWords : [],
+      complianceMode: options.complianceMode
+    }
+  };
+}
+
+// Produce revised variants of an existing response option. The record carries the
+// original review context (reviewText, businessType, tone, businessName, sentiment,
+// reviewLanguage); options.language pins the reply language of the original record.
+async function refineResponse(record, sourceResponse, refinement, options = {}) {
+  try {
+    // Stored reviews are usually redacted already; accounts that keep originals are masked here
+    const redaction = redactionService.redact(record.reviewText, options.redactionPolicy);
+    record = { ...record, reviewText: redaction.text };
+    options = {
+      ...options,
+      redaction,
+      complianceMode: options.complianceMode || complianceService.getComplianceMode(record.businessType)
+    };
+
+    const provider = usageLedger.meterProvider(getProvider(options), options.usage);
+    const sentiment = { sentiment: record.sentiment, language: record.reviewLanguage };
+
+    const { value: variants, completion, flags } = await completeWithSchema(
+      provider,
+      buildRefinementRequest(record, sourceResponse, refinement, options),
+      refinementSchema,
+      {
+        check: (responses) => checkResponses(responses, options),
+        flag: (responses) => flagResponses(responses, options)
+      }
+    );
+
+    const enhancedVariants = variants.map((resp, index) => enhanceResponse(resp, index, record.tone, sentiment, options));
+
+    logger.business('Review response refined', {
+      businessType: record.businessType,
+      tone: record.tone,
+      presets: refinement.presets || [],
+      customInstructions: Boolean(refinement.instructions),
+      provider: provider.name,
+      variantsCount: enhancedVariants.length
+    });
+
+    return {
+      variants: enhancedVariants,
+      metadata: {
+        provider: provider.name,
+        model: completion.model,
+        refinedAt: new Date().toISOString(),
+        compliance: complianceSummary(enhancedVariants, flags, options)
+      }
+    };
+
+  } catch (error) {
+    logger.error('Response refinement failed:', error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new Error('Failed to refine the review response. Please try again.');
+  }
+}
+
 // Generate a single response for automation
-async function generateSingleResponse(reviewText, businessType, tone, businessName) {
+async function generateSingleResponse(reviewText, businessType, tone, businessName, options = {}) {
   try {
-    const result = await generateResponses(reviewText, businessType, tone, businessName);
+    const result = await generateResponses(reviewText, businessType, tone, businessName, options);
     
-    // Return the first response for automation
+    // Return the first response for automation; escalated reviews get none, so
+    // nothing is posted before a person has looked at them
+    const escalated = result.metadata.risk.escalate;
     return {
-      response: result.responses[0].response,
+      response: escalated ? null : result.responses[0].response,
+      escalated,
       sentiment: result.metadata.sentiment,
       metadata: result.metadata
     };
@@ -250,79 +793,51 @@ async function generateSingleResponse(reviewText, businessType, tone, businessNa
   }
 }
 
-// Validate OpenAI API connection
-async function validateConnection() {
+// Validate the LLM provider connection
+async function validateConnection(options = {}) {
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
+    const provider = usageLedger.meterProvider(getProvider(options), options.usage);
+    await provider.complete({
+      purpose: 'ping',
+      model: provider.models.ping,
       messages: [{ role: 'user', content: 'Hello' }],
-      max_tokens: 5
+      maxTokens: 5
     });
     
-    logger.info('OpenAI connection validated successfully');
+    logger.info('LLM provider connection validated successfully', { provider: provider.name });
     return true;
   } catch (error) {
-    logger.error('OpenAI connection validation failed:', error);
+    logger.error('LLM provider connection validation failed:', error);
     return false;
   }
 }
 
-// Get usage statistics (if available in API)
-async function getUsageStats() {
+// Get token and cost usage for a user over a date range (defaults to the last 30 days)
+async function getUsageStats(userId, from = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), to = new Date()) {
   try {
-    // Note: OpenAI doesn't provide usage stats through the API currently
-    // This is a placeholder for future implementation
+    const usage = await usageLedger.getUserUsage(userId, from, to);
+
     return {
-      totalTokens: 0,
-      promptTokens: 0,
-      completionTokens: 0,
-      totalCost: 0
+      totalTokens: usage.totals.totalTokens,
+      promptTokens: usage.totals.promptTokens,
+      completionTokens: usage.totals.completionTokens,
+      totalCost: usage.totals.costUsd,
+      daily: usage.daily,
+      byModel: usage.byModel
     };
   } catch (error) {
-    logger.error('Failed to get OpenAI usage stats:', error);
+    logger.error('Failed to get LLM usage stats:', error);
     return null;
   }
 }
 
-// Batch process multiple reviews
-async function batchGenerateResponses(reviews, businessType, tone, businessName) {
-  const results = [];
-  const errors = [];
-
-  for (const review of reviews) {
-    try {
-      const result = await generateSingleResponse(
-        review.text,
-        businessType,
-        tone,
-        businessName
-      );
-      
-      results.push({
-        reviewId: review.id,
-        ...result
-      });
-      
-      // Add delay to respect rate limits
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    } catch (error) {
-      errors.push({
-        reviewId: review.id,
-        error: error.message
-      });
-    }
-  }
-
-  return { results, errors };
-}
-
 module.exports = {
   generateResponses,
+  streamResponses,
+  refineResponse,
   generateSingleResponse,
   analyzeSentiment,
   validateConnection,
   getUsageStats,
-  batchGenerateResponses,
-  businessContexts,
-  toneInstructions
+  refinementPresets
 };
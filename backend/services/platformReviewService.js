@@ -0,0 +1,357 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+const connectors = require('./connectors');
+const { VaultError } = require('./credentialVault');
+const platformService = require('./platformService');
+const redactionService = require('./redactionService');
+const businessTypeService = require('./businessTypeService');
+const spamDetectionService = require('./spamDetectionService');
+const riskService = require('./riskService');
+const escalationService = require('./escalationService');
+const usageLedger = require('./usageLedger');
+const jobService = require('./jobService');
+const { getProvider } = require('./providers');
+const { recordAudit } = require('./auditService');
+
+// Reviews on connected platforms: syncing new ones into `reviews`, screening them
+// for fake/spam signals and high risk, and posting replies back to the platform.
+
+const REVIEW_STATUSES = ['new', 'generated', 'flagged', 'escalated', 'responded'];
+
+// Background job that syncs one integration (workers/jobs/reviewSync.js)
+const REVIEW_SYNC_JOB = 'review_sync';
+
+const maxReviewsPerSync = () => parseInt(process.env.MAX_REVIEWS_PER_SYNC) || 50;
+
+const REVIEW_COLUMNS = `r.id, r.platform_integration_id, r.platform_review_id, r.reviewer_name, r.review_text, r.rating,
+  r.review_date, r.platform_name, r.sentiment_score, r.sentiment_category, r.status, r.spam_score, r.reply_text,
+  r.platform_response_id, r.replied_at, r.processed_at, r.created_at, r.tags, r.automation_decision`;
+
+// Map a database row to the API shape
+const formatReview = (row) => ({
+  id: row.id,
+  integrationId: row.platform_integration_id,
+  platform: row.platform_name,
+  platformReviewId: row.platform_review_id,
+  reviewerName: row.reviewer_name,
+  reviewText: row.review_text,
+  rating: row.rating,
+  reviewDate: row.review_date,
+  sentimentScore: row.sentiment_score !== null && row.sentiment_score !== undefined ? parseFloat(row.sentiment_score) : null,
+  sentimentCategory: row.sentiment_category,
+  status: row.status,
+  spamScore: row.spam_score,
+  reply: row.reply_text
+    ? { text: row.reply_text, platformResponseId: row.platform_response_id, repliedAt: row.replied_at }
+    : null,
+  tags: row.tags || [],
+  automation: row.automation_decision || null,
+  processedAt: row.processed_at,
+  createdAt: row.created_at
+});
+
+// Store a review from the platform. Returns the new row's id, or null when it was
+// synced before. Reviews already answered on the platform come in as responded.
+async function storeReview(integration, review) {
+  const result = await query(
+    `INSERT INTO reviews (user_id, platform_integration_id, platform_review_id, reviewer_name, review_text, rating,
+                          review_date, platform_name, status, reply_text, platform_response_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (platform_integration_id, platform_review_id) DO NOTHING
+     RETURNING id`,
+    [integration.user_id, integration.id, review.platformReviewId, review.reviewerName ? review.reviewerName.slice(0, 255) : null,
+     review.text || '', review.rating || null, review.reviewDate, integration.platform_name,
+     review.reply ? 'responded' : 'new', review.reply ? review.reply.text : null,
+     review.reply ? review.reply.platformResponseId : null]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+// Hold a new review as possibly fake, or escalate it when it is high risk. The
+// detectors only see the redacted text. Returns 'flagged', 'escalated' or null.
+async function screenSyncedReview(user, integration, reviewId, review) {
+  const usage = usageLedger.createUsageTracker();
+
+  try {
+    const redactionPolicy = await redactionService.getRedactionPolicy(user.id);
+    const safeText = redactionService.redact(review.text, redactionPolicy).text;
+    const accountType = await businessTypeService.findBusinessType(user.business_type, user.id);
+
+    const flag = await spamDetectionService.screenReview(user.id, {
+      id: reviewId,
+      text: safeText,
+      rating: review.rating,
+      platform: integration.platform_name,
+      reviewerName: review.reviewerName,
+      reviewDate: review.reviewDate
+    }, {
+      subscriptionTier: user.subscription_tier,
+      usage,
+      businessName: user.business_name,
+      businessContext: businessTypeService.businessContextFor(accountType),
+      businessType: user.business_type
+    });
+    if (flag) {
+      return 'flagged';
+    }
+
+    const provider = usageLedger.meterProvider(getProvider({ subscriptionTier: user.subscription_tier }), usage);
+    const risk = await riskService.classifyRisk(safeText, provider);
+    if (!risk.escalate) {
+      return null;
+    }
+
+    const escalation = await escalationService.createEscalation(user.id, {
+      id: reviewId,
+      text: safeText,
+      platform: integration.platform_name
+    }, risk, { businessName: user.business_name, ownerEmail: user.email });
+
+    await recordAudit({
+      userId: user.id,
+      action: 'escalation.opened',
+      resourceType: 'escalation',
+      resourceId: escalation.id,
+      details: { severity: escalation.severity, categories: risk.categories.map(entry => entry.category), reviewId }
+    });
+    return 'escalated';
+  } finally {
+    await usageLedger.recordUsage(user.id, null, usage);
+  }
+}
+
+// Record a failed sync. A platform that asked us to slow down pauses syncing until
+// its retry time; anything else counts as an error on the integration.
+async function recordSyncFailure(integration, error) {
+  const isConnectorError = error instanceof connectors.ConnectorError;
+  const isSafeError = isConnectorError || error instanceof VaultError;
+
+  if (isConnectorError && error.errorCode === 'PLATFORM_RATE_LIMITED') {
+    await query(
+      `UPDATE platform_integrations
+       SET sync_status = 'rate_limited', rate_limited_until = NOW() + ($2 || ' milliseconds')::interval
+       WHERE id = $1`,
+      [integration.id, String(error.retryAfterMs || 60000)]
+    );
+    return;
+  }
+
+  await query(
+    `UPDATE platform_integrations
+     SET sync_status = 'error', error_count = error_count + 1, last_error = $2
+     WHERE id = $1`,
+    [integration.id, isSafeError ? error.message : 'Review sync failed']
+  );
+}
+
+// Fetch the reviews posted since the last sync (up to MAX_REVIEWS_PER_SYNC) and
+// screen the new ones. Returns null when the integration does not exist, { skipped }
+// when it is disconnected or rate limited, otherwise { fetched, created, flagged,
+// escalated, hasMore, newReviewIds }; newReviewIds are the new reviews that passed
+// screening and still need a reply. Connector failures are recorded on the
+// integration and rethrown.
+async function syncIntegration(integrationId, { userId = null } = {}) {
+  const integration = await platformService.loadIntegration(integrationId, userId);
+  if (!integration) {
+    return null;
+  }
+  if (!integration.is_active) {
+    return { skipped: 'disconnected' };
+  }
+  if (integration.rate_limited_until && new Date(integration.rate_limited_until) > new Date()) {
+    return { skipped: 'rate_limited', retryAt: integration.rate_limited_until };
+  }
+
+  const userResult = await query(
+    `SELECT id, email, business_name, business_type, subscription_tier
+     FROM users
+     WHERE id = $1 AND is_active = true`,
+    [integration.user_id]
+  );
+  if (userResult.rows.length === 0) {
+    return { skipped: 'account_inactive' };
+  }
+  const user = userResult.rows[0];
+
+  const connector = connectors.getConnector(integration.platform_name);
+  let page;
+  try {
+    page = await connector.listReviews(platformService.connectorContext(integration), {
+      cursor: integration.sync_cursor,
+      limit: maxReviewsPerSync()
+    });
+  } catch (error) {
+    await recordSyncFailure(integration, error);
+    throw error;
+  }
+
+  const summary = { fetched: page.reviews.length, created: 0, flagged: 0, escalated: 0, hasMore: Boolean(page.hasMore), newReviewIds: [] };
+  for (const review of page.reviews) {
+    const reviewId = await storeReview(integration, review);
+    if (!reviewId) {
+      continue;
+    }
+    summary.created += 1;
+
+    // Answered and empty (rating-only) reviews need no screening
+    if (review.reply || !review.text) {
+      continue;
+    }
+    const outcome = await screenSyncedReview(user, integration, reviewId, review);
+    if (outcome) {
+      summary[outcome] += 1;
+    } else {
+      summary.newReviewIds.push(reviewId);
+    }
+  }
+
+  await query(
+    `UPDATE platform_integrations
+     SET last_sync = NOW(), sync_status = 'ok', sync_cursor = $2, rate_limit = $3, rate_limited_until = NULL,
+         error_count = 0, last_error = NULL
+     WHERE id = $1`,
+    [integration.id, page.cursor, JSON.stringify(page.rateLimit || null)]
+  );
+
+  logger.business('Reviews synced', {
+    userId: user.id,
+    integrationId: integration.id,
+    platform: integration.platform_name,
+    fetched: summary.fetched,
+    created: summary.created,
+    flagged: summary.flagged,
+    escalated: summary.escalated
+  });
+
+  return summary;
+}
+
+// Queue a sync of one integration now, unless one is already queued
+function queueSync(integrationId, userId) {
+  return jobService.enqueueJob(REVIEW_SYNC_JOB, { integrationId }, { userId, dedupeKey: integrationId });
+}
+
+async function listReviews(userId, { status, platform, integrationId, tag, limit = 50 } = {}) {
+  const result = await query(
+    `SELECT ${REVIEW_COLUMNS}
+     FROM reviews r
+     WHERE r.user_id = $1
+       AND ($2::text[] IS NULL OR r.status = ANY($2))
+       AND ($3::text IS NULL OR r.platform_name = $3)
+       AND ($4::uuid IS NULL OR r.platform_integration_id = $4)
+       AND ($6::text IS NULL OR r.tags ? $6)
+     ORDER BY COALESCE(r.review_date, r.created_at) DESC
+     LIMIT $5`,
+    [userId, status ? [].concat(status) : null, platform || null, integrationId || null, limit, tag || null]
+  );
+  return result.rows.map(formatReview);
+}
+
+async function getReview(userId, reviewId) {
+  const result = await query(
+    `SELECT ${REVIEW_COLUMNS} FROM reviews r WHERE r.id = $1 AND r.user_id = $2`,
+    [reviewId, userId]
+  );
+  return result.rows.length > 0 ? formatReview(result.rows[0]) : null;
+}
+
+// A review with the integration it came from
+async function loadReviewWithIntegration(userId, reviewId) {
+  const result = await query(
+    `SELECT ${REVIEW_COLUMNS}, i.is_active AS integration_active
+     FROM reviews r
+     LEFT JOIN platform_integrations i ON i.id = r.platform_integration_id
+     WHERE r.id = $1 AND r.user_id = $2`,
+    [reviewId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Post a reply to the review on its platform, or replace the reply it has. Returns
+// the review, null when it does not exist, or { notConnected: true } when it was
+// imported or its integration is disconnected.
+async function replyToReview(userId, reviewId, text) {
+  const row = await loadReviewWithIntegration(userId, reviewId);
+  if (!row) {
+    return null;
+  }
+  if (!row.platform_integration_id || !row.integration_active) {
+    return { notConnected: true };
+  }
+
+  const integration = await platformService.loadIntegration(row.platform_integration_id, userId);
+  const connector = connectors.getConnector(integration.platform_name);
+  const context = platformService.connectorContext(integration);
+  const review = { platformReviewId: row.platform_review_id, platformResponseId: row.platform_response_id };
+
+  const { platformResponseId, rateLimit } = row.platform_response_id
+    ? await connector.updateReply(context, review, text)
+    : await connector.postReply(context, review, text);
+  await platformService.recordRateLimit(integration.id, rateLimit);
+
+  const result = await query(
+    `UPDATE reviews r
+     SET reply_text = $3, platform_response_id = $4, replied_at = NOW(), status = 'responded'
+     WHERE r.id = $1 AND r.user_id = $2
+     RETURNING ${REVIEW_COLUMNS}`,
+    [reviewId, userId, text, platformResponseId]
+  );
+
+  logger.business('Reply posted to platform', {
+    userId,
+    reviewId,
+    platform: integration.platform_name,
+    updated: Boolean(row.platform_response_id)
+  });
+
+  return formatReview(result.rows[0]);
+}
+
+// Remove the review's reply from its platform. Returns the review, null when it
+// does not exist, { notConnected: true } or { noReply: true }.
+async function deleteReply(userId, reviewId) {
+  const row = await loadReviewWithIntegration(userId, reviewId);
+  if (!row) {
+    return null;
+  }
+  if (!row.platform_integration_id || !row.integration_active) {
+    return { notConnected: true };
+  }
+  if (!row.reply_text) {
+    return { noReply: true };
+  }
+
+  const integration = await platformService.loadIntegration(row.platform_integration_id, userId);
+  const { rateLimit } = await connectors.getConnector(integration.platform_name).deleteReply(
+    platformService.connectorContext(integration),
+    { platformReviewId: row.platform_review_id, platformResponseId: row.platform_response_id }
+  );
+  await platformService.recordRateLimit(integration.id, rateLimit);
+
+  const result = await query(
+    `UPDATE reviews r
+     SET reply_text = NULL, platform_response_id = NULL, replied_at = NULL, status = 'new'
+     WHERE r.id = $1 AND r.user_id = $2
+     RETURNING ${REVIEW_COLUMNS}`,
+    [reviewId, userId]
+  );
+
+  logger.business('Reply deleted from platform', {
+    userId,
+    reviewId,
+    platform: integration.platform_name
+  });
+
+  return formatReview(result.rows[0]);
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_SYNC_JOB,
+  syncIntegration,
+  queueSync,
+  listReviews,
+  getReview,
+  replyToReview,
+  deleteReply
+};
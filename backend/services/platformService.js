@@ -0,0 +1,249 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+const connectors = require('./connectors');
+const credentialVault = require('./credentialVault');
+
+// Review platform integrations: an account's connection to one business on one
+// platform, with its credentials, sync position and the platform's rate-limit hints.
+// Credentials are sealed by the credential vault and never leave this module in API
+// responses or logs.
+
+const INTEGRATION_COLUMNS = `id, platform_name, business_id, account_name, is_active, last_sync, sync_status,
+  sync_cursor, rate_limit, rate_limited_until, error_count, last_error, timezone, created_at, updated_at`;
+
+// Map a database row to the API shape (without credentials)
+const formatIntegration = (row) => ({
+  id: row.id,
+  platform: row.platform_name,
+  businessId: row.business_id,
+  accountName: row.account_name,
+  isActive: row.is_active,
+  lastSync: row.last_sync,
+  syncStatus: row.sync_status,
+  rateLimit: row.rate_limit || null,
+  rateLimitedUntil: row.rate_limited_until,
+  errorCount: row.error_count,
+  lastError: row.last_error,
+  timezone: row.timezone,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// The record the sealed credentials are bound to
+const credentialContext = ({ userId, platform, businessId }) =>
+  `platform_integrations|${userId}|${platform}|${businessId}`;
+
+const rowCredentialContext = (row) =>
+  credentialContext({ userId: row.user_id, platform: row.platform_name, businessId: row.business_id });
+
+// What a connector needs to talk to the platform for this integration
+const connectorContext = (row) => ({
+  businessId: row.business_id,
+  credentials: credentialVault.openCredentials(row.api_credentials_encrypted, rowCredentialContext(row))
+});
+
+async function listIntegrations(userId) {
+  const result = await query(
+    `SELECT ${INTEGRATION_COLUMNS} FROM platform_integrations WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows.map(formatIntegration);
+}
+
+async function getIntegration(userId, integrationId) {
+  const result = await query(
+    `SELECT ${INTEGRATION_COLUMNS} FROM platform_integrations WHERE id = $1 AND user_id = $2`,
+    [integrationId, userId]
+  );
+  return result.rows.length > 0 ? formatIntegration(result.rows[0]) : null;
+}
+
+// The full row including credentials, for the sync and reply code
+async function loadIntegration(integrationId, userId = null) {
+  const result = await query(
+    `SELECT user_id, api_credentials_encrypted, ${INTEGRATION_COLUMNS}
+     FROM platform_integrations
+     WHERE id = $1 AND ($2::uuid IS NULL OR user_id = $2)`,
+    [integrationId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Remember the platform's latest rate-limit hints
+async function recordRateLimit(integrationId, rateLimit) {
+  if (!rateLimit) {
+    return;
+  }
+  await query(
+    'UPDATE platform_integrations SET rate_limit = $2 WHERE id = $1',
+    [integrationId, JSON.stringify(rateLimit)]
+  );
+}
+
+// Check the credentials with the platform, then store the integration. Connecting
+// the same business again replaces its credentials and reactivates it. Throws a
+// ConnectorError when the platform rejects the credentials.
+async function connectIntegration(userId, platform, { businessId, credentials }) {
+  const connector = connectors.getConnector(platform);
+  const { account, rateLimit } = await connector.authenticate({ businessId, credentials });
+  const { sealed, keyVersion } = credentialVault.sealCredentials(credentials, credentialContext({ userId, platform, businessId }));
+
+  const result = await query(
+    `INSERT INTO platform_integrations (user_id, platform_name, business_id, account_name, api_credentials_encrypted,
+                                       credentials_key_version, rate_limit)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (user_id, platform_name, business_id) DO UPDATE
+     SET account_name = EXCLUDED.account_name,
+         api_credentials_encrypted = EXCLUDED.api_credentials_encrypted,
+         credentials_key_version = EXCLUDED.credentials_key_version,
+         rate_limit = EXCLUDED.rate_limit,
+         is_active = true,
+         sync_status = 'pending',
+         rate_limited_until = NULL,
+         error_count = 0,
+         last_error = NULL
+     RETURNING ${INTEGRATION_COLUMNS}`,
+    [userId, platform, businessId, account.name || null, sealed, keyVersion, JSON.stringify(rateLimit || null)]
+  );
+
+  logger.business('Platform connected', {
+    userId,
+    integrationId: result.rows[0].id,
+    platform
+  });
+
+  return { integration: formatIntegration(result.rows[0]), account };
+}
+
+// Ask the platform whether the stored credentials still work. Returns null when the
+// integration does not exist, otherwise { ok, account, rateLimit } or { ok: false, error }.
+async function testIntegration(userId, integrationId) {
+  const row = await loadIntegration(integrationId, userId);
+  if (!row) {
+    return null;
+  }
+  if (!row.is_active) {
+    return { ok: false, error: { code: 'PLATFORM_DISCONNECTED', message: 'The integration is disconnected' } };
+  }
+
+  try {
+    const { account, rateLimit } = await connectors.getConnector(row.platform_name).authenticate(connectorContext(row));
+    await recordRateLimit(row.id, rateLimit);
+    return { ok: true, account, rateLimit };
+  } catch (error) {
+    if (!(error instanceof connectors.ConnectorError)) {
+      throw error;
+    }
+    return { ok: false, error: { code: error.errorCode, message: error.message } };
+  }
+}
+
+// Stop syncing and forget the credentials. Synced reviews are kept.
+async function disconnectIntegration(userId, integrationId) {
+  const result = await query(
+    `UPDATE platform_integrations
+     SET is_active = false, api_credentials_encrypted = '', credentials_key_version = NULL, sync_status = 'pending'
+     WHERE id = $1 AND user_id = $2
+     RETURNING ${INTEGRATION_COLUMNS}`,
+    [integrationId, userId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  logger.business('Platform disconnected', {
+    userId,
+    integrationId,
+    platform: result.rows[0].platform_name
+  });
+
+  return formatIntegration(result.rows[0]);
+}
+
+// Set the location's timezone (null uses the account's)
+async function setIntegrationTimezone(userId, integrationId, timezone) {
+  const result = await query(
+    `UPDATE platform_integrations
+     SET timezone = $3, updated_at = NOW()
+     WHERE id = $1 AND user_id = $2
+     RETURNING ${INTEGRATION_COLUMNS}`,
+    [integrationId, userId, timezone]
+  );
+  return result.rows.length > 0 ? formatIntegration(result.rows[0]) : null;
+}
+
+// Re-wrap every stored credential with the current master key, and seal any stored
+// as plaintext before the vault existed. A row is only updated if its credentials did
+// not change in the meantime. Returns { checked, rewrapped, sealed, failed }.
+async function rotateCredentials({ batchSize = 100, dryRun = false } = {}) {
+  const currentVersion = credentialVault.currentKeyVersion();
+  const summary = { checked: 0, rewrapped: 0, sealed: 0, failed: 0 };
+  let lastId = null;
+
+  for (;;) {
+    const result = await query(
+      `SELECT id, user_id, platform_name, business_id, api_credentials_encrypted
+       FROM platform_integrations
+       WHERE api_credentials_encrypted <> ''
+         AND credentials_key_version IS DISTINCT FROM $1
+         AND ($2::uuid IS NULL OR id > $2)
+       ORDER BY id
+       LIMIT $3`,
+      [currentVersion, lastId, batchSize]
+    );
+    if (result.rows.length === 0) {
+      break;
+    }
+
+    for (const row of result.rows) {
+      lastId = row.id;
+      summary.checked += 1;
+
+      const stored = row.api_credentials_encrypted;
+      const legacy = !credentialVault.isSealed(stored);
+      let next;
+      try {
+        next = legacy
+          ? credentialVault.sealCredentials(JSON.parse(stored), rowCredentialContext(row))
+          : credentialVault.rewrapCredentials(stored, rowCredentialContext(row));
+      } catch (error) {
+        summary.failed += 1;
+        logger.warn('Stored credentials could not be rotated', {
+          integrationId: row.id,
+          code: error.errorCode || 'CREDENTIALS_UNREADABLE'
+        });
+        continue;
+      }
+
+      if (!dryRun) {
+        await query(
+          `UPDATE platform_integrations
+           SET api_credentials_encrypted = $2, credentials_key_version = $3
+           WHERE id = $1 AND api_credentials_encrypted = $4`,
+          [row.id, next ? next.sealed : stored, currentVersion, stored]
+        );
+      }
+      if (next) {
+        summary[legacy ? 'sealed' : 'rewrapped'] += 1;
+      }
+    }
+  }
+
+  logger.business('Platform credentials rotated', { keyVersion: currentVersion, dryRun, ...summary });
+
+  return summary;
+}
+
+module.exports = {
+  formatIntegration,
+  connectorContext,
+  listIntegrations,
+  getIntegration,
+  loadIntegration,
+  recordRateLimit,
+  connectIntegration,
+  testIntegration,
+  disconnectIntegration,
+  setIntegrationTimezone,
+  rotateCredentials
+};
@@ -0,0 +1,121 @@
+const moment = require('moment-timezone');
+
+// When automated replies may be posted: inside the working hours of the business's
+// local timezone, on working days (weekdays, or every day with weekend_enabled),
+// and not on the account's holidays. Windows are built from local wall-clock times
+// for each calendar day, so they stay at the same local hours across DST changes.
+//
+// A schedule is { timezone, start, end, weekends, holidays } with start and end in
+// minutes after local midnight and holidays as local 'YYYY-MM-DD' dates.
+
+const DEFAULT_TIMEZONE = 'UTC';
+const MAX_DAYS_AHEAD = 400;
+
+const isValidTimezone = (timezone) => typeof timezone === 'string' && moment.tz.zone(timezone) !== null;
+
+// 'HH:mm' or 'HH:mm:ss' (as Postgres returns TIME) to minutes after midnight
+function minutesOf(time) {
+  const [hours, minutes] = String(time).split(':').map(part => parseInt(part, 10));
+  return hours * 60 + (minutes || 0);
+}
+
+const timeOf = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// The schedule of an automation_settings row in a timezone (unknown zones fall back to UTC)
+function scheduleFor(settings, timezone) {
+  return {
+    timezone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    start: minutesOf((settings && settings.working_hours_start) || '09:00'),
+    end: minutesOf((settings && settings.working_hours_end) || '17:00'),
+    weekends: Boolean(settings && settings.weekend_enabled),
+    holidays: (settings && settings.holidays) || []
+  };
+}
+
+// The local calendar day `offset` days after the day of `instant`
+const localDay = (instant, schedule, offset = 0) =>
+  moment(instant).tz(schedule.timezone).startOf('day').add(offset, 'days').format('YYYY-MM-DD');
+
+function isWorkingDay(day, schedule) {
+  const weekday = moment.tz(day, 'YYYY-MM-DD', schedule.timezone).isoWeekday();
+  return (schedule.weekends || weekday < 6) && !schedule.holidays.includes(day);
+}
+
+// Opening and closing instants of a local day's window. A local time skipped by a
+// DST change moves forward to the first valid time.
+function windowOn(day, schedule) {
+  const at = (minutes) => moment.tz(`${day} ${timeOf(minutes)}`, 'YYYY-MM-DD HH:mm', schedule.timezone);
+  return { open: at(schedule.start), close: at(schedule.end) };
+}
+
+// Whether a reply may be posted at `instant`
+function isPostingTime(instant, schedule) {
+  const day = localDay(instant, schedule);
+  if (!isWorkingDay(day, schedule)) {
+    return false;
+  }
+  const { open, close } = windowOn(day, schedule);
+  const time = moment(instant);
+  return !time.isBefore(open) && time.isBefore(close);
+}
+
+// Up to `jitterMinutes` of random delay after `start`, kept inside its window
+function addJitter(start, schedule, jitterMinutes, random) {
+  const jitterMs = Math.floor(random() * jitterMinutes * 60000);
+  const { close } = windowOn(localDay(start, schedule), schedule);
+  const latest = moment.max(moment(start), close.clone().subtract(1, 'minute'));
+  return moment.min(moment(start).add(jitterMs, 'ms'), latest).toDate();
+}
+
+// The first posting time at or after `instant`. When that means waiting for the
+// next window, up to `jitterMinutes` of random delay is added after it opens so
+// replies held overnight do not all go out at opening time. Returns a Date, or null
+// when no window opens within MAX_DAYS_AHEAD days.
+function nextPostingTime(instant, schedule, { jitterMinutes = 0, random = Math.random } = {}) {
+  const time = moment(instant);
+
+  for (let offset = 0; offset < MAX_DAYS_AHEAD; offset += 1) {
+    const day = localDay(instant, schedule, offset);
+    if (!isWorkingDay(day, schedule)) {
+      continue;
+    }
+
+    const { open, close } = windowOn(day, schedule);
+    if (!time.isBefore(close)) {
+      continue;
+    }
+    if (!time.isBefore(open)) {
+      return time.toDate();
+    }
+    return addJitter(open.toDate(), schedule, jitterMinutes, random);
+  }
+  return null;
+}
+
+// When a reply to a review arriving at `from` should be posted: after the response
+// delay, moved into the next posting window if needed, plus up to `jitterMinutes`.
+// The jitter is added once and never leaves the window.
+function replyTime(from, schedule, { delayMinutes = 0, jitterMinutes = 0, random = Math.random } = {}) {
+  const due = moment(from).add(delayMinutes, 'minutes').toDate();
+  const start = nextPostingTime(due, schedule);
+  return start ? addJitter(start, schedule, jitterMinutes, random) : due;
+}
+
+// Start of the local day of `instant`, for daily limits
+const startOfLocalDay = (instant, schedule) => moment(instant).tz(schedule.timezone).startOf('day').toDate();
+
+// An instant in the schedule's timezone, for the API
+const localTime = (instant, schedule) => moment(instant).tz(schedule.timezone).format();
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  minutesOf,
+  scheduleFor,
+  isPostingTime,
+  nextPostingTime,
+  replyTime,
+  startOfLocalDay,
+  localTime
+};
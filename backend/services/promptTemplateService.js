@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+
+// Versioned prompt templates and A/B experiments. A template holds the system
+// and user prompt for one purpose (`responses` or `sentiment`) with {{variable}}
+// placeholders that openaiService fills in. When no version is active the
+// built-in templates below are used; they are reported as version 0.
+
+const TEMPLATE_PURPOSES = ['responses', 'sentiment'];
+
+// Experiments compare replies, so only the responses prompt can be split
+const EXPERIMENT_PURPOSES = ['responses'];
+
+// Variables each purpose's templates may use. Section variables (brandVoice,
+// criticisedAspects, privacy, compliance) are empty or a block wrapped in newlines.
+const TEMPLATE_VARIABLES = {
+  responses: [
+    'businessType', 'businessName', 'businessContext', 'tone', 'toneInstruction', 'strategyApproach',
+    'strategyElements', 'languageInstruction', 'replyLanguage', 'brandVoice', 'criticisedAspects',
+    'privacy', 'compliance', 'reviewText', 'sentiment'
+  ],
+  sentiment: ['reviewText', 'aspects']
+};
+
+const BUILTIN_TEMPLATES = {
+  responses: {
+    system: `You are an expert at writing professional review responses for {{businessType}} businesses.
+
+BUSINESS CONTEXT: {{businessContext}}
+TONE: {{toneInstruction}}
+STRATEGY: {{strategyApproach}}
+LANGUAGE: {{languageInstruction}}
+{{brandVoice}}{{criticisedAspects}}{{privacy}}{{compliance}}
+REQUIREMENTS:
+- Generate exactly 3 different response options
+- Each response should be 2-4 sentences long
+- Include the business name: "{{businessName}}"
+- Address specific points mentioned in the review
+- {{strategyElements}}
+- Make each response unique but appropriate
+- Keep responses between 50-150 words each
+- Use natural, human-like language
+- Avoid generic templates
+
+Return ONLY a JSON array with this exact format:
+[
+  {
+    "response": "Response text here...",
+    "length": 95,
+    "key_points": ["point1", "point2"]
+  },
+  {
+    "response": "Response text here...",
+    "length": 87,
+    "key_points": ["point1", "point2"]
+  },
+  {
+    "response": "Response text here...",
+    "length": 102,
+    "key_points": ["point1", "point2"]
+  }
+]`,
+    user: `Original Review: "{{reviewText}}"
+
+Business: {{businessName}}
+Business Type: {{businessType}}
+Requested Tone: {{tone}}
+Review Sentiment: {{sentiment}}
+Reply Language: {{replyLanguage}}`
+  },
+  sentiment: {
+    system: 'You are a sentiment analysis expert. Respond only with valid JSON.',
+    user: `Analyze the sentiment of this review and return ONLY a JSON object with the following format:
+{
+  "sentiment": "positive|negative|neutral",
+  "score": 0.85,
+  "confidence": "high|medium|low",
+  "key_emotions": ["satisfied", "disappointed", "etc"],
+  "main_concerns": ["service", "quality", "etc"],
+  "language": "ISO 639-1 code of the language the review is written in, e.g. en, es, fr, de, ja",
+  "aspects": [
+    {
+      "aspect": "one of the aspects listed below",
+      "sentiment": "positive|negative|neutral",
+      "score": 0.2,
+      "evidence": "the part of the review about this aspect"
+    }
+  ]
+}
+
+Only include aspects the review actually mentions, using these names: {{aspects}}.
+Scores range from 0 (very negative) to 1 (very positive).
+
+Review: "{{reviewText}}"`
+  }
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// The built-in template for a purpose, in the same shape as a stored one
+const builtinTemplate = (purpose) => ({
+  id: null,
+  purpose,
+  version: 0,
+  system: BUILTIN_TEMPLATES[purpose].system,
+  user: BUILTIN_TEMPLATES[purpose].user,
+  experimentId: null
+});
+
+// Fill in {{variable}} placeholders; missing values render as empty strings
+function render(template, variables = {}) {
+  return template.replace(VARIABLE_PATTERN, (match, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+// Variables a template uses that its purpose does not provide
+function unknownVariables(purpose, ...templates) {
+  const allowed = TEMPLATE_VARIABLES[purpose] || [];
+  const used = templates.flatMap(template => [...(template || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]));
+  return [...new Set(used.filter(name => !allowed.includes(name)))];
+}
+
+// Map a database row to the template shape used by the API and the prompt builder
+const formatTemplate = (row) => ({
+  id: row.id,
+  purpose: row.purpose,
+  version: row.version,
+  system: row.system_template,
+  user: row.user_template,
+  description: row.description,
+  isActive: row.is_active,
+  createdAt: row.created_at
+});
+
+const formatExperiment = (row) => ({
+  id: row.id,
+  name: row.name,
+  purpose: row.purpose,
+  status: row.status,
+  variants: row.variants || [],
+  startedAt: row.started_at,
+  stoppedAt: row.stopped_at
+});
+
+const TEMPLATE_COLUMNS = 'id, purpose, version, system_template, user_template, description, is_active, created_at';
+const EXPERIMENT_COLUMNS = 'id, name, purpose, status, variants, started_at, stopped_at';
+
+async function listTemplates(purpose) {
+  const result = await query(
+    `SELECT ${TEMPLATE_COLUMNS}
+     FROM prompt_templates
+     WHERE ($1::varchar IS NULL OR purpose = $1)
+     ORDER BY purpose, version DESC`,
+    [purpose || null]
+  );
+  return result.rows.map(formatTemplate);
+}
+
+async function getTemplate(id) {
+  const result = await query(`SELECT ${TEMPLATE_COLUMNS} FROM prompt_templates WHERE id = $1`, [id]);
+  return result.rows.length > 0 ? formatTemplate(result.rows[0]) : null;
+}
+
+// Store a new version of a purpose's template (versions start at 1)
+async function createTemplate(purpose, { system, user, description }, createdBy) {
+  const result = await query(
+    `INSERT INTO prompt_templates (purpose, version, system_template, user_template, description, created_by)
+     SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5
+     FROM prompt_templates
+     WHERE purpose = $1
+     RETURNING ${TEMPLATE_COLUMNS}`,
+    [purpose, system, user, description || null, createdBy]
+  );
+  return formatTemplate(result.rows[0]);
+}
+
+// Make a version the one used outside experiments; null returns the purpose to the built-in template
+async function activateTemplate(purpose, id) {
+  // Two statements, since only one version per purpose may be active at any time
+  await transaction(async (client) => {
+    await client.query(
+      'UPDATE prompt_templates SET is_active = false WHERE purpose = $1 AND is_active = true',
+      [purpose]
+    );
+    if (id) {
+      await client.query(
+        'UPDATE prompt_templates SET is_active = true WHERE purpose = $1 AND id = $2',
+        [purpose, id]
+      );
+    }
+  });
+  return id ? getTemplate(id) : builtinTemplate(purpose);
+}
+
+// Sticky, weighted variant choice: a user always gets the same variant of an experiment
+function assignVariant(experiment, userId) {
+  const variants = experiment.variants;
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${userId}`).digest();
+  let bucket = hash.readUInt32BE(0) % total;
+
+  for (const variant of variants) {
+    if (bucket < variant.weight) {
+      return variant;
+    }
+    bucket -= variant.weight;
+  }
+  return variants[variants.length - 1];
+}
+
+async function getRunningExperiment(purpose) {
+  const result = await query(
+    `SELECT ${EXPERIMENT_COLUMNS} FROM prompt_experiments WHERE purpose = $1 AND status = 'running'`,
+    [purpose]
+  );
+  return result.rows.length > 0 ? formatExperiment(result.rows[0]) : null;
+}
+
+// The template a user's request should use for a purpose: the experiment variant
+// assigned to the user, else the active version, else the built-in template
+async function resolveTemplate(purpose, userId) {
+  const experiment = EXPERIMENT_PURPOSES.includes(purpose) ? await getRunningExperiment(purpose) : null;
+  if (experiment) {
+    const variant = assignVariant(experiment, userId);
+    const template = variant.templateId ? await getTemplate(variant.templateId) : builtinTemplate(purpose);
+    if (template) {
+      return { ...template, experimentId: experiment.id };
+    }
+  }
+
+  const result = await query(
+    `SELECT ${TEMPLATE_COLUMNS} FROM prompt_templates WHERE purpose = $1 AND is_active = true`,
+    [purpose]
+  );
+  return result.rows.length > 0
+    ? { ...formatTemplate(result.rows[0]), experimentId: null }
+    : builtinTemplate(purpose);
+}
+
+// Templates for every purpose, as passed to openaiService in options.prompts
+async function resolveTemplates(userId) {
+  const templates = {};
+  for (const purpose of TEMPLATE_PURPOSES) {
+    templates[purpose] = await resolveTemplate(purpose, userId);
+  }
+  return templates;
+}
+
+async function listExperiments() {
+  const result = await query(`SELECT ${EXPERIMENT_COLUMNS} FROM prompt_experiments ORDER BY started_at DESC`);
+  return result.rows.map(formatExperiment);
+}
+
+async function getExperiment(id) {
+  const result = await query(`SELECT ${EXPERIMENT_COLUMNS} FROM prompt_experiments WHERE id = $1`, [id]);
+  return result.rows.length > 0 ? formatExperiment(result.rows[0]) : null;
+}
+
+// Start an experiment. variants: [{ templateId, weight }], templateId null meaning the built-in template
+async function createExperiment({ name, purpose, variants }, createdBy) {
+  const result = await query(
+    `INSERT INTO prompt_experiments (name, purpose, variants, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING ${EXPERIMENT_COLUMNS}`,
+    [name, purpose, JSON.stringify(variants), createdBy]
+  );
+  return formatExperiment(result.rows[0]);
+}
+
+async function stopExperiment(id) {
+  const result = await query(
+    `UPDATE prompt_experiments
+     SET status = 'stopped', stopped_at = NOW()
+     WHERE id = $1 AND status = 'running'
+     RETURNING ${EXPERIMENT_COLUMNS}`,
+    [id]
+  );
+  return result.rows.length > 0 ? formatExperiment(result.rows[0]) : null;
+}
+
+// Word-level Levenshtein distance between the selected option and the reply the
+// user kept, as a share of the longer text (0 = kept as is, 1 = fully rewritten)
+function editDistance(original, edited) {
+  const a = (original || '').split(/\s+/).filter(Boolean);
+  const b = (edited || '').split(/\s+/).filter(Boolean);
+  if (a.length === 0 && b.length === 0) {
+    return 0;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length] / Math.max(a.length, b.length);
+}
+
+const rate = (count, total) => (total === 0 ? 0 : Number((count / total).toFixed(4)));
+
+// Selection rate, edit distance and posting rate per template version of an experiment
+async function getExperimentReport(experiment) {
+  const totals = await query(
+    `SELECT prompt_template_id, prompt_template_version,
+            COUNT(*) AS generations,
+            COUNT(selected_response_index) AS selected,
+            COUNT(*) FILTER (WHERE response_status = 'posted') AS posted
+     FROM generated_responses
+     WHERE prompt_experiment_id = $1
+     GROUP BY prompt_template_id, prompt_template_version`,
+    [experiment.id]
+  );
+
+  const edits = await query(
+    `SELECT prompt_template_id,
+            generated_responses_json -> selected_response_index ->> 'response' AS selected_text,
+            final_response
+     FROM generated_responses
+     WHERE prompt_experiment_id = $1
+       AND selected_response_index IS NOT NULL
+       AND final_response IS NOT NULL`,
+    [experiment.id]
+  );
+
+  // Keyed by template id; the built-in template has none
+  const templateKey = (templateId) => templateId || 'builtin';
+  const distances = edits.rows.reduce((byTemplate, row) => {
+    const key = templateKey(row.prompt_template_id);
+    byTemplate[key] = [...(byTemplate[key] || []), editDistance(row.selected_text, row.final_response)];
+    return byTemplate;
+  }, {});
+
+  const variants = experiment.variants.map((variant) => {
+    const row = totals.rows.find(entry => templateKey(entry.prompt_template_id) === templateKey(variant.templateId));
+    const generations = row ? parseInt(row.generations) : 0;
+    const selected = row ? parseInt(row.selected) : 0;
+    const posted = row ? parseInt(row.posted) : 0;
+    const versionDistances = distances[templateKey(variant.templateId)] || [];
+
+    return {
+      templateId: variant.templateId || null,
+      templateVersion: row ? row.prompt_template_version : null,
+      weight: variant.weight,
+      generations,
+      selectionRate: rate(selected, generations),
+      postingRate: rate(posted, generations),
+      averageEditDistance: versionDistances.length === 0
+        ? null
+        : Number((versionDistances.reduce((sum, value) => sum + value, 0) / versionDistances.length).toFixed(4)),
+      editedSamples: versionDistances.length
+    };
+  });
+
+  return {
+    experiment,
+    variants
+  };
+}
+
+module.exports = {
+  TEMPLATE_PURPOSES,
+  EXPERIMENT_PURPOSES,
+  TEMPLATE_VARIABLES,
+  BUILTIN_TEMPLATES,
+  builtinTemplate,
+  render,
+  unknownVariables,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  activateTemplate,
+  assignVariant,
+  getRunningExperiment,
+  resolveTemplate,
+  resolveTemplates,
+  listExperiments,
+  getExperiment,
+  createExperiment,
+  stopExperiment,
+  editDistance,
+  getExperimentReport
+};
@@ -0,0 +1,211 @@
+const { detectLanguage } = require('../languageService');
+const { scoreAspects, criticisedAspects } = require('../aspectSentiment');
+const { findViolations } = require('../complianceService');
+
+// Deterministic offline provider used for CI, local development and demos.
+// It never touches the network: each request purpose has a fixture builder that
+// derives a stable JSON answer from the context passed by the caller.
+
+const positiveWords = ['good', 'great', 'excellent', 'amazing', 'love', 'perfect', 'awesome', 'friendly', 'delicious', 'recommend'];
+const negativeWords = ['bad', 'terrible', 'awful', 'hate', 'worst', 'horrible', 'disappointed', 'rude', 'slow', 'dirty', 'cold'];
+
+// Rough token estimate (about 4 characters per token) so usage numbers look realistic
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+function fixtureSentiment({ reviewText = '', aspects = [] }) {
+  const text = reviewText.toLowerCase();
+  const positiveCount = positiveWords.filter(word => text.includes(word)).length;
+  const negativeCount = negativeWords.filter(word => text.includes(word)).length;
+
+  let sentiment = 'neutral';
+  if (positiveCount > negativeCount) sentiment = 'positive';
+  else if (negativeCount > positiveCount) sentiment = 'negative';
+
+  const total = positiveCount + negativeCount;
+  const score = total === 0 ? 0.5 : Number((0.5 + ((positiveCount - negativeCount) / total) * 0.45).toFixed(2));
+  const aspectResults = scoreAspects(reviewText, aspects, { positive: positiveWords, negative: negativeWords });
+
+  return {
+    sentiment,
+    score,
+    confidence: total >= 2 ? 'high' : 'medium',
+    key_emotions: sentiment === 'positive' ? ['satisfied'] : sentiment === 'negative' ? ['disappointed'] : ['indifferent'],
+    main_concerns: criticisedAspects(aspectResults).map(entry => entry.aspect),
+    language: detectLanguage(reviewText),
+    aspects: aspectResults
+  };
+}
+
+const responseTemplates = {
+  positive: [
+    'Thank you so much for taking the time to share your experience with {business}! We are delighted to hear you enjoyed your visit, and our whole team will be thrilled to read your kind words. We look forward to welcoming you back very soon.',
+    'What a wonderful review to read! Everyone at {business} works hard to make every visit special, and it means a lot to know it showed. Thank you for your support, and we hope to see you again soon.',
+    'We really appreciate your generous feedback about {business}. Hearing that we made your day is exactly why we do what we do. Please come back and see us again, we would love to have you.'
+  ],
+  negative: [
+    'Thank you for letting us know about your experience at {business}, and we are truly sorry we fell short. This is not the standard we hold ourselves to, and we are already reviewing what happened with our team. Please contact us directly so we can make this right.',
+    'We are sorry to hear your visit to {business} was disappointing. Your feedback helps us improve, and we take every concern seriously. We would appreciate the chance to discuss this with you personally, so please reach out to our manager.',
+    'We apologize that your experience at {business} did not meet your expectations. We have shared your comments with our team so we can address them right away. Please get in touch with us directly so we can resolve this for you.'
+  ],
+  neutral: [
+    'Thank you for sharing your feedback about {business}. We appreciate hearing what worked well and where we can do better. We hope to have the opportunity to give you an even better experience next time.',
+    'We appreciate you taking the time to review {business}. Honest feedback like yours helps us keep improving for every customer. Please let us know if there is anything specific we can do for you on your next visit.',
+    'Thanks for visiting {business} and telling us about it. We are always looking for ways to make each visit better, and your comments are helpful. We hope to see you again soon.'
+  ]
+};
+
+// Drop sentences that use any of the banned words, mimicking a model that follows the brand voice
+const withoutBannedWords = (text, bannedWords = []) => text
+  .split(/(?<=[.!?])\s+/)
+  .filter(sentence => !bannedWords.some(word => sentence.toLowerCase().includes(word.toLowerCase())))
+  .join(' ');
+
+// Drop sentences that break the compliance rules, mimicking a model that follows them
+const withoutViolations = (text, complianceMode) => (!complianceMode ? text : text
+  .split(/(?<=[.!?])\s+/)
+  .filter(sentence => findViolations(sentence, complianceMode).length === 0)
+  .join(' '));
+
+// Templates are English only, so other languages are marked with a language tag instead
+const inLanguage = (text, language) => (!language || language === 'en' ? text : `[${language}] ${text}`);
+
+// Sentence acknowledging the review's main concerns, as the prompt asks for
+const concernsSentence = (concerns = []) => (concerns.length === 0 ? '' :
+  ` We are sorry the ${concerns.join(' and ')} fell short of our standards, and we have shared your comments with the team.`);
+
+function fixtureResponses({ businessName = 'our business', sentiment = 'neutral', mainConcerns = [], bannedWords = [], language, translationLanguage, complianceMode }) {
+  const templates = responseTemplates[sentiment] || responseTemplates.neutral;
+
+  return templates.map((template) => {
+    const draft = template.replace('{business}', businessName) + concernsSentence(mainConcerns);
+    const text = withoutViolations(withoutBannedWords(draft, bannedWords), complianceMode);
+    const response = inLanguage(text, language);
+    return {
+      response,
+      length: countWords(response),
+      key_points: sentiment === 'negative' ? ['apology', 'direct contact'] : ['appreciation', 'return visit'],
+      ...(translationLanguage && { translation: inLanguage(text, translationLanguage) })
+    };
+  });
+}
+
+const splitSentences = (text) => text.split(/(?<=[.!?])\s+/).filter(Boolean);
+
+// Deterministic stand-ins for the refinement presets
+const presetEdits = {
+  shorter: sentences => sentences.slice(0, 2),
+  longer: sentences => [...sentences, 'Thank you again for taking the time to share this with us.'],
+  offer_discount: sentences => [...sentences, 'As a thank you, we would like to offer you a discount on your next visit.']
+};
+
+function fixtureRefine({ response = '', presets = [], bannedWords = [], language, translationLanguage, complianceMode }) {
+  // Drop any language tag left by a previous fixture answer
+  const base = response.replace(/^\[[a-z]{2}\] /, '');
+  const edited = presets.reduce((sentences, preset) => (presetEdits[preset] ? presetEdits[preset](sentences) : sentences), splitSentences(base));
+  const variants = [edited, edited.length > 1 ? edited.slice(1) : edited];
+
+  return variants.map((sentences) => {
+    const text = withoutViolations(withoutBannedWords(sentences.join(' '), bannedWords), complianceMode);
+    const revised = inLanguage(text, language);
+    return {
+      response: revised,
+      length: countWords(revised),
+      key_points: presets.length > 0 ? [...presets] : ['revised'],
+      ...(translationLanguage && { translation: inLanguage(text, translationLanguage) })
+    };
+  });
+}
+
+// Links, payment demands and competitor pushes look fake; everything else is genuine
+const spamMarkers = ['http', 'www.', 'bitcoin', 'unless you refund', 'pay me', 'instead', 'check out my'];
+
+function fixtureSpam({ reviewText = '' }) {
+  const text = reviewText.toLowerCase();
+  const markers = spamMarkers.filter(marker => text.includes(marker));
+  return markers.length > 0
+    ? { verdict: 'fake', confidence: 0.8, reasons: markers.map(marker => `contains "${marker}"`) }
+    : { verdict: 'genuine', confidence: 0.7, reasons: [] };
+}
+
+// Keyword stand-in for the risk classifier
+const riskMarkers = {
+  food_safety: ['food poisoning', 'sick after', 'vomit'],
+  injury: ['slipped', 'injured', 'ambulance'],
+  discrimination: ['racist', 'discriminat'],
+  legal_threat: ['lawyer', 'attorney', 'sue you'],
+  staff_misconduct: ['harass', 'assault']
+};
+
+function fixtureRisk({ reviewText = '' }) {
+  const text = reviewText.toLowerCase();
+  const categories = Object.entries(riskMarkers)
+    .map(([category, markers]) => ({ category, marker: markers.find(marker => text.includes(marker)) }))
+    .filter(entry => entry.marker)
+    .map(({ category, marker }) => ({ category, evidence: marker }));
+  return { categories };
+}
+
+// Fixture builders keyed by request purpose
+const fixtures = {
+  sentiment: fixtureSentiment,
+  responses: fixtureResponses,
+  refine: fixtureRefine,
+  spam: fixtureSpam,
+  risk: fixtureRisk,
+  ping: () => 'Hello'
+};
+
+// Size of the chunks emitted when streaming a fixture answer
+const STREAM_CHUNK_SIZE = 24;
+
+function createFixtureProvider() {
+  return {
+    name: 'fixture',
+    models: {
+      default: 'fixture',
+      ping: 'fixture'
+    },
+
+    async complete({ purpose, messages = [], context = {} }) {
+      const builder = fixtures[purpose];
+      if (!builder) {
+        throw new Error(`Fixture provider has no fixture for purpose: ${purpose}`);
+      }
+
+      const result = builder(context);
+      const content = typeof result === 'string' ? result : JSON.stringify(result);
+      const promptTokens = messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+      const completionTokens = estimateTokens(content);
+
+      return {
+        content,
+        model: 'fixture',
+        usage: {
+          promptTokens,
+          completionTokens,
+          totalTokens: promptTokens + completionTokens
+        }
+      };
+    },
+
+    async *stream(request) {
+      const { content, model, usage } = await this.complete(request);
+
+      for (let offset = 0; offset < content.length; offset += STREAM_CHUNK_SIZE) {
+        if (request.signal && request.signal.aborted) {
+          return;
+        }
+        yield { delta: content.slice(offset, offset + STREAM_CHUNK_SIZE) };
+      }
+
+      yield { done: true, model, usage };
+    }
+  };
+}
+
+module.exports = {
+  createFixtureProvider,
+  fixtures
+};
@@ -0,0 +1,59 @@
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createFixtureProvider } = require('./fixtureProvider');
+const logger = require('../../utils/logger');
+
+// Provider factories keyed by the name used in LLM_PROVIDER / LLM_PROVIDER_<TIER>
+const providerFactories = {
+  openai: () => createOpenAIProvider('openai'),
+  azure: () => createOpenAIProvider('azure'),
+  compatible: () => createOpenAIProvider('compatible'),
+  fixture: () => createFixtureProvider()
+};
+
+// Provider instances are shared across requests
+const providerCache = new Map();
+
+// Register an additional provider factory
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+  providerCache.delete(name);
+}
+
+// Resolve the provider name for a subscription tier, falling back to the environment default
+function resolveProviderName(subscriptionTier) {
+  if (subscriptionTier) {
+    const tierProvider = process.env[`LLM_PROVIDER_${subscriptionTier.toUpperCase()}`];
+    if (tierProvider) {
+      return tierProvider;
+    }
+  }
+
+  return process.env.LLM_PROVIDER || 'openai';
+}
+
+// Get a provider instance by explicit name or by subscription tier
+function getProvider({ provider, subscriptionTier } = {}) {
+  if (provider && typeof provider === 'object') {
+    return provider;
+  }
+
+  const name = provider || resolveProviderName(subscriptionTier);
+  const factory = providerFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  if (!providerCache.has(name)) {
+    providerCache.set(name, factory());
+    logger.debug('LLM provider initialized', { provider: name });
+  }
+
+  return providerCache.get(name);
+}
+
+module.exports = {
+  getProvider,
+  registerProvider,
+  resolveProviderName
+};
@@ -0,0 +1,134 @@
+const OpenAI = require('openai');
+const { AzureOpenAI } = require('openai');
+
+// Build the SDK client for each supported OpenAI-style backend
+const clientFactories = {
+  openai: () => new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY
+  }),
+  azure: () => new AzureOpenAI({
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-02-01',
+    deployment: process.env.AZURE_OPENAI_DEPLOYMENT
+  }),
+  compatible: () => new OpenAI({
+    // Local servers (Ollama, vLLM, LM Studio) usually ignore the key but the SDK requires one
+    apiKey: process.env.LLM_COMPATIBLE_API_KEY || 'not-needed',
+    baseURL: process.env.LLM_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1'
+  })
+};
+
+// Default models per backend
+const modelDefaults = {
+  openai: () => ({
+    default: process.env.OPENAI_MODEL || 'gpt-4',
+    ping: 'gpt-3.5-turbo'
+  }),
+  azure: () => ({
+    default: process.env.AZURE_OPENAI_DEPLOYMENT,
+    ping: process.env.AZURE_OPENAI_DEPLOYMENT
+  }),
+  compatible: () => ({
+    default: process.env.LLM_COMPATIBLE_MODEL || 'llama3',
+    ping: process.env.LLM_COMPATIBLE_MODEL || 'llama3'
+  })
+};
+
+// Only the OpenAI API reliably supports usage reporting on streamed responses
+const streamUsageSupport = {
+  openai: true,
+  azure: false,
+  compatible: false
+};
+
+// Create a provider backed by the OpenAI SDK (OpenAI, Azure OpenAI or an OpenAI-compatible server)
+function createOpenAIProvider(variant = 'openai') {
+  if (!clientFactories[variant]) {
+    throw new Error(`Unknown OpenAI provider variant: ${variant}`);
+  }
+
+  // The client is created lazily so a missing API key only fails when the provider is used
+  let client;
+  const getClient = () => {
+    if (!client) {
+      client = clientFactories[variant]();
+    }
+    return client;
+  };
+
+  const models = modelDefaults[variant]();
+
+  return {
+    name: variant,
+    models,
+
+    async complete({ messages, model, maxTokens, temperature, presencePenalty, frequencyPenalty, signal }) {
+      const response = await getClient().chat.completions.create({
+        model: model || models.default,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        presence_penalty: presencePenalty,
+        frequency_penalty: frequencyPenalty
+      }, { signal });
+
+      const usage = response.usage || {};
+
+      return {
+        content: response.choices[0].message.content,
+        model: response.model || model || models.default,
+        usage: {
+          promptTokens: usage.prompt_tokens || 0,
+          completionTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || 0
+        }
+      };
+    },
+
+    // Yields { delta } for each text chunk, then a final { done, model, usage }
+    async *stream({ messages, model, maxTokens, temperature, presencePenalty, frequencyPenalty, signal }) {
+      const stream = await getClient().chat.completions.create({
+        model: model || models.default,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        presence_penalty: presencePenalty,
+        frequency_penalty: frequencyPenalty,
+        stream: true,
+        ...(streamUsageSupport[variant] && { stream_options: { include_usage: true } })
+      }, { signal });
+
+      let responseModel = model || models.default;
+      let usage = {};
+
+      for await (const chunk of stream) {
+        if (chunk.model) {
+          responseModel = chunk.model;
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
+        const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta.content;
+        if (delta) {
+          yield { delta };
+        }
+      }
+
+      yield {
+        done: true,
+        model: responseModel,
+        usage: {
+          promptTokens: usage.prompt_tokens || 0,
+          completionTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIProvider
+};
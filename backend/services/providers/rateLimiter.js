@@ -0,0 +1,75 @@
+// Tokens-per-minute budgets per LLM provider, shared by everything in this process
+// that paces its calls (batch jobs). LLM_TOKENS_PER_MINUTE_<PROVIDER> or
+// LLM_TOKENS_PER_MINUTE set the budget; calls are counted over a sliding minute.
+
+const WINDOW_MS = 60 * 1000;
+const DEFAULT_TOKENS_PER_MINUTE = 90000;
+
+// Reserved token counts per provider, oldest first: [{ at, tokens }]
+const windows = new Map();
+
+function tokensPerMinute(providerName) {
+  return parseInt(process.env[`LLM_TOKENS_PER_MINUTE_${providerName.toUpperCase()}`]) ||
+    parseInt(process.env.LLM_TOKENS_PER_MINUTE) ||
+    DEFAULT_TOKENS_PER_MINUTE;
+}
+
+function windowFor(providerName) {
+  if (!windows.has(providerName)) {
+    windows.set(providerName, []);
+  }
+  return windows.get(providerName);
+}
+
+// setTimeout that resolves early when the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+// Wait until `estimate` tokens fit into the provider's budget for the last minute and
+// reserve them. Resolves to a function that replaces the estimate with the tokens the
+// call actually used, or to null when the signal aborted while waiting.
+async function acquireTokens(providerName, estimate, signal) {
+  const limit = tokensPerMinute(providerName);
+  const entries = windowFor(providerName);
+
+  while (!(signal && signal.aborted)) {
+    const now = Date.now();
+    while (entries.length > 0 && now - entries[0].at >= WINDOW_MS) {
+      entries.shift();
+    }
+
+    const used = entries.reduce((total, entry) => total + entry.tokens, 0);
+    // A single call larger than the whole budget still goes through on an empty window
+    if (entries.length === 0 || used + estimate <= limit) {
+      const entry = { at: now, tokens: estimate };
+      entries.push(entry);
+      return (actualTokens) => {
+        entry.tokens = actualTokens;
+      };
+    }
+
+    await sleep(entries[0].at + WINDOW_MS - now, signal);
+  }
+
+  return null;
+}
+
+module.exports = {
+  tokensPerMinute,
+  acquireTokens
+};
@@ -0,0 +1,180 @@
+// Quality scoring for generated replies. Each option is scored from 0 to 100 on
+// measured length, business-name presence, coverage of its key points and the
+// review's main concerns, repetition across the options, template-sounding
+// phrases and the elements required by the sentiment strategy. Phrase checks
+// are English only and are skipped for replies in other languages.
+
+const DEFAULT_MIN_SCORE = 60;
+const WORD_RANGE = { min: 50, max: 150 };
+// Words outside the range before a small penalty becomes a large one
+const WORD_TOLERANCE = 15;
+// Share of word trigrams two options may have in common
+const MAX_OVERLAP = 0.5;
+
+const penalties = {
+  length: 5,
+  lengthFar: 15,
+  businessName: 10,
+  concern: 10,
+  keyPoint: 5,
+  repetition: 15,
+  templatePhrase: 5,
+  strategyElement: 8
+};
+
+// Stock phrases that make a reply read like a form letter
+const templatePhrases = [
+  'we value your feedback',
+  'thank you for your feedback',
+  'your feedback is important to us',
+  'we apologize for any inconvenience',
+  'sorry for any inconvenience',
+  'your satisfaction is our top priority',
+  'customer satisfaction is our top priority',
+  'we strive to provide',
+  'please do not hesitate to',
+  'we take all feedback seriously',
+  'we hope to see you again soon'
+];
+
+// How each sentimentStrategies element can be recognised in a reply
+const strategyElementPatterns = {
+  'thank the customer': /\b(?:thank|thanks|grateful|appreciate)/i,
+  'highlight specific positive points': null, // covered by key point coverage
+  'invite them back': /\b(?:come back|see you again|welcome you back|return|next (?:time|visit)|visit (?:us )?again|look forward)/i,
+  'acknowledge the issue': /\b(?:sorry|regret|apologi[sz]e|understand|hear that|hear about|frustrat|disappoint)/i,
+  'take responsibility': /\b(?:fell short|should have|our (?:mistake|fault|responsibility)|not the standard|take (?:full )?responsibility|we failed|we let you down|apologi[sz]e)/i,
+  'offer solution': /\b(?:make (?:this|it|things) right|resolve|fix|address|improv|refund|replace|retrain|working on|look into|review(?:ing)? what happened)/i,
+  'provide contact info': /\b(?:contact|reach out|get in touch|call us|email us|message us|speak with|@)/i,
+  'thank for feedback': /\b(?:thank|thanks|appreciate)/i,
+  'provide additional value': /\b(?:we (?:offer|now|also|have)|did you know|recommend|try our|new)\b/i,
+  'invite future interaction': /\b(?:let us know|come back|see you|next (?:time|visit)|hope to|look forward|reach out)/i
+};
+
+const minScore = () => parseInt(process.env.QUALITY_MIN_SCORE) || DEFAULT_MIN_SCORE;
+
+const words = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+// Measured word count (the model's own `length` field is not trusted)
+const countWords = (text) => words(text).length;
+
+const trigrams = (text) => {
+  const list = words(text);
+  const grams = new Set();
+  for (let i = 0; i + 2 < list.length; i++) {
+    grams.add(list.slice(i, i + 3).join(' '));
+  }
+  return grams;
+};
+
+// Jaccard similarity of two replies' word trigrams
+function overlap(a, b) {
+  const first = trigrams(a);
+  const second = trigrams(b);
+  if (first.size === 0 || second.size === 0) {
+    return 0;
+  }
+  const shared = [...first].filter(gram => second.has(gram)).length;
+  return shared / (first.size + second.size - shared);
+}
+
+// A phrase counts as covered when one of its words (or the start of it, so
+// "apology" matches "apologize") appears in the reply
+function mentions(text, phrase) {
+  const replyWords = words(text);
+  return words(phrase)
+    .filter(word => word.length > 2)
+    .some(word => {
+      const stem = word.length > 5 ? word.slice(0, 5) : word;
+      return replyWords.some(replyWord => replyWord.startsWith(stem));
+    });
+}
+
+// Score one option. `siblings` are the other options' reply texts; context holds
+// businessName, mainConcerns, strategyElements and the reply language.
+function scoreResponse(resp, siblings = [], context = {}) {
+  const text = resp.response || '';
+  const wordCount = countWords(text);
+  const english = !context.language || context.language === 'en';
+  const warnings = [];
+  let score = 100;
+
+  const warn = (check, penalty, message) => {
+    score -= penalty;
+    warnings.push({ check, message });
+  };
+
+  if (wordCount < WORD_RANGE.min || wordCount > WORD_RANGE.max) {
+    const distance = wordCount < WORD_RANGE.min ? WORD_RANGE.min - wordCount : wordCount - WORD_RANGE.max;
+    warn('length', distance > WORD_TOLERANCE ? penalties.lengthFar : penalties.length,
+      `${wordCount} words, expected ${WORD_RANGE.min}-${WORD_RANGE.max}`);
+  }
+
+  const { businessName } = context;
+  if (businessName && businessName !== 'our business' && !text.toLowerCase().includes(businessName.toLowerCase())) {
+    warn('business_name', penalties.businessName, `Does not mention ${businessName}`);
+  }
+
+  if (english) {
+    const missedConcerns = (context.mainConcerns || []).filter(concern => !mentions(text, concern));
+    missedConcerns.slice(0, 2).forEach(concern => {
+      warn('concern_coverage', penalties.concern, `Does not address the customer's concern: ${concern}`);
+    });
+
+    const missedPoints = (resp.key_points || []).filter(point => !mentions(text, point));
+    missedPoints.slice(0, 2).forEach(point => {
+      warn('key_point_coverage', penalties.keyPoint, `Key point not reflected in the text: ${point}`);
+    });
+  }
+
+  const maxOverlap = siblings.reduce((max, sibling) => Math.max(max, overlap(text, sibling)), 0);
+  if (maxOverlap > MAX_OVERLAP) {
+    warn('repetition', penalties.repetition, `Repeats ${Math.round(maxOverlap * 100)}% of another option`);
+  }
+
+  if (english) {
+    const lower = text.toLowerCase();
+    templatePhrases.filter(phrase => lower.includes(phrase)).slice(0, 3).forEach(phrase => {
+      warn('template_phrase', penalties.templatePhrase, `Template-sounding phrase: "${phrase}"`);
+    });
+
+    (context.strategyElements || []).forEach(element => {
+      const pattern = strategyElementPatterns[element];
+      if (pattern && !pattern.test(text)) {
+        warn('strategy', penalties.strategyElement, `Missing strategy element: ${element}`);
+      }
+    });
+  }
+
+  return {
+    score: Math.max(0, score),
+    wordCount,
+    warnings
+  };
+}
+
+// Describe the options that score below the minimum, or return null. Used as a
+// soft check so low-scoring options are regenerated with the warnings as feedback.
+function checkQuality(responses, context = {}) {
+  const threshold = minScore();
+  const problems = [];
+
+  responses.forEach((resp, index) => {
+    const siblings = responses.filter((_, other) => other !== index).map(other => other.response);
+    const { score, warnings } = scoreResponse(resp, siblings, context);
+    if (score < threshold) {
+      problems.push(`response ${index + 1} scored ${score}/100 (${warnings.map(warning => warning.message).join('; ')})`);
+    }
+  });
+
+  return problems.length > 0
+    ? `${problems.join('; ')}. Fix these issues while keeping every other requirement`
+    : null;
+}
+
+module.exports = {
+  countWords,
+  scoreResponse,
+  checkQuality,
+  minScore
+};
@@ -0,0 +1,265 @@
+const { query } = require('../config/database');
+
+// PII redaction for review text. Personal details are swapped for placeholders
+// such as [EMAIL_1] before the text reaches the LLM. Afterwards the placeholders
+// in generated replies are either restored or replaced with neutral wording,
+// depending on the account's policy, and replies are checked so they never
+// repeat the customer's details.
+
+const ENTITY_TYPES = ['email', 'paymentCard', 'orderNumber', 'phone', 'personName'];
+
+// Only staff names may go back into a public reply; customer details never do
+const RESTORABLE_TYPES = ['personName'];
+
+const placeholderPrefixes = {
+  email: 'EMAIL',
+  paymentCard: 'CARD',
+  orderNumber: 'ORDER',
+  phone: 'PHONE',
+  personName: 'NAME'
+};
+
+// Neutral wording used when a detail is withheld from a reply
+const withheldText = {
+  email: 'your email',
+  paymentCard: 'your card',
+  orderNumber: 'your order',
+  phone: 'your phone number',
+  personName: 'our team member'
+};
+
+// Policy used when an account has not saved one: mask everything, restore nothing
+const DEFAULT_POLICY = {
+  enabled: true,
+  entityTypes: [...ENTITY_TYPES],
+  restoreTypes: [],
+  staffNames: [],
+  storeOriginal: false
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const digitsOf = (text) => text.replace(/\D/g, '');
+
+// Dates such as 2024-03-15, 2024/3/15, 12.03.2024 or 03/15/24
+const datePattern = /\b(?:\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./](?:\d{4}|\d{2}))\b/g;
+
+// Phone numbers are written in groups of two or more digits, after an optional
+// one-digit country or trunk prefix ("1-800-555-0199")
+const isPhoneGrouping = (candidate) => candidate
+  .split(/[\s().-]+/)
+  .filter(Boolean)
+  .every((group, index) => index === 0 || group.length >= 2);
+
+// Luhn checksum, so long numbers are only treated as cards when they could be one
+function isLuhnValid(number) {
+  let sum = 0;
+  let double = false;
+  for (let i = number.length - 1; i >= 0; i--) {
+    let digit = Number(number[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+// Words that usually precede a staff member's name. The name pattern relies on
+// capital letters, so the regex cannot use the i flag; the cues accept either case
+// of their first letter instead.
+const staffCues = ['waiter', 'waitress', 'server', 'manager', 'host', 'hostess', 'bartender', 'chef', 'cook',
+  'stylist', 'barber', 'doctor', 'dr\\.?', 'nurse', 'receptionist', 'technician', 'mechanic', 'agent', 'cashier',
+  'clerk', 'mr\\.?', 'mrs\\.?', 'ms\\.?', 'named', 'called']
+  .map(cue => `[${cue[0].toUpperCase()}${cue[0]}]${cue.slice(1)}`)
+  .join('|');
+const capitalizedName = '\\p{Lu}\\p{Ll}+(?:[ -]\\p{Lu}\\p{Ll}+){0,2}';
+
+// Detectors return the substrings to mask; they run in ENTITY_TYPES order
+const detectors = {
+  email: (text) => text.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g) || [],
+
+  paymentCard: (text) => (text.match(/\b\d(?:[ -]?\d){12,18}\b/g) || [])
+    .filter(candidate => isLuhnValid(digitsOf(candidate))),
+
+  orderNumber: (text) => {
+    const pattern = /\b(?:order|booking|reservation|invoice|ticket|confirmation|receipt)\b\s*(?:no\.?|number|num|id)?\s*[:#]?\s*#?([A-Z0-9][A-Z0-9-]*\d[A-Z0-9-]*)/gi;
+    const found = [...text.matchAll(pattern)].map(match => match[1]);
+    const hashNumbers = (text.match(/#\d{4,}\b/g) || []).map(value => value.slice(1));
+    return [...found, ...hashNumbers].filter(value => value.length >= 4);
+  },
+
+  // Dates are blanked out first so a number can never run into or across one
+  phone: (text) => (text.replace(datePattern, '|').match(/\+?\(?\d[\d\s().-]{5,}\d/g) || [])
+    .map(candidate => candidate.trim())
+    .filter(candidate => {
+      const digits = digitsOf(candidate).length;
+      return digits >= 7 && digits <= 15 && isPhoneGrouping(candidate);
+    }),
+
+  personName: (text, policy) => {
+    const cued = [...text.matchAll(new RegExp(`(?<![\\p{L}])(?:${staffCues}),?\\s+(${capitalizedName})`, 'gu'))]
+      .map(match => match[1]);
+    const listed = policy.staffNames
+      .filter(name => new RegExp(`(?<![\\p{L}])${escapeRegExp(name)}(?![\\p{L}])`, 'iu').test(text));
+    return [...listed, ...cued];
+  }
+};
+
+// Fill in defaults for a stored or partial policy
+function resolvePolicy(policy) {
+  const resolved = { ...DEFAULT_POLICY, ...(policy || {}) };
+  return { ...resolved, restoreTypes: resolved.restoreTypes.filter(type => RESTORABLE_TYPES.includes(type)) };
+}
+
+// Mask personal details in a text. Returns the masked text and the entities found;
+// the same value always gets the same placeholder.
+function redact(text, policy) {
+  const resolved = resolvePolicy(policy);
+  const entities = [];
+
+  if (!resolved.enabled || !text) {
+    return { text, entities, policy: resolved };
+  }
+
+  let masked = text;
+
+  for (const type of ENTITY_TYPES) {
+    if (!resolved.entityTypes.includes(type)) {
+      continue;
+    }
+
+    // Longest values first so "Maria Lopez" is masked before "Maria"
+    const values = [...new Set(detectors[type](masked, resolved))].sort((a, b) => b.length - a.length);
+
+    for (const value of values) {
+      const existing = entities.find(entity => entity.type === type && entity.value.toLowerCase() === value.toLowerCase());
+      const count = entities.filter(entity => entity.type === type).length;
+      const entity = existing || { type, value, placeholder: `[${placeholderPrefixes[type]}_${count + 1}]` };
+      if (!existing) {
+        entities.push(entity);
+      }
+      masked = masked.replace(new RegExp(escapeRegExp(value), 'gi'), entity.placeholder);
+    }
+  }
+
+  return { text: masked, entities, policy: resolved };
+}
+
+// Count of redacted entities per type, safe to log and return to clients
+const summarizeEntities = (entities) => entities.reduce((summary, entity) => {
+  summary[entity.type] = (summary[entity.type] || 0) + 1;
+  return summary;
+}, {});
+
+// Replace placeholders in a generated reply and strip any customer detail it repeats
+function finalizeText(text, redaction) {
+  if (!text || !redaction || redaction.entities.length === 0) {
+    return text;
+  }
+
+  const { entities, policy } = redaction;
+  let result = text;
+
+  for (const entity of entities) {
+    const restore = RESTORABLE_TYPES.includes(entity.type) && policy.restoreTypes.includes(entity.type);
+    const replacement = restore ? entity.value : withheldText[entity.type];
+    result = result.split(entity.placeholder).join(replacement);
+
+    // The model can echo a detail it worked out on its own (for example a phone number
+    // written differently); withheld values must not appear in any form
+    if (!restore) {
+      result = result.replace(new RegExp(escapeRegExp(entity.value), 'gi'), withheldText[entity.type]);
+      if (['phone', 'paymentCard'].includes(entity.type)) {
+        const digits = digitsOf(entity.value);
+        result = result.replace(/\+?\(?\d[\d\s().-]{5,}\d/g, match => (digitsOf(match) === digits ? withheldText[entity.type] : match));
+      }
+    }
+  }
+
+  // Placeholders the model invented or mangled
+  return result.replace(/\[(EMAIL|CARD|ORDER|PHONE|NAME)_\d+\]/g, (match, prefix) => {
+    const type = Object.keys(placeholderPrefixes).find(key => placeholderPrefixes[key] === prefix);
+    return withheldText[type];
+  });
+}
+
+// Apply finalizeText to a response option (reply and translation)
+function finalizeReply(resp, redaction) {
+  return {
+    ...resp,
+    response: finalizeText(resp.response, redaction),
+    ...(resp.translation && { translation: finalizeText(resp.translation, redaction) })
+  };
+}
+
+// Prompt note so the model keeps placeholders instead of guessing the hidden values
+function buildRedactionPrompt(redaction) {
+  if (!redaction || redaction.entities.length === 0) {
+    return '';
+  }
+  return 'PRIVACY: Personal details in the review were replaced with placeholders such as [NAME_1] or [PHONE_1]. Never guess what they stand for and never ask the customer to share personal details publicly.';
+}
+
+// Map a database row to the policy shape used by the API and the pipeline
+const formatPolicy = (row) => ({
+  enabled: row.enabled,
+  entityTypes: row.entity_types || [],
+  restoreTypes: (row.restore_types || []).filter(type => RESTORABLE_TYPES.includes(type)),
+  staffNames: row.staff_names || [],
+  storeOriginal: row.store_original,
+  updatedAt: row.updated_at
+});
+
+// Get the redaction policy for a user, falling back to the default policy
+async function getRedactionPolicy(userId) {
+  const result = await query(
+    `SELECT enabled, entity_types, restore_types, staff_names, store_original, updated_at
+     FROM redaction_policies
+     WHERE user_id = $1`,
+    [userId]
+  );
+
+  return result.rows.length > 0 ? formatPolicy(result.rows[0]) : { ...DEFAULT_POLICY, updatedAt: null };
+}
+
+// Create or replace the redaction policy for a user
+async function saveRedactionPolicy(userId, policy) {
+  const resolved = resolvePolicy(policy);
+  const result = await query(
+    `INSERT INTO redaction_policies (user_id, enabled, entity_types, restore_types, staff_names, store_original)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id) DO UPDATE SET
+       enabled = EXCLUDED.enabled,
+       entity_types = EXCLUDED.entity_types,
+       restore_types = EXCLUDED.restore_types,
+       staff_names = EXCLUDED.staff_names,
+       store_original = EXCLUDED.store_original
+     RETURNING enabled, entity_types, restore_types, staff_names, store_original, updated_at`,
+    [
+      userId,
+      Boolean(resolved.enabled),
+      JSON.stringify(resolved.entityTypes),
+      JSON.stringify(resolved.restoreTypes),
+      JSON.stringify(resolved.staffNames),
+      Boolean(resolved.storeOriginal)
+    ]
+  );
+
+  return formatPolicy(result.rows[0]);
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  RESTORABLE_TYPES,
+  DEFAULT_POLICY,
+  resolvePolicy,
+  redact,
+  summarizeEntities,
+  finalizeText,
+  finalizeReply,
+  buildRedactionPrompt,
+  getRedactionPolicy,
+  saveRedactionPolicy
+};
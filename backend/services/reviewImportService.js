@@ -0,0 +1,718 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const { query, transaction } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const batchJobService = require('./batchJobService');
+const redactionService = require('./redactionService');
+
+// Review imports from exported files (Google Business Profile / Takeout JSON, Yelp
+// CSV, or any CSV, JSON or XLSX with a header row). An upload is parsed and kept as
+// a preview: its columns are mapped to the review fields and every row is validated.
+// Committing stores the valid rows as `reviews` and queues them in a batch job; the
+// results can then be downloaded with the chosen reply for every row. The file's
+// records are dropped at commit unless the account's redaction policy keeps originals.
+
+const IMPORT_FORMATS = ['csv', 'json', 'xlsx'];
+const IMPORT_SOURCES = ['generic', 'google', 'yelp', 'facebook', 'tripadvisor'];
+const IMPORT_FIELDS = ['reviewText', 'rating', 'reviewerName', 'reviewDate', 'externalId'];
+
+const importSettings = () => ({
+  maxFileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 5 * 1024 * 1024,
+  maxRows: parseInt(process.env.IMPORT_MAX_ROWS) || 500,
+  previewRows: parseInt(process.env.IMPORT_PREVIEW_ROWS) || 20
+});
+
+// Column names recognised for each field, in order of preference. Column names are
+// compared lower-cased with everything but letters and digits removed, so
+// "Review Text", "review_text" and "reviewText" are the same column. Nested JSON
+// keys are flattened with dots first ("reviewer.displayName").
+const COLUMN_ALIASES = {
+  reviewText: ['reviewtext', 'comment', 'review', 'text', 'reviewcomment', 'content', 'body', 'reviewbody', 'description'],
+  rating: ['rating', 'starrating', 'stars', 'reviewrating', 'score'],
+  reviewerName: ['reviewername', 'reviewerdisplayname', 'reviewer', 'author', 'authorname', 'username', 'user', 'customername', 'name'],
+  reviewDate: ['reviewdate', 'date', 'createtime', 'createdat', 'created', 'dateposted', 'publishedat', 'time'],
+  externalId: ['reviewid', 'externalid', 'id']
+};
+
+// Google Business Profile ratings are words
+const RATING_WORDS = { ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5 };
+
+const normalizeColumn = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// The file format from the upload's extension, falling back to its MIME type
+function detectFormat(file) {
+  const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+  if (IMPORT_FORMATS.includes(extension)) {
+    return extension;
+  }
+
+  const mimeFormats = {
+    'text/csv': 'csv',
+    'application/csv': 'csv',
+    'application/json': 'json',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
+  };
+  return mimeFormats[file.mimetype] || null;
+}
+
+// Records keep every value as a string; dates become ISO strings
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    // exceljs rich text, hyperlinks and formulas
+    if (Array.isArray(value.richText)) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if (value.text !== undefined) {
+      return cellText(value.text);
+    }
+    if (value.result !== undefined) {
+      return cellText(value.result);
+    }
+    return value.error ? '' : JSON.stringify(value);
+  }
+  return String(value);
+}
+
+async function parseCsv(buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  // Spreadsheet exports in some locales use semicolons or tabs
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const count = (character) => headerLine.split(character).length - 1;
+  const separator = [';', '\t'].find(character => count(character) > count(',')) || ',';
+
+  return new Promise((resolve, reject) => {
+    let columns = [];
+    const records = [];
+    Readable.from([text])
+      .pipe(csv({ separator, mapHeaders: ({ header }) => header.trim() }))
+      .on('headers', (headers) => {
+        columns = headers;
+      })
+      .on('data', record => records.push(record))
+      .on('end', () => resolve({ columns, records }))
+      .on('error', () => reject(new ApiError(400, 'The file is not a valid CSV file')));
+  });
+}
+
+// Nested objects become dotted keys; lists are kept as JSON
+function flatten(object, prefix = '', target = {}) {
+  for (const [key, value] of Object.entries(object)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, name, target);
+    } else {
+      target[name] = Array.isArray(value) ? JSON.stringify(value) : cellText(value);
+    }
+  }
+  return target;
+}
+
+// A list of reviews, or an object with a `reviews` list (Google Business Profile)
+function parseJson(buffer) {
+  let data;
+  try {
+    data = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new ApiError(400, 'The file is not valid JSON');
+  }
+
+  const list = Array.isArray(data) ? data : (data && Array.isArray(data.reviews) ? data.reviews : null);
+  if (!list) {
+    throw new ApiError(400, 'A JSON file must hold a list of reviews, or an object with a "reviews" list');
+  }
+
+  const records = list
+    .filter(entry => entry && typeof entry === 'object' && !Array.isArray(entry))
+    .map(entry => flatten(entry));
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+  return { columns, records };
+}
+
+// The first worksheet, with its first row as the header
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new ApiError(400, 'The file is not a valid XLSX workbook');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return { columns: [], records: [] };
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = cellText(cell.value).trim();
+  });
+
+  const records = [];
+  sheet.eachRow((row, number) => {
+    if (number === 1) {
+      return;
+    }
+    const record = {};
+    headers.forEach((header, column) => {
+      if (header) {
+        record[header] = cellText(row.getCell(column).value);
+      }
+    });
+    records.push(record);
+  });
+
+  return { columns: headers.filter(Boolean), records };
+}
+
+// Parse an uploaded file into its columns and records, dropping empty rows
+async function parseFile(file) {
+  const format = detectFormat(file);
+  if (!format) {
+    throw new ApiError(400, `Unsupported file type. Upload one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const parsers = { csv: parseCsv, json: parseJson, xlsx: parseXlsx };
+  const { columns, records } = await parsers[format](file.buffer);
+  const rows = records.filter(record => Object.values(record).some(value => String(value).trim() !== ''));
+
+  const { maxRows } = importSettings();
+  if (rows.length === 0) {
+    throw new ApiError(400, 'The file has no reviews');
+  }
+  if (rows.length > maxRows) {
+    throw new ApiError(400, `The file has ${rows.length} rows; at most ${maxRows} can be imported at once`);
+  }
+
+  return { format, columns, records: rows };
+}
+
+// Where the export came from: Google's export has its own field names; other
+// platforms are recognised from the file name
+function detectSource(columns, fileName) {
+  const normalized = columns.map(normalizeColumn);
+  if (normalized.includes('starrating') || normalized.includes('reviewerdisplayname')) {
+    return 'google';
+  }
+  const name = (fileName || '').toLowerCase();
+  return IMPORT_SOURCES.find(source => source !== 'generic' && name.includes(source)) || 'generic';
+}
+
+// Map each field to a column: the explicit `mapping` first, then the known column
+// names. Throws when the mapping names a column the file does not have.
+function resolveMapping(columns, mapping = {}) {
+  const resolved = {};
+  const taken = new Set();
+
+  for (const field of IMPORT_FIELDS) {
+    if (mapping[field] === undefined) {
+      continue;
+    }
+    if (mapping[field] !== null && !columns.includes(mapping[field])) {
+      throw new ApiError(400, `Column "${mapping[field]}" for ${field} is not in the file`);
+    }
+    resolved[field] = mapping[field];
+    taken.add(mapping[field]);
+  }
+
+  for (const field of IMPORT_FIELDS) {
+    if (resolved[field] !== undefined) {
+      continue;
+    }
+    const column = COLUMN_ALIASES[field]
+      .map(alias => columns.find(name => !taken.has(name) && normalizeColumn(name) === alias))
+      .find(Boolean);
+    resolved[field] = column || null;
+    if (column) {
+      taken.add(column);
+    }
+  }
+
+  return resolved;
+}
+
+// 1-5 from "5", "4.5", "FIVE", "4 stars" or "8/10". Returns undefined when unreadable.
+function parseRating(value) {
+  const text = value.trim();
+  if (RATING_WORDS[text.toUpperCase()]) {
+    return RATING_WORDS[text.toUpperCase()];
+  }
+
+  const match = text.match(/^(\d+(?:[.,]\d+)?)\s*(?:\/\s*(\d+)|stars?)?$/i);
+  if (!match) {
+    return undefined;
+  }
+  const scale = match[2] ? parseInt(match[2]) : 5;
+  const rating = Math.round((parseFloat(match[1].replace(',', '.')) / scale) * 5);
+  return rating >= 1 && rating <= 5 ? rating : undefined;
+}
+
+// Stable id for rows without one, so importing the same file twice is caught
+const rowKey = (row) => `import-${crypto.createHash('sha256')
+  .update([row.reviewerName || '', row.reviewDate || '', row.reviewText].join('\n'))
+  .digest('hex')
+  .slice(0, 32)}`;
+
+// Apply the mapping to every record and validate it. Each row lists its errors;
+// rows without errors can be imported.
+function buildRows(records, mapping) {
+  const seen = new Map();
+
+  return records.map((record, index) => {
+    const value = (field) => (mapping[field] ? String(record[mapping[field]] || '').trim() : '');
+    const row = {
+      row: index + 1,
+      externalId: value('externalId') || null,
+      reviewerName: value('reviewerName').slice(0, 255) || null,
+      rating: null,
+      reviewDate: null,
+      reviewText: value('reviewText'),
+      errors: []
+    };
+
+    if (!mapping.reviewText) {
+      row.errors.push({ field: 'reviewText', message: 'No column is mapped to the review text' });
+    } else if (row.reviewText.length < 10 || row.reviewText.length > 2000) {
+      row.errors.push({ field: 'reviewText', message: 'Review text must be between 10 and 2000 characters' });
+    }
+
+    if (value('rating')) {
+      row.rating = parseRating(value('rating')) || null;
+      if (!row.rating) {
+        row.errors.push({ field: 'rating', message: `Rating "${value('rating')}" is not between 1 and 5` });
+      }
+    }
+
+    if (value('reviewDate')) {
+      const date = new Date(value('reviewDate'));
+      if (Number.isNaN(date.getTime())) {
+        row.errors.push({ field: 'reviewDate', message: `Date "${value('reviewDate')}" is not a valid date` });
+      } else {
+        row.reviewDate = date.toISOString();
+      }
+    }
+
+    if (row.externalId && row.externalId.length > 255) {
+      row.errors.push({ field: 'externalId', message: 'Review id must be at most 255 characters' });
+    }
+
+    row.key = row.externalId || rowKey(row);
+    if (seen.has(row.key)) {
+      row.errors.push({ field: 'row', message: `Duplicate of row ${seen.get(row.key)}` });
+    } else {
+      seen.set(row.key, row.row);
+    }
+
+    return row;
+  });
+}
+
+// Mark rows whose review was already imported from an earlier file. `ownReviewIds`
+// are the reviews this import stored itself.
+async function markImported(db, userId, platformName, rows, ownReviewIds = []) {
+  const keys = rows.filter(row => row.errors.length === 0).map(row => row.key);
+  if (keys.length === 0) {
+    return rows;
+  }
+
+  const existing = await db.query(
+    `SELECT platform_review_id FROM reviews
+     WHERE user_id = $1 AND platform_name = $2 AND platform_integration_id IS NULL AND platform_review_id = ANY($3)
+       AND NOT (id = ANY($4::uuid[]))`,
+    [userId, platformName, keys, ownReviewIds]
+  );
+  const imported = new Set(existing.rows.map(row => row.platform_review_id));
+
+  for (const row of rows) {
+    if (row.errors.length === 0 && imported.has(row.key)) {
+      row.errors.push({ field: 'row', message: 'This review was already imported' });
+    }
+  }
+  return rows;
+}
+
+const committedReviewIds = (row) => row.committed_rows.map(entry => entry.reviewId);
+
+// Committed imports whose records were dropped keep only the skipped rows' errors
+const recordsDropped = (row) => row.status === 'committed' && row.records.length === 0;
+
+// Imported reviews keep the platform they came from; generic files are just "import"
+const platformFor = (source) => (source === 'generic' ? 'import' : source);
+
+const IMPORT_COLUMNS = `id, file_name, file_format, source, columns, column_mapping, records, total_rows, status,
+  batch_job_id, committed_rows, skipped_rows, committed_at, created_at, updated_at`;
+
+// Every row of an import with its errors: built from the file's records, or when they
+// were dropped at commit, from the stored reviews and the skipped rows' errors
+async function importRows(row, db = { query }) {
+  if (!recordsDropped(row)) {
+    return markImported(db, row.user_id, platformFor(row.source), buildRows(row.records, row.column_mapping),
+      committedReviewIds(row));
+  }
+
+  const reviews = await db.query(
+    `SELECT id, reviewer_name, review_text, rating, review_date
+     FROM reviews
+     WHERE user_id = $1 AND id = ANY($2::uuid[])`,
+    [row.user_id, committedReviewIds(row)]
+  );
+  const byId = new Map(reviews.rows.map(review => [review.id, review]));
+
+  const committed = row.committed_rows.map((entry) => {
+    const review = byId.get(entry.reviewId) || {};
+    return {
+      row: entry.row,
+      externalId: entry.externalId || null,
+      reviewerName: review.reviewer_name || null,
+      rating: review.rating || null,
+      reviewDate: review.review_date ? new Date(review.review_date).toISOString() : null,
+      reviewText: review.review_text || null,
+      errors: []
+    };
+  });
+  const skipped = row.skipped_rows.map(entry => ({
+    row: entry.row,
+    externalId: entry.externalId,
+    reviewerName: null,
+    rating: null,
+    reviewDate: null,
+    reviewText: null,
+    errors: entry.errors
+  }));
+
+  return [...committed, ...skipped].sort((a, b) => a.row - b.row);
+}
+
+// The API shape of an import: its mapping, counts, the first rows and every error
+async function formatImport(row, db = { query }) {
+  const rows = await importRows(row, db);
+  const valid = rows.filter(entry => entry.errors.length === 0).length;
+  const { previewRows } = importSettings();
+  const withoutKey = ({ key, ...entry }) => entry;
+
+  return {
+    id: row.id,
+    fileName: row.file_name,
+    format: row.file_format,
+    source: row.source,
+    status: row.status,
+    columns: row.columns,
+    mapping: row.column_mapping,
+    missingFields: row.column_mapping.reviewText ? [] : ['reviewText'],
+    totalRows: row.total_rows,
+    validRows: row.status === 'committed' ? row.committed_rows.length : valid,
+    invalidRows: row.status === 'committed' ? row.total_rows - row.committed_rows.length : rows.length - valid,
+    preview: rows.slice(0, previewRows).map(withoutKey),
+    errors: rows.flatMap(entry => entry.errors.map(error => ({ row: entry.row, ...error }))),
+    batchJobId: row.batch_job_id,
+    committedAt: row.committed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function findImport(userId, importId) {
+  const result = await query(
+    `SELECT user_id, ${IMPORT_COLUMNS} FROM review_imports WHERE id = $1 AND user_id = $2`,
+    [importId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Parse an uploaded file and keep it as a preview. `source` and `mapping` are
+// optional; without them the export's origin and columns are recognised.
+async function createImport(userId, file, { source, mapping } = {}) {
+  const { format, columns, records } = await parseFile(file);
+  const resolvedSource = source || detectSource(columns, file.originalname);
+  const columnMapping = resolveMapping(columns, mapping);
+
+  const result = await query(
+    `INSERT INTO review_imports (user_id, file_name, file_format, source, columns, column_mapping, records, total_rows)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING user_id, ${IMPORT_COLUMNS}`,
+    [userId, (file.originalname || 'upload').slice(0, 255), format, resolvedSource, JSON.stringify(columns),
+     JSON.stringify(columnMapping), JSON.stringify(records), records.length]
+  );
+
+  logger.business('Review import uploaded', {
+    userId,
+    importId: result.rows[0].id,
+    format,
+    source: resolvedSource,
+    rows: records.length
+  });
+
+  return formatImport(result.rows[0]);
+}
+
+async function listImports(userId, { limit = 20 } = {}) {
+  const result = await query(
+    `SELECT id, file_name, file_format, source, total_rows, status, batch_job_id,
+            jsonb_array_length(committed_rows) AS committed_count, committed_at, created_at
+     FROM review_imports
+     WHERE user_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    fileName: row.file_name,
+    format: row.file_format,
+    source: row.source,
+    status: row.status,
+    totalRows: row.total_rows,
+    importedRows: row.committed_count,
+    batchJobId: row.batch_job_id,
+    committedAt: row.committed_at,
+    createdAt: row.created_at
+  }));
+}
+
+async function getImport(userId, importId) {
+  const row = await findImport(userId, importId);
+  return row ? formatImport(row) : null;
+}
+
+// Change the source or column mapping of an import still in preview. Returns the
+// new preview, null when it does not exist, or { alreadyCommitted: true }.
+async function updateImport(userId, importId, { source, mapping }) {
+  const row = await findImport(userId, importId);
+  if (!row) {
+    return null;
+  }
+  if (row.status !== 'preview') {
+    return { alreadyCommitted: true };
+  }
+
+  const columnMapping = mapping ? resolveMapping(row.columns, { ...row.column_mapping, ...mapping }) : row.column_mapping;
+  const result = await query(
+    `UPDATE review_imports SET source = $3, column_mapping = $4
+     WHERE id = $1 AND user_id = $2
+     RETURNING user_id, ${IMPORT_COLUMNS}`,
+    [importId, userId, source || row.source, JSON.stringify(columnMapping)]
+  );
+  return formatImport(result.rows[0]);
+}
+
+// Store the valid rows as reviews and queue them for generation, all or nothing.
+// `options` holds the businessType and tone for every row and the language options.
+// Returns { import, job }, null when the import does not exist, { alreadyCommitted },
+// { noValidRows } or { usageExceeded, needed } when the monthly usage cannot cover it.
+async function commitImport(user, importId, { businessType, tone, ...defaults } = {}) {
+  const redactionPolicy = await redactionService.getRedactionPolicy(user.id);
+
+  const outcome = await transaction(async (client) => {
+    const locked = await client.query(
+      `SELECT user_id, ${IMPORT_COLUMNS} FROM review_imports WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+      [importId, user.id]
+    );
+    const row = locked.rows[0];
+    if (!row) {
+      return null;
+    }
+    if (row.status !== 'preview') {
+      return { alreadyCommitted: true };
+    }
+
+    const platformName = platformFor(row.source);
+    const fileRows = await markImported(client, user.id, platformName, buildRows(row.records, row.column_mapping));
+    const rows = fileRows.filter(entry => entry.errors.length === 0);
+    if (rows.length === 0) {
+      return { noValidRows: true };
+    }
+
+    const committedRows = [];
+    for (const entry of rows) {
+      const review = await client.query(
+        `INSERT INTO reviews (user_id, platform_review_id, reviewer_name, review_text, rating, review_date, platform_name)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [user.id, entry.key, entry.reviewerName, entry.reviewText, entry.rating, entry.reviewDate, platformName]
+      );
+      committedRows.push({ row: entry.row, externalId: entry.externalId, reviewId: review.rows[0].id });
+    }
+
+    const items = rows.map((entry, index) => ({
+      reviewText: entry.reviewText,
+      businessType: businessType || user.business_type,
+      tone,
+      rating: entry.rating,
+      externalId: entry.externalId,
+      reviewId: committedRows[index].reviewId
+    }));
+    const jobId = await batchJobService.insertBatchJob(client, user, items, defaults);
+    if (!jobId) {
+      // Roll back the stored reviews; nothing of the import is kept
+      const error = new ApiError(429, 'Usage limit exceeded');
+      error.needed = items.length;
+      throw error;
+    }
+
+    // The committed rows live on as reviews; the file itself is only kept with originals
+    const skippedRows = fileRows
+      .filter(entry => entry.errors.length > 0)
+      .map(entry => ({ row: entry.row, externalId: entry.externalId, errors: entry.errors }));
+    await client.query(
+      `UPDATE review_imports
+       SET status = 'committed', batch_job_id = $2, committed_rows = $3, skipped_rows = $4, records = $5,
+           committed_at = NOW()
+       WHERE id = $1`,
+      [importId, jobId, JSON.stringify(committedRows), JSON.stringify(skippedRows),
+       JSON.stringify(redactionPolicy.storeOriginal ? row.records : [])]
+    );
+    return { jobId };
+  }).catch((error) => {
+    if (error instanceof ApiError && error.statusCode === 429 && error.needed) {
+      return { usageExceeded: true, needed: error.needed };
+    }
+    throw error;
+  });
+
+  if (!outcome || !outcome.jobId) {
+    return outcome;
+  }
+
+  batchJobService.startBatchJob(outcome.jobId);
+
+  logger.business('Review import committed', {
+    userId: user.id,
+    importId,
+    jobId: outcome.jobId
+  });
+
+  return {
+    import: await getImport(user.id, importId),
+    job: await batchJobService.getBatchJob(user.id, outcome.jobId)
+  };
+}
+
+// The reply to report for a generated record: the one the user chose, else the first option
+function chosenReply(item) {
+  if (item.final_response) {
+    return { reply: item.final_response, replySource: 'chosen' };
+  }
+  const options = item.generated_responses_json || [];
+  if (Number.isInteger(item.selected_response_index) && options[item.selected_response_index]) {
+    return { reply: options[item.selected_response_index].response, replySource: 'chosen' };
+  }
+  return options[0] ? { reply: options[0].response, replySource: 'suggested' } : { reply: null, replySource: null };
+}
+
+// Every row of the file with what became of it: skipped with its errors, or the
+// status of its generation and the reply
+async function importResults(userId, importId) {
+  const row = await findImport(userId, importId);
+  if (!row) {
+    return null;
+  }
+
+  const rows = await importRows(row);
+  const reviewIds = new Map(row.committed_rows.map(entry => [entry.row, entry.reviewId]));
+  const items = new Map();
+  if (row.batch_job_id) {
+    const itemResult = await query(
+      `SELECT i.review_id, i.status, i.generated_response_id, i.review_flag_id, i.escalation_id, i.error_message,
+              gr.generated_responses_json, gr.selected_response_index, gr.final_response, gr.response_status
+       FROM batch_job_items i
+       LEFT JOIN generated_responses gr ON gr.id = i.generated_response_id
+       WHERE i.batch_job_id = $1`,
+      [row.batch_job_id]
+    );
+    for (const item of itemResult.rows) {
+      items.set(item.review_id, item);
+    }
+  }
+
+  const results = rows.map((entry) => {
+    const reviewId = reviewIds.get(entry.row) || null;
+    const item = reviewId ? items.get(reviewId) : null;
+    const base = {
+      row: entry.row,
+      externalId: entry.externalId,
+      reviewerName: entry.reviewerName,
+      rating: entry.rating,
+      reviewDate: entry.reviewDate,
+      reviewText: entry.reviewText,
+      reviewId
+    };
+
+    if (!item) {
+      return {
+        ...base,
+        status: row.status === 'preview' ? 'not_imported' : 'skipped',
+        reply: null,
+        replySource: null,
+        responseStatus: null,
+        generatedResponseId: null,
+        reviewFlagId: null,
+        escalationId: null,
+        error: entry.errors.map(error => error.message).join('; ') || null
+      };
+    }
+
+    return {
+      ...base,
+      status: item.status,
+      ...chosenReply(item),
+      responseStatus: item.response_status || null,
+      generatedResponseId: item.generated_response_id,
+      reviewFlagId: item.review_flag_id,
+      escalationId: item.escalation_id,
+      error: item.error_message
+    };
+  });
+
+  return { import: await formatImport(row), results };
+}
+
+const RESULT_COLUMNS = ['row', 'externalId', 'reviewerName', 'rating', 'reviewDate', 'reviewText', 'status',
+  'reply', 'replySource', 'responseStatus', 'generatedResponseId', 'reviewFlagId', 'escalationId', 'error'];
+
+// Quote a CSV value. Values a spreadsheet would run as a formula are prefixed with '.
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function resultsToCsv(results) {
+  const lines = [RESULT_COLUMNS.join(',')];
+  for (const result of results) {
+    lines.push(RESULT_COLUMNS.map(column => csvValue(result[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_SOURCES,
+  IMPORT_FIELDS,
+  importSettings,
+  detectFormat,
+  parseFile,
+  resolveMapping,
+  parseRating,
+  buildRows,
+  createImport,
+  listImports,
+  getImport,
+  updateImport,
+  commitImport,
+  importResults,
+  resultsToCsv
+};
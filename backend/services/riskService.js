@@ -0,0 +1,194 @@
+const logger = require('../utils/logger');
+const { RISK_CATEGORIES, riskSchema, completeWithSchema } = require('./llmOutput');
+
+// High-risk review classification. Reviews that mention food safety problems,
+// injuries, discrimination, legal action or staff misconduct must not get the
+// usual apology-plus-contact reply: they are escalated to a person instead, and
+// only a cautious holding response is offered. Narrow phrase patterns are
+// combined with an LLM classification that runs alongside the sentiment analysis;
+// a pattern match alone escalates only when the model agrees or could not be asked.
+
+const SEVERITIES = ['medium', 'high', 'critical'];
+
+const riskCategories = {
+  food_safety: {
+    severity: 'critical',
+    description: 'food poisoning or food safety',
+    patterns: [
+      /\bfood poisoning\b/i,
+      /\b(?:got|was|were|became|been) (?:violently |really |very )?(?:sick|ill)\b.{0,40}\b(?:after|from)\b/i,
+      /\b(?:vomit(?:ing|ed)?|threw up|throwing up|diarrh(?:o)?ea|salmonella|e\.? ?coli|listeria|norovirus)\b/i,
+      /\b(?:hair|glass|plastic|bug|cockroach|insect|worm|mold|mould) in (?:my|the|our) (?:food|dish|meal|plate|salad|soup|drink)\b/i,
+      /\b(?:raw|undercooked) (?:chicken|pork|meat)\b/i,
+      /\ballergic reaction\b/i
+    ]
+  },
+  injury: {
+    severity: 'critical',
+    description: 'injury',
+    patterns: [
+      // A fall needs what was slipped on or tripped over, or the injury that followed
+      /\b(?:i|he|she|we|they|my \w+) (?:slipped|fell|tripped)(?: (?:on|over|down|in|off)(?: (?:a|an|the|some|their|your|this))?(?: (?:wet|loose|broken|icy|uneven|slippery|greasy))? (?:floor|stairs|steps?|rug|mat|carpet|ice|puddle|spill|cable|cord|tiles?|curb|kerb|pavement|sidewalk|ramp|chair|hole))\b/i,
+      /\b(?:slipped|fell|tripped)\b.{0,30}\b(?:and|then) (?:hurt|injured|broke|sprained|cut|hit|bruised|twisted)\b/i,
+      /\b(?:got|was|were) (?:badly |seriously |severely )?injured\b/i,
+      /\b(?:burned|burnt|cut|scalded) (?:(?:on|by|with) (?:(?:a|the|some|their) )?(?:broken |hot |boiling |sharp )?(?:glass|knife|blade|pan|plate|coffee|tea|water|soup|oil|stove|grill|razor|equipment|machine)|(?:my|his|her|their|our) (?:hands?|fingers?|arms?|legs?|feet|foot|head|face|mouth|lips?|tongue|knees?|ankles?|wrists?|eyes?|skin|scalp|neck|ears?))\b/i,
+      /\b(?:broke|broken|fractured|sprained) (?:my|his|her|their) \w+/i,
+      /\b(?:emergency room|ambulance|stitches|urgent care)\b/i
+    ]
+  },
+  discrimination: {
+    severity: 'high',
+    description: 'discrimination',
+    patterns: [
+      /\b(?:racist|racism|racial(?:ly)? (?:profil|slur)|homophobic|transphobic|sexist|discriminat\w*)\b/i,
+      /\b(?:refused|denied) (?:to serve|service|entry)\b.{0,40}\bbecause\b/i,
+      /\bbecause (?:i am|i'm|we are|we're|he is|she is) (?:black|asian|muslim|jewish|gay|disabled|in a wheelchair|trans)\b/i
+    ]
+  },
+  legal_threat: {
+    severity: 'high',
+    description: 'legal action',
+    patterns: [
+      // Having a lawyer is not a threat; involving one is
+      /\b(?:my|our) (?:lawyers?|attorneys?|solicitors?) (?:will|is|are|has|have|says?|said)\b/i,
+      /\b(?:contact(?:ed|ing)?|call(?:ed|ing)?|speak(?:ing)? (?:to|with)|spoke (?:to|with)|talk(?:ed|ing)? to|hir(?:e|ed|ing)|get(?:ting)?|consult(?:ed|ing)?) (?:my|our|a|an) (?:lawyer|attorney|solicitor)\b/i,
+      /\b(?:sue|suing) (?:you|them|this (?:place|business|company)|the (?:owners?|business|company|restaurant))\b/i,
+      /\b(?:lawsuit|legal action|small claims court|take you to court)\b/i,
+      /\b(?:report(?:ed|ing)? (?:you|this place|them) to|call(?:ed|ing)?) (?:the )?(?:health department|health inspector|better business bureau|bbb|police)\b/i
+    ]
+  },
+  staff_misconduct: {
+    severity: 'high',
+    description: 'staff misconduct',
+    patterns: [
+      /\b(?:harass(?:ed|ment|ing)?|assault(?:ed)?|groped|grabbed me|touched me|sexual(?:ly)? (?:comment|advance|harass))\b(?! (?:a|an|some|the|deeply|so)\b)/i,
+      /\b(?:staff|employee|waiter|waitress|server|manager|worker|mechanic|stylist)\b.{0,40}\b(?:drunk|high|stole|stealing|theft|threatened|screamed at|shoved|pushed)\b/i
+    ]
+  }
+};
+
+// Figures of speech that read like a risk ("fell in love with the place") are
+// blanked out before the patterns run
+const idioms = [
+  /\bfell (?:in love|asleep|for (?:it|this|that|the))\b/gi,
+  /\b(?:tripp(?:ed|ing)|f(?:e|a)ll(?:ing)?) over (?:ourselves|myself|themselves|himself|herself|yourselves|each other)\b/gi,
+  /\b(?:really|truly|deeply|so|it|that|which|this) touched (?:me|us)\b/gi,
+  /\b(?:sick|ill) (?:of|and tired)\b/gi,
+  /\bkilling it\b|\bto die for\b|\bkiller \w+/gi
+];
+
+const severityRank = (severity) => SEVERITIES.indexOf(severity);
+
+// Phrase-pattern matches for every risk category
+function findRisks(text) {
+  const risks = [];
+  const literal = idioms.reduce((result, idiom) => result.replace(idiom, ' '), text || '');
+
+  for (const [category, { severity, patterns }] of Object.entries(riskCategories)) {
+    for (const pattern of patterns) {
+      const match = literal.match(pattern);
+      if (match) {
+        risks.push({ category, severity, evidence: match[0], source: 'pattern' });
+        break;
+      }
+    }
+  }
+
+  return risks;
+}
+
+// Ask the model which risk categories apply; null when the call fails
+async function modelRisks(reviewText, provider, options = {}) {
+  try {
+    const { value } = await completeWithSchema(provider, {
+      purpose: 'risk',
+      messages: [
+        {
+          role: 'system',
+          content: `You screen customer reviews for issues a business owner must handle personally instead of with a public reply.
+
+Categories:
+${RISK_CATEGORIES.map(category => `- ${category}: ${riskCategories[category].description}`).join('\n')}
+
+Only tag a category when the reviewer describes it happening to them or threatens it. Ordinary complaints about quality, price or slow service are not risks.
+
+Return ONLY a JSON object with this exact format:
+{
+  "categories": [
+    { "category": "${RISK_CATEGORIES.join('|')}", "evidence": "quote from the review" }
+  ]
+}`
+        },
+        {
+          role: 'user',
+          content: `Review: "${reviewText}"`
+        }
+      ],
+      maxTokens: 300,
+      temperature: 0,
+      context: { reviewText },
+      signal: options.signal
+    }, riskSchema);
+
+    return value.categories.map(entry => ({
+      category: entry.category,
+      severity: riskCategories[entry.category].severity,
+      evidence: entry.evidence,
+      source: 'model'
+    }));
+  } catch (error) {
+    if (options.signal && options.signal.aborted) {
+      throw error;
+    }
+    logger.error('Risk classification failed, using phrase patterns only:', error);
+    return null;
+  }
+}
+
+// Classify a (redacted) review. `provider` is the metered provider of the generation.
+// Returns { escalate, severity, categories, unconfirmed } where each category entry
+// carries its severity, the evidence and whether the pattern or the model found it.
+// Pattern matches the model did not tag are only listed in `unconfirmed`; when the
+// model call fails they escalate on their own.
+async function classifyRisk(reviewText, provider, options = {}) {
+  const fromPatterns = findRisks(reviewText);
+  const fromModel = await modelRisks(reviewText, provider, options);
+
+  const confirmed = (risk) => fromModel === null || fromModel.some(entry => entry.category === risk.category);
+
+  // A category found by both keeps the pattern's exact quote
+  const categories = fromPatterns.filter(confirmed);
+  for (const risk of fromModel || []) {
+    if (!categories.some(entry => entry.category === risk.category)) {
+      categories.push(risk);
+    }
+  }
+
+  const severity = categories.reduce(
+    (highest, entry) => (severityRank(entry.severity) > severityRank(highest) ? entry.severity : highest),
+    null
+  );
+
+  return {
+    escalate: categories.length > 0,
+    severity,
+    categories,
+    unconfirmed: fromPatterns.filter(risk => !confirmed(risk)),
+    modelChecked: fromModel !== null
+  };
+}
+
+// Cautious public reply offered while an escalation is handled: no admission, no
+// details, and an invitation to continue privately
+function holdingResponse(businessName = 'our business') {
+  return `Thank you for bringing this to our attention. We take concerns like the ones you describe very seriously, and the management team at ${businessName} is looking into this personally. Because we want to follow up properly and protect everyone's privacy, please contact us directly so we can speak with you.`;
+}
+
+module.exports = {
+  SEVERITIES,
+  RISK_CATEGORIES,
+  severityRank,
+  findRisks,
+  classifyRisk,
+  holdingResponse
+};
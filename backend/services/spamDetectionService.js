@@ -0,0 +1,417 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+const { getProvider } = require('./providers');
+const { spamClassificationSchema, completeWithSchema } = require('./llmOutput');
+const usageLedger = require('./usageLedger');
+const { normalizeReviewText } = require('./generationCache');
+
+// Fake and spam review detection. Heuristics (the same text posted about other
+// businesses, bursts of low ratings, competitor mentions, off-topic content and
+// extortion language) are combined with an LLM classification into a suspicion
+// score from 0 to 100. Reviews at or above SPAM_FLAG_THRESHOLD are flagged instead
+// of replied to; the owner confirms or dismisses each flag.
+
+const DEFAULT_FLAG_THRESHOLD = 60;
+const DEFAULT_BURST_THRESHOLD = 5;
+// Texts shorter than this ("Great place!") are too common to count as duplicates
+const MIN_DUPLICATE_WORDS = 8;
+
+const FLAG_STATUSES = ['flagged', 'confirmed', 'dismissed'];
+
+const weights = {
+  duplicate: 35,
+  burst: 20,
+  competitor: 25,
+  offTopic: 20,
+  extortion: 40
+};
+
+// How much the LLM verdict adds to the heuristic score, scaled by its confidence
+const verdictWeights = {
+  fake: 45,
+  suspicious: 20,
+  genuine: -20
+};
+
+const competitorPatterns = [
+  // Competitor names are capitalized, so these two are case-sensitive apart from the first letter
+  /\b(?:[Gg]o|[Ww]ent|[Hh]ead|[Ss]tick) (?:to|with) \p{Lu}[\p{L}'&]+(?: \p{Lu}[\p{L}'&]+)* instead\b/u,
+  /\b(?:[Tt]ry|[Vv]isit|[Uu]se) \p{Lu}[\p{L}'&]+(?: \p{Lu}[\p{L}'&]+)* (?:instead|across the street|down the (?:road|street)|next door)\b/u,
+  /\b(?:much|way|far) better (?:place|option|service|shop|restaurant|salon|hotel) (?:is|at|down|across)\b/i,
+  /\bdon'?t waste your (?:time|money) here,? (?:go|try)\b/i
+];
+
+const offTopicPatterns = [
+  /https?:\/\/|www\.[a-z0-9-]+\.[a-z]{2,}/i,
+  /\b(?:bitcoin|crypto(?:currency)?|forex|nft|onlyfans|casino|betting|viagra)\b/i,
+  /\b(?:check out my|follow me on|visit my (?:site|page|channel)|use (?:my )?code|dm me)\b/i,
+  /\b(?:election|democrats?|republicans?|vaccine mandate)\b/i
+];
+
+const extortionPatterns = [
+  /\bunless (?:you|they) (?:refund|pay|give|compensate|send)\b/i,
+  /\b(?:i'?ll|i will|i am going to|i'm going to) (?:remove|delete|change|update) (?:this|my) review (?:if|once|when)\b/i,
+  /\b(?:remove|delete|take down) (?:this|my) review (?:if|once|when) (?:you|i get)\b/i,
+  /\b(?:pay|refund|compensate) me (?:or|and) (?:i|this)\b/i,
+  /\b(?:i'?ll|i will) (?:post|leave|write) (?:more|many|dozens of|\d+) (?:bad |negative |1[- ]star )?reviews\b/i,
+  /\bfree (?:meal|service|stay|product)s? (?:or|and) i'?ll\b/i
+];
+
+// Dispute category each heuristic maps to in the report
+const reportCategories = {
+  duplicate: 'Spam: the same text has been posted about other businesses',
+  burst: 'Spam: part of a sudden burst of low ratings',
+  competitor: 'Conflict of interest: promotes a competitor',
+  off_topic: 'Off-topic or promotional content unrelated to a customer experience',
+  extortion: 'Extortion: demands compensation in exchange for changing or removing the review',
+  classifier: 'Automated review analysis flagged the content as likely fake'
+};
+
+// Policy each platform's dispute form refers to
+const platformPolicies = {
+  google: "Google Maps' prohibited and restricted content policy",
+  yelp: "Yelp's Content Guidelines",
+  facebook: "Facebook's Community Standards for recommendations and reviews",
+  tripadvisor: "Tripadvisor's review guidelines"
+};
+
+const flagThreshold = () => parseInt(process.env.SPAM_FLAG_THRESHOLD) || DEFAULT_FLAG_THRESHOLD;
+const burstThreshold = () => parseInt(process.env.SPAM_BURST_THRESHOLD) || DEFAULT_BURST_THRESHOLD;
+const isEnabled = () => process.env.SPAM_DETECTION_ENABLED !== 'false';
+
+// Stable hash of the normalized review text, used to find the same review elsewhere
+function fingerprint(reviewText) {
+  return crypto.createHash('sha256').update(normalizeReviewText(reviewText)).digest('hex');
+}
+
+const firstMatch = (text, patterns) => {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      return match[0];
+    }
+  }
+  return null;
+};
+
+// Pattern-based checks that need no database or model
+function textSignals(reviewText, keywords = []) {
+  const reasons = [];
+
+  const competitor = firstMatch(reviewText, competitorPatterns);
+  if (competitor) {
+    reasons.push({ check: 'competitor', weight: weights.competitor, message: `Promotes another business ("${competitor}")` });
+  }
+
+  const offTopic = firstMatch(reviewText, offTopicPatterns);
+  const words = normalizeReviewText(reviewText).split(' ');
+  const mentionsBusiness = keywords.some(keyword => words.includes(keyword.toLowerCase()));
+  if (offTopic) {
+    reasons.push({ check: 'off_topic', weight: weights.offTopic, message: `Contains off-topic or promotional content ("${offTopic}")` });
+  } else if (words.length >= 25 && keywords.length > 0 && !mentionsBusiness) {
+    reasons.push({ check: 'off_topic', weight: Math.round(weights.offTopic / 2), message: 'Does not mention anything about the business' });
+  }
+
+  const extortion = firstMatch(reviewText, extortionPatterns);
+  if (extortion) {
+    reasons.push({ check: 'extortion', weight: weights.extortion, message: `Demands something in exchange for the review ("${extortion}")` });
+  }
+
+  return reasons;
+}
+
+// Number of other accounts that received a review with the same text
+async function duplicateBusinesses(userId, reviewFingerprint) {
+  const result = await query(
+    `SELECT COUNT(DISTINCT user_id)::int AS businesses
+     FROM (
+       SELECT user_id FROM generated_responses WHERE review_fingerprint = $1 AND user_id <> $2
+       UNION ALL
+       SELECT user_id FROM reviews WHERE review_fingerprint = $1 AND user_id <> $2
+     ) matches`,
+    [reviewFingerprint, userId]
+  );
+  return result.rows[0] ? result.rows[0].businesses : 0;
+}
+
+// Low ratings the account received from its platforms in the last 24 hours
+async function recentLowRatings(userId) {
+  const result = await query(
+    `SELECT COUNT(*)::int AS reviews
+     FROM reviews
+     WHERE user_id = $1 AND rating <= 2
+       AND COALESCE(review_date, created_at) > NOW() - INTERVAL '24 hours'`,
+    [userId]
+  );
+  return result.rows[0] ? result.rows[0].reviews : 0;
+}
+
+// Ask the model whether the review looks fake; null when the call fails
+async function classifyReview(review, options = {}) {
+  try {
+    const provider = usageLedger.meterProvider(getProvider(options), options.usage);
+
+    const { value } = await completeWithSchema(provider, {
+      purpose: 'spam',
+      messages: [
+        {
+          role: 'system',
+          content: `You check customer reviews of ${options.businessType || 'local'} businesses for signs that they are fake, spam or written in bad faith.
+
+Signs include: no concrete detail about an actual visit, text that could apply to any business, promotion of a competitor, off-topic or promotional content, threats or demands for compensation, and marketing language.
+A harsh but specific complaint is genuine. Do not treat negative sentiment alone as a sign of a fake review.
+
+Return ONLY a JSON object with this exact format:
+{
+  "verdict": "genuine|suspicious|fake",
+  "confidence": 0.0-1.0,
+  "reasons": ["short reason", "..."]
+}`
+        },
+        {
+          role: 'user',
+          content: `Review${review.rating ? ` (${review.rating} stars)` : ''}: "${review.text}"`
+        }
+      ],
+      maxTokens: 300,
+      temperature: 0,
+      context: { reviewText: review.text, rating: review.rating },
+      signal: options.signal
+    }, spamClassificationSchema);
+
+    return value;
+  } catch (error) {
+    logger.error('Spam classification failed, using heuristics only:', error);
+    return null;
+  }
+}
+
+// Score a review. `review` holds text and optionally rating; options carry the
+// provider settings, the usage tracker and the business context keywords.
+// Returns { score, flagged, reasons, verdict, fingerprint }.
+async function detectSpam(userId, review, options = {}) {
+  const reviewFingerprint = fingerprint(review.text);
+  const keywords = options.businessContext ? options.businessContext.keywords : [];
+  const reasons = textSignals(review.text, keywords);
+
+  if (normalizeReviewText(review.text).split(' ').length >= MIN_DUPLICATE_WORDS) {
+    const businesses = await duplicateBusinesses(userId, reviewFingerprint);
+    if (businesses > 0) {
+      reasons.push({
+        check: 'duplicate',
+        weight: weights.duplicate,
+        message: `The same text was posted about ${businesses} other business${businesses === 1 ? '' : 'es'}`
+      });
+    }
+  }
+
+  if (!review.rating || review.rating <= 2) {
+    const lowRatings = await recentLowRatings(userId);
+    if (lowRatings >= burstThreshold()) {
+      reasons.push({
+        check: 'burst',
+        weight: weights.burst,
+        message: `${lowRatings} low ratings were received in the last 24 hours`
+      });
+    }
+  }
+
+  const classification = await classifyReview(review, options);
+  const classifierWeight = classification
+    ? Math.round(verdictWeights[classification.verdict] * classification.confidence)
+    : 0;
+  if (classification && classification.verdict !== 'genuine') {
+    reasons.push({
+      check: 'classifier',
+      weight: classifierWeight,
+      message: `Looks ${classification.verdict}: ${classification.reasons.join('; ') || 'no details given'}`
+    });
+  }
+
+  const heuristicScore = reasons
+    .filter(reason => reason.check !== 'classifier')
+    .reduce((total, reason) => total + reason.weight, 0);
+  const score = Math.max(0, Math.min(100, heuristicScore + classifierWeight));
+
+  return {
+    score,
+    flagged: score >= flagThreshold(),
+    reasons,
+    verdict: classification ? classification.verdict : null,
+    fingerprint: reviewFingerprint
+  };
+}
+
+// Platform-ready text for disputing a flagged review
+function buildDisputeReport({ platform, businessName, reviewText, reviewerName, reviewDate, reasons }) {
+  const policy = platformPolicies[platform] || "the platform's review policy";
+  const categories = [...new Set(reasons.map(reason => reportCategories[reason.check]).filter(Boolean))];
+  const details = reasons.map(reason => reason.message);
+  const posted = [
+    reviewerName ? `by ${reviewerName}` : null,
+    reviewDate ? `on ${new Date(reviewDate).toISOString().slice(0, 10)}` : null
+  ].filter(Boolean).join(' ');
+
+  return `We are asking for the review${posted ? ` posted ${posted}` : ''} about ${businessName || 'our business'} to be reviewed for removal under ${policy}.
+
+Review text:
+"${reviewText}"
+
+Why we believe it breaks the policy:
+${categories.map(category => `- ${category}`).join('\n')}
+
+Details:
+${details.map(detail => `- ${detail}`).join('\n')}
+
+We ask that this review be assessed against the policy and removed if it breaks it. We are happy to provide any further information.`;
+}
+
+// Map a database row to the API shape
+const formatFlag = (row) => ({
+  id: row.id,
+  reviewId: row.review_id,
+  source: row.source,
+  reviewText: row.review_text,
+  rating: row.rating,
+  platform: row.platform_name,
+  score: row.suspicion_score,
+  reasons: row.reasons || [],
+  verdict: row.llm_verdict,
+  report: row.report_text,
+  status: row.status,
+  decisionNote: row.decision_note,
+  decidedAt: row.decided_at,
+  createdAt: row.created_at
+});
+
+const FLAG_COLUMNS = `id, review_id, source, review_text, rating, platform_name, suspicion_score, reasons,
+  llm_verdict, report_text, status, decision_note, decided_at, created_at`;
+
+// Record a flag for a detected review. `review.text` is the text to store (already
+// redacted by the caller); synced reviews (review.id) are set to the flagged status.
+async function flagReview(userId, review, detection, { source, businessName }) {
+  const report = buildDisputeReport({
+    platform: review.platform,
+    businessName,
+    reviewText: review.text,
+    reviewerName: review.reviewerName,
+    reviewDate: review.reviewDate,
+    reasons: detection.reasons
+  });
+
+  const result = await query(
+    `INSERT INTO review_flags (user_id, review_id, source, review_text, review_fingerprint, rating, platform_name,
+                               suspicion_score, reasons, llm_verdict, report_text)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING ${FLAG_COLUMNS}`,
+    [userId, review.id || null, source, review.text, detection.fingerprint, review.rating || null,
+     review.platform || null, detection.score, JSON.stringify(detection.reasons), detection.verdict, report]
+  );
+
+  if (review.id) {
+    await query(
+      `UPDATE reviews SET status = 'flagged', spam_score = $2 WHERE id = $1`,
+      [review.id, detection.score]
+    );
+  }
+
+  logger.business('Review flagged as suspicious', {
+    userId,
+    flagId: result.rows[0].id,
+    source,
+    score: detection.score,
+    checks: detection.reasons.map(reason => reason.check)
+  });
+
+  return formatFlag(result.rows[0]);
+}
+
+// Detect and, when suspicious, flag a review synced from a platform. Returns the
+// flag, or null when the review can be replied to.
+async function screenReview(userId, review, options = {}) {
+  if (!isEnabled()) {
+    return null;
+  }
+
+  const detection = await detectSpam(userId, review, options);
+  await query('UPDATE reviews SET review_fingerprint = $2, spam_score = $3 WHERE id = $1',
+    [review.id, detection.fingerprint, detection.score]);
+
+  return detection.flagged
+    ? flagReview(userId, review, detection, { source: 'sync', businessName: options.businessName })
+    : null;
+}
+
+async function listFlags(userId, { status, limit = 50 } = {}) {
+  const result = await query(
+    `SELECT ${FLAG_COLUMNS}
+     FROM review_flags
+     WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [userId, status || null, limit]
+  );
+  return result.rows.map(formatFlag);
+}
+
+async function getFlag(userId, flagId) {
+  const result = await query(
+    `SELECT ${FLAG_COLUMNS} FROM review_flags WHERE id = $1 AND user_id = $2`,
+    [flagId, userId]
+  );
+  return result.rows.length > 0 ? formatFlag(result.rows[0]) : null;
+}
+
+// A dismissed flag for this review text lets a manual generation go ahead
+async function findDismissedFlag(userId, flagId, reviewText) {
+  const result = await query(
+    `SELECT ${FLAG_COLUMNS}
+     FROM review_flags
+     WHERE id = $1 AND user_id = $2 AND status = 'dismissed' AND review_fingerprint = $3`,
+    [flagId, userId, fingerprint(reviewText)]
+  );
+  return result.rows.length > 0 ? formatFlag(result.rows[0]) : null;
+}
+
+// Confirm a flag (the review is fake) or dismiss it (the review is genuine and
+// synced reviews go back to `new`, so automation replies to them)
+async function decideFlag(userId, flagId, decision, note) {
+  const status = decision === 'genuine' ? 'dismissed' : 'confirmed';
+  const result = await query(
+    `UPDATE review_flags
+     SET status = $3, decision_note = $4, decided_by = $2, decided_at = NOW()
+     WHERE id = $1 AND user_id = $2
+     RETURNING ${FLAG_COLUMNS}`,
+    [flagId, userId, status, note || null]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const flag = formatFlag(result.rows[0]);
+  if (flag.reviewId) {
+    await query(
+      'UPDATE reviews SET status = $2 WHERE id = $1',
+      [flag.reviewId, status === 'dismissed' ? 'new' : 'flagged']
+    );
+  }
+
+  return flag;
+}
+
+module.exports = {
+  FLAG_STATUSES,
+  isEnabled,
+  fingerprint,
+  textSignals,
+  detectSpam,
+  buildDisputeReport,
+  flagReview,
+  screenReview,
+  listFlags,
+  getFlag,
+  findDismissedFlag,
+  decideFlag
+};
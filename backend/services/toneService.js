@@ -0,0 +1,165 @@
+const { query } = require('../config/database');
+const { toSlug } = require('./businessTypeService');
+
+// Tone catalogue. Built-in tones (user_id NULL) are seeded by the schema; accounts
+// can add custom tones with their own instruction text and example sentences.
+// A tone can be the default for some star ratings and sentiments, which is how
+// the tone is picked when a generation request does not name one.
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+// Used when no tone in the catalogue applies
+const DEFAULT_TONE = {
+  slug: 'professional',
+  name: 'Professional',
+  instruction: 'Use formal, business-appropriate language. Be courteous and maintain professional boundaries.',
+  examples: [],
+  defaults: { ratings: [], sentiments: [] },
+  custom: false
+};
+
+const TONE_COLUMNS = `id, user_id, slug, name, instruction, examples, default_ratings, default_sentiments,
+  created_at, updated_at`;
+
+// Map a database row to the API shape
+const formatTone = (row) => ({
+  slug: row.slug,
+  name: row.name,
+  instruction: row.instruction,
+  examples: row.examples || [],
+  defaults: {
+    ratings: row.default_ratings || [],
+    sentiments: row.default_sentiments || []
+  },
+  custom: row.user_id !== null,
+  updatedAt: row.updated_at
+});
+
+// Built-in tones plus the account's custom tones (pass no user for built-ins only)
+async function listTones(userId = null) {
+  const result = await query(
+    `SELECT ${TONE_COLUMNS}
+     FROM tones
+     WHERE user_id IS NULL OR user_id = $1
+     ORDER BY user_id NULLS FIRST, name`,
+    [userId]
+  );
+  return result.rows.map(formatTone);
+}
+
+// Look up a tone available to the account, or null
+async function findTone(slug, userId = null) {
+  if (typeof slug !== 'string') {
+    return null;
+  }
+
+  const result = await query(
+    `SELECT ${TONE_COLUMNS}
+     FROM tones
+     WHERE slug = $1 AND (user_id IS NULL OR user_id = $2)
+     ORDER BY user_id NULLS FIRST
+     LIMIT 1`,
+    [toSlug(slug), userId]
+  );
+  return result.rows.length > 0 ? formatTone(result.rows[0]) : null;
+}
+
+// express-validator custom validator: the value must be in the account's catalogue
+async function validateTone(value, { req }) {
+  const tone = await findTone(value, req.user ? req.user.id : null);
+  if (!tone) {
+    throw new Error('Please select a valid tone');
+  }
+  return true;
+}
+
+// Pick the tone for a review when the request names none: a tone that is the
+// default for the star rating wins over one that is the default for the
+// sentiment, and custom tones win over built-ins. Returns { tone, reason }.
+function selectTone(tones, { rating, sentiment } = {}) {
+  const ordered = [...tones.filter(tone => tone.custom), ...tones.filter(tone => !tone.custom)];
+
+  const byRating = rating ? ordered.find(tone => tone.defaults.ratings.includes(rating)) : null;
+  if (byRating) {
+    return { tone: byRating, reason: 'rating' };
+  }
+
+  const bySentiment = ordered.find(tone => tone.defaults.sentiments.includes(sentiment));
+  if (bySentiment) {
+    return { tone: bySentiment, reason: 'sentiment' };
+  }
+
+  return {
+    tone: ordered.find(tone => tone.slug === DEFAULT_TONE.slug) || DEFAULT_TONE,
+    reason: 'default'
+  };
+}
+
+// The TONE instruction given to the model, with the tone's examples if it has any
+function toneInstruction(tone) {
+  const { instruction, examples } = tone || DEFAULT_TONE;
+  return examples.length > 0
+    ? `${instruction}\nExamples of this tone:\n${examples.map(example => `- "${example}"`).join('\n')}`
+    : instruction;
+}
+
+async function createTone(userId, { name, instruction, examples = [], defaults = {} }) {
+  const result = await query(
+    `INSERT INTO tones (user_id, slug, name, instruction, examples, default_ratings, default_sentiments)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${TONE_COLUMNS}`,
+    [
+      userId,
+      toSlug(name),
+      name.trim(),
+      instruction,
+      JSON.stringify(examples),
+      JSON.stringify(defaults.ratings || []),
+      JSON.stringify(defaults.sentiments || [])
+    ]
+  );
+  return formatTone(result.rows[0]);
+}
+
+// Replace one of the account's custom tones; built-ins cannot be changed
+async function updateTone(userId, slug, { instruction, examples = [], defaults = {} }) {
+  const result = await query(
+    `UPDATE tones
+     SET instruction = $3,
+         examples = $4,
+         default_ratings = $5,
+         default_sentiments = $6
+     WHERE user_id = $1 AND slug = $2
+     RETURNING ${TONE_COLUMNS}`,
+    [
+      userId,
+      toSlug(slug),
+      instruction,
+      JSON.stringify(examples),
+      JSON.stringify(defaults.ratings || []),
+      JSON.stringify(defaults.sentiments || [])
+    ]
+  );
+  return result.rows.length > 0 ? formatTone(result.rows[0]) : null;
+}
+
+async function deleteTone(userId, slug) {
+  const result = await query(
+    'DELETE FROM tones WHERE user_id = $1 AND slug = $2',
+    [userId, toSlug(slug)]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  SENTIMENTS,
+  DEFAULT_TONE,
+  listTones,
+  findTone,
+  validateTone,
+  selectTone,
+  toneInstruction,
+  createTone,
+  updateTone,
+  deleteTone
+};
@@ -0,0 +1,283 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// USD per 1K tokens, matched by longest model-name prefix.
+// Override or extend with LLM_PRICING='{"my-deployment":{"prompt":0.01,"completion":0.03}}'
+const defaultPricing = {
+  'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+  'gpt-4o': { prompt: 0.0025, completion: 0.01 },
+  'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+  'gpt-4-32k': { prompt: 0.06, completion: 0.12 },
+  'gpt-4': { prompt: 0.03, completion: 0.06 },
+  'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 },
+  fixture: { prompt: 0, completion: 0 }
+};
+
+let pricing;
+function getPricing() {
+  if (!pricing) {
+    pricing = { ...defaultPricing };
+    if (process.env.LLM_PRICING) {
+      try {
+        Object.assign(pricing, JSON.parse(process.env.LLM_PRICING));
+      } catch (error) {
+        logger.error('Invalid LLM_PRICING configuration, using default prices:', error);
+      }
+    }
+  }
+  return pricing;
+}
+
+// Cost in USD for a single call
+function calculateCost(model, promptTokens, completionTokens) {
+  const prices = getPricing();
+  const match = Object.keys(prices)
+    .filter(prefix => (model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!match) {
+    logger.warn('No pricing configured for model, recording zero cost', { model });
+    return 0;
+  }
+
+  const price = prices[match];
+  return Number(((promptTokens / 1000) * price.prompt + (completionTokens / 1000) * price.completion).toFixed(6));
+}
+
+// Rough token estimate for providers that do not report usage (about 4 characters per token)
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Collects every LLM call made while handling one request
+function createUsageTracker() {
+  const calls = [];
+
+  return {
+    calls,
+
+    record({ provider, model, purpose, usage = {}, latencyMs, estimated = false }) {
+      const promptTokens = usage.promptTokens || 0;
+      const completionTokens = usage.completionTokens || 0;
+
+      calls.push({
+        provider,
+        model,
+        purpose,
+        promptTokens,
+        completionTokens,
+        totalTokens: usage.totalTokens || promptTokens + completionTokens,
+        latencyMs,
+        costUsd: calculateCost(model, promptTokens, completionTokens),
+        estimated
+      });
+    },
+
+    totals() {
+      return calls.reduce((totals, call) => ({
+        calls: totals.calls + 1,
+        promptTokens: totals.promptTokens + call.promptTokens,
+        completionTokens: totals.completionTokens + call.completionTokens,
+        totalTokens: totals.totalTokens + call.totalTokens,
+        costUsd: Number((totals.costUsd + call.costUsd).toFixed(6))
+      }), { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 });
+    }
+  };
+}
+
+// Wrap a provider so every call it makes is recorded on the tracker
+function meterProvider(provider, tracker) {
+  // Already metered for this tracker (e.g. passed down from generateResponses)
+  if (!tracker || provider.meteredBy === tracker) {
+    return provider;
+  }
+
+  return {
+    ...provider,
+    meteredBy: tracker,
+
+    async complete(request) {
+      const start = Date.now();
+      const completion = await provider.complete(request);
+
+      tracker.record({
+        provider: provider.name,
+        model: completion.model,
+        purpose: request.purpose,
+        usage: completion.usage,
+        latencyMs: Date.now() - start
+      });
+
+      return completion;
+    },
+
+    async *stream(request) {
+      const start = Date.now();
+      let content = '';
+
+      for await (const chunk of provider.stream(request)) {
+        if (chunk.done) {
+          // Some backends do not report usage on streams, so estimate it from the text
+          const estimated = !chunk.usage || !chunk.usage.totalTokens;
+          const usage = estimated
+            ? {
+              promptTokens: request.messages.reduce((total, message) => total + estimateTokens(message.content), 0),
+              completionTokens: estimateTokens(content)
+            }
+            : chunk.usage;
+
+          tracker.record({
+            provider: provider.name,
+            model: chunk.model,
+            purpose: request.purpose,
+            usage,
+            latencyMs: Date.now() - start,
+            estimated
+          });
+        } else {
+          content += chunk.delta;
+        }
+
+        yield chunk;
+      }
+    }
+  };
+}
+
+// Persist the calls collected by a tracker. Never throws: a ledger failure must not fail the request.
+async function recordUsage(userId, generatedResponseId, tracker) {
+  if (!tracker || tracker.calls.length === 0) {
+    return;
+  }
+
+  try {
+    const values = [];
+    const placeholders = tracker.calls.map((call, index) => {
+      const offset = index * 11;
+      values.push(
+        userId,
+        generatedResponseId || null,
+        call.provider,
+        call.model,
+        call.purpose,
+        call.promptTokens,
+        call.completionTokens,
+        call.totalTokens,
+        call.latencyMs,
+        call.costUsd,
+        call.estimated
+      );
+      return `(${Array.from({ length: 11 }, (_, i) => `$${offset + i + 1}`).join(', ')})`;
+    });
+
+    await query(
+      `INSERT INTO llm_usage (user_id, generated_response_id, provider, model, purpose,
+                              prompt_tokens, completion_tokens, total_tokens, latency_ms,
+                              cost_usd, usage_estimated)
+       VALUES ${placeholders.join(', ')}`,
+      values
+    );
+  } catch (error) {
+    logger.error('Failed to record LLM usage:', error);
+  }
+}
+
+// Aggregate columns shared by every usage report
+const totalsColumns = (alias = '') => `COUNT(*)::int AS calls,
+         COALESCE(SUM(${alias}prompt_tokens), 0)::int AS prompt_tokens,
+         COALESCE(SUM(${alias}completion_tokens), 0)::int AS completion_tokens,
+         COALESCE(SUM(${alias}total_tokens), 0)::int AS total_tokens,
+         COALESCE(SUM(${alias}cost_usd), 0)::float AS cost_usd,
+         COALESCE(AVG(${alias}latency_ms), 0)::int AS avg_latency_ms`;
+
+const formatTotals = (row) => ({
+  calls: row.calls,
+  promptTokens: row.prompt_tokens,
+  completionTokens: row.completion_tokens,
+  totalTokens: row.total_tokens,
+  costUsd: row.cost_usd,
+  avgLatencyMs: row.avg_latency_ms
+});
+
+// Totals, per-day and per-model breakdown for one user
+async function getUserUsage(userId, from, to) {
+  const params = [userId, from, to];
+  const range = 'user_id = $1 AND created_at >= $2 AND created_at < $3';
+
+  const [totalsResult, dailyResult, modelResult] = await Promise.all([
+    query(`SELECT ${totalsColumns()} FROM llm_usage WHERE ${range}`, params),
+    query(
+      `SELECT date_trunc('day', created_at)::date AS day, ${totalsColumns()}
+       FROM llm_usage WHERE ${range}
+       GROUP BY day ORDER BY day`,
+      params
+    ),
+    query(
+      `SELECT model, ${totalsColumns()}
+       FROM llm_usage WHERE ${range}
+       GROUP BY model ORDER BY cost_usd DESC`,
+      params
+    )
+  ]);
+
+  return {
+    totals: formatTotals(totalsResult.rows[0]),
+    daily: dailyResult.rows.map(row => ({ day: row.day, ...formatTotals(row) })),
+    byModel: modelResult.rows.map(row => ({ model: row.model, ...formatTotals(row) }))
+  };
+}
+
+// Per-user and per-plan totals across all accounts
+async function getAccountsUsage(from, to, { limit = 100, offset = 0 } = {}) {
+  const params = [from, to];
+  const range = 'u.created_at >= $1 AND u.created_at < $2';
+
+  const [userResult, tierResult] = await Promise.all([
+    query(
+      `SELECT users.id, users.email, users.business_name, users.subscription_tier,
+              COUNT(DISTINCT u.generated_response_id)::int AS generations, ${totalsColumns('u.')}
+       FROM llm_usage u
+       JOIN users ON users.id = u.user_id
+       WHERE ${range}
+       GROUP BY users.id
+       ORDER BY cost_usd DESC
+       LIMIT $3 OFFSET $4`,
+      [...params, limit, offset]
+    ),
+    query(
+      `SELECT users.subscription_tier, COUNT(DISTINCT users.id)::int AS users,
+              COUNT(DISTINCT u.generated_response_id)::int AS generations, ${totalsColumns('u.')}
+       FROM llm_usage u
+       JOIN users ON users.id = u.user_id
+       WHERE ${range}
+       GROUP BY users.subscription_tier
+       ORDER BY cost_usd DESC`,
+      params
+    )
+  ]);
+
+  return {
+    users: userResult.rows.map(row => ({
+      userId: row.id,
+      email: row.email,
+      businessName: row.business_name,
+      subscriptionTier: row.subscription_tier,
+      generations: row.generations,
+      ...formatTotals(row)
+    })),
+    byTier: tierResult.rows.map(row => ({
+      subscriptionTier: row.subscription_tier,
+      users: row.users,
+      generations: row.generations,
+      costPerGeneration: row.generations ? Number((row.cost_usd / row.generations).toFixed(6)) : 0,
+      ...formatTotals(row)
+    }))
+  };
+}
+
+module.exports = {
+  calculateCost,
+  createUsageTracker,
+  meterProvider,
+  recordUsage,
+  getUserUsage,
+  getAccountsUsage
+};
@@ -0,0 +1,90 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { buildApp } = require('./helpers/app');
+const aspectSentiment = require('../services/aspectSentiment');
+const openaiService = require('../services/openaiService');
+const responseRoutes = require('../routes/responses');
+
+const app = buildApp('/api/responses', responseRoutes);
+
+const REVIEW = 'The food was delicious, but the service was slow and rude.';
+const restaurant = { keywords: ['food', 'service', 'atmosphere'] };
+
+// A provider whose sentiment answer is `analysis`
+const sentimentProvider = (analysis) => ({
+  name: 'scripted',
+  async complete() {
+    return { content: JSON.stringify(analysis), model: 'scripted', usage: {} };
+  }
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe('aspect sentiment', () => {
+  test('each aspect is scored on the clauses that mention it', () => {
+    const aspects = aspectSentiment.scoreAspects(REVIEW, restaurant.keywords, { positive: ['delicious'], negative: ['slow', 'rude'] });
+
+    expect(aspects).toEqual([
+      { aspect: 'food', sentiment: 'positive', score: 0.95, evidence: 'The food was delicious' },
+      { aspect: 'service', sentiment: 'negative', score: 0.05, evidence: 'the service was slow and rude' }
+    ]);
+    expect(aspectSentiment.criticisedAspects(aspects).map(entry => entry.aspect)).toEqual(['service']);
+  });
+
+  test('only the business type\'s aspects are kept from a model answer', async () => {
+    const analysis = await openaiService.analyzeSentiment(REVIEW, {
+      businessContext: restaurant,
+      cache: false,
+      provider: sentimentProvider({
+        sentiment: 'negative',
+        score: 0.3,
+        aspects: [
+          { aspect: 'Food ', sentiment: 'positive', score: 0.9 },
+          { aspect: 'food', sentiment: 'negative', score: 0.1 },
+          { aspect: 'parking', sentiment: 'negative', score: 0.1 },
+          { aspect: 'service', sentiment: 'negative', score: 0.1 }
+        ]
+      })
+    });
+
+    expect(analysis.aspects.map(entry => [entry.aspect, entry.sentiment])).toEqual([['food', 'positive'], ['service', 'negative']]);
+  });
+
+  test('the keyword fallback scores aspects too', async () => {
+    const failing = { name: 'down', complete: async () => { throw new Error('model unavailable'); } };
+
+    const analysis = await openaiService.analyzeSentiment('Amazing food, but the service was terrible.', {
+      businessContext: restaurant,
+      cache: false,
+      provider: failing
+    });
+
+    expect(analysis.confidence).toBe('low');
+    expect(analysis.aspects.map(entry => [entry.aspect, entry.sentiment])).toEqual([['food', 'positive'], ['service', 'negative']]);
+    expect(analysis.main_concerns).toEqual(['service']);
+  });
+
+  test('aspects are stored with the generation and addressed in the replies', async () => {
+    const res = await request(app)
+      .post('/api/responses')
+      .send({ reviewText: REVIEW, businessType: 'restaurant', tone: 'friendly' });
+
+    expect(res.status).toBe(201);
+    const { aspects } = res.body.metadata.sentiment;
+    expect(aspects.find(entry => entry.aspect === 'service')).toMatchObject({ sentiment: 'negative' });
+    expect(res.body.responses[0].response).toContain('the service fell short');
+
+    const insert = db.queries.find(({ text }) => /INSERT INTO generated_responses/.test(text));
+    const [score, category, stored] = insert.params.slice(9, 12);
+    expect(typeof score).toBe('number');
+    expect(category).toBe(res.body.metadata.sentiment.sentiment);
+    expect(JSON.parse(stored)).toEqual(aspects);
+  });
+});
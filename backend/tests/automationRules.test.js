@@ -0,0 +1,97 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { testUser } = require('./helpers/app');
+const automationRuleService = require('../services/automationRuleService');
+
+const settings = { auto_respond_positive: true, auto_respond_neutral: false, auto_respond_negative: true, require_approval_negative: true };
+
+const ruleset = {
+  rules: [
+    { name: 'Tag food mentions', when: { aspects: [{ aspect: 'food' }] }, action: { type: 'tag', tags: ['food'] } },
+    { name: 'Paused rule', enabled: false, when: {}, action: { type: 'skip' } },
+    { name: 'Escalate refunds', when: { keywords: { any: ['refund'] }, rating: { max: 2 } }, action: { type: 'escalate', severity: 'high' } },
+    { name: 'Thank happy regulars', when: { rating: { min: 5 }, reviewer: { minPreviousReviews: 2 } }, action: { type: 'auto_reply', tone: 'grateful' } }
+  ]
+};
+
+const facts = (overrides) => ({
+  text: 'Lovely evening', rating: 4, sentiment: 'positive', aspects: [], platform: 'google', previousReviews: 0, ...overrides
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe('automation rules', () => {
+  test('a ruleset is checked for its shape, then against the account\'s tones, aspects and platforms', async () => {
+    const shape = await automationRuleService.validateRuleset({
+      rules: [{ name: 'Tone on a skip', when: {}, action: { type: 'skip', tone: 'friendly' } }]
+    }, testUser);
+    expect(shape.errors.map(error => error.path)).toEqual(['rules.0.action.tone']);
+
+    const names = await automationRuleService.validateRuleset({
+      rules: [
+        { name: 'Bad range', when: { rating: { min: 4, max: 2 } }, action: { type: 'skip' } },
+        { name: 'Unknown names', when: { aspects: [{ aspect: 'parking' }], platforms: ['myspace'] }, action: { type: 'auto_reply', tone: 'sarcastic' } }
+      ]
+    }, testUser);
+    expect(names.errors.map(error => error.path)).toEqual([
+      'rules.0.when.rating',
+      'rules.1.when.aspects.0.aspect',
+      'rules.1.when.platforms.0',
+      'rules.1.action.tone'
+    ]);
+
+    const valid = await automationRuleService.validateRuleset(ruleset, testUser);
+    expect(valid.errors).toBeUndefined();
+    expect(valid.ruleset.rules[0].enabled).toBe(true);
+  });
+
+  test('the first matching rule decides, after tag rules and past disabled ones', () => {
+    const decision = automationRuleService.evaluateRules(ruleset, facts({
+      text: 'Cold food and I want a REFUND now',
+      rating: 1,
+      sentiment: 'negative',
+      aspects: [{ aspect: 'food', sentiment: 'negative' }]
+    }), settings);
+
+    expect(decision.action).toEqual({ type: 'escalate', severity: 'high' });
+    expect(decision.tags).toEqual(['food']);
+    expect(decision.rule).toEqual({ index: 2, name: 'Escalate refunds' });
+    expect(decision.explanation).toBe('Rule 3 "Escalate refunds" matched: contains "refund"; rating 1 is at most 2');
+    expect(decision.trace.map(entry => entry.name)).toEqual(['Tag food mentions', 'Escalate refunds']);
+  });
+
+  test('keywords match whole words only', () => {
+    const decision = automationRuleService.evaluateRules(ruleset, facts({ text: 'No refunds needed', rating: 2, sentiment: 'negative' }), settings);
+    expect(decision.rule).toBeNull();
+  });
+
+  test('without a matching rule the sentiment settings decide', () => {
+    const regular = automationRuleService.evaluateRules(ruleset, facts({ rating: 5, previousReviews: 3 }), settings);
+    expect(regular.action).toEqual({ type: 'auto_reply', tone: 'grateful' });
+
+    const negative = automationRuleService.evaluateRules(ruleset, facts({ rating: 3, sentiment: 'negative' }), settings);
+    expect(negative).toMatchObject({ action: { type: 'require_approval' }, rule: null });
+    expect(negative.explanation).toBe('No rule matched; replies to negative reviews need approval');
+
+    const positive = automationRuleService.evaluateRules(ruleset, facts({ rating: 4, previousReviews: null }), settings);
+    expect(positive).toMatchObject({ action: { type: 'auto_reply' }, rule: null });
+  });
+
+  test('a dry run replays recent reviews without acting on them', async () => {
+    db.on(/FROM reviews r\s+WHERE r.user_id = \$1\s+ORDER BY/, () => [
+      { id: 'r-1', platform_name: 'google', reviewer_name: 'Ann', review_text: 'I want a refund', rating: 1, sentiment_category: 'negative', aspect_sentiments: [], status: 'new', previous_reviews: 0 },
+      { id: 'r-2', platform_name: 'yelp', reviewer_name: 'Bob', review_text: 'Best pasta in town', rating: 5, sentiment_category: 'positive', aspect_sentiments: [], status: 'responded', previous_reviews: 4 }
+    ]);
+
+    const { reviews, summary } = await automationRuleService.dryRun(testUser.id, ruleset, settings);
+
+    expect(reviews.map(review => [review.reviewId, review.action.type])).toEqual([['r-1', 'escalate'], ['r-2', 'auto_reply']]);
+    expect(summary).toEqual({ escalate: 1, auto_reply: 1 });
+    expect(db.queries.some(({ text }) => /^\s*(UPDATE|INSERT|DELETE)/i.test(text))).toBe(false);
+  });
+});
@@ -0,0 +1,215 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const { testUser } = require('./helpers/app');
+
+const JOB_ID = '4fa17d52-9e60-4b1c-8d34-5e6f708192a3';
+
+// Generation stand-in shared by every "process": records each review it generates
+const generation = {
+  calls: [],
+  failing: false,
+  async generateForUser(user, input) {
+    generation.calls.push(input.reviewText);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    if (generation.failing) {
+      throw new Error('provider unavailable');
+    }
+    return { record: { id: `gr-${input.reviewText}`, creditUsed: true }, usage: { totalTokens: 100 } };
+  }
+};
+
+// A server process: its own copy of the service (own worker id and job runners)
+// working against the shared database
+function startProcess() {
+  let service;
+  jest.isolateModules(() => {
+    jest.doMock('../config/database', () => db);
+    jest.doMock('../utils/logger', () => logger);
+    jest.doMock('../services/generationService', () => generation);
+    service = require('../services/batchJobService');
+  });
+  return service;
+}
+
+const expired = () => new Date(Date.now() - 1000);
+const leasedFor = (ms) => new Date(Date.now() + ms);
+
+let job;
+let items;
+let refunds;
+
+// batch_jobs and batch_job_items in memory, following the service's SQL
+function serveBatchTables() {
+  const claimable = (item) => item.status === 'pending' ||
+    (item.status === 'processing' && (!item.locked_until || item.locked_until < new Date()));
+  const byId = (id) => items.find(item => item.id === id);
+
+  db.on(/FROM users\s+WHERE id = \$1 AND is_active/, () => [{ id: testUser.id, subscription_tier: 'pro', business_type: 'restaurant' }]);
+  db.on(/UPDATE batch_jobs\s+SET status = 'running'/, () => (
+    ['queued', 'running'].includes(job.status) ? (job.status = 'running', [job]) : { rows: [], rowCount: 0 }
+  ));
+  db.on(/SELECT id FROM batch_jobs WHERE status IN/, () => (['queued', 'running'].includes(job.status) ? [{ id: job.id }] : { rows: [], rowCount: 0 }));
+  db.on(/UPDATE batch_jobs SET status = 'completed'/, () => {
+    if (job.status !== 'running' || items.some(item => ['pending', 'processing'].includes(item.status))) {
+      return { rows: [], rowCount: 0 };
+    }
+    job.status = 'completed';
+    return [{ id: job.id }];
+  });
+  db.on(/UPDATE users SET monthly_usage = GREATEST/, (params) => {
+    refunds += params[1];
+    return { rows: [], rowCount: 1 };
+  });
+
+  db.on(/SET status = 'processing', attempts = attempts \+ 1/, ([jobId, workerId, leaseMs]) => {
+    const item = job.id === jobId && job.status === 'running' ? items.find(claimable) : null;
+    if (!item) {
+      return { rows: [], rowCount: 0 };
+    }
+    Object.assign(item, { status: 'processing', attempts: item.attempts + 1, locked_by: workerId, locked_until: leasedFor(Number(leaseMs)) });
+    return [{ ...item }];
+  });
+  db.on(/AS wait_ms/, ([, workerId]) => {
+    const leases = items
+      .filter(item => job.status === 'running' && item.status === 'processing' && item.locked_by !== workerId)
+      .map(item => item.locked_until.getTime() - Date.now());
+    return [{ wait_ms: leases.length ? Math.max(Math.min(...leases), 0) : null }];
+  });
+  db.on(/SET locked_until = NOW\(\)/, ([id, workerId, leaseMs]) => {
+    const item = byId(id);
+    if (item.status !== 'processing' || item.locked_by !== workerId) {
+      return { rows: [], rowCount: 0 };
+    }
+    item.locked_until = leasedFor(Number(leaseMs));
+    return { rows: [], rowCount: 1 };
+  });
+  db.on(/SET status = 'pending', locked_by = NULL, locked_until = NULL\s+WHERE id = \$1/, ([id, workerId]) => {
+    const item = byId(id);
+    if (item.status !== 'processing' || item.locked_by !== workerId) {
+      return { rows: [], rowCount: 0 };
+    }
+    Object.assign(item, { status: 'pending', locked_by: null, locked_until: null });
+    return { rows: [], rowCount: 1 };
+  });
+  db.on(/SET status = \$2, generated_response_id = \$3/, ([id, status, generatedResponseId, , , , error, workerId]) => {
+    const item = byId(id);
+    if (item.status !== 'processing' || item.locked_by !== workerId) {
+      return { rows: [], rowCount: 0 };
+    }
+    Object.assign(item, { status, generated_response_id: generatedResponseId, error_message: error, settled: (item.settled || 0) + 1, locked_by: null, locked_until: null });
+    return { rows: [], rowCount: 1 };
+  });
+}
+
+const waitFor = async (condition) => {
+  for (let tries = 0; tries < 400 && !condition(); tries++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  expect(condition()).toBe(true);
+};
+
+const makeItem = (position, overrides = {}) => ({
+  id: `item-${position}`,
+  position,
+  review_text: `review ${position}`,
+  business_type: 'restaurant',
+  tone: null,
+  rating: null,
+  review_id: null,
+  status: 'pending',
+  attempts: 0,
+  locked_by: null,
+  locked_until: null,
+  ...overrides
+});
+
+beforeEach(() => {
+  db.reset();
+  generation.calls.length = 0;
+  generation.failing = false;
+  refunds = 0;
+  process.env.BATCH_ITEM_LEASE_MS = '1500';
+  job = { id: JOB_ID, user_id: testUser.id, status: 'running', defaults: {}, total_items: 0 };
+  items = [];
+  serveBatchTables();
+});
+
+afterEach(() => {
+  delete process.env.LLM_TOKENS_PER_MINUTE;
+});
+
+afterAll(() => {
+  delete process.env.BATCH_ITEM_LEASE_MS;
+});
+
+describe('batch jobs across server processes', () => {
+  test('two processes share a job without generating or settling an item twice', async () => {
+    items = Array.from({ length: 8 }, (_, position) => makeItem(position));
+    job.total_items = items.length;
+
+    await Promise.all([startProcess().resumeBatchJobs(), startProcess().resumeBatchJobs()]);
+    await waitFor(() => job.status === 'completed');
+
+    expect(generation.calls.sort()).toEqual(items.map(item => `review ${item.position}`).sort());
+    items.forEach(item => {
+      expect(item).toMatchObject({ status: 'completed', settled: 1, attempts: 1 });
+    });
+    expect(refunds).toBe(0);
+  });
+
+  test('starting a process leaves live leases alone and takes over expired ones', async () => {
+    items = [
+      makeItem(0, { status: 'processing', attempts: 1, locked_by: 'other-process', locked_until: leasedFor(60000) }),
+      makeItem(1, { status: 'processing', attempts: 1, locked_by: 'stopped-process', locked_until: expired() }),
+      makeItem(2)
+    ];
+    job.total_items = items.length;
+
+    await startProcess().resumeBatchJobs();
+    await waitFor(() => items[1].status === 'completed' && items[2].status === 'completed');
+
+    // Nothing is reset in bulk, and the item another process holds is not touched
+    expect(db.queries.some(({ text }) => /SET status = 'pending'\s+WHERE status = 'processing'/.test(text))).toBe(false);
+    expect(generation.calls.sort()).toEqual(['review 1', 'review 2']);
+    expect(items[0]).toMatchObject({ status: 'processing', locked_by: 'other-process' });
+    expect(items[1].attempts).toBe(2);
+    expect(job.status).toBe('running');
+
+    // The job completes once the other process has settled its item
+    Object.assign(items[0], { status: 'completed', locked_by: null, locked_until: null });
+    await waitFor(() => job.status === 'completed');
+  });
+
+  test('an item interrupted on every attempt fails and gets its credit back', async () => {
+    items = [makeItem(0, { status: 'processing', attempts: 2, locked_by: 'stopped-process', locked_until: expired() })];
+    job.total_items = items.length;
+
+    await startProcess().resumeBatchJobs();
+    await waitFor(() => job.status === 'completed');
+
+    expect(generation.calls).toEqual([]);
+    expect(items[0]).toMatchObject({ status: 'failed', error_message: 'Processing was interrupted too many times' });
+    expect(refunds).toBe(1);
+  });
+
+  test('failed items give their token reservation back', async () => {
+    // Room for one reservation a minute: a held reservation would stall the job for a minute
+    process.env.LLM_TOKENS_PER_MINUTE = '3000';
+    generation.failing = true;
+    items = Array.from({ length: 2 }, (_, position) => makeItem(position));
+    job.total_items = items.length;
+
+    await startProcess().resumeBatchJobs();
+    await waitFor(() => job.status === 'completed');
+
+    expect(generation.calls).toHaveLength(4);
+    items.forEach(item => {
+      expect(item).toMatchObject({ status: 'failed', error_message: 'provider unavailable', attempts: 2 });
+    });
+    expect(refunds).toBe(2);
+  });
+});
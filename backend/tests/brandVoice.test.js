@@ -0,0 +1,97 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const redis = require('../config/redis');
+const { buildApp } = require('./helpers/app');
+const { registerProvider } = require('../services/providers');
+const { createFixtureProvider } = require('../services/providers/fixtureProvider');
+const brandVoiceService = require('../services/brandVoiceService');
+const responseRoutes = require('../routes/responses');
+
+const app = buildApp('/api/responses', responseRoutes);
+
+const REVIEW = 'The pasta was amazing and the staff were so friendly, we will be back!';
+
+const profileRow = {
+  preferred_phrases: [],
+  banned_words: ['thrilled', 'wonderful'],
+  signature: '- Luigi',
+  manager_name: null,
+  use_emojis: false,
+  formality_level: 'balanced',
+  example_replies: [],
+  version: 2,
+  updated_at: new Date()
+};
+
+// The fixture model, except that its first set of replies ignores the banned words
+function forgetfulProvider() {
+  const fixture = createFixtureProvider();
+  const requests = [];
+  return {
+    name: 'forgetful',
+    requests,
+    async complete(req) {
+      if (req.purpose !== 'responses') {
+        return fixture.complete(req);
+      }
+      requests.push(req);
+      const context = requests.length === 1 ? { ...req.context, bannedWords: [] } : req.context;
+      return fixture.complete({ ...req, context });
+    }
+  };
+}
+
+let provider;
+
+beforeEach(() => {
+  db.reset();
+  redis.store.clear();
+  db.on(/FROM brand_voice_profiles/, () => [profileRow]);
+  provider = forgetfulProvider();
+  registerProvider('forgetful', () => provider);
+  process.env.LLM_PROVIDER_STARTER = 'forgetful';
+});
+
+afterEach(() => {
+  delete process.env.LLM_PROVIDER_STARTER;
+});
+
+describe('brand voice', () => {
+  test('banned phrases are matched as whole words only', () => {
+    const profile = { bannedWords: ['thrilled', 'top notch'], useEmojis: true };
+    expect(brandVoiceService.findBannedPhrases('We are Thrilled, truly TOP NOTCH!', profile)).toEqual(['thrilled', 'top notch']);
+    expect(brandVoiceService.findBannedPhrases('We were unthrilled by the notches', profile)).toEqual([]);
+  });
+
+  test('replies using a banned phrase are regenerated with the problem as feedback', async () => {
+    const res = await request(app)
+      .post('/api/responses')
+      .send({ reviewText: REVIEW, businessType: 'restaurant', tone: 'friendly' });
+
+    expect(res.status).toBe(201);
+    expect(provider.requests).toHaveLength(2);
+
+    const repair = provider.requests[1].messages.slice(-1)[0].content;
+    expect(repair).toContain('response 1 uses banned words: thrilled');
+    expect(repair).toContain('response 2 uses banned words: wonderful');
+
+    res.body.responses.forEach(option => {
+      expect(brandVoiceService.findBannedPhrases(option.response, { bannedWords: profileRow.banned_words })).toEqual([]);
+      expect(option.response.endsWith('- Luigi')).toBe(true);
+    });
+  });
+
+  test('the banned words are part of the prompt', async () => {
+    await request(app)
+      .post('/api/responses')
+      .send({ reviewText: REVIEW, businessType: 'restaurant', tone: 'friendly' });
+
+    const system = provider.requests[0].messages[0].content;
+    expect(system).toContain('Never use these words or phrases: "thrilled", "wonderful"');
+  });
+});
@@ -0,0 +1,116 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { BUSINESS_TYPES } = require('./helpers/fakeDatabase');
+const { buildApp, testUser } = require('./helpers/app');
+const businessTypeRoutes = require('../routes/businessTypes');
+const responseRoutes = require('../routes/responses');
+
+const typesApp = buildApp('/api/business-types', businessTypeRoutes);
+const responsesApp = buildApp('/api/responses', responseRoutes);
+
+const OTHER_USER = '0f9e8d7c-6b5a-4c3d-9e2f-1a0b9c8d7e6f';
+
+// Custom types stored by the fake business_types table
+let customTypes;
+
+const customRow = (userId, slug, fields = {}) => ({
+  id: `type-${slug}-${userId}`,
+  user_id: userId,
+  slug,
+  name: slug,
+  keywords: ['grooming', 'nails', 'bath'],
+  specialties: 'Focus on gentle handling and how the pet looked afterwards',
+  compliance_mode: null,
+  updated_at: null,
+  ...fields
+});
+
+beforeEach(() => {
+  db.reset();
+  customTypes = [customRow(OTHER_USER, 'dog grooming')];
+  // Slug lookups: built-ins first, then the custom types of the user in $2
+  db.on(/FROM business_types\s+WHERE slug = \$1/, (params) => {
+    const builtin = BUSINESS_TYPES.filter(row => row.slug === params[0]);
+    const custom = customTypes.filter(row => row.slug === params[0] && row.user_id === params[1]);
+    return [...builtin, ...custom].slice(0, 1);
+  });
+  db.on(/INSERT INTO business_types/, (params) => {
+    const row = customRow(params[0], params[1], {
+      name: params[2],
+      keywords: JSON.parse(params[3]),
+      specialties: params[4],
+      compliance_mode: params[5]
+    });
+    customTypes.push(row);
+    return [row];
+  });
+});
+
+const createType = (body) => request(typesApp).post('/api/business-types').send({
+  keywords: ['grooming', 'nails', 'bath'],
+  specialties: 'Focus on gentle handling and how the pet looked afterwards',
+  ...body
+});
+
+const generate = (body) => request(responsesApp).post('/api/responses').send({ tone: 'friendly', ...body });
+
+describe('custom business types', () => {
+  test('an account can add its own type, but not reuse a built-in name', async () => {
+    const created = await createType({ name: '  Dog   Grooming ' });
+    expect(created.status).toBe(201);
+    expect(created.body.businessType).toMatchObject({ slug: 'dog grooming', name: 'Dog   Grooming', custom: true });
+
+    const builtin = await createType({ name: 'Restaurant' });
+    expect(builtin.status).toBe(409);
+    expect(builtin.body.message).toBe('A built-in business type already has this name');
+
+    const duplicate = await createType({ name: 'dog grooming' });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.message).toBe('This account already has a business type with this name');
+  });
+
+  test('a custom type\'s keywords are the aspects of its reviews', async () => {
+    await createType({ name: 'Dog grooming' });
+
+    const res = await generate({ reviewText: 'The grooming was perfect, but the nails were cut badly.', businessType: 'Dog Grooming' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.metadata.sentiment.aspects.map(entry => [entry.aspect, entry.sentiment]))
+      .toEqual([['grooming', 'positive'], ['nails', 'negative']]);
+    expect(res.body.metadata.compliance).toBeNull();
+    const insert = db.queries.find(({ text }) => /INSERT INTO generated_responses/.test(text));
+    expect(insert.params[2]).toBe('dog grooming');
+  });
+
+  test('a custom type can switch on healthcare compliance', async () => {
+    await createType({ name: 'Physiotherapy', complianceMode: 'healthcare' });
+
+    const res = await generate({ reviewText: 'Very friendly team and a great clinic.', businessType: 'physiotherapy' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.metadata.compliance).toMatchObject({ mode: 'healthcare' });
+  });
+
+  test('other accounts\' custom types cannot be used', async () => {
+    const res = await generate({ reviewText: 'Great grooming, lovely staff.', businessType: 'dog grooming' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('Please select a valid business type');
+  });
+
+  test('the account\'s current type cannot be deleted', async () => {
+    testUser.business_type = 'dog grooming';
+    try {
+      const res = await request(typesApp).delete('/api/business-types/Dog%20Grooming');
+      expect(res.status).toBe(409);
+      expect(db.queries.some(({ text }) => /DELETE FROM business_types/.test(text))).toBe(false);
+    } finally {
+      testUser.business_type = 'restaurant';
+    }
+  });
+});
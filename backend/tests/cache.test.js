@@ -0,0 +1,74 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const redis = require('../config/redis');
+const { buildApp, testUser } = require('./helpers/app');
+const generationCache = require('../services/generationCache');
+const responseRoutes = require('../routes/responses');
+
+const app = buildApp('/api/responses', responseRoutes);
+
+const REVIEW = 'Great food, great service! The staff were so friendly.';
+
+const generate = (reviewText = REVIEW) => request(app)
+  .post('/api/responses')
+  .send({ reviewText, businessType: 'restaurant', tone: 'friendly' });
+
+const charges = () => db.queries.filter(({ text }) => /SET monthly_usage = monthly_usage \+/.test(text));
+const modelCalls = (purpose) => db.queries
+  .filter(({ text }) => /INSERT INTO llm_usage/.test(text))
+  .flatMap(({ params }) => params.filter((_, index) => index % 11 === 4))
+  .filter(value => value === purpose);
+
+beforeEach(() => {
+  db.reset();
+  redis.store.clear();
+});
+
+afterEach(() => {
+  testUser.generation_cache_enabled = true;
+});
+
+describe('generation cache', () => {
+  test('reviews differing only in case, punctuation and spacing share a key', () => {
+    const params = { businessType: 'restaurant', tone: 'friendly' };
+    expect(generationCache.responsesKey(REVIEW, params))
+      .toBe(generationCache.responsesKey('great food   great service the staff were so FRIENDLY', params));
+    expect(generationCache.responsesKey(REVIEW, params))
+      .not.toBe(generationCache.responsesKey(REVIEW, { ...params, tone: 'professional' }));
+  });
+
+  test('a cache hit reuses the options without charging a credit', async () => {
+    const first = await generate();
+    expect(first.status).toBe(201);
+    expect(first.body.metadata.cached).toBe(false);
+    expect(charges()).toHaveLength(1);
+    expect(charges()[0].params).toEqual([testUser.id, 1]);
+
+    db.queries.length = 0;
+    const second = await generate('great food great service, the staff were SO friendly');
+    expect(second.status).toBe(201);
+    expect(second.body.metadata.cached).toBe(true);
+    expect(second.body.responses.map(option => option.response)).toEqual(first.body.responses.map(option => option.response));
+    expect(charges()).toHaveLength(0);
+    expect(modelCalls('responses')).toHaveLength(0);
+
+    const stats = await generationCache.getCacheStats();
+    expect(stats.responses).toMatchObject({ hits: 1, misses: 1 });
+  });
+
+  test('accounts with the cache switched off are charged every time', async () => {
+    testUser.generation_cache_enabled = false;
+
+    await generate();
+    await generate();
+
+    expect(charges()).toHaveLength(2);
+    expect(modelCalls('responses')).toHaveLength(2);
+    expect(redis.store.size).toBe(0);
+  });
+});
@@ -0,0 +1,151 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { buildApp } = require('./helpers/app');
+const complianceService = require('../services/complianceService');
+const responseRoutes = require('../routes/responses');
+
+const app = buildApp('/api/responses', responseRoutes);
+
+const RECORD_ID = '6c839f74-b082-4d3e-8f56-708192a3b4c5';
+const COMPLIANT = 'Thank you for your kind words. We are glad to hear about your positive experience with our team.';
+const PHI = 'Thank you! We hope your root canal last Tuesday went smoothly.';
+
+let record;
+let saved;
+
+beforeEach(() => {
+  db.reset();
+  record = {
+    id: RECORD_ID,
+    original_review: 'Dr. Smith was wonderful and the whole staff made me feel at ease.',
+    business_type: 'medical',
+    tone: 'grateful',
+    generated_responses_json: [{ response: COMPLIANT }],
+    response_status: 'pending',
+    selected_response_index: 0,
+    final_response: COMPLIANT,
+    compliance_mode: 'healthcare',
+    compliance_status: 'passed',
+    compliance_flags: [],
+    refinement_history: [],
+    created_at: new Date()
+  };
+  saved = null;
+  db.on(/FROM generated_responses WHERE id = \$1 AND user_id = \$2/, () => [record]);
+  db.on(/UPDATE generated_responses\s+SET/, (params, text) => {
+    const columns = text.match(/SET ([\s\S]*?)\s+WHERE/)[1].split(', ').map(part => part.split(' = ')[0]);
+    saved = Object.fromEntries(columns.map((column, index) => [column, params[index + 2]]));
+    record = { ...record, ...saved };
+    return [record];
+  });
+});
+
+const patch = (body) => request(app).patch(`/api/responses/${RECORD_ID}`).send(body);
+const audited = (action) => db.queries.some(entry => /INSERT INTO audit_logs/.test(entry.text) && entry.params.includes(action));
+
+describe('healthcare compliance on PATCH /api/responses/:id', () => {
+  test('the example reply breaks the rules', () => {
+    expect(complianceService.findViolations(PHI, 'healthcare').length).toBeGreaterThan(0);
+  });
+
+  test('a compliant reply can be approved and posted', async () => {
+    expect((await patch({ status: 'approved' })).status).toBe(200);
+    expect((await patch({ status: 'posted' })).status).toBe(200);
+    expect(record.response_status).toBe('posted');
+  });
+
+  test('approving a non-compliant reply is blocked', async () => {
+    const res = await patch({ finalResponse: PHI, status: 'approved' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.violations.length).toBeGreaterThan(0);
+    expect(saved).toBeNull();
+    expect(audited('compliance.approval_blocked')).toBe(true);
+  });
+
+  test('editing an approved reply is checked again', async () => {
+    record.response_status = 'approved';
+
+    const res = await patch({ finalResponse: PHI });
+
+    expect(res.status).toBe(409);
+    expect(saved).toBeNull();
+  });
+
+  test('posting is checked even when the stored reply changed after approval', async () => {
+    record.response_status = 'approved';
+    record.final_response = PHI;
+
+    const res = await patch({ status: 'posted' });
+
+    expect(res.status).toBe(409);
+    expect(record.response_status).toBe('approved');
+  });
+
+  test('an override is saved and audited', async () => {
+    record.response_status = 'approved';
+
+    const res = await patch({ finalResponse: PHI, complianceOverride: true });
+
+    expect(res.status).toBe(200);
+    expect(saved.final_response).toBe(PHI);
+    expect(audited('compliance.override_approved')).toBe(true);
+  });
+
+  test('pending drafts can still be edited freely', async () => {
+    const res = await patch({ finalResponse: PHI });
+
+    expect(res.status).toBe(200);
+    expect(saved.final_response).toBe(PHI);
+  });
+});
+
+describe('healthcare compliance for replies in other languages', () => {
+  const SPANISH_PHI = 'Gracias por su comentario sobre su tratamiento y su visita.';
+
+  test('a reply the English rules cannot read needs an override to be approved', async () => {
+    record.response_language = 'es';
+
+    const blocked = await patch({ finalResponse: SPANISH_PHI, status: 'approved' });
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.violations).toEqual([expect.objectContaining({ rule: 'unchecked_language', match: 'es' })]);
+    expect(saved).toBeNull();
+
+    const approved = await patch({ finalResponse: SPANISH_PHI, status: 'approved', complianceOverride: true });
+    expect(approved.status).toBe(200);
+    expect(audited('compliance.override_approved')).toBe(true);
+  });
+
+  test('Spanish reviews get an English translation that is checked, and are held for approval', async () => {
+    const res = await request(app)
+      .post('/api/responses')
+      .send({
+        reviewText: 'La doctora fue muy amable y el tratamiento fue excelente, pero la espera fue larga.',
+        businessType: 'medical',
+        tone: 'grateful'
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.metadata.language).toMatchObject({ response: 'es', translation: 'en' });
+    expect(res.body.metadata.compliance.requiresApproval).toBe(true);
+    res.body.responses.forEach(option => {
+      expect(option.translation).toBeDefined();
+      expect(option.compliance.violations.map(violation => violation.rule)).toEqual(['unchecked_language']);
+    });
+
+    const insert = db.queries.find(({ text }) => /INSERT INTO generated_responses/.test(text));
+    expect(insert.params[13]).toBe('needs_approval');
+  });
+
+  test('a violation in the translation is found', () => {
+    const assessment = complianceService.assessResponse({ response: SPANISH_PHI, translation: 'Thank you for your feedback about your treatment.' }, 'healthcare', 'es');
+
+    expect(assessment.blocked).toBe(true);
+    expect(assessment.violations.map(violation => violation.rule)).toEqual(['unchecked_language', 'patient_relationship']);
+  });
+});
@@ -0,0 +1,81 @@
+const credentialVault = require('../services/credentialVault');
+
+const CONTEXT = 'platform_integrations|owner|mock|luigis';
+const OLD_KEY = Buffer.alloc(32, 1).toString('base64');
+const NEW_KEY = Buffer.alloc(32, 2).toString('hex');
+
+const saved = {};
+const VARIABLES = ['ENCRYPTION_KEY', 'ENCRYPTION_KEY_VERSION', 'ENCRYPTION_KEYS_PREVIOUS'];
+
+beforeEach(() => {
+  VARIABLES.forEach(name => {
+    saved[name] = process.env[name];
+  });
+  process.env.ENCRYPTION_KEY = OLD_KEY;
+  delete process.env.ENCRYPTION_KEY_VERSION;
+  delete process.env.ENCRYPTION_KEYS_PREVIOUS;
+});
+
+afterEach(() => {
+  VARIABLES.forEach(name => {
+    if (saved[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = saved[name];
+    }
+  });
+});
+
+// The code of the VaultError `fn` throws
+const vaultErrorCode = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(credentialVault.VaultError);
+    return error.errorCode;
+  }
+  throw new Error('Expected a VaultError');
+};
+
+describe('credential vault', () => {
+  test('sealed credentials open only for the record they were sealed for', () => {
+    const { sealed, keyVersion } = credentialVault.sealCredentials({ apiKey: 'secret-key' }, CONTEXT);
+
+    expect(keyVersion).toBe(1);
+    expect(sealed).not.toContain('secret-key');
+    expect(credentialVault.isSealed(sealed)).toBe(true);
+    expect(credentialVault.openCredentials(sealed, CONTEXT)).toEqual({ apiKey: 'secret-key' });
+    expect(vaultErrorCode(() => credentialVault.openCredentials(sealed, `${CONTEXT}-copy`))).toBe('CREDENTIALS_UNREADABLE');
+  });
+
+  test('rotation re-wraps the data key and retires the old master key', () => {
+    const { sealed } = credentialVault.sealCredentials({ apiKey: 'secret-key' }, CONTEXT);
+
+    process.env.ENCRYPTION_KEY = NEW_KEY;
+    process.env.ENCRYPTION_KEY_VERSION = '2';
+    process.env.ENCRYPTION_KEYS_PREVIOUS = `1:${OLD_KEY}`;
+
+    // Still readable with the old key listed, then moved onto the new one
+    expect(credentialVault.openCredentials(sealed, CONTEXT)).toEqual({ apiKey: 'secret-key' });
+    const rotated = credentialVault.rewrapCredentials(sealed, CONTEXT);
+    expect(rotated.keyVersion).toBe(2);
+    expect(JSON.parse(rotated.sealed).ct).toBe(JSON.parse(sealed).ct);
+    expect(credentialVault.rewrapCredentials(rotated.sealed, CONTEXT)).toBeNull();
+
+    delete process.env.ENCRYPTION_KEYS_PREVIOUS;
+    expect(credentialVault.openCredentials(rotated.sealed, CONTEXT)).toEqual({ apiKey: 'secret-key' });
+    expect(vaultErrorCode(() => credentialVault.openCredentials(sealed, CONTEXT))).toBe('CREDENTIALS_UNREADABLE');
+  });
+
+  test('the example key and other unusable keys are refused at startup', () => {
+    process.env.ENCRYPTION_KEY = 'your-32-character-encryption-key-here';
+    expect(vaultErrorCode(() => credentialVault.checkConfiguration())).toBe('VAULT_MISCONFIGURED');
+
+    process.env.ENCRYPTION_KEY = 'too-short';
+    expect(vaultErrorCode(() => credentialVault.checkConfiguration())).toBe('VAULT_MISCONFIGURED');
+
+    process.env.ENCRYPTION_KEY = OLD_KEY;
+    process.env.ENCRYPTION_KEYS_PREVIOUS = 'not-a-version-pair';
+    expect(vaultErrorCode(() => credentialVault.checkConfiguration())).toBe('VAULT_MISCONFIGURED');
+  });
+});
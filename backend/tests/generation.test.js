@@ -0,0 +1,96 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { buildApp, testUser } = require('./helpers/app');
+const openaiService = require('../services/openaiService');
+const { getProvider, registerProvider } = require('../services/providers');
+const responseRoutes = require('../routes/responses');
+
+const app = buildApp('/api/responses', responseRoutes);
+
+const REVIEW = 'The pasta was amazing and the staff were so friendly, we will be back!';
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe('LLM providers', () => {
+  test('LLM_PROVIDER=fixture answers offline', async () => {
+    const provider = getProvider();
+    expect(provider.name).toBe('fixture');
+
+    const completion = await provider.complete({
+      purpose: 'sentiment',
+      messages: [{ role: 'user', content: REVIEW }],
+      context: { reviewText: REVIEW }
+    });
+    expect(JSON.parse(completion.content).sentiment).toBe('positive');
+  });
+
+  test('unknown providers are rejected', () => {
+    expect(() => getProvider({ provider: 'nope' })).toThrow('Unknown LLM provider: nope');
+  });
+
+  test('registered providers can be chosen per tier', () => {
+    const custom = { name: 'custom', complete: jest.fn() };
+    registerProvider('custom', () => custom);
+    process.env.LLM_PROVIDER_ENTERPRISE = 'custom';
+    try {
+      expect(getProvider({ subscriptionTier: 'enterprise' })).toBe(custom);
+      expect(getProvider({ subscriptionTier: 'starter' }).name).toBe('fixture');
+    } finally {
+      delete process.env.LLM_PROVIDER_ENTERPRISE;
+    }
+  });
+});
+
+describe('generateResponses', () => {
+  test('returns three options from the fixture provider', async () => {
+    const result = await openaiService.generateResponses(REVIEW, 'restaurant', 'friendly', "Luigi's");
+
+    expect(result.responses).toHaveLength(3);
+    result.responses.forEach(option => {
+      expect(typeof option.response).toBe('string');
+      expect(option.response.length).toBeGreaterThan(0);
+    });
+    expect(result.metadata.provider).toBe('fixture');
+    expect(result.metadata.sentiment.sentiment).toBe('positive');
+  });
+
+  test('is deterministic for the same review', async () => {
+    const first = await openaiService.generateResponses(REVIEW, 'restaurant', 'friendly', "Luigi's");
+    const second = await openaiService.generateResponses(REVIEW, 'restaurant', 'friendly', "Luigi's");
+
+    expect(second.responses.map(option => option.response)).toEqual(first.responses.map(option => option.response));
+  });
+});
+
+describe('POST /api/responses', () => {
+  test('generates and saves replies', async () => {
+    const res = await request(app)
+      .post('/api/responses')
+      .send({ reviewText: REVIEW, businessType: 'restaurant', tone: 'friendly' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.responses).toHaveLength(3);
+    expect(res.body.metadata.reviewId).toBeDefined();
+    expect(res.body.metadata.sentiment.sentiment).toBe('positive');
+
+    const insert = db.queries.find(entry => /INSERT INTO generated_responses/.test(entry.text));
+    expect(insert).toBeDefined();
+    expect(insert.params).toContain(testUser.id);
+  });
+
+  test('rejects invalid input', async () => {
+    const res = await request(app)
+      .post('/api/responses')
+      .send({ reviewText: 'short', businessType: 'spaceship' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.path)).toEqual(expect.arrayContaining(['reviewText', 'businessType']));
+  });
+});
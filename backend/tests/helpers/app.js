@@ -0,0 +1,42 @@
+const express = require('express');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+// The signed-in account for route tests; tests may change fields on it
+const testUser = {
+  id: '6d1f4b9e-3c2a-4e8f-9b7d-1a2c3e4f5a6b',
+  email: 'owner@example.com',
+  business_name: "Luigi's",
+  business_type: 'restaurant',
+  subscription_tier: 'starter',
+  role: 'user',
+  primary_language: 'en',
+  generation_cache_enabled: true,
+  timezone: 'UTC',
+  monthly_usage: 0,
+  usage_limit: 100,
+  monthly_refinements: 0,
+  is_active: true
+};
+
+// middleware/auth with authentication replaced by the test user
+function mockAuthModule() {
+  const actual = jest.requireActual('../../middleware/auth');
+  return {
+    ...actual,
+    authenticateToken: (req, res, next) => {
+      req.user = { ...testUser };
+      next();
+    }
+  };
+}
+
+// An app serving one router the way server.js mounts it
+function buildApp(mountPath, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  app.use(errorHandler);
+  return app;
+}
+
+module.exports = { testUser, mockAuthModule, buildApp };
@@ -0,0 +1,78 @@
+// In-memory stand-in for config/database. Tests register handlers for the queries
+// they care about with `on(pattern, handler)`; the newest matching handler answers.
+// Built-in business types and tones are served so request validation works.
+
+const BUSINESS_TYPES = [
+  { slug: 'restaurant', name: 'Restaurant', keywords: ['food', 'service', 'dining', 'meal', 'chef', 'menu', 'taste', 'atmosphere'], specialties: 'Focus on food quality, service speed, ambiance, and overall dining experience', compliance_mode: null },
+  { slug: 'medical', name: 'Medical', keywords: ['treatment', 'care', 'doctor', 'staff', 'appointment', 'professional', 'health'], specialties: 'Emphasize professionalism, care quality, staff expertise, and patient comfort', compliance_mode: 'healthcare' },
+  { slug: 'hotel', name: 'Hotel', keywords: ['stay', 'room', 'service', 'staff', 'amenities', 'location', 'experience'], specialties: 'Focus on comfort, service quality, amenities, and overall guest experience', compliance_mode: null }
+].map(row => ({ ...row, id: `type-${row.slug}`, user_id: null, updated_at: null }));
+
+const TONES = [
+  { slug: 'professional', name: 'Professional', instruction: 'Use formal, business-appropriate language.', default_ratings: [3, 4], default_sentiments: ['neutral'] },
+  { slug: 'friendly', name: 'Friendly', instruction: 'Use warm, conversational tone.', default_ratings: [], default_sentiments: [] },
+  { slug: 'apologetic', name: 'Apologetic', instruction: 'Express genuine remorse.', default_ratings: [1, 2], default_sentiments: ['negative'] },
+  { slug: 'grateful', name: 'Grateful', instruction: 'Express sincere appreciation.', default_ratings: [5], default_sentiments: ['positive'] }
+].map(row => ({ ...row, id: `tone-${row.slug}`, user_id: null, examples: [], updated_at: null }));
+
+const result = (rows) => ({ rows, rowCount: rows.length });
+
+// Catalogue lookups: by slug ($1, user $2) or the whole list (user $1)
+function catalogue(rows, text, params) {
+  if (/slug = \$1/.test(text)) {
+    return result(rows.filter(row => row.slug === params[0]));
+  }
+  return result(rows);
+}
+
+function createFakeDatabase() {
+  const handlers = [];
+  const queries = [];
+
+  async function query(text, params = []) {
+    queries.push({ text, params });
+    for (const { pattern, handler } of handlers) {
+      if (pattern.test(text)) {
+        const answer = await handler(params, text);
+        if (answer) {
+          return Array.isArray(answer) ? result(answer) : answer;
+        }
+      }
+    }
+
+    if (/FROM business_types/.test(text)) {
+      return catalogue(BUSINESS_TYPES, text, params);
+    }
+    if (/FROM tones/.test(text)) {
+      return catalogue(TONES, text, params);
+    }
+    // Inserts report the new row's id
+    if (/^\s*INSERT[\s\S]*RETURNING/i.test(text)) {
+      return result([{ id: `row-${queries.length}`, created_at: new Date() }]);
+    }
+    return result([]);
+  }
+
+  const client = { query, release() {} };
+
+  return {
+    query,
+    queries,
+    // Answer queries matching `pattern` with handler(params, text); return rows, a
+    // result, or nothing to fall through to older handlers
+    on(pattern, handler) {
+      handlers.unshift({ pattern, handler });
+    },
+    reset() {
+      handlers.length = 0;
+      queries.length = 0;
+    },
+    transaction: async (callback) => callback(client),
+    getClient: async () => client,
+    connectDB: async () => {},
+    disconnectDB: async () => {},
+    healthCheck: async () => true
+  };
+}
+
+module.exports = { createFakeDatabase, BUSINESS_TYPES, TONES };
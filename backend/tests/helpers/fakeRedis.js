@@ -0,0 +1,37 @@
+// In-memory stand-in for config/redis with the operations the services use
+
+function createFakeRedis() {
+  const store = new Map();
+  const read = (key) => (store.has(key) ? JSON.parse(store.get(key)) : null);
+
+  return {
+    store,
+    connectRedis: async () => {},
+    disconnectRedis: async () => {},
+    get: async (key) => read(key),
+    set: async (key, value) => {
+      store.set(key, JSON.stringify(value));
+      return true;
+    },
+    del: async (key) => store.delete(key),
+    exists: async (key) => store.has(key),
+    expire: async () => true,
+    hset: async (key, field, value) => {
+      store.set(key, JSON.stringify({ ...(read(key) || {}), [field]: value }));
+      return true;
+    },
+    hget: async (key, field) => (read(key) || {})[field] || null,
+    hgetall: async (key) => read(key) || {},
+    hincrby: async (key, field, increment = 1) => {
+      const hash = read(key) || {};
+      hash[field] = (hash[field] || 0) + increment;
+      store.set(key, JSON.stringify(hash));
+      return hash[field];
+    },
+    incrementRateLimit: async () => ({ count: 1, remaining: 100 }),
+    healthCheck: async () => true,
+    client: () => null
+  };
+}
+
+module.exports = { createFakeRedis };
@@ -0,0 +1,162 @@
+const express = require('express');
+const cors = require('cors');
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { buildApp, testUser } = require('./helpers/app');
+const { corsOptions } = require('../config/cors');
+const responseRoutes = require('../routes/responses');
+
+const app = buildApp('/api/responses', responseRoutes);
+
+const RECORD_ID = '0b7c1f3e-5d2a-4c8b-9e6f-3a1d2c4b5e6f';
+const OPTIONS = [{ response: 'Thank you for visiting!' }, { response: 'We are glad you enjoyed it.' }];
+
+// History rows, newest first, one minute apart
+const historyRows = (count) => Array.from({ length: count }, (_, index) => ({
+  id: `00000000-0000-4000-8000-${String(index + 1).padStart(12, '0')}`,
+  original_review: `Review ${index + 1}`,
+  response_status: 'pending',
+  generated_responses_json: OPTIONS,
+  created_at: new Date(Date.UTC(2026, 2, 1, 12, 60 - index)),
+  cursor_created_at: `2026-03-01 12:${String(59 - index).padStart(2, '0')}:00.123456+00`
+}));
+
+const historyQuery = () => db.queries.find(({ text }) => /ORDER BY created_at DESC, id DESC/.test(text));
+
+let record;
+
+beforeEach(() => {
+  db.reset();
+  record = {
+    id: RECORD_ID,
+    original_review: 'Lovely pasta',
+    business_type: 'restaurant',
+    tone: 'friendly',
+    generated_responses_json: OPTIONS,
+    response_status: 'pending',
+    selected_response_index: null,
+    final_response: null,
+    compliance_mode: null,
+    created_at: new Date()
+  };
+  db.on(/FROM generated_responses WHERE id = \$1 AND user_id = \$2/, () => [record]);
+  db.on(/UPDATE generated_responses\s+SET/, (params, text) => {
+    const columns = text.match(/SET ([\s\S]*?)\s+WHERE/)[1].split(', ').map(part => part.split(' = ')[0]);
+    record = { ...record, ...Object.fromEntries(columns.map((column, index) => [column, params[index + 2]])) };
+    return [record];
+  });
+});
+
+const patch = (body) => request(app).patch(`/api/responses/${RECORD_ID}`).send(body);
+
+describe('CORS', () => {
+  test('preflight requests allow PATCH from the web app', async () => {
+    const corsApp = express();
+    corsApp.use(cors(corsOptions));
+    corsApp.use('/api/responses', responseRoutes);
+
+    const res = await request(corsApp)
+      .options(`/api/responses/${RECORD_ID}`)
+      .set('Origin', 'http://localhost:3000')
+      .set('Access-Control-Request-Method', 'PATCH');
+
+    expect(res.status).toBe(204);
+    expect(res.headers['access-control-allow-origin']).toBe('http://localhost:3000');
+    expect(res.headers['access-control-allow-methods'].split(',')).toEqual(expect.arrayContaining(['PATCH', 'DELETE']));
+  });
+});
+
+describe('GET /api/responses', () => {
+  test('pages through the history with an opaque cursor', async () => {
+    db.on(/ORDER BY created_at DESC, id DESC/, (params) => historyRows(params[params.length - 1]));
+
+    const first = await request(app).get('/api/responses?limit=2&status=pending');
+    expect(first.status).toBe(200);
+    expect(first.body.responses.map(row => row.originalReview)).toEqual(['Review 1', 'Review 2']);
+    expect(first.body.pagination).toMatchObject({ limit: 2, hasMore: true });
+    expect(historyQuery().params).toEqual([testUser.id, 'pending', 3]);
+
+    db.queries.length = 0;
+    const next = await request(app).get(`/api/responses?limit=2&cursor=${first.body.pagination.nextCursor}`);
+    expect(next.status).toBe(200);
+    const { text, params } = historyQuery();
+    expect(text).toContain('(created_at, id) < ($2::timestamptz, $3::uuid)');
+    // The cursor keeps the microseconds of the last row on the page
+    expect(params).toEqual([testUser.id, '2026-03-01 12:58:00.123456+00', '00000000-0000-4000-8000-000000000002', 3]);
+  });
+
+  test('the last page has no cursor', async () => {
+    db.on(/ORDER BY created_at DESC, id DESC/, () => historyRows(1));
+
+    const res = await request(app).get('/api/responses');
+    expect(res.body.pagination).toEqual({ limit: 20, hasMore: false, nextCursor: null });
+  });
+
+  test('a malformed cursor is rejected', async () => {
+    const cursor = Buffer.from('yesterday|42').toString('base64url');
+    const res = await request(app).get(`/api/responses?cursor=${cursor}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid cursor');
+    expect(historyQuery()).toBeUndefined();
+  });
+});
+
+describe('PATCH /api/responses/:id', () => {
+  test('status moves from pending to approved to posted only', async () => {
+    const skipped = await patch({ status: 'posted' });
+    expect(skipped.status).toBe(409);
+    expect(skipped.body.allowed).toEqual(['approved']);
+
+    const nothingChosen = await patch({ status: 'approved' });
+    expect(nothingChosen.status).toBe(400);
+    expect(nothingChosen.body.error).toBe('No response selected');
+
+    const approved = await patch({ selectedResponseIndex: 1, status: 'approved' });
+    expect(approved.status).toBe(200);
+    expect(approved.body.response).toMatchObject({ status: 'approved', selectedResponseIndex: 1, finalResponse: 'We are glad you enjoyed it.' });
+
+    expect((await patch({ status: 'posted' })).status).toBe(200);
+    expect(record.posted_at).toBeInstanceOf(Date);
+  });
+
+  test('a posted reply can no longer be edited or reopened', async () => {
+    record = { ...record, response_status: 'posted', final_response: 'Thank you for visiting!' };
+
+    const edited = await patch({ finalResponse: 'Changed my mind' });
+    expect(edited.status).toBe(409);
+    expect(edited.body.error).toBe('Response already posted');
+
+    const reopened = await patch({ status: 'pending' });
+    expect(reopened.status).toBe(409);
+    expect(reopened.body.allowed).toEqual([]);
+
+    // Recording where it was posted is still allowed
+    expect((await patch({ platformResponseId: 'google-reply-9' })).status).toBe(200);
+  });
+
+  test('an out-of-range selection is rejected', async () => {
+    const res = await patch({ selectedResponseIndex: 5 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('selectedResponseIndex must be between 0 and 1');
+  });
+});
+
+describe('DELETE /api/responses/:id', () => {
+  test('only the owner\'s records are deleted', async () => {
+    db.reset();
+    const missing = await request(app).delete(`/api/responses/${RECORD_ID}`);
+    expect(missing.status).toBe(404);
+    expect(db.queries.find(({ text }) => /DELETE FROM generated_responses/.test(text)).params).toEqual([RECORD_ID, testUser.id]);
+
+    db.on(/DELETE FROM generated_responses/, () => ({ rows: [], rowCount: 1 }));
+    expect((await request(app).delete(`/api/responses/${RECORD_ID}`)).status).toBe(200);
+
+    expect((await request(app).delete('/api/responses/not-a-uuid')).status).toBe(400);
+  });
+});
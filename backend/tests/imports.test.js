@@ -0,0 +1,181 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { buildApp, testUser } = require('./helpers/app');
+const openaiService = require('../services/openaiService');
+const batchJobService = require('../services/batchJobService');
+const importRoutes = require('../routes/imports');
+
+const app = buildApp('/api/imports', importRoutes);
+
+const IMPORT_ID = '0b6d3f1e-5a2c-4d7e-8f90-1a2b3c4d5e6f';
+const BATCH_ID = '1c7e4a2f-6b3d-4e8f-9a01-2b3c4d5e6f70';
+const REVIEW_IDS = ['2d8f5b30-7c4e-4f9a-8b12-3c4d5e6f7081', '3e906c41-8d5f-4a0b-9c23-4d5e6f708192'];
+
+const records = [
+  { Review: 'Lovely dinner, the pasta was amazing and the staff were friendly', Stars: '5', Name: 'Ann' },
+  { Review: 'Service was slow and the soup arrived cold', Stars: '2', Name: 'Bob' },
+  { Review: 'bad', Stars: '9', Name: 'Cy' }
+];
+
+const importRow = {
+  id: IMPORT_ID,
+  user_id: testUser.id,
+  file_name: 'reviews.csv',
+  file_format: 'csv',
+  source: 'generic',
+  columns: ['Review', 'Stars', 'Name'],
+  column_mapping: { reviewText: 'Review', rating: 'Stars', reviewerName: 'Name' },
+  records,
+  total_rows: records.length,
+  status: 'committed',
+  batch_job_id: BATCH_ID,
+  committed_rows: [{ row: 1, reviewId: REVIEW_IDS[0] }, { row: 2, reviewId: REVIEW_IDS[1] }],
+  committed_at: new Date(),
+  created_at: new Date(),
+  updated_at: new Date()
+};
+
+let items;
+
+beforeAll(async () => {
+  // Options stored the way generation saves them
+  const generated = await openaiService.generateResponses(records[0].Review, 'restaurant', 'friendly', "Luigi's");
+  items = [
+    {
+      review_id: REVIEW_IDS[0],
+      status: 'completed',
+      generated_response_id: 'gr-1',
+      review_flag_id: null,
+      escalation_id: null,
+      error_message: null,
+      generated_responses_json: generated.responses,
+      selected_response_index: null,
+      final_response: null,
+      response_status: 'pending'
+    },
+    {
+      review_id: REVIEW_IDS[1],
+      status: 'completed',
+      generated_response_id: 'gr-2',
+      review_flag_id: null,
+      escalation_id: null,
+      error_message: null,
+      generated_responses_json: generated.responses,
+      selected_response_index: 2,
+      final_response: null,
+      response_status: 'approved'
+    }
+  ];
+});
+
+beforeEach(() => {
+  db.reset();
+  db.on(/FROM review_imports WHERE id = \$1/, (params) => (params[0] === IMPORT_ID ? [importRow] : []));
+  db.on(/FROM batch_job_items i/, () => items);
+});
+
+describe('GET /api/imports/:id/results', () => {
+  test('reports the suggested reply of unedited rows and the chosen option of selected ones', async () => {
+    const res = await request(app).get(`/api/imports/${IMPORT_ID}/results?format=json`);
+
+    expect(res.status).toBe(200);
+    const [first, second, third] = res.body.results;
+    expect(first.reply).toBe(items[0].generated_responses_json[0].response);
+    expect(first.replySource).toBe('suggested');
+    expect(second.reply).toBe(items[1].generated_responses_json[2].response);
+    expect(second.replySource).toBe('chosen');
+    expect(third.status).toBe('skipped');
+    expect(third.reply).toBeNull();
+  });
+
+  test('includes the reply in the CSV download', async () => {
+    const res = await request(app).get(`/api/imports/${IMPORT_ID}/results`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    const lines = res.text.trim().split('\r\n');
+    expect(lines).toHaveLength(records.length + 1);
+    expect(lines[1]).toContain(items[0].generated_responses_json[0].response.slice(0, 40));
+  });
+
+  test('returns 404 for another account\'s import', async () => {
+    const res = await request(app).get('/api/imports/4fa17d52-9e60-4b1c-8d34-5e6f708192a3/results');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/imports/:id/commit', () => {
+  // The import in preview, updated by the commit
+  let stored;
+  let reviews;
+
+  beforeEach(() => {
+    stored = { ...importRow, status: 'preview', batch_job_id: null, committed_rows: [], skipped_rows: [], committed_at: null };
+    reviews = [];
+    db.on(/FROM review_imports WHERE id = \$1/, (params) => (params[0] === IMPORT_ID ? [stored] : []));
+    db.on(/INSERT INTO reviews/, (params) => {
+      const review = { id: REVIEW_IDS[reviews.length], platform_review_id: params[1], reviewer_name: params[2], review_text: params[3], rating: params[4], review_date: params[5] };
+      reviews.push(review);
+      return [{ id: review.id }];
+    });
+    db.on(/FROM reviews\s+WHERE user_id = \$1 AND id = ANY/, (params) => reviews.filter(review => params[1].includes(review.id)));
+    db.on(/SET status = 'committed'/, (params) => {
+      Object.assign(stored, {
+        status: 'committed',
+        batch_job_id: params[1],
+        committed_rows: JSON.parse(params[2]),
+        skipped_rows: JSON.parse(params[3]),
+        records: JSON.parse(params[4])
+      });
+      return { rows: [], rowCount: 1 };
+    });
+    jest.spyOn(batchJobService, 'insertBatchJob').mockResolvedValue(BATCH_ID);
+    jest.spyOn(batchJobService, 'startBatchJob').mockImplementation(() => {});
+    jest.spyOn(batchJobService, 'getBatchJob').mockResolvedValue({ id: BATCH_ID });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const commit = () => request(app).post(`/api/imports/${IMPORT_ID}/commit`).send({});
+
+  test('drops the uploaded rows and keeps only the skipped rows\' errors', async () => {
+    const res = await commit();
+
+    expect(res.status).toBe(202);
+    expect(stored.records).toEqual([]);
+    expect(stored.skipped_rows).toEqual([{ row: 3, externalId: null, errors: expect.any(Array) }]);
+    expect(stored.skipped_rows[0].errors.map(error => error.field)).toEqual(['reviewText', 'rating']);
+    expect(res.body.import).toMatchObject({ status: 'committed', validRows: 2, invalidRows: 1 });
+
+    const results = await request(app).get(`/api/imports/${IMPORT_ID}/results?format=json`);
+    expect(results.body.results.map(({ row, reviewText, reviewerName, status }) => ({ row, reviewText, reviewerName, status }))).toEqual([
+      { row: 1, reviewText: records[0].Review, reviewerName: 'Ann', status: 'completed' },
+      { row: 2, reviewText: records[1].Review, reviewerName: 'Bob', status: 'completed' },
+      { row: 3, reviewText: null, reviewerName: null, status: 'skipped' }
+    ]);
+    expect(results.body.results[2].error).toMatch(/Review text must be between 10 and 2000 characters; Rating "9"/);
+  });
+
+  test('keeps the uploaded rows when the account keeps original reviews', async () => {
+    db.on(/FROM redaction_policies/, () => [{
+      enabled: true,
+      entity_types: ['email', 'phone'],
+      restore_types: [],
+      staff_names: [],
+      store_original: true
+    }]);
+
+    const res = await commit();
+
+    expect(res.status).toBe(202);
+    expect(stored.records).toEqual(records);
+  });
+});
@@ -0,0 +1,164 @@
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const jobService = require('../services/jobService');
+const queue = require('../workers/queue');
+
+let jobs;
+let sequence = 0;
+const runs = [];
+
+// background_jobs in memory, following jobService's SQL
+function serveJobsTable() {
+  const byId = (id) => jobs.find(job => job.id === id);
+  const held = (job, workerId) => job && job.status === 'running' && job.locked_by === workerId;
+  const updated = (count) => ({ rows: [], rowCount: count });
+
+  db.on(/INSERT INTO background_jobs \(job_type, payload, scheduled_at/, ([type, payload, scheduledAt, maxAttempts, userId, dedupeKey]) => {
+    if (dedupeKey && jobs.some(job => job.job_type === type && job.dedupe_key === dedupeKey && job.status === 'pending')) {
+      return updated(0);
+    }
+    sequence += 1;
+    const job = {
+      id: `job-${sequence}`,
+      job_type: type,
+      payload: JSON.parse(payload),
+      status: 'pending',
+      attempts: 0,
+      max_attempts: maxAttempts,
+      scheduled_at: scheduledAt,
+      user_id: userId,
+      dedupe_key: dedupeKey,
+      created_at: new Date()
+    };
+    jobs.push(job);
+    return [{ ...job }];
+  });
+  db.on(/FROM background_jobs WHERE job_type = \$1 AND dedupe_key = \$2/, ([type, dedupeKey]) => (
+    jobs.filter(job => job.job_type === type && job.dedupe_key === dedupeKey && job.status === 'pending')
+  ));
+  db.on(/SET status = 'running', attempts = attempts \+ 1/, ([type, workerId, leaseMs]) => {
+    const job = jobs.find(entry => entry.job_type === type && entry.status === 'pending' && entry.scheduled_at <= new Date());
+    if (!job) {
+      return updated(0);
+    }
+    Object.assign(job, {
+      status: 'running',
+      attempts: job.attempts + 1,
+      locked_by: workerId,
+      locked_until: new Date(Date.now() + Number(leaseMs))
+    });
+    return [{ ...job }];
+  });
+  db.on(/SET status = 'completed', completed_at = NOW\(\), result = \$3/, ([id, workerId, result]) => {
+    const job = byId(id);
+    if (!held(job, workerId)) {
+      return updated(0);
+    }
+    Object.assign(job, { status: 'completed', result: JSON.parse(result), locked_by: null });
+    return updated(1);
+  });
+  db.on(/SET status = \$3, error_message = \$4/, ([id, workerId, status, message, delayMs]) => {
+    const job = byId(id);
+    if (!held(job, workerId)) {
+      return updated(0);
+    }
+    Object.assign(job, { status, error_message: message, locked_by: null });
+    if (status === 'pending') {
+      job.scheduled_at = new Date(Date.now() + Number(delayMs));
+    }
+    return updated(1);
+  });
+}
+
+const waitFor = async (condition) => {
+  for (let tries = 0; tries < 300 && !condition(); tries++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  expect(condition()).toBe(true);
+};
+
+const jobOf = (id) => jobs.find(job => job.id === id);
+
+beforeAll(async () => {
+  Object.assign(process.env, { JOB_POLL_INTERVAL_MS: '10', JOB_CONCURRENCY: '1', JOB_BACKOFF_DELAY: '10' });
+  jobs = [];
+  serveJobsTable();
+
+  queue.registerJobType({
+    type: 'test_echo',
+    async handler(payload) {
+      runs.push(['test_echo', payload]);
+      return { echoed: payload.value };
+    }
+  });
+  queue.registerJobType({
+    type: 'test_flaky',
+    async handler(payload) {
+      runs.push(['test_flaky', payload]);
+      if (payload.reject) {
+        throw new ApiError(400, 'Review text is missing');
+      }
+      throw new Error('Platform unavailable');
+    }
+  });
+  queue.registerJobType({
+    type: 'test_slow',
+    timeoutMs: 50,
+    handler(payload, { signal }) {
+      runs.push(['test_slow', payload]);
+      return new Promise(resolve => signal.addEventListener('abort', () => {
+        runs.push(['test_slow', 'aborted']);
+        resolve();
+      }));
+    }
+  });
+  await queue.initializeQueues();
+});
+
+afterAll(async () => {
+  await queue.shutdownQueues({ graceMs: 100 });
+  ['JOB_POLL_INTERVAL_MS', 'JOB_CONCURRENCY', 'JOB_BACKOFF_DELAY'].forEach(name => delete process.env[name]);
+});
+
+beforeEach(() => {
+  runs.length = 0;
+});
+
+describe('background job runner', () => {
+  test('a queued job runs once and keeps its result; duplicates are folded into it', async () => {
+    const first = await jobService.enqueueJob('test_echo', { value: 42 }, { dedupeKey: 'same', delayMs: 30 });
+    const second = await jobService.enqueueJob('test_echo', { value: 42 }, { dedupeKey: 'same' });
+    expect(second.id).toBe(first.id);
+
+    await waitFor(() => jobOf(first.id).status === 'completed');
+    expect(jobOf(first.id)).toMatchObject({ attempts: 1, result: { echoed: 42 } });
+    expect(runs).toEqual([['test_echo', { value: 42 }]]);
+  });
+
+  test('failures are retried until the job runs out of attempts', async () => {
+    const job = await jobService.enqueueJob('test_flaky', {}, { maxAttempts: 3 });
+
+    await waitFor(() => jobOf(job.id).status === 'dead');
+    expect(jobOf(job.id)).toMatchObject({ attempts: 3, error_message: 'Platform unavailable' });
+    expect(runs).toHaveLength(3);
+  });
+
+  test('rejected requests go to the dead letters without a retry', async () => {
+    const job = await jobService.enqueueJob('test_flaky', { reject: true }, { maxAttempts: 3 });
+
+    await waitFor(() => jobOf(job.id).status === 'dead');
+    expect(jobOf(job.id)).toMatchObject({ attempts: 1, error_message: 'Review text is missing' });
+  });
+
+  test('a job that runs past its timeout is aborted and counts as a failed attempt', async () => {
+    const job = await jobService.enqueueJob('test_slow', {}, { maxAttempts: 1 });
+
+    await waitFor(() => jobOf(job.id).status === 'dead');
+    expect(jobOf(job.id).error_message).toBe('Job timed out after 50ms');
+    expect(runs).toEqual([['test_slow', {}], ['test_slow', 'aborted']]);
+  });
+});
@@ -0,0 +1,79 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { buildApp } = require('./helpers/app');
+const languageService = require('../services/languageService');
+const responseRoutes = require('../routes/responses');
+
+const app = buildApp('/api/responses', responseRoutes);
+
+const SPANISH = 'La comida fue muy buena y el servicio excelente, pero la música estaba alta.';
+
+const generate = (body) => request(app)
+  .post('/api/responses')
+  .send({ reviewText: SPANISH, businessType: 'restaurant', tone: 'friendly', ...body });
+
+// review_language and response_language of the saved record
+const savedLanguages = () => {
+  const insert = db.queries.find(({ text }) => /INSERT INTO generated_responses/.test(text));
+  return insert.params.slice(7, 9);
+};
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe('review languages', () => {
+  test('languages are detected by script and common words', () => {
+    expect(languageService.detectLanguage(SPANISH)).toBe('es');
+    expect(languageService.detectLanguage('Le service était très lent mais les plats sont bons')).toBe('fr');
+    expect(languageService.detectLanguage('Das Essen war sehr lecker und der Service auch')).toBe('de');
+    expect(languageService.detectLanguage('とても美味しかったです')).toBe('ja');
+    expect(languageService.detectLanguage('12345 !!!')).toBe('en');
+  });
+
+  test('replies follow the review language unless told otherwise', () => {
+    expect(languageService.resolveLanguages('es', {})).toEqual({ review: 'es', response: 'es', translation: null });
+    expect(languageService.resolveLanguages('es', { includeTranslation: true, primaryLanguage: 'en' }))
+      .toEqual({ review: 'es', response: 'es', translation: 'en' });
+    expect(languageService.resolveLanguages('es', { languageMode: 'business', primaryLanguage: 'en', includeTranslation: true }))
+      .toEqual({ review: 'es', response: 'en', translation: 'es' });
+    expect(languageService.resolveLanguages('xx', { language: 'fr' })).toEqual({ review: 'en', response: 'fr', translation: null });
+  });
+
+  test('a Spanish review gets Spanish replies', async () => {
+    const res = await generate();
+
+    expect(res.status).toBe(201);
+    expect(res.body.metadata.language).toMatchObject({ review: 'es', response: 'es' });
+    res.body.responses.forEach(option => {
+      expect(option.language).toBe('es');
+      expect(option.response.startsWith('[es] ')).toBe(true);
+      expect(option.translation).toBeUndefined();
+    });
+    expect(savedLanguages()).toEqual(['es', 'es']);
+  });
+
+  test('the owner can ask for a translation or a reply in the business language', async () => {
+    const translated = await generate({ includeTranslation: true });
+    expect(translated.status).toBe(201);
+    expect(translated.body.responses[0].translation).toBeDefined();
+    expect(translated.body.responses[0].translation.startsWith('[es]')).toBe(false);
+
+    db.reset();
+    const business = await generate({ languageMode: 'business', includeTranslation: true });
+    expect(business.body.metadata.language).toMatchObject({ review: 'es', response: 'en' });
+    expect(business.body.responses[0].translation.startsWith('[es] ')).toBe(true);
+    expect(savedLanguages()).toEqual(['es', 'en']);
+  });
+
+  test('unsupported reply languages are rejected', async () => {
+    const res = await generate({ language: 'tlh' });
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('Please select a supported reply language');
+  });
+});
@@ -0,0 +1,97 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const Joi = require('joi');
+const db = require('../config/database');
+const { buildApp } = require('./helpers/app');
+const { registerProvider } = require('../services/providers');
+const llmOutput = require('../services/llmOutput');
+const responseRoutes = require('../routes/responses');
+
+const app = buildApp('/api/responses', responseRoutes);
+
+const schema = Joi.object({ sentiment: Joi.string().valid('positive', 'negative').required() });
+const baseRequest = { purpose: 'sentiment', messages: [{ role: 'user', content: 'Lovely' }], temperature: 0.7 };
+
+// A provider that answers with `contents` in turn and records every request
+function scriptedProvider(contents) {
+  const requests = [];
+  return {
+    name: 'scripted',
+    requests,
+    async complete(req) {
+      requests.push(req);
+      const content = contents[Math.min(requests.length - 1, contents.length - 1)];
+      return { content, model: 'scripted', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+    }
+  };
+}
+
+afterEach(() => {
+  delete process.env.LLM_MAX_REPAIR_ATTEMPTS;
+  delete process.env.LLM_PROVIDER_STARTER;
+});
+
+describe('LLM output validation', () => {
+  test('JSON wrapped in prose or code fences is extracted', () => {
+    expect(llmOutput.parseOutput('Sure! ```json\n{"sentiment":"positive"}\n```', schema)).toEqual({ value: { sentiment: 'positive' } });
+    expect(llmOutput.parseOutput('No idea', schema)).toEqual({ error: 'The reply did not contain any JSON' });
+  });
+
+  test('an invalid answer is repaired by re-asking with the validation error', async () => {
+    const provider = scriptedProvider(['{"sentiment":"great"}', '{"sentiment":"positive"}']);
+
+    const result = await llmOutput.completeWithSchema(provider, baseRequest, schema);
+
+    expect(result.value).toEqual({ sentiment: 'positive' });
+    expect(result.completions).toHaveLength(2);
+    const repair = provider.requests[1];
+    expect(repair.temperature).toBe(0.2);
+    expect(repair.messages.slice(-2)).toEqual([
+      { role: 'assistant', content: '{"sentiment":"great"}' },
+      { role: 'user', content: expect.stringContaining('"sentiment" must be one of [positive, negative]') }
+    ]);
+  });
+
+  test('repairs stop after LLM_MAX_REPAIR_ATTEMPTS and the request fails', async () => {
+    const provider = scriptedProvider(['not json']);
+    await expect(llmOutput.completeWithSchema(provider, baseRequest, schema)).rejects.toMatchObject({
+      statusCode: 502,
+      errorCode: 'LLM_OUTPUT_INVALID',
+      details: { purpose: 'sentiment', attempts: 3 }
+    });
+    expect(provider.requests).toHaveLength(3);
+
+    process.env.LLM_MAX_REPAIR_ATTEMPTS = '1';
+    const limited = scriptedProvider(['not json']);
+    await expect(llmOutput.completeWithSchema(limited, baseRequest, schema)).rejects.toBeInstanceOf(llmOutput.LlmOutputError);
+    expect(limited.requests).toHaveLength(2);
+  });
+
+  test('flagged and weak drafts are kept once the budget is spent', async () => {
+    const flag = (value) => (value.sentiment === 'negative' ? 'mentions a diagnosis' : null);
+    const flagged = await llmOutput.completeWithSchema(scriptedProvider(['{"sentiment":"negative"}']), baseRequest, schema, { flag, maxRepairs: 1 });
+    expect(flagged).toMatchObject({ value: { sentiment: 'negative' }, flagged: 'mentions a diagnosis', flags: ['mentions a diagnosis', 'mentions a diagnosis'] });
+
+    const improve = () => 'too short';
+    const weak = await llmOutput.completeWithSchema(scriptedProvider(['{"sentiment":"positive"}']), baseRequest, schema, { improve, maxRepairs: 1 });
+    expect(weak.value).toEqual({ sentiment: 'positive' });
+    expect(weak.completions).toHaveLength(2);
+  });
+
+  test('generation answers 502 when the model never returns valid options', async () => {
+    db.reset();
+    registerProvider('garbled', () => scriptedProvider(['I would rather not answer in JSON']));
+    process.env.LLM_PROVIDER_STARTER = 'garbled';
+
+    const res = await request(app)
+      .post('/api/responses')
+      .send({ reviewText: 'The pasta was amazing and the staff were so friendly!', businessType: 'restaurant', tone: 'friendly' });
+
+    expect(res.status).toBe(502);
+    expect(db.queries.some(({ text }) => /INSERT INTO generated_responses/.test(text))).toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+// The SDK is replaced so no request leaves the machine; each client records how it
+// was built and answers chat completions from `nextCompletion`
+jest.mock('openai', () => {
+  const clients = [];
+  class OpenAI {
+    constructor(options) {
+      this.options = options;
+      this.requests = [];
+      clients.push(this);
+      this.chat = {
+        completions: {
+          create: async (body) => {
+            this.requests.push(body);
+            return OpenAI.nextCompletion;
+          }
+        }
+      };
+    }
+  }
+  class AzureOpenAI extends OpenAI {}
+  OpenAI.AzureOpenAI = AzureOpenAI;
+  OpenAI.clients = clients;
+  return OpenAI;
+});
+
+const OpenAI = require('openai');
+const { createOpenAIProvider } = require('../services/providers/openaiProvider');
+
+const saved = {};
+const VARIABLES = ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_DEPLOYMENT', 'AZURE_OPENAI_API_VERSION'];
+
+beforeEach(() => {
+  OpenAI.clients.length = 0;
+  OpenAI.nextCompletion = {
+    model: 'gpt-4-0613',
+    choices: [{ message: { content: '{"sentiment":"positive"}' } }],
+    usage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 }
+  };
+  VARIABLES.forEach(name => {
+    saved[name] = process.env[name];
+  });
+});
+
+afterEach(() => {
+  VARIABLES.forEach(name => {
+    if (saved[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = saved[name];
+    }
+  });
+});
+
+describe('OpenAI SDK providers', () => {
+  test('the client is only built when the provider is first used', async () => {
+    const provider = createOpenAIProvider('openai');
+    expect(OpenAI.clients).toHaveLength(0);
+
+    await provider.complete({ messages: [{ role: 'user', content: 'Hi' }], maxTokens: 50 });
+    await provider.complete({ messages: [{ role: 'user', content: 'Again' }], maxTokens: 50 });
+    expect(OpenAI.clients).toHaveLength(1);
+  });
+
+  test('completions are mapped to content, model and token usage', async () => {
+    const completion = await createOpenAIProvider('openai').complete({
+      messages: [{ role: 'user', content: 'Great food' }],
+      maxTokens: 200,
+      temperature: 0.2
+    });
+
+    expect(completion).toEqual({
+      content: '{"sentiment":"positive"}',
+      model: 'gpt-4-0613',
+      usage: { promptTokens: 120, completionTokens: 30, totalTokens: 150 }
+    });
+    expect(OpenAI.clients[0].requests[0]).toMatchObject({ max_tokens: 200, temperature: 0.2 });
+  });
+
+  test('the azure variant builds an AzureOpenAI client for the configured deployment', async () => {
+    Object.assign(process.env, {
+      AZURE_OPENAI_API_KEY: 'azure-key',
+      AZURE_OPENAI_ENDPOINT: 'https://reviews.openai.azure.com',
+      AZURE_OPENAI_DEPLOYMENT: 'replies-gpt4'
+    });
+    delete process.env.AZURE_OPENAI_API_VERSION;
+
+    const provider = createOpenAIProvider('azure');
+    await provider.complete({ messages: [{ role: 'user', content: 'Hi' }] });
+
+    const [client] = OpenAI.clients;
+    expect(client).toBeInstanceOf(OpenAI.AzureOpenAI);
+    expect(client.options).toEqual({
+      apiKey: 'azure-key',
+      endpoint: 'https://reviews.openai.azure.com',
+      apiVersion: '2024-02-01',
+      deployment: 'replies-gpt4'
+    });
+    expect(client.requests[0].model).toBe('replies-gpt4');
+  });
+
+  test('unknown variants are rejected', () => {
+    expect(() => createOpenAIProvider('anthropic-compatible')).toThrow('Unknown OpenAI provider variant: anthropic-compatible');
+  });
+});
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { testUser } = require('./helpers/app');
+const { errorHandler } = require('../middleware/errorHandler');
+const { createMockPlatform } = require('../services/connectors/mockPlatformServer');
+const platformRoutes = require('../routes/platforms');
+const reviewRoutes = require('../routes/reviews');
+
+const app = express();
+app.use(express.json());
+app.use('/api/platforms', platformRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use(errorHandler);
+
+const BUSINESS_ID = 'luigis-trattoria';
+const API_KEY = 'mock-secret-key';
+
+let platform;
+let integration;
+let reviews;
+
+// platform_integrations and reviews in memory, following the services' SQL
+function serveTables() {
+  const reviewById = (id) => reviews.find(review => review.id === id);
+
+  db.on(/INSERT INTO platform_integrations/, (params) => {
+    integration = {
+      id: crypto.randomUUID(),
+      user_id: params[0],
+      platform_name: params[1],
+      business_id: params[2],
+      account_name: params[3],
+      api_credentials_encrypted: params[4],
+      is_active: true,
+      sync_status: 'pending',
+      sync_cursor: null,
+      rate_limited_until: null,
+      error_count: 0,
+      created_at: new Date()
+    };
+    return [integration];
+  });
+  db.on(/FROM platform_integrations\s+WHERE id = \$1 AND \(\$2::uuid IS NULL/, ([id]) => (
+    integration && integration.id === id ? [integration] : undefined
+  ));
+  db.on(/UPDATE platform_integrations\s+SET last_sync = NOW\(\)/, ([, cursor]) => {
+    Object.assign(integration, { sync_status: 'ok', sync_cursor: cursor });
+    return { rows: [], rowCount: 1 };
+  });
+  db.on(/FROM users\s+WHERE id = \$1 AND is_active = true/, () => [testUser]);
+
+  db.on(/INSERT INTO reviews \(user_id, platform_integration_id/, (params) => {
+    if (reviews.some(review => review.platform_review_id === params[2])) {
+      return { rows: [], rowCount: 0 };
+    }
+    const review = {
+      id: crypto.randomUUID(),
+      user_id: params[0],
+      platform_integration_id: params[1],
+      platform_review_id: params[2],
+      reviewer_name: params[3],
+      review_text: params[4],
+      rating: params[5],
+      review_date: params[6],
+      platform_name: params[7],
+      status: params[8],
+      reply_text: params[9],
+      platform_response_id: params[10],
+      created_at: new Date()
+    };
+    reviews.push(review);
+    return [{ id: review.id }];
+  });
+  db.on(/FROM reviews r\s+LEFT JOIN platform_integrations i/, ([id]) => {
+    const review = reviewById(id);
+    return review ? [{ ...review, integration_active: integration.is_active }] : undefined;
+  });
+  db.on(/UPDATE reviews r\s+SET reply_text = \$3/, ([id, , text, platformResponseId]) => {
+    const review = reviewById(id);
+    Object.assign(review, { reply_text: text, platform_response_id: platformResponseId, replied_at: new Date(), status: 'responded' });
+    return [review];
+  });
+  db.on(/UPDATE reviews r\s+SET reply_text = NULL/, ([id]) => {
+    const review = reviewById(id);
+    Object.assign(review, { reply_text: null, platform_response_id: null, replied_at: null, status: 'new' });
+    return [review];
+  });
+}
+
+beforeAll(async () => {
+  platform = createMockPlatform();
+  platform.addBusiness({ id: BUSINESS_ID, name: "Luigi's Trattoria", apiKey: API_KEY });
+  process.env.PLATFORM_MOCK_ENABLED = 'true';
+  process.env.MOCK_PLATFORM_URL = await platform.listen();
+});
+
+afterAll(async () => {
+  await platform.close();
+  delete process.env.PLATFORM_MOCK_ENABLED;
+  delete process.env.MOCK_PLATFORM_URL;
+});
+
+beforeEach(() => {
+  db.reset();
+  integration = null;
+  reviews = [];
+  serveTables();
+});
+
+const connect = (apiKey = API_KEY) => request(app)
+  .post('/api/platforms/mock/connect')
+  .send({ businessId: BUSINESS_ID, credentials: { apiKey } });
+
+describe('mock platform integration', () => {
+  test('connecting checks the key with the platform and stores it sealed', async () => {
+    const rejected = await connect('wrong-key');
+    expect(rejected.status).toBe(400);
+    expect(integration).toBeNull();
+
+    const res = await connect();
+    expect(res.status).toBe(201);
+    expect(res.body.integration).toMatchObject({ platform: 'mock', businessId: BUSINESS_ID, accountName: "Luigi's Trattoria" });
+    expect(JSON.stringify(res.body)).not.toContain(API_KEY);
+    expect(integration.api_credentials_encrypted).not.toContain(API_KEY);
+  });
+
+  test('sync stores new reviews once and resumes from the platform cursor', async () => {
+    await connect();
+    const answered = platform.addReview(BUSINESS_ID, { author: 'Maria G.', rating: 5, text: 'Wonderful evening, the food was excellent.' });
+    answered.reply = { id: 'reply-existing', text: 'Thank you Maria!', updatedAt: new Date().toISOString() };
+    platform.addReview(BUSINESS_ID, { author: 'Priya K.', rating: 4, text: 'Great value lunch menu, the pasta was lovely.' });
+
+    const first = await request(app).post(`/api/platforms/${integration.id}/sync`);
+    expect(first.status).toBe(200);
+    expect(first.body.sync).toMatchObject({ fetched: 2, created: 2, hasMore: false });
+    expect(reviews.map(review => [review.reviewer_name, review.status, review.reply_text])).toEqual([
+      ['Maria G.', 'responded', 'Thank you Maria!'],
+      ['Priya K.', 'new', null]
+    ]);
+    expect(integration.sync_status).toBe('ok');
+
+    platform.addReview(BUSINESS_ID, { author: 'Tom B.', rating: 4, text: 'Friendly staff and a cosy room.' });
+    const second = await request(app).post(`/api/platforms/${integration.id}/sync`);
+    expect(second.body.sync).toMatchObject({ fetched: 1, created: 1 });
+    expect(reviews).toHaveLength(3);
+  });
+
+  test('replies are posted, replaced and deleted on the platform', async () => {
+    await connect();
+    const posted = platform.addReview(BUSINESS_ID, { author: 'Priya K.', rating: 4, text: 'Great value lunch menu, the pasta was lovely.' });
+    await request(app).post(`/api/platforms/${integration.id}/sync`);
+    const stored = reviews.find(review => review.platform_review_id === posted.id);
+    const reviewId = stored.id;
+
+    const reply = await request(app).post(`/api/reviews/${reviewId}/reply`).send({ text: 'Thank you, Priya!' });
+    expect(reply.status).toBe(200);
+    expect(platform.getReview(BUSINESS_ID, posted.id).reply.text).toBe('Thank you, Priya!');
+    expect(reply.body.review).toMatchObject({ status: 'responded', reply: { text: 'Thank you, Priya!' } });
+    const platformResponseId = reply.body.review.reply.platformResponseId;
+    expect(platformResponseId).toBe(platform.getReview(BUSINESS_ID, posted.id).reply.id);
+
+    // A second reply replaces the first instead of posting another one
+    const replaced = await request(app).post(`/api/reviews/${reviewId}/reply`).send({ text: 'Thanks again, see you soon!' });
+    expect(replaced.status).toBe(200);
+    expect(platform.getReview(BUSINESS_ID, posted.id).reply).toMatchObject({ id: platformResponseId, text: 'Thanks again, see you soon!' });
+
+    const removed = await request(app).delete(`/api/reviews/${reviewId}/reply`);
+    expect(removed.status).toBe(200);
+    expect(platform.getReview(BUSINESS_ID, posted.id).reply).toBeNull();
+    expect(stored).toMatchObject({ status: 'new', reply_text: null });
+  });
+});
@@ -0,0 +1,44 @@
+const postingSchedule = require('../services/postingSchedule');
+
+// 09:00 to 17:00 in New York; 2026-03-06 is a Friday and DST starts on Sunday 2026-03-08
+const settings = { working_hours_start: '09:00:00', working_hours_end: '17:00:00', weekend_enabled: false, holidays: [] };
+const newYork = (overrides = {}) => postingSchedule.scheduleFor({ ...settings, ...overrides }, 'America/New_York');
+
+const halfway = () => 0.5;
+
+describe('posting schedule', () => {
+  test('replies wait for the next working day in the business\'s timezone', () => {
+    const fridayEvening = new Date('2026-03-06T23:00:00Z'); // 18:00 EST
+
+    expect(postingSchedule.isPostingTime(fridayEvening, newYork())).toBe(false);
+    expect(postingSchedule.nextPostingTime(fridayEvening, newYork())).toEqual(new Date('2026-03-09T13:00:00Z'));
+    expect(postingSchedule.nextPostingTime(fridayEvening, newYork({ holidays: ['2026-03-09'] })))
+      .toEqual(new Date('2026-03-10T13:00:00Z'));
+  });
+
+  test('windows keep their local hours across the DST change', () => {
+    const schedule = newYork({ weekend_enabled: true });
+
+    // 09:00 is 14:00 UTC on Saturday (EST) and 13:00 UTC on Sunday (EDT)
+    expect(postingSchedule.nextPostingTime(new Date('2026-03-07T05:00:00Z'), schedule)).toEqual(new Date('2026-03-07T14:00:00Z'));
+    expect(postingSchedule.nextPostingTime(new Date('2026-03-07T23:00:00Z'), schedule)).toEqual(new Date('2026-03-08T13:00:00Z'));
+    expect(postingSchedule.isPostingTime(new Date('2026-03-08T13:30:00Z'), schedule)).toBe(true);
+    expect(postingSchedule.isPostingTime(new Date('2026-03-08T21:30:00Z'), schedule)).toBe(false);
+  });
+
+  test('the reply time adds the delay, then the jitter once, inside the window', () => {
+    const options = { delayMinutes: 15, jitterMinutes: 60, random: halfway };
+
+    // In the window: 10:00 + 15 minutes delay + 30 minutes jitter
+    expect(postingSchedule.replyTime(new Date('2026-03-06T15:00:00Z'), newYork(), options)).toEqual(new Date('2026-03-06T15:45:00Z'));
+    // Held over the weekend: Monday's opening + 30 minutes jitter
+    expect(postingSchedule.replyTime(new Date('2026-03-06T23:00:00Z'), newYork(), options)).toEqual(new Date('2026-03-09T13:30:00Z'));
+    // Jitter never runs past closing time
+    expect(postingSchedule.replyTime(new Date('2026-03-06T21:30:00Z'), newYork(), options)).toEqual(new Date('2026-03-06T21:59:00Z'));
+  });
+
+  test('an unknown timezone falls back to UTC', () => {
+    expect(postingSchedule.scheduleFor(settings, 'Mars/Olympus_Mons').timezone).toBe('UTC');
+    expect(postingSchedule.scheduleFor(settings, null)).toMatchObject({ timezone: 'UTC', start: 540, end: 1020 });
+  });
+});
@@ -0,0 +1,116 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { buildApp, testUser } = require('./helpers/app');
+const promptTemplateService = require('../services/promptTemplateService');
+const promptTemplateRoutes = require('../routes/promptTemplates');
+const responseRoutes = require('../routes/responses');
+
+const templatesApp = buildApp('/api/prompt-templates', promptTemplateRoutes);
+const responsesApp = buildApp('/api/responses', responseRoutes);
+
+const EXPERIMENT_ID = '9a1b2c3d-4e5f-4a6b-8c7d-0e1f2a3b4c5d';
+const TEMPLATE_ID = '3f2e1d0c-9b8a-4c7d-8e6f-5a4b3c2d1e0f';
+
+const templateRow = {
+  id: TEMPLATE_ID,
+  purpose: 'responses',
+  version: 4,
+  system_template: `${promptTemplateService.BUILTIN_TEMPLATES.responses.system}\nKeep it short.`,
+  user_template: promptTemplateService.BUILTIN_TEMPLATES.responses.user,
+  description: 'Shorter replies',
+  is_active: false,
+  created_at: new Date()
+};
+
+const experimentRow = (variants) => ({
+  id: EXPERIMENT_ID,
+  name: 'Shorter replies',
+  purpose: 'responses',
+  status: 'running',
+  variants,
+  started_at: new Date(),
+  stopped_at: null
+});
+
+const experiment = (variants) => ({ id: EXPERIMENT_ID, variants });
+
+beforeEach(() => {
+  db.reset();
+  testUser.role = 'user';
+});
+
+describe('prompt experiments', () => {
+  test('a user keeps the variant they were assigned', () => {
+    const split = experiment([{ templateId: null, weight: 50 }, { templateId: TEMPLATE_ID, weight: 50 }]);
+    const first = promptTemplateService.assignVariant(split, testUser.id);
+
+    for (let i = 0; i < 20; i++) {
+      expect(promptTemplateService.assignVariant(split, testUser.id)).toBe(first);
+    }
+  });
+
+  test('users are split between variants by weight', () => {
+    const split = experiment([{ templateId: null, weight: 80 }, { templateId: TEMPLATE_ID, weight: 20 }]);
+    const users = Array.from({ length: 2000 }, (_, index) => `user-${index}`);
+
+    const builtin = users.filter(userId => promptTemplateService.assignVariant(split, userId).templateId === null).length;
+
+    expect(builtin / users.length).toBeGreaterThan(0.75);
+    expect(builtin / users.length).toBeLessThan(0.85);
+  });
+
+  test('generations use the assigned variant and record it', async () => {
+    const variants = [{ templateId: TEMPLATE_ID, weight: 100 }, { templateId: null, weight: 1 }];
+    expect(promptTemplateService.assignVariant(experiment(variants), testUser.id).templateId).toBe(TEMPLATE_ID);
+    db.on(/FROM prompt_experiments WHERE purpose = \$1 AND status = 'running'/, (params) =>
+      (params[0] === 'responses' ? [experimentRow(variants)] : []));
+    db.on(/FROM prompt_templates WHERE id = \$1/, (params) => (params[0] === TEMPLATE_ID ? [templateRow] : []));
+
+    const res = await request(responsesApp)
+      .post('/api/responses')
+      .send({ reviewText: 'Great pizza and friendly staff!', businessType: 'restaurant', tone: 'friendly' });
+
+    expect(res.status).toBe(201);
+    const insert = db.queries.find(({ text }) => /INSERT INTO generated_responses/.test(text));
+    expect(insert.params.slice(15, 18)).toEqual([TEMPLATE_ID, 4, EXPERIMENT_ID]);
+  });
+
+  test('only one experiment per purpose can run at a time', async () => {
+    testUser.role = 'admin';
+    db.on(/FROM prompt_templates WHERE id = \$1/, () => [templateRow]);
+    db.on(/FROM prompt_experiments WHERE purpose = \$1 AND status = 'running'/, () => [experimentRow([])]);
+
+    const res = await request(templatesApp)
+      .post('/api/prompt-templates/experiments')
+      .send({ name: 'Another test', variants: [{ templateId: null, weight: 50 }, { templateId: TEMPLATE_ID, weight: 50 }] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.experimentId).toBe(EXPERIMENT_ID);
+    expect(db.queries.some(({ text }) => /INSERT INTO prompt_experiments/.test(text))).toBe(false);
+  });
+
+  test('the report compares selection, posting and edits per variant', async () => {
+    db.on(/COUNT\(\*\) AS generations/, () => [
+      { prompt_template_id: null, prompt_template_version: 0, generations: '4', selected: '2', posted: '1' },
+      { prompt_template_id: TEMPLATE_ID, prompt_template_version: 4, generations: '2', selected: '2', posted: '2' }
+    ]);
+    db.on(/AS selected_text/, () => [
+      { prompt_template_id: null, selected_text: 'Thanks so much for visiting us', final_response: 'Thanks so much for visiting us' },
+      { prompt_template_id: TEMPLATE_ID, selected_text: 'Thanks for coming', final_response: 'Thanks for coming in today' }
+    ]);
+
+    const { variants } = await promptTemplateService.getExperimentReport(
+      experiment([{ templateId: null, weight: 50 }, { templateId: TEMPLATE_ID, weight: 50 }])
+    );
+
+    expect(variants).toEqual([
+      expect.objectContaining({ templateId: null, generations: 4, selectionRate: 0.5, postingRate: 0.25, averageEditDistance: 0 }),
+      expect.objectContaining({ templateId: TEMPLATE_ID, templateVersion: 4, selectionRate: 1, postingRate: 1, averageEditDistance: 0.4 })
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const redis = require('../config/redis');
+const { buildApp } = require('./helpers/app');
+const { registerProvider } = require('../services/providers');
+const { createFixtureProvider } = require('../services/providers/fixtureProvider');
+const qualityService = require('../services/qualityService');
+const responseRoutes = require('../routes/responses');
+
+const app = buildApp('/api/responses', responseRoutes);
+
+const REVIEW = 'The pasta was amazing and the staff were so friendly, we will be back!';
+const WEAK = 'Thank you for your feedback. We hope to see you again soon.';
+const weakOptions = JSON.stringify([WEAK, WEAK, WEAK].map(response => ({ response, length: 12, key_points: ['pasta'] })));
+
+// The fixture model, except that its first `weakAnswers` sets of replies are short form letters
+function sloppyProvider(weakAnswers) {
+  const fixture = createFixtureProvider();
+  const requests = [];
+  return {
+    name: 'sloppy',
+    requests,
+    async complete(req) {
+      if (req.purpose !== 'responses') {
+        return fixture.complete(req);
+      }
+      requests.push(req);
+      return requests.length <= weakAnswers
+        ? { content: weakOptions, model: 'sloppy', usage: {} }
+        : fixture.complete(req);
+    }
+  };
+}
+
+const generate = () => request(app)
+  .post('/api/responses')
+  .send({ reviewText: REVIEW, businessType: 'restaurant', tone: 'friendly' });
+
+const useProvider = (provider) => {
+  registerProvider('sloppy', () => provider);
+  process.env.LLM_PROVIDER_STARTER = 'sloppy';
+};
+
+beforeEach(() => {
+  db.reset();
+  redis.store.clear();
+});
+
+afterEach(() => {
+  delete process.env.LLM_PROVIDER_STARTER;
+});
+
+describe('reply quality', () => {
+  test('short, repeated form letters score low with a warning per problem', () => {
+    const { score, warnings } = qualityService.scoreResponse({ response: WEAK, key_points: ['pasta'] }, [WEAK], {
+      businessName: "Luigi's",
+      strategyElements: ['thank the customer', 'invite them back']
+    });
+
+    expect(warnings.map(warning => warning.check)).toEqual([
+      'length', 'business_name', 'key_point_coverage', 'repetition', 'template_phrase', 'template_phrase'
+    ]);
+    expect(score).toBe(100 - 15 - 10 - 5 - 15 - 5 - 5);
+  });
+
+  test('low-scoring options are regenerated with the warnings as feedback', async () => {
+    const provider = sloppyProvider(1);
+    useProvider(provider);
+
+    const res = await generate();
+
+    expect(res.status).toBe(201);
+    expect(provider.requests).toHaveLength(2);
+    const feedback = provider.requests[1].messages.slice(-1)[0].content;
+    expect(feedback).toMatch(/response 1 scored \d+\/100 \(12 words, expected 50-150/);
+    expect(feedback).toContain('Template-sounding phrase: "thank you for your feedback"');
+    res.body.responses.forEach(option => {
+      expect(option.quality.score).toBeGreaterThanOrEqual(qualityService.minScore());
+    });
+  });
+
+  test('weak options are kept once the repair budget is spent', async () => {
+    const provider = sloppyProvider(Infinity);
+    useProvider(provider);
+
+    const res = await generate();
+
+    expect(res.status).toBe(201);
+    expect(provider.requests).toHaveLength(3);
+    expect(res.body.responses[0].response).toBe(WEAK);
+    expect(res.body.responses[0].quality.score).toBeLessThan(qualityService.minScore());
+  });
+});
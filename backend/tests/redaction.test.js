@@ -0,0 +1,77 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { buildApp, testUser } = require('./helpers/app');
+const redactionService = require('../services/redactionService');
+const redactionRoutes = require('../routes/redaction');
+
+const app = buildApp('/api/redaction-policy', redactionRoutes);
+
+const REVIEW = 'Our waiter Marco was lovely. Call me on 555-123-4567 or write to ann@example.com about order #48213.';
+
+beforeEach(() => {
+  db.reset();
+  db.on(/INSERT INTO redaction_policies/, (params) => [{
+    enabled: params[1],
+    entity_types: JSON.parse(params[2]),
+    restore_types: JSON.parse(params[3]),
+    staff_names: JSON.parse(params[4]),
+    store_original: params[5],
+    updated_at: new Date()
+  }]);
+});
+
+describe('PII redaction', () => {
+  test('only staff names can be set to be restored into replies', async () => {
+    const rejected = await request(app).put('/api/redaction-policy').send({ restoreTypes: ['personName', 'phone'] });
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.details[0].msg).toMatch(/Only personName can be restored/);
+    expect(db.queries.some(({ text }) => /INSERT INTO redaction_policies/.test(text))).toBe(false);
+
+    const saved = await request(app).put('/api/redaction-policy').send({ restoreTypes: ['personName'], staffNames: ['Marco'] });
+    expect(saved.status).toBe(200);
+    expect(saved.body.redactionPolicy).toMatchObject({ restoreTypes: ['personName'], staffNames: ['Marco'] });
+  });
+
+  test('policies saved before the restriction no longer restore customer details', async () => {
+    db.on(/FROM redaction_policies/, () => [{
+      enabled: true,
+      entity_types: redactionService.ENTITY_TYPES,
+      restore_types: ['email', 'phone', 'personName'],
+      staff_names: [],
+      store_original: false
+    }]);
+
+    const policy = await redactionService.getRedactionPolicy(testUser.id);
+    expect(policy.restoreTypes).toEqual(['personName']);
+  });
+
+  test('the LLM sees placeholders and replies restore staff names only', () => {
+    // Even a policy that bypassed validation cannot restore a customer detail
+    const redaction = redactionService.redact(REVIEW, { restoreTypes: ['personName'] });
+    redaction.policy.restoreTypes.push('phone');
+
+    expect(redaction.text).toBe('Our waiter [NAME_1] was lovely. Call me on [PHONE_1] or write to [EMAIL_1] about order #[ORDER_1].');
+
+    const reply = redactionService.finalizeText(
+      'Thank you! [NAME_1] will be glad to hear it. We will call [PHONE_1] and reply to ann@example.com about [ORDER_1].',
+      redaction
+    );
+    expect(reply).toBe('Thank you! Marco will be glad to hear it. We will call your phone number and reply to your email about your order.');
+  });
+
+  test('dates are not mistaken for phone numbers', () => {
+    const dated = 'We stayed from 2024-03-15 to 2024-03-18 and again 12.03.2024 - 15.03.2024 (booked 03/01/24). ' +
+      'Call me on +44 20 7946 0958 or 1-800-555-0199.';
+
+    const redaction = redactionService.redact(dated);
+
+    expect(redaction.text).toBe('We stayed from 2024-03-15 to 2024-03-18 and again 12.03.2024 - 15.03.2024 (booked 03/01/24). ' +
+      'Call me on [PHONE_1] or [PHONE_2].');
+    expect(redactionService.summarizeEntities(redaction.entities)).toEqual({ phone: 2 });
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { buildApp, testUser } = require('./helpers/app');
+const { countRefinement } = require('../middleware/auth');
+const responseRoutes = require('../routes/responses');
+
+const app = buildApp('/api/responses', responseRoutes);
+
+const RECORD_ID = '5b728e63-af71-4c2d-9e45-6f708192a3b4';
+
+const record = {
+  id: RECORD_ID,
+  original_review: 'The food was cold and the waiter was rude, very disappointed with our dinner.',
+  business_type: 'restaurant',
+  tone: 'apologetic',
+  generated_responses_json: [
+    { response: 'We are sorry your dinner was disappointing. Please contact us so we can make this right.' },
+    { response: 'Thank you for your feedback. We apologize that your meal arrived cold.' }
+  ],
+  response_status: 'pending',
+  sentiment_category: 'negative',
+  refinement_history: [],
+  review_language: 'en',
+  response_language: 'en',
+  compliance_mode: null,
+  created_at: new Date()
+};
+
+let refinements;
+
+beforeEach(() => {
+  db.reset();
+  refinements = 0;
+  db.on(/FROM generated_responses WHERE id = \$1 AND user_id = \$2/, (params) => (params[0] === RECORD_ID ? [record] : []));
+  db.on(/SET monthly_refinements = monthly_refinements \+ 1/, () => {
+    refinements += 1;
+    return [{ monthly_refinements: 3 + refinements }];
+  });
+});
+
+describe('POST /api/responses/:id/refine', () => {
+  test('saves the refinement and counts it once', async () => {
+    const res = await request(app)
+      .post(`/api/responses/${RECORD_ID}/refine`)
+      .send({ responseIndex: 0, presets: ['shorter'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.refinement.variants.length).toBeGreaterThan(0);
+    expect(refinements).toBe(1);
+    expect(res.body.usage.refinementsUsed).toBe(4);
+
+    const history = db.queries.find(entry => /SET refinement_history/.test(entry.text));
+    expect(history.params.slice(0, 2)).toEqual([RECORD_ID, testUser.id]);
+  });
+
+  test('requires a preset or instructions', async () => {
+    const res = await request(app)
+      .post(`/api/responses/${RECORD_ID}/refine`)
+      .send({ responseIndex: 0 });
+
+    expect(res.status).toBe(400);
+    expect(refinements).toBe(0);
+  });
+
+  test('rejects refinements past the monthly allowance', async () => {
+    testUser.monthly_refinements = 100000;
+    try {
+      const res = await request(app)
+        .post(`/api/responses/${RECORD_ID}/refine`)
+        .send({ responseIndex: 0, presets: ['warmer'] });
+
+      expect(res.status).toBe(429);
+      expect(refinements).toBe(0);
+    } finally {
+      testUser.monthly_refinements = 0;
+    }
+  });
+
+  test('a failed count is reported instead of swallowed', async () => {
+    db.on(/SET monthly_refinements = monthly_refinements \+ 1/, () => {
+      throw new Error('connection lost');
+    });
+
+    const res = await request(app)
+      .post(`/api/responses/${RECORD_ID}/refine`)
+      .send({ responseIndex: 1, presets: ['warmer'] });
+
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('countRefinement', () => {
+  test('updates the user object from the stored count', async () => {
+    const user = { id: testUser.id, monthly_refinements: 0 };
+
+    await expect(countRefinement(user)).resolves.toBe(4);
+    expect(user.monthly_refinements).toBe(4);
+  });
+});
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const redis = require('../config/redis');
+const { buildApp, testUser } = require('./helpers/app');
+const reviewFlagRoutes = require('../routes/reviewFlags');
+const responseRoutes = require('../routes/responses');
+
+const flagsApp = buildApp('/api/review-flags', reviewFlagRoutes);
+const responsesApp = buildApp('/api/responses', responseRoutes);
+
+const EXTORTION = 'The food was cold and the waiter ignored us. Unless you refund my whole bill I will tell everyone to avoid this place.';
+const REVIEW_ID = '5b4a3c2d-1e0f-4a9b-8c7d-6e5f4a3b2c1d';
+
+// Rows of the fake review_flags table
+let flags;
+
+const flagRow = (fields) => ({
+  id: crypto.randomUUID(),
+  user_id: testUser.id,
+  review_id: null,
+  source: 'request',
+  review_text: EXTORTION,
+  review_fingerprint: null,
+  rating: null,
+  platform_name: null,
+  suspicion_score: 76,
+  reasons: [],
+  llm_verdict: 'fake',
+  report_text: 'report',
+  status: 'flagged',
+  decision_note: null,
+  decided_at: null,
+  created_at: new Date(),
+  ...fields
+});
+
+beforeEach(() => {
+  db.reset();
+  redis.store.clear();
+  flags = [];
+  db.on(/review_flags/, (params, text) => {
+    if (/INSERT INTO review_flags/.test(text)) {
+      const row = flagRow({
+        review_id: params[1],
+        source: params[2],
+        review_text: params[3],
+        review_fingerprint: params[4],
+        rating: params[5],
+        platform_name: params[6],
+        suspicion_score: params[7],
+        reasons: JSON.parse(params[8]),
+        llm_verdict: params[9],
+        report_text: params[10]
+      });
+      flags.push(row);
+      return [row];
+    }
+    const row = flags.find(entry => entry.id === params[0] && entry.user_id === params[1]);
+    if (/UPDATE review_flags/.test(text)) {
+      return row ? [Object.assign(row, { status: params[2], decision_note: params[3], decided_at: new Date() })] : [];
+    }
+    if (/status = 'dismissed' AND review_fingerprint = \$3/.test(text)) {
+      return row && row.status === 'dismissed' && row.review_fingerprint === params[2] ? [row] : [];
+    }
+    return row ? [row] : [];
+  });
+});
+
+const generate = (body) => request(responsesApp)
+  .post('/api/responses')
+  .send({ reviewText: EXTORTION, businessType: 'restaurant', tone: 'apologetic', ...body });
+
+const decide = (id, body) => request(flagsApp).patch(`/api/review-flags/${id}`).send(body);
+
+const audited = (action) => db.queries.some(({ text, params }) => /INSERT INTO audit_logs/.test(text) && params[1] === action);
+
+describe('review flags', () => {
+  test('a suspicious review is flagged instead of replied to', async () => {
+    const res = await generate();
+
+    expect(res.status).toBe(200);
+    expect(res.body.flagged).toBe(true);
+    expect(res.body.flag).toMatchObject({ source: 'request', status: 'flagged', verdict: 'fake' });
+    expect(res.body.flag.reasons.map(reason => reason.check)).toEqual(['extortion', 'classifier']);
+    expect(res.body.flag.report).toContain('Extortion: demands compensation in exchange for changing or removing the review');
+    expect(db.queries.some(({ text }) => /INSERT INTO generated_responses/.test(text))).toBe(false);
+    expect(db.queries.some(({ text }) => /monthly_usage = monthly_usage \+/.test(text))).toBe(false);
+  });
+
+  test('a dismissed flag lets the review be generated, an undecided one does not', async () => {
+    const { body } = await generate();
+    const flagId = body.flag.id;
+
+    const early = await generate({ flagId });
+    expect(early.status).toBe(409);
+
+    const dismissed = await decide(flagId, { decision: 'genuine', note: 'Regular customer, real complaint' });
+    expect(dismissed.status).toBe(200);
+    expect(dismissed.body.flag).toMatchObject({ status: 'dismissed', decisionNote: 'Regular customer, real complaint' });
+    expect(dismissed.body.message).toMatch(/Pass flagId with the review/);
+    expect(audited('review_flag.dismissed')).toBe(true);
+
+    const generated = await generate({ flagId });
+    expect(generated.status).toBe(201);
+    expect(generated.body.responses.length).toBeGreaterThan(0);
+    expect(flags).toHaveLength(1);
+  });
+
+  test('a dismissed flag only covers the review it was raised for', async () => {
+    const { body } = await generate();
+    await decide(body.flag.id, { decision: 'genuine' });
+
+    const res = await generate({ flagId: body.flag.id, reviewText: `${EXTORTION} Also the wine was corked.` });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('deciding a synced review\'s flag moves the review back to new, or keeps it flagged', async () => {
+    const synced = flagRow({ source: 'sync', review_id: REVIEW_ID, platform_name: 'google' });
+    const confirmed = flagRow({ source: 'sync', review_id: REVIEW_ID, platform_name: 'google' });
+    flags.push(synced, confirmed);
+
+    const dismissed = await decide(synced.id, { decision: 'genuine' });
+    expect(dismissed.body.message).toBe('Flag dismissed. The review will be replied to like any other.');
+    expect(db.queries.find(({ text }) => /UPDATE reviews SET status/.test(text)).params).toEqual([REVIEW_ID, 'new']);
+
+    db.queries.length = 0;
+    const fake = await decide(confirmed.id, { decision: 'fake' });
+    expect(fake.body.flag.status).toBe('confirmed');
+    expect(fake.body.message).toMatch(/Use the report to dispute/);
+    expect(db.queries.find(({ text }) => /UPDATE reviews SET status/.test(text)).params).toEqual([REVIEW_ID, 'flagged']);
+    expect(audited('review_flag.confirmed')).toBe(true);
+  });
+
+  test('the dispute report can be worded for another platform', async () => {
+    const flag = flagRow({ platform_name: 'google', reasons: [{ check: 'competitor', weight: 25, message: 'Promotes another business' }] });
+    flags.push(flag);
+
+    const res = await request(flagsApp).get(`/api/review-flags/${flag.id}/report?platform=yelp`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.platform).toBe('yelp');
+    expect(res.body.report).toContain("Yelp's Content Guidelines");
+    expect(res.body.report).toContain('Conflict of interest: promotes a competitor');
+  });
+
+  test('decisions are validated and scoped to the account', async () => {
+    const other = flagRow({ user_id: '0f9e8d7c-6b5a-4c3d-9e2f-1a0b9c8d7e6f' });
+    flags.push(other);
+
+    const invalid = await decide(other.id, { decision: 'maybe' });
+    expect(invalid.status).toBe(400);
+
+    const missing = await decide(other.id, { decision: 'genuine' });
+    expect(missing.status).toBe(404);
+    expect(other.status).toBe('flagged');
+  });
+});
@@ -0,0 +1,107 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const redis = require('../config/redis');
+const { buildApp, testUser } = require('./helpers/app');
+const riskService = require('../services/riskService');
+const responseRoutes = require('../routes/responses');
+
+const app = buildApp('/api/responses', responseRoutes);
+
+const INJURY = 'I slipped on the wet floor by the bar and hurt my back. Nobody even came to help.';
+
+// A model that tags the given categories, or fails when there are none to give
+const riskProvider = (categories) => ({
+  name: 'risk',
+  async complete() {
+    if (!categories) {
+      throw new Error('model unavailable');
+    }
+    return { content: JSON.stringify({ categories }), model: 'risk', usage: {} };
+  }
+});
+
+beforeEach(() => {
+  db.reset();
+  redis.store.clear();
+});
+
+const generate = (reviewText) => request(app)
+  .post('/api/responses')
+  .send({ reviewText, businessType: 'restaurant', tone: 'apologetic' });
+
+describe('high-risk reviews', () => {
+  test('figures of speech and harmless mentions are not risks', () => {
+    [
+      'I fell in love with this salon',
+      'my hair was cut perfectly',
+      'I am a lawyer and loved it',
+      'We tripped over ourselves to book again',
+      'Their kindness really touched me',
+      'We were sick of waiting from 7pm, but the food made up for it'
+    ].forEach(text => {
+      expect(riskService.findRisks(text)).toEqual([]);
+    });
+  });
+
+  test('injuries, legal threats and food safety problems are found', () => {
+    const categories = (text) => riskService.findRisks(text).map(risk => risk.category);
+
+    expect(categories(INJURY)).toEqual(['injury']);
+    expect(categories('My mum tripped over a loose cable')).toEqual(['injury']);
+    expect(categories('She fell and broke her wrist')).toEqual(['injury']);
+    expect(categories('I cut my finger on a chipped plate')).toEqual(['injury']);
+    expect(categories('I have contacted a lawyer about this')).toEqual(['legal_threat']);
+    expect(categories('We got sick after the oysters')).toEqual(['food_safety']);
+  });
+
+  test('a pattern match only escalates when the model confirms it', async () => {
+    const text = 'My lawyer will love this place, best steak in town.';
+    expect(riskService.findRisks(text).map(risk => risk.category)).toEqual(['legal_threat']);
+
+    const unconfirmed = await riskService.classifyRisk(text, riskProvider([]));
+    expect(unconfirmed).toMatchObject({ escalate: false, severity: null, categories: [], modelChecked: true });
+    expect(unconfirmed.unconfirmed.map(risk => risk.category)).toEqual(['legal_threat']);
+
+    const confirmed = await riskService.classifyRisk(INJURY, riskProvider([{ category: 'injury', evidence: 'slipped' }]));
+    expect(confirmed).toMatchObject({ escalate: true, severity: 'critical', unconfirmed: [] });
+    expect(confirmed.categories).toEqual([
+      { category: 'injury', severity: 'critical', evidence: 'I slipped on the wet floor', source: 'pattern' }
+    ]);
+  });
+
+  test('the patterns escalate on their own when the model cannot be asked', async () => {
+    const risk = await riskService.classifyRisk(INJURY, riskProvider(null));
+
+    expect(risk).toMatchObject({ escalate: true, severity: 'critical', modelChecked: false });
+  });
+
+  test('an escalated review only gets the holding response and uses no credit', async () => {
+    const res = await generate(INJURY);
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toMatch(/Review escalated/);
+    expect(res.body.responses).toHaveLength(1);
+    expect(res.body.responses[0]).toMatchObject({ response: riskService.holdingResponse(testUser.business_name), holding: true });
+    expect(res.body.metadata.risk).toMatchObject({ escalated: true, severity: 'critical' });
+
+    const escalation = db.queries.find(({ text }) => /INSERT INTO escalations/.test(text));
+    expect(JSON.parse(escalation.params[5]).map(entry => entry.category)).toEqual(['injury']);
+    expect(escalation.params[7]).toBe(riskService.holdingResponse(testUser.business_name));
+    expect(res.body.metadata.risk.escalationId).toBeTruthy();
+    expect(db.queries.some(({ text }) => /monthly_usage = monthly_usage \+/.test(text))).toBe(false);
+  });
+
+  test('a glowing review with risky-sounding idioms gets ordinary replies', async () => {
+    const res = await generate('We fell in love with this place and tripped over ourselves to book again. Best pasta ever!');
+
+    expect(res.status).toBe(201);
+    expect(res.body.metadata.risk).toEqual({ escalated: false });
+    expect(res.body.responses.some(option => option.holding)).toBe(false);
+    expect(db.queries.some(({ text }) => /INSERT INTO escalations/.test(text))).toBe(false);
+  });
+});
@@ -0,0 +1,10 @@
+// Tests run offline: the fixture LLM provider answers every call
+process.env.NODE_ENV = 'test';
+process.env.LLM_PROVIDER = 'fixture';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ENCRYPTION_KEY = Buffer.alloc(32, 7).toString('base64');
+
+// The console transport logs at debug level outside production; keep test output readable
+require('../utils/logger').transports.forEach(transport => {
+  transport.silent = true;
+});
@@ -0,0 +1,99 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const redis = require('../config/redis');
+const { buildApp } = require('./helpers/app');
+const { registerProvider } = require('../services/providers');
+const { createFixtureProvider } = require('../services/providers/fixtureProvider');
+const responseRoutes = require('../routes/responses');
+
+const app = buildApp('/api/responses', responseRoutes);
+
+const REVIEW = 'The pasta was amazing and the staff were so friendly, we will be back!';
+
+// Fixture provider whose streamed draft has two options in another order, so the
+// answer fails validation and the repair call returns the fixture's three options
+function createDraftingProvider() {
+  const fixture = createFixtureProvider();
+  return {
+    ...fixture,
+    name: 'drafting',
+    async *stream(request) {
+      const { content, model, usage } = await fixture.complete(request);
+      const options = JSON.parse(content);
+      yield { delta: JSON.stringify([options[2], options[1]]) };
+      yield { done: true, model, usage };
+    }
+  };
+}
+
+// Server-Sent Events of a response body as [{ event, data }]
+const parseEvents = (text) => text.split('\n\n').filter(block => block.startsWith('event:')).map(block => {
+  const [eventLine, dataLine] = block.split('\n');
+  return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+});
+
+// The options the client ends up with: `reset` drops everything received so far
+const clientOptions = (events) => events.reduce((options, { event, data }) => {
+  if (event === 'reset') return [];
+  if (event === 'response') return [...options, data];
+  return options;
+}, []);
+
+const stream = () => request(app)
+  .post('/api/responses/stream')
+  .send({ reviewText: REVIEW, businessType: 'restaurant', tone: 'friendly' })
+  .buffer(true)
+  .parse((res, callback) => {
+    let text = '';
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => callback(null, text));
+  });
+
+const savedOptions = () => {
+  const insert = db.queries.find(entry => /INSERT INTO generated_responses/.test(entry.text));
+  return JSON.parse(insert.params[4]);
+};
+
+beforeEach(() => {
+  db.reset();
+  redis.store.clear();
+});
+
+afterEach(() => {
+  delete process.env.LLM_PROVIDER_STARTER;
+});
+
+describe('POST /api/responses/stream', () => {
+  test('streams the options that are saved', async () => {
+    const res = await stream();
+    const events = parseEvents(res.body);
+
+    expect(events.map(entry => entry.event)).not.toContain('reset');
+    expect(events[events.length - 1].event).toBe('complete');
+    expect(clientOptions(events)).toEqual(savedOptions());
+    expect(savedOptions()).toHaveLength(3);
+  });
+
+  test('a repaired draft resets the streamed options', async () => {
+    registerProvider('drafting', createDraftingProvider);
+    process.env.LLM_PROVIDER_STARTER = 'drafting';
+
+    const res = await stream();
+    const events = parseEvents(res.body);
+    const names = events.map(entry => entry.event);
+
+    expect(names).toContain('reset');
+    expect(names.indexOf('reset')).toBeGreaterThan(names.indexOf('response'));
+    expect(clientOptions(events)).toEqual(savedOptions());
+    expect(savedOptions()).toHaveLength(3);
+
+    // The cache holds the repaired options, not the draft
+    const cachedEntry = [...redis.store.values()].map(value => JSON.parse(value)).find(value => value && value.responses);
+    expect(cachedEntry.responses.map(option => option.response)).toEqual(savedOptions().map(option => option.response));
+  });
+});
@@ -0,0 +1,146 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { TONES } = require('./helpers/fakeDatabase');
+const { buildApp } = require('./helpers/app');
+const { registerProvider } = require('../services/providers');
+const { createFixtureProvider } = require('../services/providers/fixtureProvider');
+const toneService = require('../services/toneService');
+const toneRoutes = require('../routes/tones');
+const responseRoutes = require('../routes/responses');
+
+const tonesApp = buildApp('/api/tones', toneRoutes);
+const responsesApp = buildApp('/api/responses', responseRoutes);
+
+const OTHER_USER = '0f9e8d7c-6b5a-4c3d-9e2f-1a0b9c8d7e6f';
+
+const CHEEKY = {
+  name: 'Cheeky',
+  instruction: 'Be playful and a little cheeky, like an old friend behind the bar.',
+  examples: ['You clearly have excellent taste!'],
+  defaults: { ratings: [5] }
+};
+
+// Custom tones stored by the fake tones table
+let customTones;
+
+// The fixture model, keeping the response requests it was sent
+function recordingProvider() {
+  const fixture = createFixtureProvider();
+  const requests = [];
+  return {
+    name: 'recording',
+    requests,
+    async complete(req) {
+      if (req.purpose === 'responses') {
+        requests.push(req);
+      }
+      return fixture.complete(req);
+    }
+  };
+}
+
+let provider;
+
+beforeEach(() => {
+  db.reset();
+  customTones = [];
+  // Slug lookups: built-ins first, then the custom tones of the user in $2
+  db.on(/FROM tones/, (params, text) => {
+    if (/slug = \$1/.test(text)) {
+      const builtin = TONES.filter(row => row.slug === params[0]);
+      const custom = customTones.filter(row => row.slug === params[0] && row.user_id === params[1]);
+      return [...builtin, ...custom].slice(0, 1);
+    }
+    return [...TONES, ...customTones.filter(row => row.user_id === params[0])];
+  });
+  db.on(/INSERT INTO tones/, (params) => {
+    const row = {
+      id: `tone-${params[1]}`,
+      user_id: params[0],
+      slug: params[1],
+      name: params[2],
+      instruction: params[3],
+      examples: JSON.parse(params[4]),
+      default_ratings: JSON.parse(params[5]),
+      default_sentiments: JSON.parse(params[6]),
+      updated_at: null
+    };
+    customTones.push(row);
+    return [row];
+  });
+  provider = recordingProvider();
+  registerProvider('recording', () => provider);
+  process.env.LLM_PROVIDER_STARTER = 'recording';
+});
+
+afterEach(() => {
+  delete process.env.LLM_PROVIDER_STARTER;
+});
+
+const generate = (body) => request(responsesApp)
+  .post('/api/responses')
+  .send({ reviewText: 'Best carbonara in town, lovely staff!', businessType: 'restaurant', ...body });
+
+describe('custom tones', () => {
+  test('without a requested tone, rating defaults win over sentiment defaults and custom tones over built-ins', () => {
+    const tones = [
+      { slug: 'grateful', custom: false, defaults: { ratings: [5], sentiments: ['positive'] } },
+      { slug: 'professional', custom: false, defaults: { ratings: [3, 4], sentiments: ['neutral'] } },
+      { slug: 'cheeky', custom: true, defaults: { ratings: [5], sentiments: [] } }
+    ];
+
+    expect(toneService.selectTone(tones, { rating: 5, sentiment: 'positive' })).toMatchObject({ tone: { slug: 'cheeky' }, reason: 'rating' });
+    expect(toneService.selectTone(tones, { sentiment: 'positive' })).toMatchObject({ tone: { slug: 'grateful' }, reason: 'sentiment' });
+    expect(toneService.selectTone(tones, { sentiment: 'negative' })).toMatchObject({ tone: { slug: 'professional' }, reason: 'default' });
+  });
+
+  test('a custom tone is used for its default ratings, with its instruction and examples in the prompt', async () => {
+    const created = await request(tonesApp).post('/api/tones').send(CHEEKY);
+    expect(created.status).toBe(201);
+    expect(created.body.tone).toMatchObject({ slug: 'cheeky', custom: true, defaults: { ratings: [5], sentiments: [] } });
+
+    const res = await generate({ rating: 5 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.metadata).toMatchObject({ tone: 'cheeky', toneSelection: 'rating' });
+    const system = provider.requests[0].messages[0].content;
+    expect(system).toContain(CHEEKY.instruction);
+    expect(system).toContain('- "You clearly have excellent taste!"');
+  });
+
+  test('a custom tone can be requested by name and is stored with the record', async () => {
+    await request(tonesApp).post('/api/tones').send(CHEEKY);
+
+    const res = await generate({ tone: 'CHEEKY', rating: 2 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.metadata).toMatchObject({ tone: 'cheeky', toneSelection: 'requested' });
+    const insert = db.queries.find(({ text }) => /INSERT INTO generated_responses/.test(text));
+    expect(insert.params[3]).toBe('cheeky');
+  });
+
+  test('built-in names are taken and unknown tones are rejected', async () => {
+    const taken = await request(tonesApp).post('/api/tones').send({ ...CHEEKY, name: 'Friendly' });
+    expect(taken.status).toBe(409);
+
+    const unknown = await generate({ tone: 'sarcastic' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.details[0].msg).toBe('Please select a valid tone');
+  });
+
+  test('another account\'s tones cannot be used', async () => {
+    customTones.push({ ...TONES[3], id: 'tone-cheeky-other', user_id: OTHER_USER, slug: 'cheeky', name: 'Cheeky' });
+
+    const requested = await generate({ tone: 'cheeky' });
+    expect(requested.status).toBe(400);
+    expect(requested.body.details[0].msg).toBe('Please select a valid tone');
+
+    const selected = await generate({ rating: 5 });
+    expect(selected.body.metadata).toMatchObject({ tone: 'grateful', toneSelection: 'rating' });
+  });
+});
@@ -0,0 +1,99 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => require('./helpers/fakeDatabase').createFakeDatabase());
+jest.mock('../config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../middleware/auth', () => require('./helpers/app').mockAuthModule());
+
+const db = require('../config/database');
+const { buildApp, testUser } = require('./helpers/app');
+const usageLedger = require('../services/usageLedger');
+const responseRoutes = require('../routes/responses');
+const usageRoutes = require('../routes/usage');
+
+const responsesApp = buildApp('/api/responses', responseRoutes);
+const usageApp = buildApp('/api/usage', usageRoutes);
+
+const REVIEW = 'The pasta was amazing and the staff were so friendly, we will be back!';
+
+// Rows of the llm_usage INSERTs, as column name -> value
+const ledgerRows = () => db.queries
+  .filter(({ text }) => /INSERT INTO llm_usage/.test(text))
+  .flatMap(({ params }) => {
+    const rows = [];
+    for (let offset = 0; offset < params.length; offset += 11) {
+      const [userId, generatedResponseId, provider, model, purpose, promptTokens, completionTokens, totalTokens, , costUsd, estimated] =
+        params.slice(offset, offset + 11);
+      rows.push({ userId, generatedResponseId, provider, model, purpose, promptTokens, completionTokens, totalTokens, costUsd, estimated });
+    }
+    return rows;
+  });
+
+const totalsRow = (overrides = {}) => ({
+  calls: 2, prompt_tokens: 900, completion_tokens: 300, total_tokens: 1200, cost_usd: 0.0045, avg_latency_ms: 820, ...overrides
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe('usage ledger', () => {
+  test('costs use the longest matching model prefix', () => {
+    expect(usageLedger.calculateCost('gpt-4o-mini-2024-07-18', 1000, 1000)).toBe(0.00075);
+    expect(usageLedger.calculateCost('gpt-4o-2024-08-06', 1000, 1000)).toBe(0.0125);
+    expect(usageLedger.calculateCost('gpt-4-0613', 2000, 500)).toBe(0.09);
+    expect(usageLedger.calculateCost('some-local-model', 1000, 1000)).toBe(0);
+  });
+
+  test('a generation records one ledger row per model call, linked to the saved replies', async () => {
+    db.on(/INSERT INTO generated_responses/, () => [{ id: 'generated-1', created_at: new Date() }]);
+
+    const res = await request(responsesApp)
+      .post('/api/responses')
+      .send({ reviewText: REVIEW, businessType: 'restaurant', tone: 'friendly' });
+    expect(res.status).toBe(201);
+
+    const rows = ledgerRows();
+    expect(rows.map(row => row.purpose)).toEqual(expect.arrayContaining(['sentiment', 'responses']));
+    rows.forEach(row => {
+      expect(row).toMatchObject({ userId: testUser.id, generatedResponseId: 'generated-1', provider: 'fixture', model: 'fixture', costUsd: 0, estimated: false });
+      expect(row.promptTokens).toBeGreaterThan(0);
+      expect(row.totalTokens).toBe(row.promptTokens + row.completionTokens);
+    });
+  });
+
+  test('a failing ledger write does not fail the request', async () => {
+    const tracker = usageLedger.createUsageTracker();
+    tracker.record({ provider: 'openai', model: 'gpt-4o', purpose: 'responses', usage: { promptTokens: 10, completionTokens: 5 }, latencyMs: 40 });
+    db.on(/INSERT INTO llm_usage/, () => {
+      throw new Error('connection reset');
+    });
+
+    await expect(usageLedger.recordUsage(testUser.id, null, tracker)).resolves.toBeUndefined();
+  });
+
+  test('the usage report returns totals, daily and per-model breakdowns for the range', async () => {
+    db.on(/FROM llm_usage WHERE/, () => [totalsRow()]);
+    db.on(/GROUP BY day/, () => [
+      { day: '2024-01-02', ...totalsRow({ calls: 1, cost_usd: 0.002 }) },
+      { day: '2024-01-05', ...totalsRow({ calls: 1, cost_usd: 0.0025 }) }
+    ]);
+    db.on(/GROUP BY model/, () => [{ model: 'gpt-4o', ...totalsRow() }]);
+
+    const res = await request(usageApp).get('/api/usage?from=2024-01-01&to=2024-02-01');
+
+    expect(res.status).toBe(200);
+    expect(res.body.range).toEqual({ from: '2024-01-01T00:00:00.000Z', to: '2024-02-01T00:00:00.000Z' });
+    expect(res.body.totals).toEqual({ calls: 2, promptTokens: 900, completionTokens: 300, totalTokens: 1200, costUsd: 0.0045, avgLatencyMs: 820 });
+    expect(res.body.daily.map(day => [day.day, day.costUsd])).toEqual([['2024-01-02', 0.002], ['2024-01-05', 0.0025]]);
+    expect(res.body.byModel[0]).toMatchObject({ model: 'gpt-4o', calls: 2 });
+
+    const reportQuery = db.queries.find(({ text }) => /FROM llm_usage/.test(text));
+    expect(reportQuery.params).toEqual([testUser.id, new Date('2024-01-01'), new Date('2024-02-01')]);
+  });
+
+  test('an invalid range is rejected', async () => {
+    const res = await request(usageApp).get('/api/usage?from=last-week');
+    expect(res.status).toBe(400);
+    expect(db.queries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,68 @@
+// Incremental parser for a streamed JSON array of objects.
+// Text is pushed in arbitrary chunks as it arrives from the model; every time a
+// top-level object in the array is closed its raw JSON text is returned, so
+// callers can act on each element before the rest of the array has arrived.
+function createJsonArrayStream() {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let started = false;
+  let current = '';
+
+  const push = (chunk) => {
+    const completed = [];
+
+    for (const char of chunk) {
+      if (!started) {
+        // Skip anything the model emits before the array (prose, code fences)
+        if (char === '[') {
+          started = true;
+        }
+        continue;
+      }
+
+      if (depth > 0) {
+        current += char;
+      }
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (depth === 0) {
+          current = char;
+        }
+        depth += 1;
+      } else if (char === '}' || char === ']') {
+        if (depth === 0) {
+          // End of the top-level array
+          started = false;
+          continue;
+        }
+        depth -= 1;
+        if (depth === 0) {
+          completed.push(current);
+          current = '';
+        }
+      }
+    }
+
+    return completed;
+  };
+
+  return { push };
+}
+
+module.exports = {
+  createJsonArrayStream
+};
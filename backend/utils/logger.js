@@ -22,6 +22,45 @@ const colors = {
 
 winston.addColors(colors);
 
+// Keys whose values never reach a log (compared lowercase, without _ and -)
+const SECRET_KEYS = new Set([
+  'password', 'passwordhash', 'secret', 'clientsecret', 'accesstoken', 'refreshtoken', 'pageaccesstoken',
+  'idtoken', 'apikey', 'authorization', 'cookie', 'credentials', 'apicredentialsencrypted', 'encryptionkey'
+]);
+
+const isSecretKey = (key) => SECRET_KEYS.has(key.toLowerCase().replace(/[_-]/g, ''));
+
+// Copy of a logged value with secrets masked. Objects passed to the logger are not
+// modified; errors are left for the errors format.
+function redactValue(value, seen = new WeakSet(), depth = 0) {
+  if (typeof value === 'string') {
+    return value.replace(/Bearer\s+[A-Za-z0-9._~+/=-]+/g, 'Bearer [REDACTED]');
+  }
+  if (!value || typeof value !== 'object' || value instanceof Error || value instanceof Date || Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (seen.has(value) || depth > 8) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(entry => redactValue(entry, seen, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+    key,
+    isSecretKey(key) && entry ? '[REDACTED]' : redactValue(entry, seen, depth + 1)
+  ]));
+}
+
+// Masks credentials, tokens and passwords anywhere in a log entry
+const redactSecrets = winston.format((info) => {
+  Object.keys(info).forEach(key => {
+    info[key] = isSecretKey(key) && info[key] ? '[REDACTED]' : redactValue(info[key]);
+  });
+  return info;
+});
+
 // Custom format for console output
 const consoleFormat = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
@@ -96,7 +135,7 @@ if (process.env.LOG_FILE_ENABLED === 'true') {
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   levels,
-  format: fileFormat,
+  format: winston.format.combine(redactSecrets(), fileFormat),
   defaultMeta: {
     service: 'reviewbot-pro',
     environment: process.env.NODE_ENV || 'development'
@@ -0,0 +1,13 @@
+const autoResponseService = require('../../services/autoResponseService');
+
+// Generate and, where the automation settings allow, post the reply to one synced
+// review (queued by autoResponseService.scheduleAutoResponses)
+module.exports = {
+  type: autoResponseService.AUTO_RESPONSE_JOB,
+  concurrency: 2,
+  timeoutMs: 180000,
+
+  handler({ reviewId }, { signal }) {
+    return autoResponseService.respondToReview(reviewId, { signal });
+  }
+};
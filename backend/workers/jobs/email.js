@@ -0,0 +1,14 @@
+const { deliverEmail } = require('../../services/notificationService');
+
+// Outgoing email queued with notificationService.queueEmail. Failed sends are
+// retried; without EMAIL_HOST the job goes straight to the dead-letter state.
+module.exports = {
+  type: 'email',
+  concurrency: 2,
+  timeoutMs: 60000,
+
+  async handler({ to, subject, text }) {
+    await deliverEmail({ to, subject, text });
+    return { to };
+  }
+};
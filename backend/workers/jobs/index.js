@@ -0,0 +1,6 @@
+const reviewSync = require('./reviewSync');
+const autoResponse = require('./autoResponse');
+const email = require('./email');
+
+// Job types registered by initializeQueues
+module.exports = [reviewSync, autoResponse, email];
@@ -0,0 +1,67 @@
+const { query } = require('../../config/database');
+const jobService = require('../../services/jobService');
+const connectors = require('../../services/connectors');
+const platformReviewService = require('../../services/platformReviewService');
+const autoResponseService = require('../../services/autoResponseService');
+
+// Fetch new reviews for one platform integration. Every active integration is
+// synced every <PLATFORM>_REVIEW_SYNC_INTERVAL minutes (default 15); syncing stops
+// after MAX_SYNC_ERRORS failures in a row, until the integration is synced by hand
+// or connected again.
+
+const { REVIEW_SYNC_JOB } = platformReviewService;
+
+const syncIntervalMinutes = (platform) =>
+  parseInt(process.env[`${platform.toUpperCase()}_REVIEW_SYNC_INTERVAL`]) || 15;
+
+const maxSyncErrors = () => parseInt(process.env.MAX_SYNC_ERRORS) || 5;
+
+// Queue a sync for every active integration that is due and has none queued
+async function scheduleDueSyncs() {
+  let queued = 0;
+  for (const platform of connectors.platformNames()) {
+    const result = await query(
+      `INSERT INTO background_jobs (job_type, payload, user_id, dedupe_key, max_attempts)
+       SELECT $1, jsonb_build_object('integrationId', i.id), i.user_id, i.id::text, $4
+       FROM platform_integrations i
+       WHERE i.platform_name = $2 AND i.is_active = true
+         AND (i.last_sync IS NULL OR i.last_sync <= NOW() - ($3 || ' minutes')::interval)
+         AND (i.rate_limited_until IS NULL OR i.rate_limited_until <= NOW())
+         AND i.error_count < $5
+         AND NOT EXISTS (
+           SELECT 1 FROM background_jobs j
+           WHERE j.job_type = $1 AND j.dedupe_key = i.id::text AND j.status IN ('pending', 'running')
+         )
+       ON CONFLICT (job_type, dedupe_key) WHERE status = 'pending' AND dedupe_key IS NOT NULL DO NOTHING`,
+      [REVIEW_SYNC_JOB, platform, String(syncIntervalMinutes(platform)), jobService.jobSettings().maxAttempts, maxSyncErrors()]
+    );
+    queued += result.rowCount;
+  }
+  return queued;
+}
+
+module.exports = {
+  type: REVIEW_SYNC_JOB,
+  concurrency: 2,
+  timeoutMs: 300000,
+  schedule: scheduleDueSyncs,
+
+  // A platform that asks us to slow down throws a ConnectorError with retryAfterMs,
+  // so the job is retried at the platform's retry time
+  async handler({ integrationId }, { job }) {
+    const summary = await platformReviewService.syncIntegration(integrationId);
+    if (!summary) {
+      return { skipped: 'integration_not_found' };
+    }
+    if (summary.skipped) {
+      return summary;
+    }
+
+    const { newReviewIds, ...counts } = summary;
+    const autoResponses = await autoResponseService.scheduleAutoResponses(job.userId, newReviewIds);
+    if (summary.hasMore) {
+      await platformReviewService.queueSync(integrationId, job.userId);
+    }
+    return { ...counts, autoResponsesQueued: autoResponses.length };
+  }
+};
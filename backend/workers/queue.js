@@ -0,0 +1,196 @@
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const jobService = require('../services/jobService');
+const builtInJobTypes = require('./jobs');
+
+// Runs the jobs in `background_jobs`. Every registered job type gets its own set
+// of worker loops (its concurrency), which claim due jobs, run the handler with a
+// timeout and record the outcome. Several processes can run queues at once; the
+// per-type concurrency applies to each process.
+//
+// A job type is { type, handler(payload, { job, signal }), concurrency, timeoutMs,
+// schedule() }. The handler's return value is stored as the job's result. When it
+// throws, the job is retried with exponential backoff (see jobService.failJob).
+// `signal` aborts on timeout, cancellation and shutdown. The optional schedule()
+// runs every minute to queue periodic work.
+
+const MAINTENANCE_INTERVAL_MS = 60000;
+
+const jobTypes = new Map();
+const runningJobs = new Map();
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+let state = null;
+
+// Register a job type; concurrency can be overridden with JOB_CONCURRENCY_<TYPE>
+function registerJobType(definition) {
+  jobTypes.set(definition.type, definition);
+}
+
+function concurrencyFor(definition) {
+  const override = parseInt(process.env[`JOB_CONCURRENCY_${definition.type.toUpperCase()}`]);
+  return override || definition.concurrency || jobService.jobSettings().concurrency;
+}
+
+const timeoutFor = (definition) => definition.timeoutMs || jobService.jobSettings().timeoutMs;
+
+class JobTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Job timed out after ${timeoutMs}ms`);
+    this.name = 'JobTimeoutError';
+  }
+}
+
+// Run one claimed job and record how it went
+async function executeJob(definition, job) {
+  const controller = new AbortController();
+  runningJobs.set(job.id, controller);
+  const startedAt = Date.now();
+  const timeoutMs = timeoutFor(definition);
+  let timer;
+
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      // Reject first, so a handler that returns as soon as it is aborted does not win
+      timer = setTimeout(() => {
+        reject(new JobTimeoutError(timeoutMs));
+        controller.abort();
+      }, timeoutMs);
+    });
+    const outcome = await Promise.race([definition.handler(job.payload, { job, signal: controller.signal }), timeout]);
+
+    if (await jobService.completeJob(job, workerId, outcome)) {
+      logger.job(job.type, 'completed', Date.now() - startedAt);
+    }
+  } catch (error) {
+    const status = await jobService.failJob(job, workerId, error);
+    if (status) {
+      logger.job(job.type, status === 'dead' ? 'dead' : 'retrying', Date.now() - startedAt, error);
+    }
+  } finally {
+    clearTimeout(timer);
+    runningJobs.delete(job.id);
+  }
+}
+
+// A pause between polls that shutdown can cut short
+const sleep = (sleepers, ms) => new Promise(resolve => {
+  const sleeper = { resolve };
+  sleeper.timer = setTimeout(() => {
+    sleepers.delete(sleeper);
+    resolve();
+  }, ms);
+  sleepers.add(sleeper);
+});
+
+// One worker loop of a job type: claim and run jobs until the queues stop
+async function runWorker(runner, definition) {
+  const leaseMs = timeoutFor(definition) + 60000;
+
+  while (!runner.stopping) {
+    let job = null;
+    try {
+      job = await jobService.claimJob(definition.type, workerId, leaseMs);
+    } catch (error) {
+      logger.error('Failed to claim background job', { jobType: definition.type, error: error.message });
+    }
+
+    if (!job) {
+      await sleep(runner.sleepers, jobService.jobSettings().pollIntervalMs);
+      continue;
+    }
+    await executeJob(definition, job);
+  }
+}
+
+// Housekeeping: retry jobs of workers that died, and let job types queue their
+// periodic work (such as review syncs)
+async function runMaintenance() {
+  try {
+    await jobService.recoverExpiredJobs();
+    for (const definition of jobTypes.values()) {
+      if (definition.schedule) {
+        await definition.schedule();
+      }
+    }
+  } catch (error) {
+    logger.error('Background job maintenance failed', { error: error.message });
+  }
+}
+
+// Start the worker loops for every registered job type. JOB_RUNNER_ENABLED=false
+// leaves this process enqueueing only.
+async function initializeQueues() {
+  if (state) {
+    return;
+  }
+  builtInJobTypes.forEach(definition => {
+    if (!jobTypes.has(definition.type)) {
+      registerJobType(definition);
+    }
+  });
+  if (process.env.JOB_RUNNER_ENABLED === 'false') {
+    logger.info('Background job runner disabled in this process');
+    return;
+  }
+
+  state = { stopping: false, sleepers: new Set(), workers: [] };
+  await runMaintenance();
+  state.maintenance = setInterval(runMaintenance, MAINTENANCE_INTERVAL_MS);
+
+  for (const definition of jobTypes.values()) {
+    for (let i = 0; i < concurrencyFor(definition); i += 1) {
+      state.workers.push(runWorker(state, definition));
+    }
+  }
+
+  logger.info('Background job runner started', {
+    workerId,
+    jobTypes: [...jobTypes.values()].map(definition => `${definition.type}x${concurrencyFor(definition)}`)
+  });
+}
+
+// Stop claiming jobs and wait for the running ones. Jobs still running after
+// `graceMs` are aborted and count as a failed attempt.
+async function shutdownQueues({ graceMs = 10000 } = {}) {
+  if (!state) {
+    return;
+  }
+  const current = state;
+  current.stopping = true;
+  clearInterval(current.maintenance);
+  current.sleepers.forEach(({ timer, resolve }) => {
+    clearTimeout(timer);
+    resolve();
+  });
+
+  let graceTimer;
+  const grace = new Promise(resolve => {
+    graceTimer = setTimeout(() => {
+      runningJobs.forEach(controller => controller.abort());
+      resolve();
+    }, graceMs);
+  });
+  await Promise.race([Promise.all(current.workers), grace]);
+  clearTimeout(graceTimer);
+
+  state = null;
+  logger.info('Background job runner stopped', { workerId });
+}
+
+// Abort a job running in this process (after it was cancelled)
+function abortJob(jobId) {
+  const controller = runningJobs.get(jobId);
+  if (controller) {
+    controller.abort();
+  }
+  return Boolean(controller);
+}
+
+module.exports = {
+  registerJobType,
+  initializeQueues,
+  shutdownQueues,
+  abortJob
+};
@@ -0,0 +1,28 @@
+require('dotenv').config();
+const logger = require('../utils/logger');
+const { connectDB, disconnectDB } = require('../config/database');
+const { initializeQueues, shutdownQueues } = require('./queue');
+const credentialVault = require('../services/credentialVault');
+
+// Standalone background job worker (`npm run worker`), for running jobs in
+// processes separate from the API. Uses the same queues and settings as the server.
+
+async function main() {
+  credentialVault.checkConfiguration();
+  await connectDB();
+  await initializeQueues();
+
+  const stop = async (signal) => {
+    logger.info(`${signal} received, stopping worker`);
+    await shutdownQueues();
+    await disconnectDB();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => stop('SIGTERM'));
+  process.on('SIGINT', () => stop('SIGINT'));
+}
+
+main().catch(error => {
+  logger.error('Worker failed to start', { error: error.message });
+  process.exit(1);
+});
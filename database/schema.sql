@@ -15,6 +15,12 @@ CREATE TABLE users (
     stripe_customer_id VARCHAR(255),
     monthly_usage INTEGER DEFAULT 0,
     usage_limit INTEGER DEFAULT 100,
+    monthly_refinements INTEGER DEFAULT 0,
+    role VARCHAR(20) DEFAULT 'user',
+    primary_language VARCHAR(10) DEFAULT 'en',
+    generation_cache_enabled BOOLEAN DEFAULT true,
+    -- IANA timezone of the business; automated replies follow its working hours
+    timezone VARCHAR(64) DEFAULT 'UTC',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     is_active BOOLEAN DEFAULT true,
@@ -22,13 +28,67 @@ CREATE TABLE users (
     trial_end_date TIMESTAMP WITH TIME ZONE
 );
 
+-- Business type catalogue: built-in types (user_id NULL) and per-account custom types
+CREATE TABLE business_types (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    slug VARCHAR(100) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    keywords JSONB NOT NULL DEFAULT '[]',
+    specialties TEXT NOT NULL,
+    compliance_mode VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tone catalogue: built-in tones (user_id NULL) and per-account custom tones.
+-- default_ratings / default_sentiments pick the tone when a request names none.
+CREATE TABLE tones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    slug VARCHAR(100) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    instruction TEXT NOT NULL,
+    examples JSONB NOT NULL DEFAULT '[]',
+    default_ratings JSONB NOT NULL DEFAULT '[]',
+    default_sentiments JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Versioned prompt templates; version 0 is the built-in template in the code
+CREATE TABLE prompt_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    purpose VARCHAR(50) NOT NULL,
+    version INTEGER NOT NULL,
+    system_template TEXT NOT NULL,
+    user_template TEXT NOT NULL,
+    description TEXT,
+    is_active BOOLEAN DEFAULT false,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (purpose, version)
+);
+
+-- A/B experiments splitting traffic between prompt template versions
+CREATE TABLE prompt_experiments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    purpose VARCHAR(50) NOT NULL DEFAULT 'responses',
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    variants JSONB NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    stopped_at TIMESTAMP WITH TIME ZONE
+);
+
 -- Generated responses table
 CREATE TABLE generated_responses (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     original_review TEXT NOT NULL,
     business_type VARCHAR(100) NOT NULL,
-    tone VARCHAR(50) NOT NULL,
+    tone VARCHAR(100) NOT NULL,
     generated_responses_json JSONB NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     response_status VARCHAR(50) DEFAULT 'pending',
@@ -36,9 +96,23 @@ CREATE TABLE generated_responses (
     platform_source VARCHAR(50),
     sentiment_score NUMERIC(3,2),
     sentiment_category VARCHAR(20),
+    aspect_sentiments JSONB DEFAULT '[]'::jsonb,
     selected_response_index INTEGER,
     posted_at TIMESTAMP WITH TIME ZONE,
-    platform_response_id VARCHAR(255)
+    platform_response_id VARCHAR(255),
+    review_language VARCHAR(10),
+    response_language VARCHAR(10),
+    final_response TEXT,
+    refinement_history JSONB DEFAULT '[]'::jsonb,
+    approved_at TIMESTAMP WITH TIME ZONE,
+    compliance_mode VARCHAR(50),
+    compliance_status VARCHAR(20),
+    compliance_flags JSONB DEFAULT '[]'::jsonb,
+    prompt_template_id UUID REFERENCES prompt_templates(id) ON DELETE SET NULL,
+    prompt_template_version INTEGER,
+    prompt_experiment_id UUID REFERENCES prompt_experiments(id) ON DELETE SET NULL,
+    review_fingerprint VARCHAR(64),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Subscriptions table
@@ -56,19 +130,32 @@ CREATE TABLE subscriptions (
 );
 
 -- Platform integrations table
+-- sync_cursor is the connector's position in the platform's review list; rate_limit
+-- holds the platform's last rate-limit hints and rate_limited_until pauses syncing.
+-- sync_status: pending, ok, rate_limited or error
+-- api_credentials_encrypted is a credential vault envelope (services/credentialVault.js);
+-- credentials_key_version is the master key version that wrapped it.
 CREATE TABLE platform_integrations (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     platform_name VARCHAR(50) NOT NULL,
     business_id VARCHAR(255) NOT NULL,
+    account_name VARCHAR(255),
     api_credentials_encrypted TEXT NOT NULL,
+    credentials_key_version INTEGER,
     is_active BOOLEAN DEFAULT true,
     last_sync TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     sync_status VARCHAR(50) DEFAULT 'pending',
+    sync_cursor TEXT,
+    rate_limit JSONB,
+    rate_limited_until TIMESTAMP WITH TIME ZONE,
     error_count INTEGER DEFAULT 0,
-    last_error TEXT
+    last_error TEXT,
+    -- Timezone of this location when it differs from the account's (NULL: the account's)
+    timezone VARCHAR(64),
+    UNIQUE(user_id, platform_name, business_id)
 );
 
 -- Automation settings table
@@ -86,14 +173,49 @@ CREATE TABLE automation_settings (
     working_hours_start TIME DEFAULT '09:00',
     working_hours_end TIME DEFAULT '17:00',
     weekend_enabled BOOLEAN DEFAULT false,
-    max_daily_responses INTEGER DEFAULT 50
+    max_daily_responses INTEGER DEFAULT 50,
+    -- Up to this many random minutes are added to each reply's posting time
+    response_jitter_minutes INTEGER DEFAULT 0,
+    -- Local dates ('YYYY-MM-DD') on which no automated replies are posted
+    holidays JSONB DEFAULT '[]'::jsonb
+);
+
+-- Brand voice profiles merged into the response generation prompt
+CREATE TABLE brand_voice_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    preferred_phrases JSONB DEFAULT '[]',
+    banned_words JSONB DEFAULT '[]',
+    signature VARCHAR(255),
+    manager_name VARCHAR(100),
+    use_emojis BOOLEAN DEFAULT false,
+    formality_level VARCHAR(20) DEFAULT 'balanced',
+    example_replies JSONB DEFAULT '[]',
+    version INTEGER DEFAULT 1,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Per-account PII redaction policy applied before review text reaches the LLM
+CREATE TABLE redaction_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    enabled BOOLEAN DEFAULT true,
+    entity_types JSONB DEFAULT '["email", "paymentCard", "orderNumber", "phone", "personName"]',
+    restore_types JSONB DEFAULT '[]',
+    staff_names JSONB DEFAULT '[]',
+    store_original BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- Reviews table for monitoring external platform reviews
+-- Reviews table for monitoring external platform reviews. Reviews imported from a file
+-- (POST /api/imports) have no platform integration.
+-- status: new, generated, flagged, escalated or responded
 CREATE TABLE reviews (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    platform_integration_id UUID NOT NULL REFERENCES platform_integrations(id) ON DELETE CASCADE,
+    platform_integration_id UUID REFERENCES platform_integrations(id) ON DELETE CASCADE,
     platform_review_id VARCHAR(255) NOT NULL,
     reviewer_name VARCHAR(255),
     review_text TEXT NOT NULL,
@@ -102,13 +224,153 @@ CREATE TABLE reviews (
     platform_name VARCHAR(50) NOT NULL,
     sentiment_score NUMERIC(3,2),
     sentiment_category VARCHAR(20),
+    aspect_sentiments JSONB DEFAULT '[]'::jsonb,
+    language VARCHAR(10),
     status VARCHAR(50) DEFAULT 'new',
+    review_fingerprint VARCHAR(64),
+    spam_score INTEGER,
+    reply_text TEXT,
+    platform_response_id VARCHAR(255),
+    replied_at TIMESTAMP WITH TIME ZONE,
     processed_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- Tags added by automation rules, and the rules' last decision with its explanation
+    tags JSONB DEFAULT '[]'::jsonb,
+    automation_decision JSONB,
     UNIQUE(platform_integration_id, platform_review_id)
 );
 
--- Background jobs table
+-- Reviews held as possibly fake or spam, with the detector's reasons and a dispute report.
+-- status: flagged (awaiting the user), confirmed (fake) or dismissed (genuine)
+CREATE TABLE review_flags (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    review_id UUID REFERENCES reviews(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL,
+    review_text TEXT NOT NULL,
+    review_fingerprint VARCHAR(64) NOT NULL,
+    rating INTEGER,
+    platform_name VARCHAR(50),
+    suspicion_score INTEGER NOT NULL,
+    reasons JSONB NOT NULL DEFAULT '[]'::jsonb,
+    llm_verdict VARCHAR(20),
+    report_text TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'flagged',
+    decision_note TEXT,
+    decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    decided_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- High-risk reviews (food safety, injury, discrimination, legal threats, staff misconduct)
+-- that get no automated reply. status: open, acknowledged or resolved
+CREATE TABLE escalations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    generated_response_id UUID REFERENCES generated_responses(id) ON DELETE SET NULL,
+    review_id UUID REFERENCES reviews(id) ON DELETE CASCADE,
+    review_text TEXT NOT NULL,
+    platform_name VARCHAR(50),
+    categories JSONB NOT NULL DEFAULT '[]'::jsonb,
+    severity VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    holding_response TEXT,
+    notified_contacts JSONB DEFAULT '[]'::jsonb,
+    resolution_note TEXT,
+    acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    acknowledged_at TIMESTAMP WITH TIME ZONE,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- People emailed about escalations at or above min_severity (empty categories means all)
+CREATE TABLE escalation_contacts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    min_severity VARCHAR(20) NOT NULL DEFAULT 'high',
+    categories JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Batch generation jobs (POST /api/responses/batch) and their reviews.
+-- status: queued, running, completed, cancelled or failed
+CREATE TABLE batch_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    defaults JSONB DEFAULT '{}'::jsonb,
+    total_items INTEGER NOT NULL,
+    reserved_credits INTEGER NOT NULL DEFAULT 0,
+    refunded_credits INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- review_text is cleared once an item is settled; the result lives on the linked record.
+-- status: pending, processing, completed, flagged, escalated, failed or cancelled
+-- A processing item is leased to the server process in locked_by until locked_until;
+-- the process renews the lease while it works, and an expired lease can be claimed again.
+CREATE TABLE batch_job_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    batch_job_id UUID NOT NULL REFERENCES batch_jobs(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    external_id VARCHAR(255),
+    review_text TEXT,
+    business_type VARCHAR(100) NOT NULL,
+    tone VARCHAR(100),
+    rating INTEGER,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMP WITH TIME ZONE,
+    generated_response_id UUID REFERENCES generated_responses(id) ON DELETE SET NULL,
+    review_flag_id UUID REFERENCES review_flags(id) ON DELETE SET NULL,
+    escalation_id UUID REFERENCES escalations(id) ON DELETE SET NULL,
+    review_id UUID REFERENCES reviews(id) ON DELETE SET NULL,
+    tokens_used INTEGER,
+    error_message TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(batch_job_id, position)
+);
+
+-- Review exports uploaded for import (POST /api/imports). records holds the file's rows
+-- as parsed until commit, and afterwards only when the account keeps original reviews;
+-- committed_rows links each imported row to its review and skipped_rows keeps the
+-- errors of the rows that were not imported.
+-- status: preview or committed
+CREATE TABLE review_imports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    file_format VARCHAR(10) NOT NULL,
+    source VARCHAR(50) NOT NULL,
+    columns JSONB NOT NULL DEFAULT '[]'::jsonb,
+    column_mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+    records JSONB NOT NULL DEFAULT '[]'::jsonb,
+    total_rows INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'preview',
+    batch_job_id UUID REFERENCES batch_jobs(id) ON DELETE SET NULL,
+    committed_rows JSONB NOT NULL DEFAULT '[]'::jsonb,
+    skipped_rows JSONB NOT NULL DEFAULT '[]'::jsonb,
+    committed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Background jobs table (run by workers/queue.js)
+-- status: pending, running, completed, dead (out of attempts or not retryable) or cancelled.
+-- A running job is leased to the worker in locked_by until locked_until; an expired
+-- lease means the worker died and the job is retried. dedupe_key keeps a single
+-- pending job per key and type.
 CREATE TABLE background_jobs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     job_type VARCHAR(100) NOT NULL,
@@ -120,7 +382,12 @@ CREATE TABLE background_jobs (
     started_at TIMESTAMP WITH TIME ZONE,
     completed_at TIMESTAMP WITH TIME ZONE,
     error_message TEXT,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    dedupe_key VARCHAR(255),
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMP WITH TIME ZONE,
+    result JSONB
 );
 
 -- Audit logs table
@@ -136,15 +403,20 @@ CREATE TABLE audit_logs (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- API usage tracking
-CREATE TABLE api_usage (
+-- LLM token and cost ledger (one row per model call)
+CREATE TABLE llm_usage (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    endpoint VARCHAR(255) NOT NULL,
-    method VARCHAR(10) NOT NULL,
-    response_status INTEGER,
-    response_time_ms INTEGER,
-    credits_used INTEGER DEFAULT 1,
+    generated_response_id UUID REFERENCES generated_responses(id) ON DELETE SET NULL,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    purpose VARCHAR(50) NOT NULL,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER,
+    cost_usd NUMERIC(12,6) NOT NULL DEFAULT 0,
+    usage_estimated BOOLEAN DEFAULT false,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -167,21 +439,47 @@ CREATE INDEX idx_users_stripe_customer_id ON users(stripe_customer_id);
 CREATE INDEX idx_generated_responses_user_id ON generated_responses(user_id);
 CREATE INDEX idx_generated_responses_created_at ON generated_responses(created_at);
 CREATE INDEX idx_generated_responses_status ON generated_responses(response_status);
+CREATE INDEX idx_generated_responses_user_history ON generated_responses(user_id, created_at DESC, id DESC);
+CREATE INDEX idx_generated_responses_prompt_experiment ON generated_responses(prompt_experiment_id);
+CREATE UNIQUE INDEX idx_business_types_builtin_slug ON business_types(slug) WHERE user_id IS NULL;
+CREATE UNIQUE INDEX idx_business_types_user_slug ON business_types(user_id, slug) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_tones_builtin_slug ON tones(slug) WHERE user_id IS NULL;
+CREATE UNIQUE INDEX idx_tones_user_slug ON tones(user_id, slug) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_prompt_templates_active ON prompt_templates(purpose) WHERE is_active = true;
+CREATE UNIQUE INDEX idx_prompt_experiments_running ON prompt_experiments(purpose) WHERE status = 'running';
 CREATE INDEX idx_subscriptions_user_id ON subscriptions(user_id);
 CREATE INDEX idx_subscriptions_stripe_id ON subscriptions(stripe_subscription_id);
 CREATE INDEX idx_platform_integrations_user_id ON platform_integrations(user_id);
 CREATE INDEX idx_platform_integrations_platform ON platform_integrations(platform_name);
+CREATE INDEX idx_platform_integrations_key_version ON platform_integrations(credentials_key_version);
 CREATE INDEX idx_automation_settings_user_id ON automation_settings(user_id);
 CREATE INDEX idx_reviews_user_id ON reviews(user_id);
 CREATE INDEX idx_reviews_platform_integration ON reviews(platform_integration_id);
 CREATE INDEX idx_reviews_status ON reviews(status);
 CREATE INDEX idx_reviews_created_at ON reviews(created_at);
+CREATE INDEX idx_reviews_fingerprint ON reviews(review_fingerprint);
+CREATE INDEX idx_reviews_tags ON reviews USING GIN (tags);
+CREATE INDEX idx_reviews_reviewer ON reviews(user_id, platform_name, reviewer_name);
+CREATE UNIQUE INDEX idx_reviews_imported ON reviews(user_id, platform_name, platform_review_id) WHERE platform_integration_id IS NULL;
+CREATE INDEX idx_generated_responses_fingerprint ON generated_responses(review_fingerprint);
+CREATE INDEX idx_review_flags_user_status ON review_flags(user_id, status, created_at DESC);
+CREATE INDEX idx_escalations_user_status ON escalations(user_id, status, created_at DESC);
+CREATE INDEX idx_escalation_contacts_user_id ON escalation_contacts(user_id);
+CREATE INDEX idx_batch_jobs_user_created ON batch_jobs(user_id, created_at DESC);
+CREATE INDEX idx_batch_jobs_status ON batch_jobs(status);
+CREATE INDEX idx_batch_job_items_job_status ON batch_job_items(batch_job_id, status, position);
+CREATE INDEX idx_batch_job_items_lease ON batch_job_items(locked_until) WHERE status = 'processing';
+CREATE INDEX idx_review_imports_user_created ON review_imports(user_id, created_at DESC);
 CREATE INDEX idx_background_jobs_status ON background_jobs(status);
 CREATE INDEX idx_background_jobs_scheduled_at ON background_jobs(scheduled_at);
+CREATE INDEX idx_background_jobs_due ON background_jobs(job_type, scheduled_at) WHERE status = 'pending';
+CREATE INDEX idx_background_jobs_lease ON background_jobs(locked_until) WHERE status = 'running';
+CREATE UNIQUE INDEX idx_background_jobs_dedupe ON background_jobs(job_type, dedupe_key) WHERE status = 'pending' AND dedupe_key IS NOT NULL;
 CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
 CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at);
-CREATE INDEX idx_api_usage_user_id ON api_usage(user_id);
-CREATE INDEX idx_api_usage_created_at ON api_usage(created_at);
+CREATE INDEX idx_llm_usage_user_id_created_at ON llm_usage(user_id, created_at);
+CREATE INDEX idx_llm_usage_generated_response_id ON llm_usage(generated_response_id);
+CREATE INDEX idx_llm_usage_created_at ON llm_usage(created_at);
 
 -- Create triggers for updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -204,9 +502,33 @@ CREATE TRIGGER update_platform_integrations_updated_at BEFORE UPDATE ON platform
 CREATE TRIGGER update_automation_settings_updated_at BEFORE UPDATE ON automation_settings
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_generated_responses_updated_at BEFORE UPDATE ON generated_responses
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_brand_voice_profiles_updated_at BEFORE UPDATE ON brand_voice_profiles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_redaction_policies_updated_at BEFORE UPDATE ON redaction_policies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_notification_settings_updated_at BEFORE UPDATE ON notification_settings
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_business_types_updated_at BEFORE UPDATE ON business_types
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_tones_updated_at BEFORE UPDATE ON tones
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_escalations_updated_at BEFORE UPDATE ON escalations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_batch_jobs_updated_at BEFORE UPDATE ON batch_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_review_imports_updated_at BEFORE UPDATE ON review_imports
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Insert default notification settings for new users
 CREATE OR REPLACE FUNCTION create_default_notification_settings()
 RETURNS TRIGGER AS $$
@@ -219,3 +541,43 @@ $$ language 'plpgsql';
 
 CREATE TRIGGER create_user_defaults AFTER INSERT ON users
     FOR EACH ROW EXECUTE FUNCTION create_default_notification_settings();
+
+-- Built-in business types
+INSERT INTO business_types (slug, name, keywords, specialties, compliance_mode) VALUES
+    ('restaurant', 'Restaurant', '["food", "service", "dining", "meal", "chef", "menu", "taste", "atmosphere"]',
+     'Focus on food quality, service speed, ambiance, and overall dining experience', NULL),
+    ('salon', 'Salon', '["hair", "styling", "cut", "color", "treatment", "stylist", "appointment"]',
+     'Emphasize expertise, cleanliness, professionalism, and customer satisfaction', NULL),
+    ('retail', 'Retail', '["product", "quality", "price", "staff", "selection", "store", "shopping"]',
+     'Focus on product quality, customer service, value, and shopping experience', NULL),
+    ('medical', 'Medical', '["treatment", "care", "doctor", "staff", "appointment", "professional", "health"]',
+     'Emphasize professionalism, care quality, staff expertise, and patient comfort', 'healthcare'),
+    ('automotive', 'Automotive', '["service", "repair", "mechanic", "parts", "vehicle", "maintenance", "quality"]',
+     'Focus on technical expertise, reliability, honesty, and customer service', NULL),
+    ('professional services', 'Professional Services', '["service", "expertise", "professional", "quality", "communication", "results"]',
+     'Emphasize expertise, professionalism, results, and client satisfaction', NULL),
+    ('hotel', 'Hotel', '["stay", "room", "service", "staff", "amenities", "location", "experience"]',
+     'Focus on comfort, service quality, amenities, and overall guest experience', NULL),
+    ('dentist', 'Dentist', '["care", "dentist", "hygienist", "staff", "appointment", "comfort", "cleanliness"]',
+     'Emphasize gentle care, comfort, cleanliness, and a welcoming practice', 'healthcare'),
+    ('gym', 'Gym', '["equipment", "classes", "trainers", "cleanliness", "staff", "membership", "atmosphere"]',
+     'Focus on equipment, classes, trainer expertise, cleanliness, and a motivating atmosphere', NULL),
+    ('law firm', 'Law Firm', '["communication", "expertise", "responsiveness", "fees", "outcome", "professional"]',
+     'Emphasize professionalism, clear communication, responsiveness, and client confidentiality', NULL),
+    ('veterinary', 'Veterinary', '["pets", "care", "vet", "staff", "appointment", "compassion", "cleanliness"]',
+     'Focus on compassionate animal care, staff expertise, and keeping owners informed', NULL),
+    ('coffee shop', 'Coffee Shop', '["coffee", "drinks", "pastries", "baristas", "service", "atmosphere", "price"]',
+     'Focus on drink quality, friendly baristas, speed of service, and a welcoming space', NULL);
+
+-- Built-in tones
+INSERT INTO tones (slug, name, instruction, default_ratings, default_sentiments) VALUES
+    ('professional', 'Professional',
+     'Use formal, business-appropriate language. Be courteous and maintain professional boundaries.', '[3, 4]', '["neutral"]'),
+    ('friendly', 'Friendly',
+     'Use warm, conversational tone. Be personable while remaining appropriate.', '[]', '[]'),
+    ('apologetic', 'Apologetic',
+     'Express genuine remorse and commitment to improvement. Focus on making things right.', '[1, 2]', '["negative"]'),
+    ('grateful', 'Grateful',
+     'Express sincere appreciation and gratitude. Highlight positive aspects mentioned.', '[5]', '["positive"]'),
+    ('formal', 'Formal',
+     'Use very formal, traditional business language. Be respectful and conservative in tone.', '[]', '[]');